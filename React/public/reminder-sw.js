@@ -0,0 +1,32 @@
+/**
+ * Reminder Service Worker
+ * Shows reminder notifications for BlueTask and, when one is clicked,
+ * focuses an open BlueTask tab (or opens one) and asks it to show the todo.
+ *
+ * The page decides when reminders are due (see src/services/reminders.js)
+ * and hands them to this worker, so notifications still appear while the
+ * tab is in the background or minimised.
+ */
+
+/* eslint-disable no-restricted-globals */
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const todoId = event.notification.data && event.notification.data.todoId;
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find(w => new URL(w.url).origin === self.location.origin);
+
+    if (client) {
+      await client.focus();
+      client.postMessage({ type: 'open-todo', todoId });
+    } else {
+      await self.clients.openWindow(`${self.registration.scope}?todo=${encodeURIComponent(todoId || '')}`);
+    }
+  })());
+});
@@ -54,25 +54,190 @@ CREATE TRIGGER on_auth_user_created
 ALTER TABLE public.user_profiles REPLICA IDENTITY FULL;
 ALTER PUBLICATION supabase_realtime ADD TABLE public.user_profiles;
 
+-- Create categories table (user-defined, one set per user)
+CREATE TABLE categories (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  color TEXT DEFAULT '#6B7280',
+  icon TEXT,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, name)
+);
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS idx_categories_user_id ON categories(user_id);
+
+-- Create workflow_statuses table (user-defined, ordered by position)
+CREATE TABLE workflow_statuses (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  key TEXT NOT NULL, -- Stored in todos.status
+  name TEXT NOT NULL,
+  color TEXT DEFAULT '#6B7280',
+  is_done BOOLEAN NOT NULL DEFAULT FALSE, -- Todos in this status count as completed
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, key)
+);
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS idx_workflow_statuses_user_id ON workflow_statuses(user_id);
+
+-- Create smart_views table (named, saved filters shown in the sidebar)
+CREATE TABLE smart_views (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  filters JSONB NOT NULL DEFAULT '{}'::jsonb, -- Filter expression, see src/utils/filters.js
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS idx_smart_views_user_id ON smart_views(user_id);
+
+-- Create projects table (named lists that own todos)
+CREATE TABLE projects (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  owner_email TEXT NOT NULL,
+  name TEXT NOT NULL,
+  color TEXT DEFAULT '#3B82F6',
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS idx_projects_user_id ON projects(user_id);
+
+-- Create project_members table (whole-project sharing, same view/edit model as shared_todos)
+CREATE TABLE project_members (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE NOT NULL,
+  recipient_email TEXT NOT NULL,
+  permission TEXT DEFAULT 'view',
+  owner_email TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (project_id, recipient_email)
+);
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS idx_project_members_recipient_email ON project_members(recipient_email);
+
+-- Enable realtime for project membership changes
+ALTER TABLE public.project_members REPLICA IDENTITY FULL;
+ALTER PUBLICATION supabase_realtime ADD TABLE public.project_members;
+
+-- Check whether the current user owns a project or is a member of it
+-- Runs as definer so todo policies can use it without recursive RLS checks
+CREATE OR REPLACE FUNCTION public.is_project_member(p_project_id UUID, p_require_edit BOOLEAN DEFAULT FALSE)
+RETURNS BOOLEAN
+SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT p_project_id IS NOT NULL AND (
+    EXISTS (SELECT 1 FROM projects WHERE id = p_project_id AND user_id = auth.uid())
+    OR EXISTS (
+      SELECT 1 FROM project_members
+      WHERE project_id = p_project_id
+      AND recipient_email = auth.jwt()->>'email'
+      AND (NOT p_require_edit OR permission = 'edit')
+    )
+  );
+$$ LANGUAGE sql STABLE;
+
+-- Searchable text of a todo's AI content: the summary and each step's title
+-- and details. Older clients stored the content as a JSON string.
+CREATE OR REPLACE FUNCTION public.ai_content_search_text(content JSONB)
+RETURNS TEXT
+IMMUTABLE
+AS $$
+DECLARE
+  parsed JSONB := content;
+BEGIN
+  IF jsonb_typeof(content) = 'string' THEN
+    parsed := (content #>> '{}')::JSONB;
+  END IF;
+
+  IF jsonb_typeof(parsed) IS DISTINCT FROM 'object' THEN
+    RETURN '';
+  END IF;
+
+  RETURN concat_ws(' ', parsed->>'summary', (
+    SELECT string_agg(concat_ws(' ', step->>'step', step->>'details'), ' ')
+    FROM jsonb_array_elements(
+      CASE WHEN jsonb_typeof(parsed->'steps') = 'array' THEN parsed->'steps' ELSE '[]'::JSONB END
+    ) AS step
+  ));
+EXCEPTION WHEN others THEN
+  RETURN ''; -- Malformed content just isn't searchable
+END;
+$$ LANGUAGE plpgsql;
+
 -- Create todos table
 CREATE TABLE todos (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   title TEXT NOT NULL,
   description TEXT,
-  completed BOOLEAN DEFAULT FALSE,
-  category TEXT DEFAULT 'personal',
-  due_date TIMESTAMP WITH TIME ZONE,
+  completed BOOLEAN DEFAULT FALSE, -- True exactly when the status is a done status, kept for older clients
+  status TEXT, -- workflow_statuses.key; NULL for todos created before statuses
+  status_history JSONB DEFAULT '[]', -- [{ status, entered_at }] in the order they were entered
+  category TEXT DEFAULT 'personal', -- Category name, kept alongside category_id for older clients
+  category_id UUID REFERENCES categories(id) ON DELETE SET NULL,
+  tags TEXT[] DEFAULT '{}', -- Free-form, normalized tags
+  project_id UUID REFERENCES projects(id) ON DELETE SET NULL, -- NULL means the todo is in the inbox
+  due_date TIMESTAMP WITH TIME ZONE, -- Wall-clock date and time as UTC; the real moment is (due_date AT TIME ZONE 'UTC') AT TIME ZONE due_time_zone
+  has_due_time BOOLEAN NOT NULL DEFAULT FALSE, -- FALSE means due by the end of the day
+  due_time_zone TEXT, -- IANA zone the due date was set in, e.g. 'Europe/London'
+  reminders JSONB DEFAULT '[]', -- [{ minutes_before }] offsets from the due time
   priority TEXT DEFAULT 'medium',
   user_id UUID REFERENCES auth.users(id) NOT NULL,
   owner TEXT NOT NULL,
   original_owner TEXT NOT NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-  ai_content JSONB -- Store AI content as JSONB for better querying and flexibility
+  ai_content JSONB, -- Store AI content as JSONB for better querying and flexibility
+  ai_history JSONB DEFAULT '[]', -- [{ content, action, feedback, replaced_at, replaced_by }] earlier AI content, oldest first
+  recurrence JSONB, -- RRULE-style rule: frequency, interval, weekdays, monthDay, endDate, count
+  series_id UUID, -- Shared by every occurrence of a recurring todo
+  recurrence_index INTEGER DEFAULT 0, -- Zero-based position of this occurrence in its series
+  occurrence_overrides JSONB, -- Series values of fields edited for "this occurrence" only
+  -- Full-text search over title, description, category and AI content, best matches first
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(category, '')), 'C') ||
+    setweight(to_tsvector('english', public.ai_content_search_text(ai_content)), 'D')
+  ) STORED
 );
 
 -- Add indexes for performance
 CREATE INDEX IF NOT EXISTS idx_todos_user_id ON todos(user_id);
+CREATE INDEX IF NOT EXISTS idx_todos_series_id ON todos(series_id, recurrence_index);
+CREATE INDEX IF NOT EXISTS idx_todos_category_id ON todos(category_id);
+CREATE INDEX IF NOT EXISTS idx_todos_tags ON todos USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_todos_project_id ON todos(project_id);
+CREATE INDEX IF NOT EXISTS idx_todos_search_vector ON todos USING GIN (search_vector);
+
+-- Older clients only flip `completed`; move the status along with it
+CREATE OR REPLACE FUNCTION public.sync_todo_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.completed IS DISTINCT FROM OLD.completed AND NEW.status IS NOT DISTINCT FROM OLD.status THEN
+    NEW.status := CASE WHEN NEW.completed THEN 'done' ELSE 'todo' END;
+    NEW.status_history := COALESCE(OLD.status_history, '[]'::jsonb) ||
+      jsonb_build_array(jsonb_build_object('status', NEW.status, 'entered_at', now()));
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_todo_status ON todos;
+CREATE TRIGGER sync_todo_status
+  BEFORE UPDATE OF completed ON todos
+  FOR EACH ROW EXECUTE FUNCTION public.sync_todo_status();
 
 -- Create shared_todos table
 CREATE TABLE shared_todos (
@@ -90,10 +255,19 @@ CREATE TABLE shared_todos (
 CREATE INDEX IF NOT EXISTS idx_shared_todos_recipient_email ON shared_todos(recipient_email);
 CREATE INDEX IF NOT EXISTS idx_shared_todos_todo_id ON shared_todos(todo_id);
 
+-- Enable realtime for todos and shares. The client subscribes with
+-- server-side filters (user_id, project_id, id, recipient_email), so
+-- each user only receives changes to rows they can see.
+ALTER TABLE public.todos REPLICA IDENTITY FULL;
+ALTER TABLE public.shared_todos REPLICA IDENTITY FULL;
+ALTER PUBLICATION supabase_realtime ADD TABLE public.todos;
+ALTER PUBLICATION supabase_realtime ADD TABLE public.shared_todos;
+
 -- Create todo_invitations table
 CREATE TABLE todo_invitations (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   todo_id UUID REFERENCES todos(id) ON DELETE CASCADE,
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE, -- Set instead of todo_id for project invitations
   todo_data JSONB NOT NULL,
   owner_email TEXT NOT NULL,
   original_owner TEXT NOT NULL,
@@ -113,8 +287,17 @@ CREATE TABLE recently_deleted (
   id UUID PRIMARY KEY,
   title TEXT NOT NULL,
   description TEXT,
+  completed BOOLEAN DEFAULT FALSE,
+  status TEXT,
+  status_history JSONB DEFAULT '[]',
   category TEXT,
+  category_id UUID, -- Not a foreign key: the category may be deleted before the todo is restored
+  tags TEXT[] DEFAULT '{}',
+  project_id UUID, -- Not a foreign key either: a deleted project's todos are restored to the inbox
   due_date TIMESTAMP WITH TIME ZONE,
+  has_due_time BOOLEAN DEFAULT FALSE,
+  due_time_zone TEXT,
+  reminders JSONB DEFAULT '[]',
   priority TEXT,
   user_id UUID REFERENCES auth.users(id),
   owner TEXT NOT NULL,
@@ -126,7 +309,12 @@ CREATE TABLE recently_deleted (
   expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
   deleted_by TEXT NOT NULL,
   permission TEXT DEFAULT NULL,
-  ai_content JSONB -- Store AI content as JSONB for better querying and flexibility
+  ai_content JSONB, -- Store AI content as JSONB for better querying and flexibility
+  recurrence JSONB, -- Kept so a restored occurrence stays in its recurring series
+  series_id UUID,
+  recurrence_index INTEGER DEFAULT 0,
+  occurrence_overrides JSONB,
+  subtasks JSONB DEFAULT '[]' -- [{ id, title, completed, position }] re-created on restore
 );
 
 -- Add indexes for performance
@@ -140,6 +328,11 @@ ALTER TABLE todos ENABLE ROW LEVEL SECURITY;
 ALTER TABLE shared_todos ENABLE ROW LEVEL SECURITY;
 ALTER TABLE todo_invitations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE recently_deleted ENABLE ROW LEVEL SECURITY;
+ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE workflow_statuses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE smart_views ENABLE ROW LEVEL SECURITY;
+ALTER TABLE projects ENABLE ROW LEVEL SECURITY;
+ALTER TABLE project_members ENABLE ROW LEVEL SECURITY;
 
 -- User Profiles policies
 DROP POLICY IF EXISTS "Users can view their own profile" ON user_profiles;
@@ -179,12 +372,16 @@ CREATE POLICY "Users can view their own todos"
       SELECT 1 FROM shared_todos 
       WHERE shared_todos.todo_id = todos.id 
       AND shared_todos.recipient_email = auth.jwt()->>'email'
-    )
+    ) OR
+    public.is_project_member(project_id)
   );
 
 CREATE POLICY "Users can create todos"
   ON todos FOR INSERT
-  WITH CHECK (auth.uid() = user_id);
+  WITH CHECK (
+    auth.uid() = user_id AND
+    (project_id IS NULL OR public.is_project_member(project_id, TRUE))
+  );
 
 CREATE POLICY "Users can update their own todos"
   ON todos FOR UPDATE
@@ -195,7 +392,8 @@ CREATE POLICY "Users can update their own todos"
       WHERE shared_todos.todo_id = todos.id 
       AND shared_todos.recipient_email = auth.jwt()->>'email'
       AND shared_todos.permission = 'edit'
-    )
+    ) OR
+    public.is_project_member(project_id, TRUE)
   );
 
 CREATE POLICY "Users can delete their own todos"
@@ -265,7 +463,12 @@ CREATE POLICY "Users can view their invitations"
 
 CREATE POLICY "Users can create invitations"
   ON todo_invitations FOR INSERT
-  WITH CHECK (owner_email = auth.jwt()->>'email');
+  WITH CHECK (
+    owner_email = auth.jwt()->>'email' AND (
+      project_id IS NULL OR
+      EXISTS (SELECT 1 FROM projects WHERE id = project_id AND user_id = auth.uid())
+    )
+  );
 
 CREATE POLICY "Users can update their invitations"
   ON todo_invitations FOR UPDATE
@@ -295,4 +498,487 @@ CREATE POLICY "Users can update their deleted todos"
 
 CREATE POLICY "Users can delete their deleted todos"
   ON recently_deleted FOR DELETE
-  USING (user_id = auth.uid()); 
\ No newline at end of file
+  USING (user_id = auth.uid());
+
+-- Categories policies
+DROP POLICY IF EXISTS "Users can view their categories" ON categories;
+DROP POLICY IF EXISTS "Recipients can view categories of shared todos" ON categories;
+DROP POLICY IF EXISTS "Users can create categories" ON categories;
+DROP POLICY IF EXISTS "Users can update their categories" ON categories;
+DROP POLICY IF EXISTS "Users can delete their categories" ON categories;
+
+CREATE POLICY "Users can view their categories"
+  ON categories FOR SELECT
+  USING (user_id = auth.uid());
+
+-- Recipients see the owner's category label on todos shared with them
+CREATE POLICY "Recipients can view categories of shared todos"
+  ON categories FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM todos
+      LEFT JOIN shared_todos ON shared_todos.todo_id = todos.id
+      WHERE todos.category_id = categories.id
+      AND (
+        shared_todos.recipient_email = auth.jwt()->>'email' OR
+        public.is_project_member(todos.project_id)
+      )
+    )
+  );
+
+-- Projects policies
+DROP POLICY IF EXISTS "Users can view their projects" ON projects;
+DROP POLICY IF EXISTS "Users can create projects" ON projects;
+DROP POLICY IF EXISTS "Owners can update projects" ON projects;
+DROP POLICY IF EXISTS "Owners can delete projects" ON projects;
+
+CREATE POLICY "Users can view their projects"
+  ON projects FOR SELECT
+  USING (
+    user_id = auth.uid() OR
+    EXISTS (
+      SELECT 1 FROM project_members
+      WHERE project_members.project_id = projects.id
+      AND project_members.recipient_email = auth.jwt()->>'email'
+    )
+  );
+
+CREATE POLICY "Users can create projects"
+  ON projects FOR INSERT
+  WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Owners can update projects"
+  ON projects FOR UPDATE
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Owners can delete projects"
+  ON projects FOR DELETE
+  USING (user_id = auth.uid());
+
+-- Project members policies
+DROP POLICY IF EXISTS "Users can view project members" ON project_members;
+DROP POLICY IF EXISTS "Recipients can join projects they were invited to" ON project_members;
+DROP POLICY IF EXISTS "Owners can update project member permissions" ON project_members;
+DROP POLICY IF EXISTS "Owners and members can remove membership" ON project_members;
+
+CREATE POLICY "Users can view project members"
+  ON project_members FOR SELECT
+  USING (
+    recipient_email = auth.jwt()->>'email' OR
+    owner_email = auth.jwt()->>'email'
+  );
+
+-- Recipients join through accept_project_invitation, which copies the
+-- permission and owner from the invitation, so there is no INSERT policy
+
+-- Accept a pending project invitation addressed to the current user
+-- Runs as definer so the membership can only be created with the values the
+-- project owner put on the invitation. Returns the project ID.
+CREATE OR REPLACE FUNCTION public.accept_project_invitation(p_invitation_id UUID)
+RETURNS UUID
+SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  invitation todo_invitations%ROWTYPE;
+BEGIN
+  SELECT * INTO invitation FROM todo_invitations
+  WHERE id = p_invitation_id
+  AND recipient_id = auth.uid()
+  AND project_id IS NOT NULL
+  AND status = 'pending';
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'invitation-not-found';
+  END IF;
+
+  INSERT INTO project_members (project_id, recipient_email, owner_email, permission)
+  VALUES (invitation.project_id, auth.jwt()->>'email', invitation.owner_email, invitation.permission)
+  ON CONFLICT (project_id, recipient_email)
+  DO UPDATE SET permission = EXCLUDED.permission, owner_email = EXCLUDED.owner_email;
+
+  UPDATE todo_invitations SET status = 'accepted' WHERE id = invitation.id;
+
+  RETURN invitation.project_id;
+END;
+$$ LANGUAGE plpgsql;
+
+GRANT EXECUTE ON FUNCTION public.accept_project_invitation(UUID) TO authenticated;
+
+CREATE POLICY "Owners can update project member permissions"
+  ON project_members FOR UPDATE
+  USING (owner_email = auth.jwt()->>'email');
+
+CREATE POLICY "Owners and members can remove membership"
+  ON project_members FOR DELETE
+  USING (
+    recipient_email = auth.jwt()->>'email' OR
+    owner_email = auth.jwt()->>'email'
+  );
+
+CREATE POLICY "Users can create categories"
+  ON categories FOR INSERT
+  WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can update their categories"
+  ON categories FOR UPDATE
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Users can delete their categories"
+  ON categories FOR DELETE
+  USING (user_id = auth.uid()); 
+
+-- Workflow statuses policies
+DROP POLICY IF EXISTS "Users can view their statuses" ON workflow_statuses;
+DROP POLICY IF EXISTS "Users can create statuses" ON workflow_statuses;
+DROP POLICY IF EXISTS "Users can update their statuses" ON workflow_statuses;
+DROP POLICY IF EXISTS "Users can delete their statuses" ON workflow_statuses;
+
+CREATE POLICY "Users can view their statuses"
+  ON workflow_statuses FOR SELECT
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Users can create statuses"
+  ON workflow_statuses FOR INSERT
+  WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can update their statuses"
+  ON workflow_statuses FOR UPDATE
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Users can delete their statuses"
+  ON workflow_statuses FOR DELETE
+  USING (user_id = auth.uid());
+
+-- Smart views policies
+DROP POLICY IF EXISTS "Users can view their smart views" ON smart_views;
+DROP POLICY IF EXISTS "Users can create smart views" ON smart_views;
+DROP POLICY IF EXISTS "Users can update their smart views" ON smart_views;
+DROP POLICY IF EXISTS "Users can delete their smart views" ON smart_views;
+
+CREATE POLICY "Users can view their smart views"
+  ON smart_views FOR SELECT
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Users can create smart views"
+  ON smart_views FOR INSERT
+  WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can update their smart views"
+  ON smart_views FOR UPDATE
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Users can delete their smart views"
+  ON smart_views FOR DELETE
+  USING (user_id = auth.uid());
+
+-- Create subtasks table
+CREATE TABLE subtasks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  todo_id UUID REFERENCES todos(id) ON DELETE CASCADE NOT NULL,
+  title TEXT NOT NULL,
+  completed BOOLEAN DEFAULT FALSE,
+  completed_by TEXT,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS idx_subtasks_todo_id ON subtasks(todo_id, position);
+
+-- Enable realtime for subtasks
+ALTER TABLE public.subtasks REPLICA IDENTITY FULL;
+ALTER PUBLICATION supabase_realtime ADD TABLE public.subtasks;
+
+ALTER TABLE subtasks ENABLE ROW LEVEL SECURITY;
+
+-- Subtasks policies (mirror the parent todo's access rules)
+DROP POLICY IF EXISTS "Users can view subtasks of visible todos" ON subtasks;
+DROP POLICY IF EXISTS "Users can create subtasks on editable todos" ON subtasks;
+DROP POLICY IF EXISTS "Users can update subtasks on editable todos" ON subtasks;
+DROP POLICY IF EXISTS "Users can delete subtasks on editable todos" ON subtasks;
+
+CREATE POLICY "Users can view subtasks of visible todos"
+  ON subtasks FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM todos
+      WHERE todos.id = subtasks.todo_id
+      AND (
+        todos.user_id = auth.uid() OR
+        EXISTS (
+          SELECT 1 FROM shared_todos
+          WHERE shared_todos.todo_id = todos.id
+          AND shared_todos.recipient_email = auth.jwt()->>'email'
+        ) OR
+        public.is_project_member(todos.project_id)
+      )
+    )
+  );
+
+CREATE POLICY "Users can create subtasks on editable todos"
+  ON subtasks FOR INSERT
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM todos
+      WHERE todos.id = subtasks.todo_id
+      AND (
+        todos.user_id = auth.uid() OR
+        EXISTS (
+          SELECT 1 FROM shared_todos
+          WHERE shared_todos.todo_id = todos.id
+          AND shared_todos.recipient_email = auth.jwt()->>'email'
+          AND shared_todos.permission = 'edit'
+        ) OR
+        public.is_project_member(todos.project_id, TRUE)
+      )
+    )
+  );
+
+CREATE POLICY "Users can update subtasks on editable todos"
+  ON subtasks FOR UPDATE
+  USING (
+    EXISTS (
+      SELECT 1 FROM todos
+      WHERE todos.id = subtasks.todo_id
+      AND (
+        todos.user_id = auth.uid() OR
+        EXISTS (
+          SELECT 1 FROM shared_todos
+          WHERE shared_todos.todo_id = todos.id
+          AND shared_todos.recipient_email = auth.jwt()->>'email'
+          AND shared_todos.permission = 'edit'
+        ) OR
+        public.is_project_member(todos.project_id, TRUE)
+      )
+    )
+  );
+
+CREATE POLICY "Users can delete subtasks on editable todos"
+  ON subtasks FOR DELETE
+  USING (
+    EXISTS (
+      SELECT 1 FROM todos
+      WHERE todos.id = subtasks.todo_id
+      AND (
+        todos.user_id = auth.uid() OR
+        EXISTS (
+          SELECT 1 FROM shared_todos
+          WHERE shared_todos.todo_id = todos.id
+          AND shared_todos.recipient_email = auth.jwt()->>'email'
+          AND shared_todos.permission = 'edit'
+        ) OR
+        public.is_project_member(todos.project_id, TRUE)
+      )
+    )
+  );
+
+
+-- Create the next occurrence of a recurring todo
+-- Runs as definer so shared users with 'edit' permission can advance a series
+-- owned by someone else. Idempotent: returns the existing occurrence if the
+-- series has already been advanced past p_todo_id.
+CREATE OR REPLACE FUNCTION public.create_next_occurrence(p_todo_id UUID, p_due_date TIMESTAMP WITH TIME ZONE)
+RETURNS UUID
+SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  src todos%ROWTYPE;
+  next_id UUID;
+BEGIN
+  SELECT * INTO src FROM todos WHERE id = p_todo_id;
+
+  IF NOT FOUND OR src.series_id IS NULL OR src.recurrence IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  IF src.user_id <> auth.uid() AND NOT public.is_project_member(src.project_id, TRUE) AND NOT EXISTS (
+    SELECT 1 FROM shared_todos
+    WHERE shared_todos.todo_id = src.id
+    AND shared_todos.recipient_email = auth.jwt()->>'email'
+    AND shared_todos.permission = 'edit'
+  ) THEN
+    RAISE EXCEPTION 'permission-denied';
+  END IF;
+
+  SELECT id INTO next_id FROM todos
+  WHERE series_id = src.series_id AND recurrence_index = src.recurrence_index + 1;
+
+  IF FOUND THEN
+    RETURN next_id;
+  END IF;
+
+  INSERT INTO todos (
+    title, description, completed, category, category_id, tags, due_date, has_due_time, due_time_zone,
+    reminders, priority, user_id, owner, original_owner, ai_content, recurrence, series_id,
+    recurrence_index, project_id
+  )
+  VALUES (
+    COALESCE(src.occurrence_overrides->>'title', src.title),
+    COALESCE(src.occurrence_overrides->>'description', src.description),
+    FALSE,
+    COALESCE(src.occurrence_overrides->>'category', src.category),
+    COALESCE((src.occurrence_overrides->>'category_id')::UUID, src.category_id),
+    src.tags,
+    p_due_date,
+    src.has_due_time,
+    src.due_time_zone,
+    src.reminders,
+    COALESCE(src.occurrence_overrides->>'priority', src.priority),
+    src.user_id,
+    src.owner,
+    src.original_owner,
+    src.ai_content,
+    src.recurrence,
+    src.series_id,
+    src.recurrence_index + 1,
+    src.project_id
+  )
+  RETURNING id INTO next_id;
+
+  -- Carry subtasks over, unchecked
+  INSERT INTO subtasks (todo_id, title, position)
+  SELECT next_id, title, position FROM subtasks WHERE todo_id = src.id;
+
+  -- Keep the series visible to everyone it was shared with
+  INSERT INTO shared_todos (todo_id, recipient_email, permission, owner_email, original_owner)
+  SELECT next_id, recipient_email, permission, owner_email, original_owner
+  FROM shared_todos WHERE todo_id = src.id;
+
+  RETURN next_id;
+END;
+$$ LANGUAGE plpgsql;
+
+GRANT EXECUTE ON FUNCTION public.create_next_occurrence(UUID, TIMESTAMP WITH TIME ZONE) TO authenticated;
+
+-- Create ai_usage table (one row per AI request made through the ai-proxy
+-- Edge Function, for per-user rate limits and daily token quotas)
+CREATE TABLE ai_usage (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  tokens INTEGER NOT NULL DEFAULT 0, -- Reserved until the model reports the actual count
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS idx_ai_usage_user_created ON ai_usage(user_id, created_at);
+
+-- Users can see their usage; only the proxy (service role) records it
+ALTER TABLE ai_usage ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their AI usage" ON ai_usage;
+
+CREATE POLICY "Users can view their AI usage"
+  ON ai_usage FOR SELECT
+  USING (user_id = auth.uid());
+
+-- Claim an AI request for a user if they're within their limits, reserving
+-- p_reserve_tokens of today's (UTC) quota. Returns { allowed, request_id }
+-- or { allowed: false, reason: 'rate' | 'quota', retry_after } in seconds.
+CREATE OR REPLACE FUNCTION public.claim_ai_request(
+  p_user_id UUID,
+  p_per_minute INTEGER,
+  p_daily_tokens INTEGER,
+  p_reserve_tokens INTEGER
+)
+RETURNS JSONB
+SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  window_start TIMESTAMP WITH TIME ZONE := NOW() - INTERVAL '1 minute';
+  day_start TIMESTAMP WITH TIME ZONE := date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC';
+  recent_count INTEGER;
+  oldest_recent TIMESTAMP WITH TIME ZONE;
+  used_tokens INTEGER;
+  request_id UUID;
+BEGIN
+  -- One claim per user at a time, so parallel requests can't all slip under the limits
+  PERFORM pg_advisory_xact_lock(hashtext('ai_usage:' || p_user_id::text));
+
+  SELECT COUNT(*), MIN(created_at) INTO recent_count, oldest_recent
+  FROM ai_usage WHERE user_id = p_user_id AND created_at > window_start;
+
+  IF recent_count >= p_per_minute THEN
+    RETURN jsonb_build_object(
+      'allowed', FALSE,
+      'reason', 'rate',
+      'retry_after', GREATEST(CEIL(EXTRACT(EPOCH FROM oldest_recent - window_start)), 1)::INTEGER
+    );
+  END IF;
+
+  SELECT COALESCE(SUM(tokens), 0) INTO used_tokens
+  FROM ai_usage WHERE user_id = p_user_id AND created_at >= day_start;
+
+  IF used_tokens + p_reserve_tokens > p_daily_tokens THEN
+    RETURN jsonb_build_object(
+      'allowed', FALSE,
+      'reason', 'quota',
+      'retry_after', CEIL(EXTRACT(EPOCH FROM day_start + INTERVAL '1 day' - NOW()))::INTEGER
+    );
+  END IF;
+
+  INSERT INTO ai_usage (user_id, tokens)
+  VALUES (p_user_id, p_reserve_tokens)
+  RETURNING id INTO request_id;
+
+  RETURN jsonb_build_object('allowed', TRUE, 'request_id', request_id);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the proxy may claim requests, never the users themselves
+REVOKE EXECUTE ON FUNCTION public.claim_ai_request(UUID, INTEGER, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_ai_request(UUID, INTEGER, INTEGER, INTEGER) TO service_role;
+
+-- Create ai_suggestion_decisions table (what users did with each AI
+-- suggestion, so the acceptance rate shows whether a feature is useful)
+CREATE TABLE ai_suggestion_decisions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  todo_id UUID REFERENCES todos(id) ON DELETE SET NULL, -- NULL for todos that weren't created yet
+  feature TEXT NOT NULL, -- 'triage'
+  field TEXT NOT NULL, -- 'category', 'priority' or 'dueDate'
+  suggested_value TEXT,
+  accepted BOOLEAN NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add indexes for performance
+CREATE INDEX IF NOT EXISTS idx_ai_suggestion_decisions_user_feature ON ai_suggestion_decisions(user_id, feature);
+
+ALTER TABLE ai_suggestion_decisions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their AI suggestion decisions" ON ai_suggestion_decisions;
+DROP POLICY IF EXISTS "Users can record their AI suggestion decisions" ON ai_suggestion_decisions;
+
+CREATE POLICY "Users can view their AI suggestion decisions"
+  ON ai_suggestion_decisions FOR SELECT
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Users can record their AI suggestion decisions"
+  ON ai_suggestion_decisions FOR INSERT
+  WITH CHECK (user_id = auth.uid());
+
+-- Create day_plans table (the plan the user accepted from "Plan my day",
+-- one per user and day; its todos are pinned to the Today view)
+CREATE TABLE day_plans (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  plan_date DATE NOT NULL, -- The user's local day
+  hours NUMERIC NOT NULL, -- Hours the user had available
+  start_time TEXT NOT NULL, -- 'HH:MM'
+  summary TEXT,
+  items JSONB NOT NULL DEFAULT '[]', -- [{ todo_id, start, end, minutes, reason }] in order
+  left_out JSONB NOT NULL DEFAULT '[]', -- Todo IDs chosen by the AI that didn't fit the hours
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, plan_date)
+);
+
+ALTER TABLE day_plans ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage their day plans" ON day_plans;
+
+CREATE POLICY "Users can manage their day plans"
+  ON day_plans FOR ALL
+  USING (user_id = auth.uid())
+  WITH CHECK (user_id = auth.uid());
@@ -9,7 +9,14 @@
  * 
  * 2. Todo Management
  *    - CRUD operations for todos
+ *    - Quick add: one line parsed into due date, category, tags, priority and recurrence
+ *    - Checkable, reorderable subtasks (including AI steps converted to subtasks)
+ *    - Recurring todos that schedule their next occurrence on completion
+ *    - Projects that group todos and can be shared as a whole
  *    - Real-time synchronization using Supabase subscriptions
+ *    - Offline-first: todos are cached in IndexedDB and changes are queued
+ *      in an outbox that syncs when the connection returns
+ *    - Undo/redo for completing, editing and deleting todos (toast button, Ctrl+Z / Ctrl+Shift+Z)
  *    - Support for both owned and shared todos
  * 
  * 3. Sharing System
@@ -18,41 +25,144 @@
  *    - Invitation system
  * 
  * 4. UI Features
- *    - Filtering by status and category
- *    - Sorting by date and priority
+ *    - User-defined categories and free-form tags
+ *    - User-defined workflow statuses ("In progress", "Blocked", ...), with
+ *      `completed` kept in step for older clients
+ *    - Full-text search over titles, descriptions, categories and AI content
+ *      (highlighted matches, ↑/↓/Enter to move through results, "/" to search)
+ *    - Filtering by completion, workflow status, category and tag combinations,
+ *      plus priority, due date range and ownership in saved smart views
+ *    - List and calendar (month/week/day) views, drag to reschedule on the calendar
+ *    - Kanban board grouped by workflow status, priority, category or owner
+ *    - Today view of the time-boxed plan accepted from "Plan my day"
+ *    - Weekly report of completed and created todos, exportable as Markdown
+ *    - Sorting by date, priority and due date
+ *    - Due times in the user's time zone, with reminders shown as toasts and
+ *      browser notifications (see services/reminders)
  *    - Recently deleted items management
+ *    - Toast notifications for errors and confirmations (see ToastProvider)
  *    - Animated transitions using Framer Motion
  * 
  * 5. State Management
  *    - Local state for todos and UI
  *    - Real-time updates from Supabase
- *    - Optimistic updates for better UX
+ *    - Optimistic updates: changes show immediately, roll back if the
+ *      server rejects them and are retried with backoff while it can't be reached
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import TodoForm from './components/TodoForm';
+import QuickAdd from './components/QuickAdd';
 import TodoList from './components/TodoList';
+import CalendarView from './components/CalendarView';
+import SearchBar from './components/SearchBar';
+import BoardView from './components/BoardView';
 import TubelightNavbar from './components/TubelightNavbar';
 import LoginPage from './components/LoginPage';
 import { supabase, signInWithGoogle, logOut } from "./supabase";
 import { AnimatePresence } from 'framer-motion';
 import InvitationsModal from './components/InvitationsModal';
-import { getPendingInvitations, moveToRecentlyDeleted, handleInvitationResponse, getSharedUsers } from './supabase';
+import { getPendingInvitations, handleInvitationResponse } from './supabase';
+import { getCategories, createCategories, updateCategory, deleteCategory } from './supabase';
+import { getStatuses, createStatuses, updateStatus, deleteStatus } from './supabase';
+import { getSmartViews, createSmartView, updateSmartView, deleteSmartView } from './supabase';
+import { getProjects, createProject, updateProject, deleteProject, removeProjectMember } from './supabase';
+import { recordAISuggestionDecisions, getAISuggestionDecisions } from './supabase';
+import { getDayPlan, saveDayPlan, deleteDayPlan } from './supabase';
+import { getCachedTodos, replaceCachedTodos, getOutbox, addToOutbox, updateOutboxEntry, removeFromOutbox } from './services/offlineStore';
+import { replayOutbox } from './services/syncService';
+import { useTodosRepository } from './services/TodosRepositoryContext';
+import { OUTBOX_OPERATIONS, OUTBOX_STATUS, createOutboxEntry, applyOutbox, rollbackEntry, getRetryDelay } from './utils/outbox';
+import { handleError, ErrorSeverity } from './utils/errorHandler';
+import { applyRealtimeChange, buildInFilters } from './utils/realtime';
+import { mapTodoRow, toTodoRow } from './utils/todoMapper';
+import { COMMAND_TYPES, UNDO_WINDOW_MS, createHistory, recordCommand, takeUndo, takeRedo, getRevertChanges } from './utils/history';
+import { moveSubtask, stepsToSubtasks, applySubtaskChanges } from './utils/subtasks';
+import { addAIVersion, restoreAIVersion } from './utils/aiVersions';
+import { getUntriagedTodos, summarizeDecisions } from './utils/aiTriage';
+import { getTodayKey } from './utils/calendar';
+import { normalizeRecurrence, getNextOccurrence, getOccurrenceOverrides } from './utils/recurrence';
+import { DEFAULT_CATEGORIES, collectTags } from './utils/categories';
+import CategoryManager from './components/CategoryManager';
+import { DEFAULT_STATUSES, resolveStatus, getStatusChanges, getToggleStatus, isDoneStatus } from './utils/statuses';
+import StatusManager from './components/StatusManager';
+import { parseSearchQuery, matchesSearch } from './utils/search';
+import { buildDueFields, normalizeReminders, compareByDue, getDueReminders, formatDue } from './utils/dueDates';
+import { registerReminderWorker, onReminderClicked, showReminderNotification, getDeliveredReminders, markRemindersDelivered } from './services/reminders';
+import { DEFAULT_FILTER, normalizeFilter, isSameFilter, matchesFilter, toSelectValue, describeExtraFilters } from './utils/filters';
+import SmartViewEditor from './components/SmartViewEditor';
+import ProjectSidebar from './components/ProjectSidebar';
+import ProjectShareModal from './components/ProjectShareModal';
+import SyncStatus from './components/SyncStatus';
+import { useToast } from './components/ToastProvider';
+import { v4 as uuidv4 } from 'uuid';
 import RecentlyDeleted from './components/RecentlyDeleted';
+import InboxTriage from './components/InboxTriage';
+import PlanMyDay from './components/PlanMyDay';
+import TodayView from './components/TodayView';
+import WeeklyReport from './components/WeeklyReport';
 import TabFilter from './components/TabFilter';
 import { motion } from 'framer-motion';
 
+/**
+ * Parse a project access key ("id1:edit,id2:view") into { projectId: permission }
+ */
+const parseProjectAccess = (key) => Object.fromEntries(
+  key.split(',').filter(Boolean).map(entry => entry.split(':'))
+);
+
+/**
+ * Build a realtime channel status handler that resyncs the todos when events
+ * may have been missed. The first SUBSCRIBED is the initial connection and
+ * later ones are reconnects; `resyncFirst` also resyncs on the first one, for
+ * a channel that replaces one that was already delivering events.
+ */
+const resyncOnSubscribe = (resync, resyncFirst = false) => {
+  let connected = resyncFirst;
+  return (status) => {
+    if (status !== 'SUBSCRIBED') return;
+    if (connected) resync();
+    connected = true;
+  };
+};
+
 function App() {
+  const repository = useTodosRepository(); // Data access for todos
+  const toast = useToast();
   // State management for todos and UI
   const [todos, setTodos] = useState([]); // List of all todos (owned + shared)
-  const [activeTab, setActiveTab] = useState('all'); // Current filter tab (all/pending/completed)
-  const [sortBy, setSortBy] = useState('date'); // Current sort method (date/priority)
+  const [filter, setFilter] = useState(DEFAULT_FILTER); // Current filters and sort order (see utils/filters)
   const [user, setUser] = useState(null); // Current authenticated user
   const [showForm, setShowForm] = useState(false); // Toggle for new todo form
-  const [filterCategory, setFilterCategory] = useState('all'); // Current category filter
+  const [categories, setCategories] = useState([]); // The user's own categories
+  const [statuses, setStatuses] = useState(DEFAULT_STATUSES); // The user's workflow statuses, in order
+  const [showStatusManager, setShowStatusManager] = useState(false); // Toggle for status management modal
+  const [showCategoryManager, setShowCategoryManager] = useState(false); // Toggle for category management modal
+  const [smartViews, setSmartViews] = useState([]); // The user's saved filters
+  const [editingSmartView, setEditingSmartView] = useState(null); // Smart view open in the editor, {} for a new one
+  const [projects, setProjects] = useState([]); // Projects the user owns or is a member of
+  const [activeProjectId, setActiveProjectId] = useState('all'); // Selected project ('all', 'inbox' or a project ID)
+  const [viewMode, setViewMode] = useState('list'); // Show todos as a list, on a calendar, on a board or as today's plan
+  const [searchQuery, setSearchQuery] = useState(''); // Text in the search box
+  const [serverSearchIds, setServerSearchIds] = useState(null); // IDs the server's full-text search matched
+  const [activeResultIndex, setActiveResultIndex] = useState(-1); // Search result selected with the arrow keys
+  const [sharingProject, setSharingProject] = useState(null); // Project open in the share modal
+  const [outbox, setOutbox] = useState([]); // Queued changes waiting to sync
+  const [isOnline, setIsOnline] = useState(navigator.onLine); // Browser connectivity
+  const hydratedUserRef = useRef(null); // User whose cached todos have been loaded
+  const sharedChannelUserRef = useRef(null); // User whose shared todos channel has been subscribed
+  const latestHandlersRef = useRef({}); // Latest handlers for toast buttons and keyboard shortcuts
+  const historyRef = useRef(createHistory()); // Undo/redo stacks for todo changes
+  const searchInputRef = useRef(null); // Search box, focused with "/"
+  const syncStateRef = useRef({ running: false, rerun: false, retryAttempt: 0, retryTimer: null }); // Guards against overlapping syncs, schedules retries
   const [invitations, setInvitations] = useState([]); // List of pending todo invitations
   const [showInvitations, setShowInvitations] = useState(false); // Toggle for invitations modal
   const [showRecentlyDeleted, setShowRecentlyDeleted] = useState(false);
+  const [showInboxTriage, setShowInboxTriage] = useState(false); // Toggle for the "Triage my inbox" modal
+  const [triageDecisions, setTriageDecisions] = useState([]); // The user's recorded decisions on triage suggestions
+  const [showPlanMyDay, setShowPlanMyDay] = useState(false); // Toggle for the "Plan my day" modal
+  const [dayPlan, setDayPlan] = useState(null); // Today's accepted plan, pinning its todos to the Today view
+  const [showWeeklyReport, setShowWeeklyReport] = useState(false); // Toggle for the weekly report modal
   const [selectedStep, setSelectedStep] = useState(null);
 
   /**
@@ -79,444 +189,1512 @@ function App() {
   }, []);
 
   /**
-   * Todo Fetching Effect
+   * Load the projects the user owns or has joined
+   */
+  const fetchProjects = useCallback(async () => {
+    if (!user) return;
+    const userProjects = await getProjects(user.id, user.email);
+    setProjects(userProjects);
+  }, [user]);
+
+  /**
+   * Projects Effect
    * 
-   * Manages todo data synchronization:
-   * 1. Fetches owned todos from 'todos' table
-   * 2. Fetches shared todos from 'shared_todos' table
-   * 3. Transforms data for frontend consumption
-   * 4. Sets up real-time subscriptions for both tables
-   * 5. Handles cleanup of subscriptions
+   * Loads projects and refreshes them when memberships change
+   * (invitations accepted, permissions changed, access revoked).
    */
   useEffect(() => {
     if (!user) return;
 
-    const fetchTodos = async () => {
-      try {
-        console.log('Fetching todos for user:', user.email);
-        
-        // Fetch todos owned by the current user
-        const { data: ownedTodos, error: ownedError } = await supabase
-          .from('todos')
-          .select('*')
-          .eq('user_id', user.id);
-
-        if (ownedError) {
-          console.error('Error fetching owned todos:', ownedError);
-          throw ownedError;
-        }
+    fetchProjects();
+
+    const projectMembersSubscription = supabase
+      .channel('project_members')
+      .on('postgres_changes',
+        { event: '*', schema: 'public', table: 'project_members' },
+        () => fetchProjects()
+      )
+      .subscribe();
 
-        console.log('Owned todos:', ownedTodos);
+    return () => projectMembersSubscription.unsubscribe();
+  }, [user, fetchProjects]);
 
-        // Fetch todos shared with the current user
-        const { data: sharedTodos, error: sharedError } = await supabase
-          .from('shared_todos')
-          .select(`
-            *,
-            todos (*)
-          `)
-          .eq('recipient_email', user.email);
+  // Project IDs and the user's permission on each, e.g. "id1:edit,id2:view".
+  // Todos are refetched whenever project access changes.
+  const projectAccessKey = projects
+    .map(project => `${project.id}:${project.permission}`)
+    .sort()
+    .join(',');
 
-        if (sharedError) {
-          console.error('Error fetching shared todos:', sharedError);
-          throw sharedError;
-        }
+  /**
+   * Fetch todos from the repository
+   * 
+   * 1. Loads owned, shared and project todos
+   * 2. Re-applies changes that haven't synced yet
+   */
+  const fetchTodos = useCallback(async () => {
+    if (!user) return;
 
-        console.log('Shared todos:', sharedTodos);
-
-        // Transform the data
-        const transformedOwnedTodos = ownedTodos.map(todo => ({
-          id: todo.id,
-          title: todo.title,
-          description: todo.description,
-          completed: todo.completed,
-          category: todo.category,
-          due_date: todo.due_date,
-          priority: todo.priority,
-          user_id: todo.user_id,
-          owner: todo.owner,
-          original_owner: todo.original_owner,
-          created_at: todo.created_at,
-          updated_at: todo.updated_at,
-          aiContent: todo.ai_content ? JSON.parse(todo.ai_content) : null,
-          isOwner: true
-        }));
-
-        const transformedSharedTodos = sharedTodos.map(share => ({
-          id: share.todos.id,
-          title: share.todos.title,
-          description: share.todos.description,
-          completed: share.todos.completed,
-          category: share.todos.category,
-          due_date: share.todos.due_date,
-          priority: share.todos.priority,
-          user_id: share.todos.user_id,
-          owner: share.owner_email,
-          original_owner: share.original_owner,
-          created_at: share.todos.created_at,
-          updated_at: share.todos.updated_at,
-          aiContent: share.todos.ai_content ? JSON.parse(share.todos.ai_content) : null,
-          isShared: true,
-          sharedId: share.id,
-          ownerEmail: share.owner_email,
-          permission: share.permission
-        }));
-
-        const allTodos = [...transformedOwnedTodos, ...transformedSharedTodos];
-        console.log('Setting todos:', allTodos);
-        setTodos(allTodos);
-      } catch (error) {
-        console.error("Error fetching todos:", error);
+    try {
+      const allTodos = await repository.list({
+        user,
+        projectAccess: parseProjectAccess(projectAccessKey)
+      });
+
+      // Changes still waiting in the outbox win over the server copy
+      const entries = await getOutbox(user.id);
+      setTodos(applyOutbox(allTodos, entries));
+    } catch (error) {
+      // Offline: keep showing the cached todos
+      console.error("Error fetching todos:", error);
+    }
+  }, [user, projectAccessKey, repository]);
+
+  /**
+   * Todo Loading Effect
+   * 
+   * 1. Shows the cached todos and queued changes from IndexedDB straight away
+   * 2. Fetches fresh todos from Supabase
+   */
+  useEffect(() => {
+    if (!user) return;
+
+    const loadTodos = async () => {
+      // Show the local copy first so the app works without a connection
+      if (hydratedUserRef.current !== user.id) {
+        const [cachedTodos, entries] = await Promise.all([getCachedTodos(user.id), getOutbox(user.id)]);
+        setTodos(cachedTodos);
+        setOutbox(entries);
+        historyRef.current = createHistory();
+        hydratedUserRef.current = user.id;
       }
+      await fetchTodos();
     };
 
-    fetchTodos();
+    loadTodos();
+  }, [user, fetchTodos]);
 
-    // Subscribe to real-time changes
-    const todosSubscription = supabase
-      .channel('todos')
-      .on('postgres_changes', 
-        { event: '*', schema: 'public', table: 'todos' },
-        (payload) => {
-          console.log('Todos change received:', payload);
-          if (payload.new.user_id === user.id || payload.new.original_owner === user.email) {
-            fetchTodos();
+  /**
+   * Realtime Effect
+   * 
+   * Applies changes to todos, shares and subtasks directly to the list:
+   * 1. Subscribes with server-side filters, so only changes to the user's own
+   *    todos and their projects' todos are delivered (todos shared with them
+   *    have their own channel, below)
+   * 2. Patches the list from each INSERT/UPDATE/DELETE payload
+   * 3. Falls back to a full resync after a reconnect, when events may have been missed
+   * 4. Handles cleanup of subscriptions
+   */
+  useEffect(() => {
+    if (!user) return;
+
+    const projectAccess = parseProjectAccess(projectAccessKey);
+    const context = { userId: user.id, projectAccess };
+    const applyChange = (change) => {
+      setTodos(prevTodos => applyRealtimeChange(prevTodos, change, context));
+    };
+
+    const todoFilters = [
+      `user_id=eq.${user.id}`,
+      ...buildInFilters('project_id', Object.keys(projectAccess))
+    ];
+
+    const todosSubscription = supabase.channel('todos');
+    todoFilters.forEach(filter => {
+      ['INSERT', 'UPDATE'].forEach(event => {
+        todosSubscription.on('postgres_changes',
+          { event, schema: 'public', table: 'todos', filter },
+          (payload) => {
+            console.log('Todos change received:', payload);
+            applyChange(payload);
           }
-        }
+        );
+      });
+    });
+    // Delete events can't be filtered server-side; IDs not in the list are ignored
+    todosSubscription
+      .on('postgres_changes',
+        { event: 'DELETE', schema: 'public', table: 'todos' },
+        (payload) => applyChange(payload)
       )
-      .subscribe();
+      .subscribe(resyncOnSubscribe(fetchTodos));
 
     const sharedTodosSubscription = supabase
       .channel('shared_todos')
-      .on('postgres_changes', 
-        { event: '*', schema: 'public', table: 'shared_todos' },
+      .on('postgres_changes',
+        { event: 'INSERT', schema: 'public', table: 'shared_todos', filter: `recipient_email=eq.${user.email}` },
         async (payload) => {
           console.log('Shared todos change received:', payload);
-          if (payload.new.recipient_email === user.email) {
-            if (payload.eventType === 'INSERT') {
-              // Fetch the complete todo data for the new shared todo
-              const { data: todoData, error: todoError } = await supabase
-                .from('todos')
-                .select('*')
-                .eq('id', payload.new.todo_id)
-                .single();
-
-              if (todoError) {
-                console.error('Error fetching todo data:', todoError);
-                return;
-              }
-
-              // Transform the data to match the frontend format
-              const transformedTodo = {
-                id: todoData.id,
-                title: todoData.title,
-                description: todoData.description,
-                completed: todoData.completed,
-                category: todoData.category,
-                due_date: todoData.due_date,
-                priority: todoData.priority,
-                user_id: todoData.user_id,
-                owner: payload.new.owner_email,
-                original_owner: payload.new.original_owner,
-                created_at: todoData.created_at,
-                updated_at: todoData.updated_at,
-                aiContent: todoData.ai_content ? JSON.parse(todoData.ai_content) : null,
-                isShared: true,
-                sharedId: payload.new.id,
-                ownerEmail: payload.new.owner_email,
-                permission: payload.new.permission
-              };
-
-              // Add the new shared todo to the list
-              setTodos(prevTodos => [transformedTodo, ...prevTodos]);
-            } else if (payload.eventType === 'DELETE') {
-              // Remove the shared todo from the list
-              setTodos(prevTodos => prevTodos.filter(todo => todo.sharedId !== payload.old.id));
-            } else {
-              // For other changes, refresh the entire list
-              fetchTodos();
-            }
+          // Fetch the complete todo data for the new shared todo
+          try {
+            const todo = await repository.get(payload.new.todo_id, { user, projectAccess });
+            if (todo) applyChange({ ...payload, todo });
+          } catch (error) {
+            console.error('Error fetching todo data:', error);
           }
         }
       )
-      .subscribe();
+      .on('postgres_changes',
+        { event: 'UPDATE', schema: 'public', table: 'shared_todos', filter: `recipient_email=eq.${user.email}` },
+        (payload) => {
+          console.log('Shared todos change received:', payload);
+          applyChange(payload);
+        }
+      )
+      .on('postgres_changes',
+        { event: 'DELETE', schema: 'public', table: 'shared_todos' },
+        (payload) => applyChange(payload)
+      )
+      .subscribe(resyncOnSubscribe(fetchTodos));
+
+    // Subtask rows are only delivered for todos the user can see (RLS)
+    const subtasksSubscription = supabase
+      .channel('subtasks')
+      .on('postgres_changes',
+        { event: '*', schema: 'public', table: 'subtasks' },
+        (payload) => applyChange(payload)
+      )
+      .subscribe(resyncOnSubscribe(fetchTodos));
 
     return () => {
       console.log('Cleaning up subscriptions');
       todosSubscription.unsubscribe();
       sharedTodosSubscription.unsubscribe();
+      subtasksSubscription.unsubscribe();
+    };
+  }, [user, projectAccessKey, fetchTodos, repository]);
+
+  // IDs of todos shared directly with the user, to subscribe to their changes
+  const sharedTodoIdsKey = todos
+    .filter(todo => todo.sharedId)
+    .map(todo => todo.id)
+    .sort()
+    .join(',');
+
+  /**
+   * Shared Todos Realtime Effect
+   * 
+   * Todos shared directly with the user are filtered by ID, so their channel
+   * is rebuilt whenever a share comes or goes while the other channels stay
+   * connected. A rebuilt channel resyncs once subscribed, since changes made
+   * while it was down were never delivered.
+   */
+  useEffect(() => {
+    if (!user || !sharedTodoIdsKey) return;
+
+    const context = { userId: user.id, projectAccess: parseProjectAccess(projectAccessKey) };
+    const rebuilt = sharedChannelUserRef.current === user.id;
+    sharedChannelUserRef.current = user.id;
+
+    const sharedTodoChangesSubscription = supabase.channel('shared_todo_changes');
+    buildInFilters('id', sharedTodoIdsKey.split(',')).forEach(filter => {
+      ['INSERT', 'UPDATE'].forEach(event => {
+        sharedTodoChangesSubscription.on('postgres_changes',
+          { event, schema: 'public', table: 'todos', filter },
+          (payload) => setTodos(prevTodos => applyRealtimeChange(prevTodos, payload, context))
+        );
+      });
+    });
+    sharedTodoChangesSubscription.subscribe(resyncOnSubscribe(fetchTodos, rebuilt));
+
+    return () => sharedTodoChangesSubscription.unsubscribe();
+  }, [user, projectAccessKey, sharedTodoIdsKey, fetchTodos]);
+
+  /**
+   * Cache Effect
+   * 
+   * Keeps the IndexedDB copy in step with what's on screen, once
+   * the cached copy has been loaded for the signed-in user.
+   */
+  useEffect(() => {
+    if (!user || hydratedUserRef.current !== user.id) return;
+    replaceCachedTodos(user.id, todos);
+  }, [user, todos]);
+
+  /**
+   * Replay the outbox against Supabase
+   * 
+   * Only one replay runs at a time; changes queued while it runs
+   * trigger another pass once it finishes.
+   */
+  const syncOutbox = useCallback(async () => {
+    if (!user || !navigator.onLine) return;
+
+    const syncState = syncStateRef.current;
+    if (syncState.running) {
+      syncState.rerun = true;
+      return;
+    }
+
+    clearTimeout(syncState.retryTimer);
+    syncState.running = true;
+    try {
+      do {
+        syncState.rerun = false;
+        const result = await replayOutbox(user, repository);
+        const entries = await getOutbox(user.id);
+        setOutbox(entries);
+
+        // Changes the server refused go back to how they were, newest first
+        if (result.rejected.length) {
+          setTodos(prevTodos => [...result.rejected]
+            .reverse()
+            .reduce((current, { entry }) => rollbackEntry(current, entry), prevTodos));
+
+          result.rejected.forEach(({ entry, error }) => {
+            handleError(error, `Couldn't save changes to "${entry.title}"`, ErrorSeverity.ERROR, {
+              todoId: entry.todoId
+            }, {
+              actions: [
+                { label: 'Retry', onClick: () => latestHandlersRef.current.retryOutboxEntry(entry) },
+                // Rejected new todos are gone after the rollback
+                ...(entry.type !== OUTBOX_OPERATIONS.INSERT
+                  ? [{ label: 'Open todo', onClick: () => latestHandlersRef.current.openTodo(entry.todoId) }]
+                  : [])
+              ]
+            });
+          });
+        }
+
+        // Todos with nothing left pending are in sync again
+        const pendingIds = new Set(entries
+          .filter(entry => entry.status === OUTBOX_STATUS.PENDING)
+          .map(entry => entry.todoId));
+        setTodos(prevTodos => prevTodos.map(t =>
+          t.pendingSync && !pendingIds.has(t.id) ? { ...t, pendingSync: false } : t
+        ));
+
+        // Conflicting and failed changes fall back to the server copy until resolved
+        if (result.conflicts || result.failed) {
+          await fetchTodos();
+        }
+
+        // The server couldn't be reached although the browser is online: try
+        // again later, backing off while the failures persist
+        if (result.offline && navigator.onLine) {
+          const delay = getRetryDelay(syncState.retryAttempt);
+          syncState.retryAttempt += 1;
+          syncState.retryTimer = setTimeout(() => syncOutbox(), delay);
+        } else if (!result.offline) {
+          syncState.retryAttempt = 0;
+        }
+      } while (syncState.rerun);
+    } catch (error) {
+      console.error('Error syncing outbox:', error);
+    } finally {
+      syncState.running = false;
+    }
+  }, [user, fetchTodos, repository]);
+
+  /**
+   * Connectivity Effect
+   * 
+   * Syncs queued changes on sign-in and whenever the browser comes back online.
+   */
+  useEffect(() => {
+    if (!user) return;
+
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncOutbox();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    syncOutbox();
+
+    const syncState = syncStateRef.current;
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      clearTimeout(syncState.retryTimer);
+    };
+  }, [user, syncOutbox]);
+
+  /**
+   * Queue a change and try to sync it straight away
+   */
+  const queueChange = async (entry) => {
+    const queued = await addToOutbox(user.id, entry);
+    setOutbox(prevOutbox => [...prevOutbox, queued]);
+    syncOutbox();
+  };
+
+  /**
+   * Show a todo: clear the filters that could hide it and scroll to it
+   */
+  const openTodo = (todoId) => {
+    setFilter(prevFilter => ({ ...DEFAULT_FILTER, sortBy: prevFilter.sortBy }));
+    setActiveProjectId('all');
+    updateSearch('');
+    // Wait for the list to re-render with the filters cleared
+    setTimeout(() => {
+      document.getElementById(`todo-${todoId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, 0);
+  };
+
+  /**
+   * Retry a conflicting or failed change. `force` overwrites the server copy.
+   */
+  const retryOutboxEntry = async (entry, force = false) => {
+    try {
+      const retried = { ...entry, status: OUTBOX_STATUS.PENDING, force, error: null };
+      await updateOutboxEntry(user.id, retried);
+      // Show the change again while it's retried
+      setTodos(prevTodos => applyOutbox(prevTodos, [retried]));
+      setOutbox(await getOutbox(user.id));
+      syncOutbox();
+    } catch (error) {
+      handleError(error, "Couldn't retry the change");
+    }
+  };
+
+  /**
+   * Drop a conflicting or failed change and show the server copy again
+   */
+  const discardOutboxEntry = async (entry) => {
+    try {
+      await removeFromOutbox(user.id, entry.seq);
+      setOutbox(await getOutbox(user.id));
+      await fetchTodos();
+    } catch (error) {
+      handleError(error, "Couldn't discard the change");
+    }
+  };
+
+  /**
+   * Categories Effect
+   * 
+   * Loads the user's categories, seeding the default set
+   * the first time a user signs in.
+   */
+  useEffect(() => {
+    if (!user) return;
+
+    const fetchCategories = async () => {
+      try {
+        let userCategories = await getCategories(user.id);
+        if (userCategories.length === 0) {
+          userCategories = await createCategories(user.id, DEFAULT_CATEGORIES);
+        }
+        setCategories(userCategories);
+      } catch (error) {
+        console.error('Error loading categories:', error);
+      }
+    };
+
+    fetchCategories();
+  }, [user]);
+
+  /**
+   * Statuses Effect
+   * 
+   * Loads the user's workflow statuses, seeding the default workflow
+   * the first time a user signs in.
+   */
+  useEffect(() => {
+    if (!user) return;
+
+    const fetchStatuses = async () => {
+      try {
+        let userStatuses = await getStatuses(user.id);
+        if (userStatuses.length === 0) {
+          userStatuses = await createStatuses(user.id, DEFAULT_STATUSES);
+        }
+        if (userStatuses.length > 0) setStatuses(userStatuses);
+      } catch (error) {
+        console.error('Error loading statuses:', error);
+      }
+    };
+
+    fetchStatuses();
+  }, [user]);
+
+  /**
+   * Smart Views Effect
+   * 
+   * Loads the user's saved filters for the sidebar.
+   */
+  useEffect(() => {
+    if (!user) return;
+
+    const fetchSmartViews = async () => {
+      const userSmartViews = await getSmartViews(user.id);
+      setSmartViews(userSmartViews.map(view => ({ ...view, filters: normalizeFilter(view.filters) })));
+    };
+
+    fetchSmartViews();
+  }, [user]);
+
+  /**
+   * Triage Decisions Effect
+   * 
+   * Loads how the user has responded to AI triage suggestions when they
+   * open "Triage my inbox", for its acceptance rate.
+   */
+  useEffect(() => {
+    if (!user || !showInboxTriage) return;
+
+    const fetchTriageDecisions = async () => {
+      setTriageDecisions(await getAISuggestionDecisions(user.id, 'triage'));
+    };
+
+    fetchTriageDecisions();
+  }, [user, showInboxTriage]);
+
+  /**
+   * Day Plan Effect
+   * 
+   * Loads the plan the user accepted for today, if any, for the Today view.
+   */
+  useEffect(() => {
+    if (!user) return;
+
+    const fetchDayPlan = async () => {
+      setDayPlan(await getDayPlan(user.id, getTodayKey()));
+    };
+
+    fetchDayPlan();
+  }, [user]);
+
+  /**
+   * Filter Effects
+   * 
+   * Restore the filters the user last had on this device, and remember
+   * them as they change.
+   */
+  useEffect(() => {
+    if (!user) return;
+    try {
+      const saved = localStorage.getItem(`bluetask:filter:${user.id}`);
+      if (saved) setFilter(normalizeFilter(JSON.parse(saved)));
+    } catch (error) {
+      console.error('Error restoring filters:', error);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (!user) return;
+    localStorage.setItem(`bluetask:filter:${user.id}`, JSON.stringify(filter));
+  }, [user, filter]);
+
+  /**
+   * Search Effect
+   * 
+   * Asks the server's full-text index for matches as the user types, so
+   * word forms the local match misses are found too. Offline, search
+   * only matches on this device.
+   */
+  useEffect(() => {
+    const query = searchQuery.trim();
+    setServerSearchIds(null);
+    if (!user || !isOnline || query.length < 2) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const ids = await repository.search(query);
+        if (!cancelled) setServerSearchIds(new Set(ids));
+      } catch (error) {
+        console.error('Error searching todos:', error);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery, user, isOnline, repository]);
+
+  /**
+   * Invitations Effect
+   * 
+   * Manages todo sharing invitations:
+   * 1. Fetches pending invitations on user login
+   * 2. Shows invitations modal if there are pending invites
+   * 3. Updates invitations state on changes
+   */
+  useEffect(() => {
+    if (!user?.email) return;
+
+    const fetchInvitations = async () => {
+      const pendingInvitations = await getPendingInvitations(user.email);
+      setInvitations(pendingInvitations);
+      if (pendingInvitations.length > 0) {
+        setShowInvitations(true);
+      }
     };
+
+    fetchInvitations();
   }, [user]);
 
   /**
-   * Invitations Effect
-   * 
-   * Manages todo sharing invitations:
-   * 1. Fetches pending invitations on user login
-   * 2. Shows invitations modal if there are pending invites
-   * 3. Updates invitations state on changes
+   * Todo Management Functions
+   * 
+   * Every change is applied to local state first and queued in the
+   * outbox, so they all keep working without a connection.
+   * 
+   * addTodo: Creates a new todo with optional AI-generated content
+   * toggleTodo: Toggles todo completion status with permission checks
+   * deleteTodo: Handles todo deletion with recently deleted support
+   * editTodo: Updates todo details with permission validation
+   */
+
+  /**
+   * Add a new todo
+   */
+  const addTodo = async (todoData) => {
+    if (!user || todoData.text.trim().length === 0) return;
+
+    try {
+      console.log('Adding new todo:', todoData);
+
+      // Recurring todos need a due date to schedule from, default to today
+      const rule = normalizeRecurrence(todoData.recurrence);
+      const dueDate = todoData.dueDate || (rule ? new Date().toISOString().slice(0, 10) : null);
+      const dueFields = buildDueFields(dueDate, todoData.dueTime || '');
+      const recurrence = normalizeRecurrence(rule, dueFields.due_date);
+      const now = new Date().toISOString();
+      // New todos start in the first step of the workflow
+      const initialStatus = resolveStatus({ completed: false }, statuses).key;
+      
+      // IDs are generated here so the todo can be used before it reaches the server
+      const newTodo = {
+        id: uuidv4(),
+        title: todoData.text.trim(),
+        description: todoData.description ? todoData.description.trim() : '',
+        completed: false,
+        status: initialStatus,
+        status_history: [{ status: initialStatus, entered_at: now }],
+        category: todoData.category || 'personal',
+        category_id: todoData.categoryId || null,
+        project_id: todoData.projectId || null,
+        tags: todoData.tags || [],
+        ...dueFields,
+        reminders: dueFields.due_date ? normalizeReminders(todoData.reminders) : [],
+        priority: todoData.priority || 'medium',
+        user_id: user.id,
+        owner: user.email,
+        original_owner: user.email,
+        ai_content: todoData.aiContent ? JSON.stringify(todoData.aiContent) : null,
+        recurrence,
+        series_id: recurrence ? uuidv4() : null,
+        recurrence_index: 0,
+        created_at: now,
+        updated_at: now
+      };
+
+      // Subtasks drafted in the form
+      const subtasks = (todoData.subtasks || []).map((subtask, index) => ({
+        id: uuidv4(),
+        todo_id: newTodo.id,
+        title: subtask.title,
+        completed: subtask.completed || false,
+        position: subtask.position ?? index
+      }));
+
+      // Transform the data to match the frontend format
+      const localTodo = {
+        ...mapTodoRow({ ...newTodo, subtasks }),
+        pendingSync: true
+      };
+      
+      setTodos(prevTodos => [localTodo, ...prevTodos]);
+      setShowForm(false);
+
+      await queueChange(createOutboxEntry(OUTBOX_OPERATIONS.INSERT, newTodo, {
+        todo: newTodo,
+        subtasks,
+        localTodo
+      }));
+    } catch (error) {
+      handleError(error, "Couldn't add the task");
+    }
+  };
+
+  /**
+   * Get the due date of the occurrence that follows a recurring todo
+   */
+  const getNextDueDate = (todo) => {
+    // Schedule from the series date, not a one-off rescheduling of this occurrence
+    const scheduledDate = todo.occurrence_overrides?.due_date || todo.due_date || new Date().toISOString();
+    return getNextOccurrence(todo.recurrence, scheduledDate, todo.recurrence_index || 0);
+  };
+
+  /**
+   * Toggle todo completion status
+   * 
+   * The checkbox moves the todo to the first done status, or back to the
+   * status it was last working in. Moving to a status on the other side of
+   * done (from the workflow or undo) passes that `status` instead.
+   */
+  const toggleTodo = async (id, { record = true, status } = {}) => {
+    const todo = todos.find(todo => todo.id === id);
+    if (!todo) return;
+
+    // Prevent toggling shared todos with view-only permission
+    if (todo.isShared && todo.permission === 'view') return;
+
+    try {
+      const now = new Date().toISOString();
+      const changes = {
+        ...getStatusChanges(todo, status || getToggleStatus(todo, statuses), statuses, now),
+        updated_at: now
+      };
+
+      setTodos(prevTodos => prevTodos.map(t => (t.id === id ? { ...t, ...changes, pendingSync: true } : t)));
+
+      // Completing a recurring todo schedules its next occurrence once synced
+      const nextDueDate = changes.completed && todo.recurrence ? getNextDueDate(todo) : null;
+
+      await queueChange(createOutboxEntry(OUTBOX_OPERATIONS.TOGGLE, todo, {
+        changes,
+        nextDueDate: nextDueDate ? nextDueDate.toISOString() : null
+      }));
+
+      if (record) {
+        recordUndoable({
+          type: COMMAND_TYPES.TOGGLE,
+          label: status
+            ? `Moved "${todo.title}" to ${resolveStatus(changes, statuses).name}`
+            : changes.completed ? `Completed "${todo.title}"` : `Marked "${todo.title}" as not done`,
+          todoId: id,
+          snapshots: [todo],
+          status: changes.status
+        });
+      }
+    } catch (error) {
+      console.error('Error updating todo:', error);
+    }
+  };
+
+  /**
+   * Move a todo to another status in the user's workflow. Crossing into or
+   * out of a done status completes or reopens it like the checkbox, so
+   * recurring todos still schedule their next occurrence.
+   */
+  const changeTodoStatus = (id, statusKey) => {
+    const todo = todos.find(todo => todo.id === id);
+    if (!todo || resolveStatus(todo, statuses).key === statusKey) return;
+
+    if (isDoneStatus(statusKey, statuses) !== !!todo.completed) {
+      return toggleTodo(id, { status: statusKey });
+    }
+
+    const { completed, ...changes } = getStatusChanges(todo, statusKey, statuses);
+    return editTodo(id, changes, 'this');
+  };
+
+  /**
+   * Delete a todo
+   */
+  const deleteTodo = async (id, isShared, sharedId, { record = true } = {}) => {
+    if (!id || !user?.id) return;
+
+    try {
+      const todo = todos.find(t => t.id === id);
+      if (!todo) return;
+
+      // Shared users removing their access only drop their own copy
+      setTodos(prevTodos => (isShared && todo.original_owner !== user.email
+        ? prevTodos.filter(t => t.sharedId !== sharedId)
+        : prevTodos.filter(t => t.id !== id)));
+
+      await queueChange(createOutboxEntry(OUTBOX_OPERATIONS.DELETE, todo, {
+        todo: { ...todo, isShared: !!isShared, sharedId }
+      }));
+
+      if (record) {
+        recordUndoable({
+          type: COMMAND_TYPES.DELETE,
+          label: `Deleted "${todo.title}"`,
+          todoId: id,
+          snapshots: [todo]
+        });
+      }
+    } catch (error) {
+      console.error("Error deleting todo:", error);
+    }
+  };
+
+  /**
+   * Edit a todo
+   * 
+   * For recurring todos, `scope` chooses between changing only this
+   * occurrence ('this') or this and all future occurrences ('future').
+   */
+  const editTodo = async (id, updatedTodo, scope = 'this', { record = true } = {}) => {
+    const todo = todos.find(todo => todo.id === id);
+    if (!todo) return;
+
+    // Prevent editing shared todos with view-only permission
+    if (todo.isShared && todo.permission === 'view') {
+      console.log('Cannot edit: User has view-only permission');
+      return;
+    }
+
+    try {
+      const changes = { ...updatedTodo };
+      let future = null;
+
+      if ('recurrence' in changes) {
+        changes.recurrence = normalizeRecurrence(changes.recurrence, changes.due_date || todo.due_date);
+        // A todo that starts repeating becomes the first occurrence of a new series
+        if (changes.recurrence && !todo.series_id) {
+          changes.series_id = uuidv4();
+          changes.recurrence_index = 0;
+        }
+      }
+
+      if (todo.series_id && scope === 'future') {
+        // Occurrences keep their own dates and times, everything else follows the series
+        const { due_date, has_due_time, due_time_zone, ...seriesChanges } = changes;
+        future = {
+          seriesId: todo.series_id,
+          fromIndex: (todo.recurrence_index || 0) + 1,
+          changes: { ...seriesChanges, occurrence_overrides: null }
+        };
+        changes.occurrence_overrides = null;
+      } else if (todo.series_id) {
+        changes.occurrence_overrides = getOccurrenceOverrides(todo, changes);
+      }
+
+      changes.updated_at = new Date().toISOString();
+      changes.last_edited_by = user.email; // Track who made the last edit
+
+      // Update local state
+      setTodos(prevTodos => prevTodos.map(t => 
+        t.id === id || (future && t.series_id === todo.series_id &&
+          t.recurrence_index > (todo.recurrence_index || 0) && !t.completed)
+          ? { 
+              ...t, 
+              ...(t.id === id ? { ...changes, pendingSync: true } : { ...future.changes, due_date: t.due_date })
+            } 
+          : t
+      ));
+
+      // Always update the original todo in the todos table
+      await queueChange(createOutboxEntry(OUTBOX_OPERATIONS.UPDATE, todo, { changes, future }));
+
+      if (record) {
+        recordUndoable({
+          type: COMMAND_TYPES.EDIT,
+          label: `Updated "${changes.title || todo.title}"`,
+          todoId: id,
+          // The edited todo first, then the later occurrences an edit to the series changed
+          snapshots: [todo, ...todos.filter(t => future && t.series_id === todo.series_id &&
+            t.recurrence_index > (todo.recurrence_index || 0) && !t.completed)],
+          fields: Object.keys(changes),
+          updates: updatedTodo,
+          scope
+        });
+      }
+    } catch (error) {
+      console.error("Error editing todo:", error);
+    }
+  };
+
+  /**
+   * Move a todo to another day from the calendar (null clears the due
+   * date), through the same path and undo history as any other edit
+   */
+  const rescheduleTodo = (todo, dueDate) => {
+    editTodo(todo.id, { due_date: dueDate }, 'this');
+  };
+
+  /**
+   * Move a card to another board column. Status columns move the todo
+   * through the workflow; the others edit the column's field.
+   */
+  const moveBoardCard = (todo, changes) => {
+    if ('status' in changes) {
+      changeTodoStatus(todo.id, changes.status);
+      return;
+    }
+    editTodo(todo.id, changes, 'this');
+  };
+
+  // Show a todo from the calendar or board in the list
+  const openTodoInList = (todoId) => {
+    setViewMode('list');
+    openTodo(todoId);
+  };
+
+  /**
+   * Undo/Redo
+   * 
+   * Toggles, edits and deletes are recorded as commands that can be undone
+   * from their toast or with Ctrl+Z for a short window, and redone with
+   * Ctrl+Shift+Z. Undoing queues the reverse change like any other change.
+   */
+
+  /**
+   * Remember a change so it can be undone, and offer to undo it
+   */
+  const recordUndoable = (command) => {
+    historyRef.current = recordCommand(historyRef.current, command);
+    toast.success(command.label, {
+      duration: UNDO_WINDOW_MS,
+      actions: [{ label: 'Undo', onClick: () => latestHandlersRef.current.undo() }]
+    });
+  };
+
+  /**
+   * Put edited fields back how they were on each affected todo
+   */
+  const restoreEditedFields = async (snapshots, fields) => {
+    for (const snapshot of snapshots) {
+      const todo = todos.find(t => t.id === snapshot.id);
+      if (!todo) continue;
+
+      const changes = {
+        ...getRevertChanges(snapshot, fields),
+        updated_at: new Date().toISOString(),
+        last_edited_by: user.email
+      };
+      setTodos(prevTodos => prevTodos.map(t => (t.id === todo.id ? { ...t, ...changes, pendingSync: true } : t)));
+      await queueChange(createOutboxEntry(OUTBOX_OPERATIONS.UPDATE, todo, { changes }));
+    }
+  };
+
+  /**
+   * Bring back a deleted todo
+   * 
+   * 1. If the delete hasn't been sent yet, it's simply dropped from the outbox
+   * 2. Shared users get their access back
+   * 3. Owners get the todo re-created with the same ID and subtasks; its
+   *    recently deleted copy is purged once the re-create has synced
+   */
+  const restoreDeletedTodo = async (snapshot) => {
+    const entries = await getOutbox(user.id);
+    const pendingDelete = entries.find(entry => entry.type === OUTBOX_OPERATIONS.DELETE &&
+      entry.todoId === snapshot.id && entry.status === OUTBOX_STATUS.PENDING);
+
+    if (pendingDelete) {
+      await removeFromOutbox(user.id, pendingDelete.seq);
+      setOutbox(await getOutbox(user.id));
+      setTodos(prevTodos => rollbackEntry(prevTodos, pendingDelete));
+      return;
+    }
+
+    if (snapshot.isShared && snapshot.original_owner !== user.email) {
+      const restored = await repository.restoreAccess(user, snapshot);
+      if (restored) {
+        setTodos(prevTodos => [restored, ...prevTodos.filter(t => t.id !== restored.id)]);
+      }
+      return;
+    }
+
+    // Sharing isn't restored; the owner can share it again
+    setTodos(prevTodos => [{ ...snapshot, pendingSync: true }, ...prevTodos.filter(t => t.id !== snapshot.id)]);
+    await queueChange(createOutboxEntry(OUTBOX_OPERATIONS.INSERT, snapshot, {
+      todo: toTodoRow(snapshot),
+      subtasks: snapshot.subtasks || [],
+      localTodo: snapshot,
+      // Recently deleted keeps its copy until the re-create has synced
+      purgeDeleted: true
+    }));
+  };
+
+  /**
+   * Revert a command
+   */
+  const revertCommand = async (command) => {
+    const [snapshot] = command.snapshots;
+    const todo = todos.find(t => t.id === command.todoId);
+
+    switch (command.type) {
+      case COMMAND_TYPES.TOGGLE:
+        // A next occurrence created by completing a recurring todo stays
+        if (todo && todo.completed !== snapshot.completed) {
+          await toggleTodo(todo.id, { record: false, status: resolveStatus(snapshot, statuses).key });
+        }
+        break;
+      case COMMAND_TYPES.EDIT:
+        await restoreEditedFields(command.snapshots, command.fields);
+        break;
+      case COMMAND_TYPES.DELETE:
+        await restoreDeletedTodo(snapshot);
+        break;
+      default:
+        break;
+    }
+  };
+
+  /**
+   * Carry out a command again
+   */
+  const applyCommand = async (command) => {
+    const [snapshot] = command.snapshots;
+    const todo = todos.find(t => t.id === command.todoId);
+    if (!todo) return;
+
+    switch (command.type) {
+      case COMMAND_TYPES.TOGGLE:
+        if (todo.completed === snapshot.completed) {
+          await toggleTodo(todo.id, { record: false, status: command.status });
+        }
+        break;
+      case COMMAND_TYPES.EDIT:
+        await editTodo(todo.id, command.updates, command.scope, { record: false });
+        break;
+      case COMMAND_TYPES.DELETE:
+        await deleteTodo(todo.id, todo.isShared, todo.sharedId, { record: false });
+        break;
+      default:
+        break;
+    }
+  };
+
+  /**
+   * Undo the most recent change, if it's recent enough
+   */
+  const undo = async () => {
+    const { command, history } = takeUndo(historyRef.current);
+    if (!command) return;
+    historyRef.current = history;
+
+    try {
+      await revertCommand(command);
+      toast.info(`Undid: ${command.label}`, {
+        duration: UNDO_WINDOW_MS,
+        actions: [{ label: 'Redo', onClick: () => latestHandlersRef.current.redo() }]
+      });
+    } catch (error) {
+      handleError(error, "Couldn't undo the change");
+    }
+  };
+
+  /**
+   * Redo the most recently undone change
+   */
+  const redo = async () => {
+    const { command, history } = takeRedo(historyRef.current);
+    if (!command) return;
+    historyRef.current = history;
+
+    try {
+      await applyCommand(command);
+      toast.info(`Redid: ${command.label}`);
+    } catch (error) {
+      handleError(error, "Couldn't redo the change");
+    }
+  };
+
+  latestHandlersRef.current = { retryOutboxEntry, openTodo, undo, redo };
+
+  /**
+   * Keyboard Shortcuts Effect
+   * 
+   * Ctrl+Z (Cmd+Z on macOS) undoes, Ctrl+Shift+Z redoes and "/" jumps
+   * to the search box. Text fields keep their own keys.
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+      if (e.key === '/' && !e.ctrlKey && !e.metaKey) {
+        e.preventDefault();
+        searchInputRef.current?.focus();
+        return;
+      }
+
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+
+      e.preventDefault();
+      if (e.shiftKey) {
+        latestHandlersRef.current.redo();
+      } else {
+        latestHandlersRef.current.undo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  /**
+   * Reminders Effects
+   * 
+   * Registers the reminder service worker and opens the todo of a clicked
+   * reminder notification (from an open tab, or a new one via ?todo=).
+   * While signed in, due reminders are checked every 30 seconds and shown
+   * as a toast and a browser notification, once per device.
+   */
+  useEffect(() => {
+    registerReminderWorker();
+    return onReminderClicked(todoId => latestHandlersRef.current.openTodo(todoId));
+  }, []);
+
+  useEffect(() => {
+    const todoId = new URLSearchParams(window.location.search).get('todo');
+    if (!todoId || !todos.some(t => t.id === todoId)) return;
+    window.history.replaceState(null, '', window.location.pathname);
+    latestHandlersRef.current.openTodo(todoId);
+  }, [todos]);
+
+  useEffect(() => {
+    if (!user) return;
+
+    const checkReminders = () => {
+      const due = getDueReminders(todos, getDeliveredReminders(user.id));
+      if (due.length === 0) return;
+
+      markRemindersDelivered(user.id, due.map(reminder => reminder.key));
+      due.forEach(({ todo }) => {
+        const message = `Due ${formatDue(todo)}`;
+        toast.warning(message, {
+          title: `Reminder: ${todo.title}`,
+          duration: 0,
+          actions: [{ label: 'Open', onClick: () => latestHandlersRef.current.openTodo(todo.id) }]
+        });
+        showReminderNotification(todo, message);
+      });
+    };
+
+    checkReminders();
+    const interval = setInterval(checkReminders, 30 * 1000);
+    return () => clearInterval(interval);
+  }, [user, todos, toast]);
+
+  /**
+   * Subtask Management Functions
+   * 
+   * All subtask mutations share the todo's permission rules:
+   * owners and shared users with 'edit' permission may change subtasks.
+   * Like todo changes, they show immediately and sync through the outbox.
+   */
+
+  /**
+   * Check whether the current user may change a todo's subtasks
+   */
+  const canEditSubtasks = (todo) => !!todo && !(todo.isShared && todo.permission === 'view');
+
+  /**
+   * Show subtask changes right away and queue them for sync
+   * @param {Object} todo - The todo as it was before the changes
+   * @param {Object} changes - { created, updated: [{ id, changes }], deleted: [id] }
+   */
+  const queueSubtaskChanges = async (todo, changes) => {
+    setTodos(prevTodos => prevTodos.map(t => (
+      t.id === todo.id ? { ...t, subtasks: applySubtaskChanges(t.subtasks, changes), pendingSync: true } : t
+    )));
+    await queueChange(createOutboxEntry(OUTBOX_OPERATIONS.SUBTASKS, todo, changes));
+  };
+
+  /**
+   * Build new subtask rows for a todo, with client-generated IDs so they
+   * can be shown and synced before the server has seen them
+   */
+  const buildSubtaskRows = (todoId, drafts) => drafts.map(draft => ({
+    id: uuidv4(),
+    todo_id: todoId,
+    title: draft.title,
+    completed: draft.completed || false,
+    completed_by: null,
+    position: draft.position
+  }));
+
+  /**
+   * Add a subtask to the end of a todo's list
+   */
+  const addSubtask = async (todoId, title) => {
+    const todo = todos.find(t => t.id === todoId);
+    if (!canEditSubtasks(todo) || !title.trim()) return;
+
+    try {
+      await queueSubtaskChanges(todo, {
+        created: buildSubtaskRows(todoId, [{ title: title.trim(), position: (todo.subtasks || []).length }])
+      });
+    } catch (error) {
+      handleError(error, "Couldn't add the subtask");
+    }
+  };
+
+  /**
+   * Toggle a subtask's completion status
+   */
+  const toggleSubtask = async (todoId, subtaskId) => {
+    const todo = todos.find(t => t.id === todoId);
+    const subtask = todo?.subtasks?.find(s => s.id === subtaskId);
+    if (!canEditSubtasks(todo) || !subtask) return;
+
+    try {
+      await queueSubtaskChanges(todo, {
+        updated: [{
+          id: subtaskId,
+          changes: {
+            completed: !subtask.completed,
+            completed_by: !subtask.completed ? user.email : null
+          }
+        }]
+      });
+    } catch (error) {
+      handleError(error, "Couldn't update the subtask");
+    }
+  };
+
+  /**
+   * Delete a subtask
+   */
+  const removeSubtask = async (todoId, subtaskId) => {
+    const todo = todos.find(t => t.id === todoId);
+    if (!canEditSubtasks(todo)) return;
+
+    try {
+      await queueSubtaskChanges(todo, { deleted: [subtaskId] });
+    } catch (error) {
+      handleError(error, "Couldn't delete the subtask");
+    }
+  };
+
+  /**
+   * Move a subtask to a new position
+   */
+  const reorderSubtasks = async (todoId, fromIndex, toIndex) => {
+    const todo = todos.find(t => t.id === todoId);
+    if (!canEditSubtasks(todo)) return;
+
+    const current = todo.subtasks || [];
+    const reordered = moveSubtask(current, fromIndex, toIndex);
+    if (reordered === current) return;
+
+    try {
+      await queueSubtaskChanges(todo, {
+        updated: reordered
+          .filter(subtask => current.find(s => s.id === subtask.id)?.position !== subtask.position)
+          .map(subtask => ({ id: subtask.id, changes: { position: subtask.position } }))
+      });
+    } catch (error) {
+      handleError(error, "Couldn't reorder the subtasks");
+    }
+  };
+
+  /**
+   * Convert a todo's AI-generated steps into real subtasks
+   */
+  const convertStepsToSubtasks = async (todoId) => {
+    const todo = todos.find(t => t.id === todoId);
+    if (!canEditSubtasks(todo) || !todo.aiContent?.steps) return;
+
+    try {
+      const drafts = stepsToSubtasks(todo.aiContent.steps, (todo.subtasks || []).length);
+      await queueSubtaskChanges(todo, { created: buildSubtaskRows(todoId, drafts) });
+    } catch (error) {
+      handleError(error, "Couldn't convert the AI steps to subtasks");
+    }
+  };
+
+  /**
+   * Save new AI guidance for a todo along with its version history. These
+   * changes aren't on the undo stack: the history itself is the way back.
+   */
+  const saveAIContent = async (todo, aiContent, aiHistory) => {
+    const changes = {
+      ai_content: aiContent ? JSON.stringify(aiContent) : null,
+      ai_history: aiHistory,
+      updated_at: new Date().toISOString(),
+      last_edited_by: user.email
+    };
+    setTodos(prevTodos => prevTodos.map(t => (
+      t.id === todo.id ? { ...t, ...changes, aiContent, aiHistory, pendingSync: true } : t
+    )));
+    await queueChange(createOutboxEntry(OUTBOX_OPERATIONS.UPDATE, todo, { changes }));
+  };
+
+  /**
+   * Replace a todo's AI guidance with a regenerated or refined version,
+   * keeping the current one in its history
+   */
+  const reviseAIContent = async (todoId, aiContent, { action, feedback }) => {
+    const todo = todos.find(t => t.id === todoId);
+    if (!todo || (todo.isShared && todo.permission === 'view')) return;
+
+    try {
+      const aiHistory = addAIVersion(todo.aiHistory, todo.aiContent, { action, feedback, by: user.email });
+      await saveAIContent(todo, aiContent, aiHistory);
+    } catch (error) {
+      console.error('Error saving AI content:', error);
+    }
+  };
+
+  /**
+   * Roll a todo's AI guidance back to an earlier version
    */
-  useEffect(() => {
-    if (!user?.email) return;
+  const restoreAIContent = async (todoId, index) => {
+    const todo = todos.find(t => t.id === todoId);
+    if (!todo || (todo.isShared && todo.permission === 'view')) return;
 
-    const fetchInvitations = async () => {
-      const pendingInvitations = await getPendingInvitations(user.email);
-      setInvitations(pendingInvitations);
-      if (pendingInvitations.length > 0) {
-        setShowInvitations(true);
-      }
-    };
+    const restored = restoreAIVersion(todo.aiHistory, index, todo.aiContent, { by: user.email });
+    if (!restored) return;
 
-    fetchInvitations();
-  }, [user]);
+    try {
+      await saveAIContent(todo, restored.content, restored.history);
+      toast.success('Restored an earlier version of the AI insights');
+    } catch (error) {
+      console.error('Error restoring AI content:', error);
+    }
+  };
 
   /**
-   * Todo Management Functions
-   * 
-   * addTodo: Creates a new todo with optional AI-generated content
-   * toggleTodo: Toggles todo completion status with permission checks
-   * deleteTodo: Handles todo deletion with recently deleted support
-   * editTodo: Updates todo details with permission validation
+   * Record what the user did with AI triage suggestions, for the acceptance rate
    */
+  const recordTriageDecisions = (decisions) => {
+    setTriageDecisions(prev => [...prev, ...decisions]);
+    recordAISuggestionDecisions(user.id, decisions);
+  };
 
   /**
-   * Add a new todo
+   * Apply the triage proposals accepted for a todo, as one undoable edit
    */
-  const addTodo = async (todoData) => {
-    if (!user || todoData.text.trim().length === 0) return;
-
-    try {
-      console.log('Adding new todo:', todoData);
-      
-      const newTodo = {
-        title: todoData.text.trim(),
-        description: todoData.description ? todoData.description.trim() : '',
-        completed: false,
-        category: todoData.category || 'personal',
-        due_date: todoData.dueDate ? new Date(todoData.dueDate).toISOString() : null,
-        priority: todoData.priority || 'medium',
-        user_id: user.id,
-        owner: user.email,
-        original_owner: user.email,
-        ai_content: todoData.aiContent ? JSON.stringify(todoData.aiContent) : null
-      };
+  const applyTriage = (todoId, changes) => {
+    editTodo(todoId, changes, 'this');
+  };
 
-      const { data, error } = await supabase
-        .from('todos')
-        .insert([newTodo])
-        .select('*')
-        .single();
+  /**
+   * Save the plan accepted in "Plan my day" and show it in the Today view
+   */
+  const acceptDayPlan = async (plan) => {
+    const saved = await saveDayPlan(user.id, plan);
+    setDayPlan(saved);
+    setViewMode('today');
+    toast.success(`Planned ${saved.items.length} todo${saved.items.length === 1 ? '' : 's'} for today`);
+  };
 
-      if (error) {
-        console.error('Error adding todo:', error);
-        throw error;
-      }
-      
-      console.log('Todo added successfully:', data);
-      
-      // Transform the data to match the frontend format
-      const transformedTodo = {
-        ...data,
-        aiContent: data.ai_content ? JSON.parse(data.ai_content) : null,
-        isOwner: true
-      };
-      
-      setTodos(prevTodos => [transformedTodo, ...prevTodos]);
-      setShowForm(false);
+  /**
+   * Remove today's plan, unpinning its todos
+   */
+  const clearDayPlan = async () => {
+    try {
+      await deleteDayPlan(dayPlan.id);
+      setDayPlan(null);
     } catch (error) {
-      console.error("Error adding todo:", error);
-      alert('Failed to add todo. Please try again.');
+      // Already reported by deleteDayPlan
     }
   };
 
   /**
-   * Toggle todo completion status
+   * Category Management Functions
    */
-  const toggleTodo = async (id) => {
-    const todo = todos.find(todo => todo.id === id);
-    if (!todo) return;
 
-    // Prevent toggling shared todos with view-only permission
-    if (todo.isShared && todo.permission === 'view') return;
+  /**
+   * Create a category at the end of the user's list
+   */
+  const addCategory = async (category) => {
+    const [created] = await createCategories(user.id, [category], categories.length);
+    setCategories(prevCategories => [...prevCategories, created]);
+  };
 
+  /**
+   * Update a category's name, colour or icon
+   */
+  const editCategory = async (categoryId, changes) => {
     try {
-      const updatedTodo = { ...todo, completed: !todo.completed };
-      
-      if (todo.isShared) {
-        // Update shared todo
-        const { error } = await supabase
-          .from('shared_todos')
-          .update({ 
-            'todo_data.completed': updatedTodo.completed,
-            'todo_data.updated_at': new Date().toISOString()
-          })
-          .eq('id', todo.sharedId);
-
-        if (error) throw error;
-      } else {
-        // Update original todo
-        const { error } = await supabase
-          .from('todos')
-          .update({ 
-            completed: updatedTodo.completed,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', id);
-
-        if (error) throw error;
+      await updateCategory(categoryId, changes);
+      setCategories(prevCategories => prevCategories.map(c =>
+        c.id === categoryId ? { ...c, ...changes } : c
+      ));
+      if (changes.name) {
+        setTodos(prevTodos => prevTodos.map(t =>
+          t.category_id === categoryId && !t.isShared ? { ...t, category: changes.name } : t
+        ));
       }
+    } catch (error) {
+      console.error('Error updating category:', error);
+    }
+  };
 
-      setTodos(todos.map(t => (t.id === id ? updatedTodo : t)));
+  /**
+   * Delete a category, unlinking its todos
+   */
+  const removeCategory = async (categoryId) => {
+    try {
+      await deleteCategory(categoryId);
+      setCategories(prevCategories => prevCategories.filter(c => c.id !== categoryId));
+      setTodos(prevTodos => prevTodos.map(t =>
+        t.category_id === categoryId && !t.isShared ? { ...t, category_id: null } : t
+      ));
+      setFilter(prevFilter => ({ ...prevFilter, categories: prevFilter.categories.filter(id => id !== categoryId) }));
     } catch (error) {
-      console.error('Error updating todo:', error);
+      console.error('Error deleting category:', error);
     }
   };
 
   /**
-   * Delete a todo
+   * Workflow Status Management Functions
    */
-  const deleteTodo = async (id, isShared, sharedId) => {
-    if (!id || !user?.id) return;
+
+  /**
+   * Create a status at the end of the user's workflow
+   */
+  const addStatus = async (status) => {
+    const [created] = await createStatuses(user.id, [status], statuses.length);
+    setStatuses(prevStatuses => [...prevStatuses, created]);
+  };
+
+  /**
+   * Update a status's name, colour or whether it counts as done
+   */
+  const editStatus = async (statusId, changes) => {
+    // Todos in the status would no longer match their `completed` flag
+    const status = statuses.find(s => s.id === statusId);
+    if ('is_done' in changes && todos.some(t => t.status === status?.key)) {
+      toast.warning(`Move the todos in "${status.name}" to another status first`, {
+        title: "Couldn't change the status"
+      });
+      return;
+    }
 
     try {
-      const todo = todos.find(t => t.id === id);
-      if (!todo) return;
+      await updateStatus(statusId, changes);
+      setStatuses(prevStatuses => prevStatuses.map(s =>
+        s.id === statusId ? { ...s, ...changes } : s
+      ));
+    } catch (error) {
+      console.error('Error updating status:', error);
+    }
+  };
 
-      if (isShared) {
-        if (todo.original_owner === user.email) {
-          // Original owner deleting - remove for everyone
-          // First move to recently deleted for all users
-          const sharedUsers = await getSharedUsers(id);
-          
-          // Move to recently deleted for original owner
-          await moveToRecentlyDeleted(id, {
-            ...todo,
-            user_id: user.id,
-            is_shared: true,
-            shared_todo_id: id,
-            deleted_at: new Date().toISOString(),
-            deleted_by: user.email,
-            expires_at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
-          });
+  /**
+   * Move a status one step earlier or later in the workflow
+   */
+  const moveStatus = async (statusId, direction) => {
+    const index = statuses.findIndex(s => s.id === statusId);
+    const target = index + direction;
+    if (index < 0 || target < 0 || target >= statuses.length) return;
 
-          // Move to recently deleted for all shared users
-          for (const sharedUser of sharedUsers) {
-            const { data: userData } = await supabase
-              .from('user_profiles')
-              .select('id')
-              .eq('email', sharedUser.email)
-              .single();
-
-            if (userData) {
-              await moveToRecentlyDeleted(id, {
-                ...todo,
-                user_id: userData.id,
-                is_shared: true,
-                shared_id: sharedUser.id,
-                shared_todo_id: id,
-                deleted_at: new Date().toISOString(),
-                deleted_by: user.email,
-                expires_at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
-              });
-            }
-          }
+    const reordered = [...statuses];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setStatuses(reordered.map((s, position) => ({ ...s, position })));
 
-          // Delete the original todo
-          const { error: deleteError } = await supabase
-            .from('todos')
-            .delete()
-            .eq('id', id);
-
-          if (deleteError) throw deleteError;
-
-          // This will cascade delete all shared_todos entries
-          setTodos(todos.filter(t => t.id !== id));
-        } else {
-          // Shared user removing their access
-          // Move to recently deleted just for this user
-          await moveToRecentlyDeleted(id, {
-            ...todo,
-            user_id: user.id,
-            is_shared: true,
-            shared_id: sharedId,
-            shared_todo_id: id,
-            deleted_at: new Date().toISOString(),
-            deleted_by: user.email,
-            expires_at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
-          });
+    try {
+      await Promise.all([
+        updateStatus(reordered[index].id, { position: index }),
+        updateStatus(reordered[target].id, { position: target })
+      ]);
+    } catch (error) {
+      console.error('Error reordering statuses:', error);
+    }
+  };
 
-          // Remove their shared access
-          const { error } = await supabase
-            .from('shared_todos')
-            .delete()
-            .eq('id', sharedId);
+  /**
+   * Delete a status. Its todos keep the key and show it by name.
+   */
+  const removeStatus = async (statusId) => {
+    try {
+      const removed = statuses.find(s => s.id === statusId);
+      await deleteStatus(statusId);
+      setStatuses(prevStatuses => prevStatuses.filter(s => s.id !== statusId));
+      setFilter(prevFilter => ({ ...prevFilter, statuses: prevFilter.statuses.filter(key => key !== removed?.key) }));
+    } catch (error) {
+      console.error('Error deleting status:', error);
+    }
+  };
 
-          if (error) throw error;
-          setTodos(todos.filter(t => t.sharedId !== sharedId));
-        }
-      } else {
-        // Regular todo deletion
-        await moveToRecentlyDeleted(id, {
-          ...todo,
-          user_id: user.id,
-          deleted_at: new Date().toISOString(),
-          deleted_by: user.email,
-          expires_at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
-        });
+  /**
+   * Filter and Smart View Functions
+   */
 
-        const { error: deleteError } = await supabase
-          .from('todos')
-          .delete()
-          .eq('id', id);
+  /**
+   * Change part of the current filter
+   */
+  const updateFilter = (changes) => setFilter(prevFilter => ({ ...prevFilter, ...changes }));
 
-        if (deleteError) throw deleteError;
+  /**
+   * Apply a smart view's filters, or clear them if it's already applied
+   */
+  const selectSmartView = (view) => {
+    setFilter(isSameFilter(filter, view.filters) ? DEFAULT_FILTER : view.filters);
+  };
 
-        setTodos(todos.filter(t => t.id !== id));
-      }
+  /**
+   * Create or update the smart view open in the editor and apply it
+   */
+  const saveSmartView = async ({ name, filters }) => {
+    if (editingSmartView?.id) {
+      await updateSmartView(editingSmartView.id, { name, filters });
+      setSmartViews(prevViews => prevViews.map(v =>
+        v.id === editingSmartView.id ? { ...v, name, filters } : v
+      ));
+    } else {
+      const created = await createSmartView(user.id, { name, filters }, smartViews.length);
+      setSmartViews(prevViews => [...prevViews, { ...created, filters: normalizeFilter(created.filters) }]);
+    }
+    setFilter(filters);
+  };
+
+  /**
+   * Delete a smart view. Its filters stay applied until changed.
+   */
+  const removeSmartView = async (viewId) => {
+    try {
+      await deleteSmartView(viewId);
+      setSmartViews(prevViews => prevViews.filter(v => v.id !== viewId));
     } catch (error) {
-      console.error("Error deleting todo:", error);
+      console.error('Error deleting smart view:', error);
     }
   };
 
   /**
-   * Edit a todo
+   * Project Management Functions
    */
-  const editTodo = async (id, updatedTodo) => {
-    const todo = todos.find(todo => todo.id === id);
-    if (!todo) return;
 
-    // Prevent editing shared todos with view-only permission
-    if (todo.isShared && todo.permission === 'view') {
-      console.log('Cannot edit: User has view-only permission');
-      return;
+  /**
+   * Create a project at the end of the user's own projects
+   */
+  const addProject = async (project) => {
+    try {
+      const ownedCount = projects.filter(p => p.isOwner).length;
+      const created = await createProject(user, project, ownedCount);
+      setProjects(prevProjects => [...prevProjects, created]);
+      setActiveProjectId(created.id);
+    } catch (error) {
+      console.error('Error creating project:', error);
     }
+  };
 
+  /**
+   * Rename a project
+   */
+  const renameProject = async (projectId, name) => {
     try {
-      // Always update the original todo in the todos table
-      const { error: updateError } = await supabase
-        .from('todos')
-        .update({
-          ...updatedTodo,
-          updated_at: new Date().toISOString(),
-          last_edited_by: user.email // Track who made the last edit
-        })
-        .eq('id', id);
+      await updateProject(projectId, { name });
+      setProjects(prevProjects => prevProjects.map(p =>
+        p.id === projectId ? { ...p, name } : p
+      ));
+    } catch (error) {
+      console.error('Error renaming project:', error);
+    }
+  };
 
-      if (updateError) throw updateError;
+  /**
+   * Delete a project, moving its todos back to their owners' inboxes
+   */
+  const removeProject = async (projectId) => {
+    try {
+      await deleteProject(projectId);
+      setProjects(prevProjects => prevProjects.filter(p => p.id !== projectId));
+      setTodos(prevTodos => prevTodos
+        .filter(t => !(t.isProjectShared && t.project_id === projectId))
+        .map(t => (t.project_id === projectId ? { ...t, project_id: null } : t)));
+      if (activeProjectId === projectId) setActiveProjectId('all');
+    } catch (error) {
+      console.error('Error deleting project:', error);
+    }
+  };
 
-      // Update local state
-      setTodos(todos.map(t => 
-        t.id === id 
-          ? { 
-              ...t, 
-              ...updatedTodo, 
-              updated_at: new Date().toISOString(),
-              last_edited_by: user.email 
-            } 
-          : t
-      ));
+  /**
+   * Leave a project shared with the user
+   */
+  const leaveProject = async (project) => {
+    try {
+      await removeProjectMember(project.membershipId);
+      // Removing the project refetches todos without its shared todos
+      setProjects(prevProjects => prevProjects.filter(p => p.id !== project.id));
+      if (activeProjectId === project.id) setActiveProjectId('all');
     } catch (error) {
-      console.error("Error editing todo:", error);
+      console.error('Error leaving project:', error);
     }
   };
 
@@ -524,45 +1702,112 @@ function App() {
    * Filtering and Sorting
    * 
    * filteredTodos: Filters todos based on:
+   * - Selected project (all/inbox/project)
    * - Completion status (all/pending/completed)
-   * - Category selection
+   * - Workflow statuses, categories and priorities (any of those selected)
+   * - Due date range and ownership (mine/shared with me)
+   * - Tag combination (all or any of the selected tags)
+   * - Search text (matched here and by the server's full-text index)
    * 
    * sortedTodos: Sorts filtered todos by:
    * - Date (newest first)
    * - Priority (high/medium/low)
+   * - Due date (overdue and soonest first, undated last)
    */
 
   /**
    * Filter todos based on completion status and category
    */
+  const searchTerms = parseSearchQuery(searchQuery);
+
   const filteredTodos = todos.filter(todo => {
-    // Filter by completion status
-    const statusFilter = 
-      activeTab === 'completed' ? todo.completed :
-      activeTab === 'pending' ? !todo.completed :
-      true;
-
-    // Filter by category
-    const categoryFilter = 
-      filterCategory === 'all' ? true :
-      todo.category === filterCategory;
-
-    return statusFilter && categoryFilter;
+    // Filter by project
+    const projectFilter =
+      activeProjectId === 'all' ? true :
+      activeProjectId === 'inbox' ? !todo.project_id :
+      todo.project_id === activeProjectId;
+
+    // Filter by completion, workflow status, category, priority, due date, owner and tags
+    const expressionFilter = matchesFilter(todo, filter, { categories, statuses });
+
+    // Filter by search text
+    const searchFilter = matchesSearch(todo, searchTerms, categories) || !!serverSearchIds?.has(todo.id);
+
+    return projectFilter && expressionFilter && searchFilter;
   });
 
+  // Pending todo counts for the project sidebar
+  const projectTodoCounts = todos.reduce((counts, todo) => {
+    if (todo.completed) return counts;
+    const key = todo.project_id || 'inbox';
+    counts.all = (counts.all || 0) + 1;
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {});
+
+  // Matching todo counts for the smart views in the sidebar
+  const smartViewCounts = Object.fromEntries(smartViews.map(view => [
+    view.id,
+    todos.filter(todo => matchesFilter(todo, view.filters, { categories, statuses })).length
+  ]));
+  const activeSmartView = smartViews.find(view => isSameFilter(filter, view.filters));
+
+  // New todos default to the selected project when the user can add to it
+  const activeProject = projects.find(p => p.id === activeProjectId);
+  const defaultProjectId = activeProject?.permission === 'edit' ? activeProject.id : '';
+
+  // Every tag in use, for filtering and autocompletion
+  const availableTags = collectTags(todos);
+
   /**
    * Sort todos based on selected criteria
    */
   const sortedTodos = [...filteredTodos].sort((a, b) => {
-    if (sortBy === 'date') {
+    if (filter.sortBy === 'date') {
       return new Date(b.created_at) - new Date(a.created_at);
-    } else if (sortBy === 'priority') {
+    } else if (filter.sortBy === 'priority') {
       const priorityOrder = { high: 3, medium: 2, low: 1 };
       return priorityOrder[b.priority] - priorityOrder[a.priority];
+    } else if (filter.sortBy === 'due') {
+      return compareByDue(a, b);
     }
     return 0;
   });
 
+  /**
+   * Search Navigation
+   * 
+   * ↑/↓ in the search box select a result and Enter jumps to it in the list.
+   */
+  const updateSearch = (query) => {
+    setSearchQuery(query);
+    setActiveResultIndex(-1);
+  };
+
+  const activeResultId = searchQuery && activeResultIndex >= 0 ? sortedTodos[activeResultIndex]?.id : null;
+
+  const navigateResults = (delta) => {
+    const count = sortedTodos.length;
+    if (count === 0) return;
+    setActiveResultIndex(index => (index < 0
+      ? (delta > 0 ? 0 : count - 1)
+      : (index + delta + count) % count));
+  };
+
+  const openActiveResult = () => {
+    const todoId = activeResultId || sortedTodos[0]?.id;
+    if (!todoId) return;
+
+    setViewMode('list');
+    setActiveResultIndex(sortedTodos.findIndex(t => t.id === todoId));
+    // Wait for the list to render if another view was showing
+    setTimeout(() => {
+      const element = document.getElementById(`todo-${todoId}`);
+      element?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      element?.focus({ preventScroll: true });
+    }, 0);
+  };
+
   /**
    * Invitation Management
    * 
@@ -582,49 +1827,17 @@ function App() {
         // Remove the invitation from the list
         setInvitations(invitations.filter(inv => inv.id !== invitationId));
         
-        if (accept) {
+        if (accept && todoId) {
           // Fetch the complete todo data
-          const { data: todoData, error: todoError } = await supabase
-            .from('todos')
-            .select('*')
-            .eq('id', todoId)
-            .single();
-
-          if (todoError) throw todoError;
-
-          // Fetch the shared todo entry
-          const { data: sharedData, error: sharedError } = await supabase
-            .from('shared_todos')
-            .select('*')
-            .eq('todo_id', todoId)
-            .eq('recipient_email', user.email)
-            .single();
-
-          if (sharedError) throw sharedError;
-
-          // Transform the data to match the frontend format
-          const transformedTodo = {
-            id: todoData.id,
-            title: todoData.title,
-            description: todoData.description,
-            completed: todoData.completed,
-            category: todoData.category,
-            due_date: todoData.due_date,
-            priority: todoData.priority,
-            user_id: todoData.user_id,
-            owner: sharedData.owner_email,
-            original_owner: sharedData.original_owner,
-            created_at: todoData.created_at,
-            updated_at: todoData.updated_at,
-            aiContent: todoData.ai_content ? JSON.parse(todoData.ai_content) : null,
-            isShared: true,
-            sharedId: sharedData.id,
-            ownerEmail: sharedData.owner_email,
-            permission: sharedData.permission
-          };
-
-          // Add the shared todo to the list
-          setTodos(prevTodos => [transformedTodo, ...prevTodos]);
+          const sharedTodo = await repository.get(todoId, {
+            user,
+            projectAccess: parseProjectAccess(projectAccessKey)
+          });
+
+          // Add the shared todo to the list (it may already have arrived via realtime)
+          if (sharedTodo) {
+            setTodos(prevTodos => [sharedTodo, ...prevTodos.filter(t => t.id !== sharedTodo.id)]);
+          }
         }
       }
     } catch (error) {
@@ -633,7 +1846,26 @@ function App() {
   };
 
   const handleRestoredTodo = (restoredTodo) => {
-    setTodos(prevTodos => [restoredTodo, ...prevTodos]);
+    setTodos(prevTodos => [restoredTodo, ...prevTodos.filter(t => t.id !== restoredTodo.id)]);
+  };
+
+  /**
+   * Add a todo from a quick add line (see utils/quickAdd). Like the form, it
+   * falls back to the first category and the selected project.
+   */
+  const handleQuickAdd = (parsed) => {
+    const category = categories.find(c => c.id === parsed.categoryId) || categories[0];
+    addTodo({
+      text: parsed.title,
+      categoryId: category?.id || null,
+      category: category?.name || 'personal',
+      projectId: defaultProjectId || null,
+      tags: parsed.tags,
+      dueDate: parsed.dueDate ? parsed.dueDate.slice(0, 10) : null,
+      dueTime: parsed.hasTime ? parsed.dueDate.slice(11, 16) : null,
+      priority: parsed.priority || 'medium',
+      recurrence: parsed.recurrence
+    });
   };
 
   const handleAddTodo = (todo) => {
@@ -641,9 +1873,16 @@ function App() {
       text: todo.text,
       description: todo.description,
       category: todo.category,
+      categoryId: todo.categoryId,
+      projectId: todo.projectId,
+      tags: todo.tags,
       dueDate: todo.dueDate,
+      dueTime: todo.dueTime,
+      reminders: todo.reminders,
       priority: todo.priority,
-      aiContent: todo.aiContent
+      aiContent: todo.aiContent,
+      subtasks: todo.subtasks,
+      recurrence: todo.recurrence
     });
   };
 
@@ -671,20 +1910,110 @@ function App() {
                   <span className="text-xl font-semibold text-blue-600">BlueTask</span>
                 </div>
 
+                {/* Search */}
+                <div className="w-full max-w-md">
+                  <SearchBar
+                    query={searchQuery}
+                    setQuery={updateSearch}
+                    resultCount={sortedTodos.length}
+                    activeIndex={activeResultId ? activeResultIndex : -1}
+                    onNavigate={navigateResults}
+                    onOpen={openActiveResult}
+                    inputRef={searchInputRef}
+                  />
+                </div>
+
                 {/* Centered Filter Tabs */}
                 <div className="w-full max-w-md">
                   <TabFilter
-                    activeTab={activeTab}
-                    setActiveTab={setActiveTab}
-                    sortBy={sortBy}
-                    setSortBy={setSortBy}
-                    filterCategory={filterCategory}
-                    setFilterCategory={setFilterCategory}
+                    activeTab={filter.completion}
+                    setActiveTab={completion => updateFilter({ completion })}
+                    sortBy={filter.sortBy}
+                    setSortBy={sortBy => updateFilter({ sortBy })}
+                    filterCategory={toSelectValue(filter.categories)}
+                    setFilterCategory={id => updateFilter({ categories: id === 'all' ? [] : [id] })}
+                    categories={categories}
+                    filterStatus={toSelectValue(filter.statuses)}
+                    setFilterStatus={key => updateFilter({ statuses: key === 'all' ? [] : [key] })}
+                    statuses={statuses}
+                    availableTags={availableTags}
+                    filterTags={filter.tags}
+                    setFilterTags={tags => updateFilter({ tags })}
+                    tagMatchMode={filter.tagMatchMode}
+                    setTagMatchMode={tagMatchMode => updateFilter({ tagMatchMode })}
+                    extraFilters={describeExtraFilters(filter)}
+                    onClearFilters={() => updateFilter({ priorities: [], due: 'any', ownership: 'any' })}
                   />
                 </div>
 
+                {/* List / calendar switcher */}
+                <div className="bg-white/10 backdrop-blur-lg rounded-full p-1 flex shadow-lg">
+                  {['list', 'calendar', 'board', 'today'].map(mode => (
+                    <button
+                      key={mode}
+                      onClick={() => setViewMode(mode)}
+                      className={`px-6 py-1.5 rounded-full transition-all duration-200 text-sm font-medium capitalize ${
+                        viewMode === mode ? 'bg-white text-blue-600' : 'text-white/90'
+                      }`}
+                    >
+                      {mode}
+                    </button>
+                  ))}
+                </div>
+
                 {/* Action Buttons - Positioned Absolutely */}
                 <div className="absolute right-8 top-8 flex items-center gap-4">
+                  <SyncStatus
+                    isOnline={isOnline}
+                    outbox={outbox}
+                    onRetry={retryOutboxEntry}
+                    onDiscard={discardOutboxEntry}
+                  />
+                  <button
+                    onClick={() => setShowCategoryManager(true)}
+                    className="text-white/80 hover:text-white transition-colors"
+                    title="Manage Categories"
+                  >
+                    <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A2 2 0 013 12V7a4 4 0 014-4z" />
+                    </svg>
+                  </button>
+                  <button
+                    onClick={() => setShowStatusManager(true)}
+                    className="text-white/80 hover:text-white transition-colors"
+                    title="Manage Workflow Statuses"
+                  >
+                    <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17V7m0 10a2 2 0 01-2 2H5a2 2 0 01-2-2V7a2 2 0 012-2h2a2 2 0 012 2m0 10a2 2 0 002 2h2a2 2 0 002-2M9 7a2 2 0 012-2h2a2 2 0 012 2m0 10V7m0 10a2 2 0 002 2h2a2 2 0 002-2V7a2 2 0 00-2-2h-2a2 2 0 00-2 2" />
+                    </svg>
+                  </button>
+                  <button
+                    onClick={() => setShowInboxTriage(true)}
+                    className="text-white/80 hover:text-white transition-colors"
+                    title="Triage my inbox"
+                  >
+                    <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20 13V6a2 2 0 00-2-2H6a2 2 0 00-2 2v7m16 0v5a2 2 0 01-2 2H6a2 2 0 01-2-2v-5m16 0h-2.586a1 1 0 00-.707.293l-2.414 2.414a1 1 0 01-.707.293h-3.172a1 1 0 01-.707-.293l-2.414-2.414A1 1 0 006.586 13H4" />
+                    </svg>
+                  </button>
+                  <button
+                    onClick={() => setShowPlanMyDay(true)}
+                    className="text-white/80 hover:text-white transition-colors"
+                    title="Plan my day"
+                  >
+                    <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                    </svg>
+                  </button>
+                  <button
+                    onClick={() => setShowWeeklyReport(true)}
+                    className="text-white/80 hover:text-white transition-colors"
+                    title="Weekly report"
+                  >
+                    <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17v-2m3 2v-4m3 4v-6m2 10H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                    </svg>
+                  </button>
                   <button
                     onClick={() => setShowRecentlyDeleted(true)}
                     className="text-white/80 hover:text-white transition-colors"
@@ -713,57 +2042,132 @@ function App() {
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
               transition={{ duration: 0.5 }}
-              className="max-w-2xl mx-auto"
+              className="max-w-5xl mx-auto flex flex-col md:flex-row gap-6"
             >
-              <AnimatePresence mode="wait">
-                {showForm ? (
-                  <motion.div
-                    key="form"
-                    initial={{ opacity: 0, y: 20 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    exit={{ opacity: 0, y: -20 }}
-                    transition={{ duration: 0.3 }}
-                  >
-                    <TodoForm onSubmit={handleAddTodo} onClose={() => setShowForm(false)} />
-                  </motion.div>
-                ) : (
-                  <motion.button
-                    key="add-button"
-                    initial={{ opacity: 0, y: 20 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    exit={{ opacity: 0, y: -20 }}
-                    transition={{ duration: 0.3 }}
-                    onClick={() => setShowForm(true)}
-                    className="w-full py-3 px-4 bg-white/10 backdrop-blur-lg text-white rounded-xl font-medium hover:bg-white/20 transition-colors duration-200 flex items-center justify-center gap-2"
-                  >
-                    <svg
-                      className="w-5 h-5"
-                      fill="none"
-                      stroke="currentColor"
-                      viewBox="0 0 24 24"
+              <div className="md:w-60 flex-shrink-0">
+                <ProjectSidebar
+                  projects={projects}
+                  activeProjectId={activeProjectId}
+                  setActiveProjectId={setActiveProjectId}
+                  todoCounts={projectTodoCounts}
+                  onCreate={addProject}
+                  onRename={renameProject}
+                  onDelete={removeProject}
+                  onLeave={leaveProject}
+                  onShare={setSharingProject}
+                  smartViews={smartViews}
+                  activeSmartViewId={activeSmartView?.id || null}
+                  smartViewCounts={smartViewCounts}
+                  onSelectSmartView={selectSmartView}
+                  onNewSmartView={() => setEditingSmartView({})}
+                  onEditSmartView={setEditingSmartView}
+                  onDeleteSmartView={removeSmartView}
+                />
+              </div>
+
+              <div className="flex-1 min-w-0 max-w-2xl">
+                {!showForm && (
+                  <QuickAdd categories={categories} onAdd={handleQuickAdd} isOnline={isOnline} />
+                )}
+
+                <AnimatePresence mode="wait">
+                  {showForm ? (
+                    <motion.div
+                      key="form"
+                      initial={{ opacity: 0, y: 20 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      exit={{ opacity: 0, y: -20 }}
+                      transition={{ duration: 0.3 }}
                     >
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth="2"
-                        d="M12 4v16m8-8H4"
+                      <TodoForm
+                        onSubmit={handleAddTodo}
+                        onClose={() => setShowForm(false)}
+                        categories={categories}
+                        projects={projects}
+                        defaultProjectId={defaultProjectId}
+                        tagSuggestions={availableTags}
+                        onTriageDecisions={recordTriageDecisions}
                       />
-                    </svg>
-                    Add New Task
-                  </motion.button>
-                )}
-              </AnimatePresence>
-
-              <div className="mt-8">
-                <TodoList
-                  todos={sortedTodos}
-                  onToggle={toggleTodo}
-                  onDelete={deleteTodo}
-                  onEdit={editTodo}
-                  currentUserEmail={user?.email}
-                  selectedStep={selectedStep}
-                  setSelectedStep={setSelectedStep}
-                />
+                    </motion.div>
+                  ) : (
+                    <motion.button
+                      key="add-button"
+                      initial={{ opacity: 0, y: 20 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      exit={{ opacity: 0, y: -20 }}
+                      transition={{ duration: 0.3 }}
+                      onClick={() => setShowForm(true)}
+                      className="w-full py-3 px-4 bg-white/10 backdrop-blur-lg text-white rounded-xl font-medium hover:bg-white/20 transition-colors duration-200 flex items-center justify-center gap-2"
+                    >
+                      <svg
+                        className="w-5 h-5"
+                        fill="none"
+                        stroke="currentColor"
+                        viewBox="0 0 24 24"
+                      >
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth="2"
+                          d="M12 4v16m8-8H4"
+                        />
+                      </svg>
+                      Add New Task
+                    </motion.button>
+                  )}
+                </AnimatePresence>
+
+                <div className="mt-8">
+                  {viewMode === 'calendar' ? (
+                    <CalendarView
+                      todos={sortedTodos}
+                      onReschedule={rescheduleTodo}
+                      onOpen={openTodoInList}
+                    />
+                  ) : viewMode === 'today' ? (
+                    <TodayView
+                      plan={dayPlan?.plan_date === getTodayKey() ? dayPlan : null}
+                      todos={todos}
+                      onToggle={toggleTodo}
+                      onOpen={openTodoInList}
+                      onPlan={() => setShowPlanMyDay(true)}
+                      onClear={clearDayPlan}
+                    />
+                  ) : viewMode === 'board' ? (
+                    <BoardView
+                      todos={sortedTodos}
+                      categories={categories}
+                      statuses={statuses}
+                      currentUserEmail={user?.email}
+                      onMove={moveBoardCard}
+                      onOpen={openTodoInList}
+                    />
+                  ) : (
+                    <TodoList
+                      todos={sortedTodos}
+                      onToggle={toggleTodo}
+                      onChangeStatus={changeTodoStatus}
+                      onDelete={deleteTodo}
+                      onEdit={editTodo}
+                      onAddSubtask={addSubtask}
+                      onToggleSubtask={toggleSubtask}
+                      onDeleteSubtask={removeSubtask}
+                      onReorderSubtasks={reorderSubtasks}
+                      onConvertSteps={convertStepsToSubtasks}
+                      onReviseAI={reviseAIContent}
+                      onRestoreAI={restoreAIContent}
+                      currentUserEmail={user?.email}
+                      categories={categories}
+                      statuses={statuses}
+                      projects={projects}
+                      tagSuggestions={availableTags}
+                      selectedStep={selectedStep}
+                      setSelectedStep={setSelectedStep}
+                      searchTerms={searchTerms}
+                      activeTodoId={activeResultId}
+                    />
+                  )}
+                </div>
               </div>
             </motion.div>
 
@@ -779,9 +2183,71 @@ function App() {
                   setInvitations(pendingInvitations);
                 };
                 fetchInvitations();
+                fetchProjects();
               }}
             />
 
+            <ProjectShareModal
+              project={sharingProject}
+              onClose={() => setSharingProject(null)}
+              currentUserEmail={user.email}
+            />
+
+            <StatusManager
+              isOpen={showStatusManager}
+              onClose={() => setShowStatusManager(false)}
+              statuses={statuses}
+              onCreate={addStatus}
+              onUpdate={editStatus}
+              onMove={moveStatus}
+              onDelete={removeStatus}
+            />
+
+            <SmartViewEditor
+              isOpen={!!editingSmartView}
+              onClose={() => setEditingSmartView(null)}
+              view={editingSmartView?.id ? editingSmartView : null}
+              initialFilters={filter}
+              categories={categories}
+              statuses={statuses}
+              availableTags={availableTags}
+              onSave={saveSmartView}
+            />
+
+            <CategoryManager
+              isOpen={showCategoryManager}
+              onClose={() => setShowCategoryManager(false)}
+              categories={categories}
+              onCreate={addCategory}
+              onUpdate={editCategory}
+              onDelete={removeCategory}
+            />
+
+            <InboxTriage
+              isOpen={showInboxTriage}
+              onClose={() => setShowInboxTriage(false)}
+              todos={getUntriagedTodos(todos, user.email, categories)}
+              categories={categories}
+              onApply={applyTriage}
+              onDecisions={recordTriageDecisions}
+              stats={summarizeDecisions(triageDecisions)}
+            />
+
+            <PlanMyDay
+              isOpen={showPlanMyDay}
+              onClose={() => setShowPlanMyDay(false)}
+              todos={todos}
+              onAccept={acceptDayPlan}
+            />
+
+            <WeeklyReport
+              isOpen={showWeeklyReport}
+              onClose={() => setShowWeeklyReport(false)}
+              todos={todos}
+              statuses={statuses}
+              categories={categories}
+            />
+
             <RecentlyDeleted
               isOpen={showRecentlyDeleted}
               onClose={() => setShowRecentlyDeleted(false)}
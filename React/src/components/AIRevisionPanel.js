@@ -0,0 +1,278 @@
+/**
+ * AIRevisionPanel Component
+ * Reworks a todo's AI insights: regenerate them, make them more detailed,
+ * simplify them or refine them with free-text feedback. The new version
+ * streams in as it's written and replaces the current one only once it's
+ * complete and valid. Replaced versions are listed so they can be compared
+ * with the current insights and restored.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object} props.todo - The todo being edited
+ * @param {Function} props.onRevise - Called with (aiContent, { action, feedback }) for a new version
+ * @param {Function} props.onRestore - Called with the index in todo.aiHistory of the version to restore
+ */
+import React, { useState, useEffect, useRef } from 'react';
+import { refineAIResponse, AIErrorType } from '../services/openaiService';
+import { AI_ACTIONS, AI_ACTION_LABELS, compareGuidance } from '../utils/aiVersions';
+
+const STEP_CHANGE_STYLES = {
+  same: 'text-gray-600',
+  added: 'text-green-700 bg-green-50',
+  removed: 'text-red-700 bg-red-50 line-through'
+};
+
+const STEP_CHANGE_MARKS = { same: ' ', added: '+', removed: '−' };
+
+const formatVersionDate = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+function AIRevisionPanel({ todo, onRevise, onRestore }) {
+  const [runningAction, setRunningAction] = useState(null); // Action being written, null when idle
+  const [draft, setDraft] = useState(null); // Guidance received so far
+  const [aiError, setAiError] = useState(null); // Typed error (see openaiService) from the last request
+  const [lastRequest, setLastRequest] = useState(null); // { action, feedback } to try again
+  const [feedback, setFeedback] = useState(''); // Free-text feedback for "Refine"
+  const [showHistory, setShowHistory] = useState(false); // Toggle earlier versions
+  const [comparingIndex, setComparingIndex] = useState(null); // Version compared with the current one
+  const requestRef = useRef(null); // AbortController of the request in flight
+
+  const history = todo.aiHistory || [];
+  const hasContent = !!todo.aiContent;
+
+  // Stop a request still running when the panel closes
+  useEffect(() => () => requestRef.current?.abort(), []);
+
+  const runAction = async (action, actionFeedback = '') => {
+    const controller = new AbortController();
+    requestRef.current = controller;
+    setRunningAction(action);
+    setLastRequest({ action, feedback: actionFeedback });
+    setDraft(null);
+    setAiError(null);
+
+    const result = await refineAIResponse(todo.title, todo.description, todo.aiContent, {
+      action,
+      feedback: actionFeedback,
+      signal: controller.signal,
+      onUpdate: setDraft
+    });
+
+    if (requestRef.current !== controller) return;
+    requestRef.current = null;
+    setRunningAction(null);
+    setDraft(null);
+
+    if (result.ok) {
+      onRevise(result.content, { action, feedback: actionFeedback });
+      if (action === AI_ACTIONS.REFINE) setFeedback('');
+    } else {
+      setAiError(result.error);
+    }
+  };
+
+  const handleStop = () => {
+    requestRef.current?.abort();
+  };
+
+  const handleRefine = (e) => {
+    e.preventDefault();
+    if (feedback.trim()) runAction(AI_ACTIONS.REFINE, feedback.trim());
+  };
+
+  const handleRestore = (index) => {
+    setComparingIndex(null);
+    onRestore(index);
+  };
+
+  const comparison = comparingIndex !== null && history[comparingIndex]
+    ? compareGuidance(history[comparingIndex].content, todo.aiContent)
+    : null;
+
+  const actionButtonClass = 'px-3 py-1.5 text-sm rounded-lg border border-gray-200 bg-white text-gray-700 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="space-y-3 bg-gray-50 rounded-lg p-4">
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <h4 className="font-medium text-gray-900">{hasContent ? 'Rework AI Insights' : 'AI Insights'}</h4>
+        {runningAction ? (
+          <button
+            type="button"
+            onClick={handleStop}
+            className="px-3 py-1.5 text-sm rounded-lg bg-gray-700 text-white hover:bg-gray-800"
+          >
+            Stop
+          </button>
+        ) : (
+          <div className="flex items-center gap-2 flex-wrap">
+            <button type="button" onClick={() => runAction(AI_ACTIONS.REGENERATE)} className={actionButtonClass}>
+              {hasContent ? AI_ACTION_LABELS[AI_ACTIONS.REGENERATE] : 'Get AI Help'}
+            </button>
+            <button type="button" onClick={() => runAction(AI_ACTIONS.DETAILED)} disabled={!hasContent} className={actionButtonClass}>
+              {AI_ACTION_LABELS[AI_ACTIONS.DETAILED]}
+            </button>
+            <button type="button" onClick={() => runAction(AI_ACTIONS.SIMPLIFY)} disabled={!hasContent} className={actionButtonClass}>
+              {AI_ACTION_LABELS[AI_ACTIONS.SIMPLIFY]}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Free-text feedback; a nested form would submit the todo, so Enter is handled here */}
+      {hasContent && (
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={feedback}
+            onChange={(e) => setFeedback(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleRefine(e);
+            }}
+            disabled={!!runningAction}
+            placeholder='Feedback, e.g. "assume I have no car"'
+            className="flex-1 px-3 py-1.5 text-sm bg-white border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+          />
+          <button
+            type="button"
+            onClick={handleRefine}
+            disabled={!!runningAction || !feedback.trim()}
+            className={actionButtonClass}
+          >
+            {AI_ACTION_LABELS[AI_ACTIONS.REFINE]}
+          </button>
+        </div>
+      )}
+
+      {/* The new version as it's written */}
+      {runningAction && (
+        <div className="p-3 bg-white rounded-lg border border-blue-100 space-y-2" aria-live="polite">
+          <p className="text-xs font-medium text-blue-600">
+            {draft ? 'Writing…' : 'Thinking about your task…'}
+          </p>
+          {draft?.summary && <p className="text-sm text-gray-600">{draft.summary}</p>}
+          {draft?.steps?.length > 0 && (
+            <ol className="list-decimal list-inside space-y-1">
+              {draft.steps.map((step, index) => (
+                <li key={index} className="text-sm text-gray-900">{step.step}</li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+
+      {aiError && (
+        <div
+          role={aiError.type === AIErrorType.CANCELLED ? undefined : 'alert'}
+          className={`px-3 py-2 rounded-lg text-sm flex items-start justify-between gap-2 ${
+            aiError.type === AIErrorType.CANCELLED ? 'bg-gray-100 text-gray-600' : 'bg-red-50 text-red-700'
+          }`}
+        >
+          <span>
+            {aiError.message}
+            {hasContent && ' The current insights were kept.'}
+          </span>
+          {aiError.type !== AIErrorType.NOT_CONFIGURED && lastRequest && (
+            <button
+              type="button"
+              onClick={() => runAction(lastRequest.action, lastRequest.feedback)}
+              className="flex-shrink-0 font-medium underline"
+            >
+              Try again
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Earlier versions */}
+      {history.length > 0 && (
+        <div className="space-y-2">
+          <button
+            type="button"
+            onClick={() => setShowHistory(!showHistory)}
+            className="flex items-center gap-2 text-sm font-medium text-gray-700 hover:text-gray-900"
+          >
+            <svg
+              className={`w-4 h-4 transition-transform ${showHistory ? 'rotate-180' : ''}`}
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7" />
+            </svg>
+            Earlier versions ({history.length})
+          </button>
+
+          {showHistory && (
+            <ul className="space-y-2">
+              {history.map((version, index) => ({ version, index })).reverse().map(({ version, index }) => (
+                <li key={`${version.replaced_at}-${index}`} className="p-3 bg-white rounded-lg shadow-sm space-y-2">
+                  <div className="flex items-start justify-between gap-2">
+                    <div className="min-w-0">
+                      <p className="text-sm text-gray-900 truncate">{version.content?.summary || 'Untitled version'}</p>
+                      <p className="text-xs text-gray-500">
+                        Replaced by {AI_ACTION_LABELS[version.action] || 'an update'}
+                        {' · '}{formatVersionDate(version.replaced_at)}
+                        {version.replaced_by && ` · ${version.replaced_by}`}
+                      </p>
+                      {version.feedback && (
+                        <p className="text-xs text-gray-500 italic">“{version.feedback}”</p>
+                      )}
+                    </div>
+                    <div className="flex-shrink-0 flex gap-3 text-sm">
+                      <button
+                        type="button"
+                        onClick={() => setComparingIndex(comparingIndex === index ? null : index)}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        {comparingIndex === index ? 'Hide' : 'Compare'}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleRestore(index)}
+                        disabled={!!runningAction}
+                        className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                      >
+                        Restore
+                      </button>
+                    </div>
+                  </div>
+
+                  {/* This version (before) against the current insights (after) */}
+                  {comparingIndex === index && comparison && (
+                    <div className="pt-2 border-t border-gray-100 space-y-2 text-sm">
+                      {['summary', 'estimatedTime', 'difficulty'].filter(field => comparison[field].changed).map(field => (
+                        <div key={field}>
+                          <p className="text-xs font-medium text-gray-500">
+                            {{ summary: 'Summary', estimatedTime: 'Estimated time', difficulty: 'Difficulty' }[field]}
+                          </p>
+                          <p className="text-red-700 bg-red-50 line-through">{comparison[field].before || '—'}</p>
+                          <p className="text-green-700 bg-green-50">{comparison[field].after || '—'}</p>
+                        </div>
+                      ))}
+                      <div>
+                        <p className="text-xs font-medium text-gray-500">Steps</p>
+                        <ul className="font-mono text-xs">
+                          {comparison.steps.map((line, lineIndex) => (
+                            <li key={lineIndex} className={`px-1 ${STEP_CHANGE_STYLES[line.change]}`}>
+                              {STEP_CHANGE_MARKS[line.change]} {line.text}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AIRevisionPanel;
@@ -0,0 +1,151 @@
+/**
+ * BoardView Component
+ * Kanban board of todos in columns grouped by workflow status, priority, category
+ * or owner. Dragging a card to another column sets the field that column
+ * stands for; cards the user can't change that field on stay put.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array} props.todos - Owned and shared todos to show, already filtered and sorted
+ * @param {Array} props.categories - The current user's categories
+ * @param {Array} props.statuses - The current user's workflow statuses
+ * @param {string} props.currentUserEmail - Email of the signed-in user
+ * @param {Function} props.onMove - Called with (todo, changes) when a card is dropped on a column
+ * @param {Function} props.onOpen - Called with a todo ID to show it in the list
+ */
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { BOARD_GROUPINGS, getBoardColumns, canMoveCard } from '../utils/board';
+
+const PRIORITY_COLORS = {
+  high: '#DC2626',
+  medium: '#F59E0B',
+  low: '#10B981'
+};
+
+function BoardView({ todos, categories, statuses, currentUserEmail, onMove, onOpen }) {
+  const [groupBy, setGroupBy] = useState('status');
+  const [dragging, setDragging] = useState(null); // { todo, columnId }
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const columns = getBoardColumns(todos, groupBy, { categories, statuses, currentUserEmail });
+
+  const canDropOn = (column) => !!dragging && column.droppable && column.id !== dragging.columnId;
+
+  const handleDragEnd = () => {
+    setDragging(null);
+    setDropTarget(null);
+  };
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric'
+  });
+
+  const renderCard = (todo, column) => {
+    const movable = canMoveCard(todo, groupBy);
+    const doneSubtasks = (todo.subtasks || []).filter(subtask => subtask.completed).length;
+
+    return (
+      <div
+        key={todo.id}
+        draggable={movable}
+        onDragStart={(e) => {
+          e.dataTransfer.setData('text/plain', todo.id);
+          e.dataTransfer.effectAllowed = 'move';
+          setDragging({ todo, columnId: column.id });
+        }}
+        onDragEnd={handleDragEnd}
+        onClick={() => onOpen(todo.id)}
+        title={movable ? 'Drag to another column to change it' : undefined}
+        className={`p-3 rounded-xl bg-white/90 text-gray-800 shadow-sm space-y-2 transition-opacity ${
+          movable ? 'cursor-grab active:cursor-grabbing' : 'cursor-pointer'
+        } ${dragging?.todo.id === todo.id ? 'opacity-40' : ''}`}
+      >
+        <p className={`text-sm font-medium break-words ${todo.completed ? 'line-through text-gray-400' : ''}`}>
+          {todo.title}
+        </p>
+        <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+          {groupBy !== 'priority' && todo.priority && (
+            <span className="flex items-center gap-1">
+              <span className="w-2 h-2 rounded-full" style={{ backgroundColor: PRIORITY_COLORS[todo.priority] }} />
+              {todo.priority}
+            </span>
+          )}
+          {todo.due_date && <span>{formatDate(todo.due_date)}</span>}
+          {todo.subtasks?.length > 0 && <span>{doneSubtasks}/{todo.subtasks.length}</span>}
+          {todo.isShared && (
+            <span className={todo.permission === 'view' ? 'text-gray-400' : 'text-blue-500'}>
+              {todo.permission === 'view' ? 'View only' : 'Shared'}
+            </span>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+      className="space-y-4"
+    >
+      {/* Grouping switcher */}
+      <div className="flex items-center gap-3 text-white">
+        <span className="text-sm text-white/90">Group by:</span>
+        <div className="bg-white/10 backdrop-blur-lg rounded-full p-1 flex">
+          {BOARD_GROUPINGS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setGroupBy(option.id)}
+              className={`px-4 py-1 rounded-full text-sm font-medium transition-all duration-200 ${
+                groupBy === option.id ? 'bg-white text-blue-600' : 'text-white/90'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex gap-3 overflow-x-auto pb-2">
+        {columns.map(column => (
+          <div
+            key={column.id}
+            onDragOver={(e) => {
+              if (!canDropOn(column)) return;
+              e.preventDefault();
+              e.dataTransfer.dropEffect = 'move';
+              if (dropTarget !== column.id) setDropTarget(column.id);
+            }}
+            onDragLeave={(e) => {
+              if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(null);
+            }}
+            onDrop={(e) => {
+              e.preventDefault();
+              if (canDropOn(column)) onMove(dragging.todo, column.changes);
+              handleDragEnd();
+            }}
+            className={`w-60 flex-shrink-0 p-2 rounded-2xl bg-white/10 backdrop-blur-lg space-y-2 transition-colors ${
+              dropTarget === column.id ? 'ring-2 ring-white bg-white/30' : ''
+            } ${dragging && !column.droppable ? 'opacity-60' : ''}`}
+          >
+            <div className="flex items-center gap-2 px-1 text-white">
+              <span className="w-2.5 h-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: column.color }} />
+              {column.icon && <span>{column.icon}</span>}
+              <span className="flex-1 min-w-0 truncate text-sm font-semibold">{column.title}</span>
+              <span className="text-xs opacity-70">{column.todos.length}</span>
+            </div>
+            {column.todos.map(todo => renderCard(todo, column))}
+            {column.todos.length === 0 && (
+              <p className="px-1 py-4 text-center text-xs text-white/60">No tasks</p>
+            )}
+          </div>
+        ))}
+      </div>
+    </motion.div>
+  );
+}
+
+export default BoardView;
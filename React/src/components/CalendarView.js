@@ -0,0 +1,280 @@
+/**
+ * CalendarView Component
+ * Month, week and day views of todos placed on their due dates, with an
+ * "Unscheduled" tray for todos without one. Todos the user can edit can be
+ * dragged to another day (or into the tray to clear the date) to reschedule.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array} props.todos - Owned and shared todos to show, already filtered
+ * @param {Function} props.onReschedule - Called with (todo, dueDate), dueDate null to unschedule
+ * @param {Function} props.onOpen - Called with a todo ID to show it in the list
+ */
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import {
+  CALENDAR_VIEWS,
+  getDateKey,
+  getTodayKey,
+  getMonthGrid,
+  getVisibleDays,
+  shiftAnchor,
+  isSameMonth,
+  groupTodosByDay,
+  rescheduleDueDate,
+  formatViewTitle
+} from '../utils/calendar';
+import { WEEKDAY_LABELS } from '../utils/recurrence';
+
+// Todos shown in a month cell before it collapses into "+N more"
+const MAX_MONTH_CHIPS = 3;
+
+const PRIORITY_COLORS = {
+  high: '#DC2626',
+  medium: '#F59E0B',
+  low: '#10B981'
+};
+
+// View-only shared todos can't be moved, same rule as editing them
+const canReschedule = (todo) => !(todo.isShared && todo.permission === 'view');
+
+function CalendarView({ todos, onReschedule, onOpen }) {
+  const todayKey = getTodayKey();
+  const [view, setView] = useState('month');
+  const [anchorKey, setAnchorKey] = useState(todayKey);
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const { byDay, unscheduled } = groupTodosByDay(todos);
+  const draggingTodo = todos.find(todo => todo.id === draggingId);
+
+  const handleDragStart = (e, todo) => {
+    e.dataTransfer.setData('text/plain', todo.id);
+    e.dataTransfer.effectAllowed = 'move';
+    setDraggingId(todo.id);
+  };
+
+  const handleDragEnd = () => {
+    setDraggingId(null);
+    setDropTarget(null);
+  };
+
+  // Recurring todos need a date to repeat from, so they can't go in the tray
+  const canDropOn = (target) => !!draggingTodo &&
+    (target === 'unscheduled' ? !!draggingTodo.due_date && !draggingTodo.recurrence : target !== getDateKey(draggingTodo.due_date));
+
+  const dropProps = (target) => ({
+    onDragOver: (e) => {
+      if (!canDropOn(target)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      if (dropTarget !== target) setDropTarget(target);
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(null);
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      if (canDropOn(target)) {
+        onReschedule(draggingTodo, target === 'unscheduled' ? null : rescheduleDueDate(draggingTodo.due_date, target));
+      }
+      handleDragEnd();
+    }
+  });
+
+  const dropHighlight = (target) => dropTarget === target ? 'ring-2 ring-white bg-white/30' : '';
+
+  const renderChip = (todo, expanded = false) => {
+    const movable = canReschedule(todo);
+    return (
+      <div
+        key={todo.id}
+        draggable={movable}
+        onDragStart={(e) => handleDragStart(e, todo)}
+        onDragEnd={handleDragEnd}
+        onClick={() => onOpen(todo.id)}
+        title={movable ? `${todo.title} – drag to reschedule` : `${todo.title} (view only)`}
+        className={`flex items-center gap-1.5 px-2 py-1 rounded-lg bg-white/90 text-gray-800 text-xs shadow-sm transition-opacity ${
+          movable ? 'cursor-grab active:cursor-grabbing' : 'cursor-pointer'
+        } ${draggingId === todo.id ? 'opacity-40' : ''}`}
+      >
+        <span
+          className="w-2 h-2 rounded-full flex-shrink-0"
+          style={{ backgroundColor: PRIORITY_COLORS[todo.priority] || '#6B7280' }}
+        />
+        <span className={`flex-1 min-w-0 truncate ${todo.completed ? 'line-through text-gray-400' : ''}`}>
+          {todo.title}
+        </span>
+        {todo.isShared && (
+          <svg className="w-3 h-3 flex-shrink-0 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <title>Shared</title>
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0z" />
+          </svg>
+        )}
+        {expanded && todo.recurrence && (
+          <svg className="w-3 h-3 flex-shrink-0 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <title>Repeats</title>
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+          </svg>
+        )}
+      </div>
+    );
+  };
+
+  const renderDayNumber = (key) => (
+    <button
+      onClick={() => {
+        setView('day');
+        setAnchorKey(key);
+      }}
+      className={`w-6 h-6 rounded-full text-xs font-medium flex items-center justify-center ${
+        key === todayKey ? 'bg-white text-blue-600' : 'hover:bg-white/20'
+      }`}
+      title="Open day"
+    >
+      {Number(key.slice(8))}
+    </button>
+  );
+
+  const renderMonth = () => (
+    <div className="grid grid-cols-7 gap-1">
+      {WEEKDAY_LABELS.map(label => (
+        <div key={label} className="text-center text-xs font-semibold uppercase tracking-wide text-white/60 pb-1">
+          {label}
+        </div>
+      ))}
+      {getMonthGrid(anchorKey).flat().map(key => {
+        const dayTodos = byDay[key] || [];
+        return (
+          <div
+            key={key}
+            {...dropProps(key)}
+            className={`min-h-[6rem] p-1 rounded-xl bg-white/10 space-y-1 transition-colors ${
+              isSameMonth(key, anchorKey) ? 'text-white' : 'text-white/40'
+            } ${dropHighlight(key)}`}
+          >
+            {renderDayNumber(key)}
+            {dayTodos.slice(0, MAX_MONTH_CHIPS).map(todo => renderChip(todo))}
+            {dayTodos.length > MAX_MONTH_CHIPS && (
+              <button
+                onClick={() => {
+                  setView('day');
+                  setAnchorKey(key);
+                }}
+                className="w-full text-left px-2 text-xs text-white/80 hover:text-white"
+              >
+                +{dayTodos.length - MAX_MONTH_CHIPS} more
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  const renderColumns = () => {
+    const days = getVisibleDays(view, anchorKey);
+    return (
+      <div className={`grid gap-2 ${view === 'week' ? 'grid-cols-7' : 'grid-cols-1'}`}>
+        {days.map(key => {
+          const dayTodos = byDay[key] || [];
+          return (
+            <div
+              key={key}
+              {...dropProps(key)}
+              className={`min-h-[16rem] p-2 rounded-xl bg-white/10 text-white space-y-1 transition-colors ${dropHighlight(key)}`}
+            >
+              <div className="flex items-center gap-1 pb-1">
+                {view === 'week' && (
+                  <span className="text-xs font-semibold uppercase tracking-wide text-white/60">
+                    {WEEKDAY_LABELS[days.indexOf(key)]}
+                  </span>
+                )}
+                {view === 'week' && renderDayNumber(key)}
+              </div>
+              {dayTodos.length === 0 && view === 'day' && (
+                <p className="text-sm text-white/60 text-center py-8">Nothing due this day</p>
+              )}
+              {dayTodos.map(todo => renderChip(todo, view === 'day'))}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+      className="space-y-4"
+    >
+      {/* Navigation and view switcher */}
+      <div className="flex flex-wrap items-center justify-between gap-3 text-white">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setAnchorKey(shiftAnchor(view, anchorKey, -1))}
+            className="p-1.5 rounded-full bg-white/10 hover:bg-white/20 transition-colors"
+            title="Previous"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 19l-7-7 7-7" />
+            </svg>
+          </button>
+          <button
+            onClick={() => setAnchorKey(todayKey)}
+            className="px-3 py-1 rounded-full bg-white/10 hover:bg-white/20 text-sm font-medium transition-colors"
+          >
+            Today
+          </button>
+          <button
+            onClick={() => setAnchorKey(shiftAnchor(view, anchorKey, 1))}
+            className="p-1.5 rounded-full bg-white/10 hover:bg-white/20 transition-colors"
+            title="Next"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+            </svg>
+          </button>
+          <h2 className="ml-2 text-lg font-semibold">{formatViewTitle(view, anchorKey)}</h2>
+        </div>
+
+        <div className="bg-white/10 backdrop-blur-lg rounded-full p-1 flex">
+          {CALENDAR_VIEWS.map(option => (
+            <button
+              key={option}
+              onClick={() => setView(option)}
+              className={`px-4 py-1 rounded-full text-sm font-medium capitalize transition-all duration-200 ${
+                view === option ? 'bg-white text-blue-600' : 'text-white/90'
+              }`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {view === 'month' ? renderMonth() : renderColumns()}
+
+      {/* Todos without a due date */}
+      <div
+        {...dropProps('unscheduled')}
+        className={`p-3 rounded-2xl bg-white/10 backdrop-blur-lg transition-colors ${dropHighlight('unscheduled')}`}
+      >
+        <p className="pb-2 text-xs font-semibold uppercase tracking-wide text-white/60">
+          Unscheduled{unscheduled.length > 0 && ` · ${unscheduled.length}`}
+        </p>
+        {unscheduled.length > 0 ? (
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-1">
+            {unscheduled.map(todo => renderChip(todo))}
+          </div>
+        ) : (
+          <p className="text-sm text-white/60">Drag a todo here to clear its due date</p>
+        )}
+      </div>
+    </motion.div>
+  );
+}
+
+export default CalendarView;
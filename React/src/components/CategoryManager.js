@@ -0,0 +1,166 @@
+/**
+ * CategoryManager Component
+ * Modal for creating, renaming, recolouring and deleting the user's categories.
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is visible
+ * @param {Function} props.onClose - Closes the modal
+ * @param {Array} props.categories - The user's categories
+ * @param {Function} props.onCreate - Called with { name, color, icon }
+ * @param {Function} props.onUpdate - Called with (categoryId, changes)
+ * @param {Function} props.onDelete - Called with the category ID
+ */
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { CATEGORY_ICONS } from '../utils/categories';
+
+function CategoryManager({ isOpen, onClose, categories, onCreate, onUpdate, onDelete }) {
+  const [name, setName] = useState('');
+  const [color, setColor] = useState('#3B82F6');
+  const [icon, setIcon] = useState(CATEGORY_ICONS[0]);
+  const [error, setError] = useState('');
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!name.trim()) return;
+    if (categories.some(category => category.name.toLowerCase() === name.trim().toLowerCase())) {
+      setError('A category with that name already exists.');
+      return;
+    }
+
+    try {
+      await onCreate({ name: name.trim(), color, icon });
+      setName('');
+    } catch (err) {
+      setError('Failed to create category. Please try again.');
+    }
+  };
+
+  const handleDelete = (category) => {
+    if (window.confirm(`Delete the "${category.name}" category? Its todos keep their label but lose the colour and icon.`)) {
+      onDelete(category.id);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            className="bg-white rounded-lg p-6 w-full max-w-lg max-h-[80vh] overflow-y-auto"
+            onClick={e => e.stopPropagation()}
+          >
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-2xl font-semibold text-gray-800">Categories</h2>
+              <button
+                onClick={onClose}
+                className="text-gray-500 hover:text-gray-700"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            <div className="space-y-2 mb-6">
+              {categories.length === 0 ? (
+                <div className="text-center text-gray-500 py-4">No categories yet</div>
+              ) : (
+                categories.map(category => (
+                  <div key={category.id} className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg">
+                    <select
+                      value={category.icon || ''}
+                      onChange={(e) => onUpdate(category.id, { icon: e.target.value })}
+                      className="bg-transparent text-lg focus:outline-none cursor-pointer"
+                    >
+                      {!CATEGORY_ICONS.includes(category.icon) && <option value={category.icon || ''}>{category.icon}</option>}
+                      {CATEGORY_ICONS.map(option => (
+                        <option key={option} value={option}>{option}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="color"
+                      value={category.color}
+                      onChange={(e) => onUpdate(category.id, { color: e.target.value })}
+                      className="w-8 h-8 rounded cursor-pointer border-0 bg-transparent"
+                      title="Category colour"
+                    />
+                    <input
+                      type="text"
+                      defaultValue={category.name}
+                      onBlur={(e) => {
+                        const newName = e.target.value.trim();
+                        if (newName && newName !== category.name) onUpdate(category.id, { name: newName });
+                      }}
+                      className="flex-1 px-3 py-1.5 bg-white border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-1 focus:ring-blue-600"
+                    />
+                    <button
+                      onClick={() => handleDelete(category)}
+                      className="text-red-500 hover:text-red-700"
+                      title="Delete category"
+                    >
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                      </svg>
+                    </button>
+                  </div>
+                ))
+              )}
+            </div>
+
+            <form onSubmit={handleCreate} className="space-y-2">
+              <label className="block text-sm font-medium text-gray-700">New category</label>
+              <div className="flex items-center gap-3">
+                <select
+                  value={icon}
+                  onChange={(e) => setIcon(e.target.value)}
+                  className="bg-transparent text-lg focus:outline-none cursor-pointer"
+                >
+                  {CATEGORY_ICONS.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+                <input
+                  type="color"
+                  value={color}
+                  onChange={(e) => setColor(e.target.value)}
+                  className="w-8 h-8 rounded cursor-pointer border-0 bg-transparent"
+                  title="Category colour"
+                />
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder="Category name"
+                  className="flex-1 px-3 py-1.5 bg-gray-50 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-1 focus:ring-blue-600"
+                />
+                <button
+                  type="submit"
+                  disabled={!name.trim()}
+                  className="px-4 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Add
+                </button>
+              </div>
+              {error && <p className="text-sm text-red-500">{error}</p>}
+            </form>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default CategoryManager;
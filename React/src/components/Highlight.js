@@ -0,0 +1,27 @@
+/**
+ * Highlight Component
+ * Renders text with the parts matching the search terms marked.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.text - Text to show
+ * @param {Array<string>} props.terms - Search terms from parseSearchQuery
+ */
+import React from 'react';
+import { splitHighlights } from '../utils/search';
+
+function Highlight({ text, terms = [] }) {
+  if (terms.length === 0) return text || null;
+
+  return (
+    <>
+      {splitHighlights(text, terms).map((part, index) => (
+        part.match
+          ? <mark key={index} className="bg-yellow-200 text-inherit rounded px-0.5">{part.text}</mark>
+          : <React.Fragment key={index}>{part.text}</React.Fragment>
+      ))}
+    </>
+  );
+}
+
+export default Highlight;
@@ -0,0 +1,182 @@
+/**
+ * InboxTriage Component
+ * Modal for "Triage my inbox": asks the AI for a category, priority and due
+ * date for the user's uncategorized todos, then lets them accept or dismiss
+ * each proposal, or all of a todo's at once. Shows how often triage
+ * suggestions have been accepted so far.
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is visible
+ * @param {Function} props.onClose - Closes the modal
+ * @param {Array} props.todos - The uncategorized todos (see getUntriagedTodos)
+ * @param {Array} props.categories - The user's categories
+ * @param {Function} props.onApply - Called with (todoId, changes) for accepted proposals
+ * @param {Function} props.onDecisions - Called with the decisions to record
+ * @param {Object} props.stats - Acceptance so far, from summarizeDecisions
+ */
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import TriageProposals from './TriageProposals';
+import { triageTodos } from '../services/openaiService';
+import { getTriageValues, getTriageProposals, getTriageChanges, toTriageDecision } from '../utils/aiTriage';
+
+// Todos sent to the AI at once, to keep replies short enough to finish
+const INBOX_TRIAGE_BATCH_SIZE = 15;
+
+function InboxTriage({ isOpen, onClose, todos, categories, onApply, onDecisions, stats }) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null); // Typed error (see openaiService) from the last request
+  const [batch, setBatch] = useState([]); // { todo, proposals } for the todos suggested for
+  const [suggested, setSuggested] = useState(false); // Whether suggestions were asked for since opening
+
+  // Start over each time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setBatch([]);
+      setError(null);
+      setSuggested(false);
+    }
+  }, [isOpen]);
+
+  const handleSuggest = async () => {
+    const selected = todos.slice(0, INBOX_TRIAGE_BATCH_SIZE);
+    setLoading(true);
+    setError(null);
+
+    const today = new Date().toLocaleDateString('en-CA') + ', ' + new Date().toLocaleDateString('en-US', { weekday: 'long' });
+    const result = await triageTodos(selected.map(todo => ({
+      id: todo.id,
+      title: todo.title,
+      description: todo.description,
+      ...getTriageValues(todo, categories),
+      aiContent: todo.aiContent
+    })), { categories, today });
+
+    const suggestions = result.content || [];
+    setBatch(selected
+      .map(todo => ({
+        todo,
+        proposals: getTriageProposals(suggestions.find(s => s.id === todo.id), getTriageValues(todo, categories))
+      }))
+      .filter(entry => entry.proposals.length > 0));
+    setError(result.ok ? null : result.error);
+    setSuggested(true);
+    setLoading(false);
+  };
+
+  // Apply the accepted proposals as one edit, record every decision, and
+  // drop them from the list
+  const resolve = (todoId, accepted, dismissed) => {
+    // A new due date keeps the todo's time, as it is now if it's still untriaged
+    const todo = todos.find(t => t.id === todoId) || batch.find(entry => entry.todo.id === todoId)?.todo;
+    const changes = accepted.reduce((all, proposal) => ({ ...all, ...getTriageChanges(proposal, categories, todo) }), {});
+    if (Object.keys(changes).length > 0) onApply(todoId, changes);
+    onDecisions([
+      ...accepted.map(proposal => toTriageDecision(proposal, true, todoId)),
+      ...dismissed.map(proposal => toTriageDecision(proposal, false, todoId))
+    ]);
+
+    const resolved = [...accepted, ...dismissed].map(proposal => proposal.field);
+    setBatch(prev => prev
+      .map(entry => (entry.todo.id === todoId
+        ? { ...entry, proposals: entry.proposals.filter(proposal => !resolved.includes(proposal.field)) }
+        : entry))
+      .filter(entry => entry.proposals.length > 0));
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[80vh] overflow-y-auto"
+            onClick={e => e.stopPropagation()}
+          >
+            <div className="flex justify-between items-center mb-2">
+              <h2 className="text-2xl font-semibold text-gray-800">Triage my inbox</h2>
+              <button
+                onClick={onClose}
+                className="text-gray-500 hover:text-gray-700"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            <p className="text-sm text-gray-500 mb-4">
+              {stats?.total > 0
+                ? `You've accepted ${stats.accepted} of ${stats.total} triage suggestions (${Math.round(stats.rate * 100)}%).`
+                : 'Suggestions you accept or dismiss are counted, to see how useful triage is.'}
+            </p>
+
+            <div className="flex items-center justify-between gap-4 mb-4">
+              <p className="text-sm text-gray-700">
+                {todos.length === 0
+                  ? 'Every open todo has a category.'
+                  : `${todos.length} open todo${todos.length === 1 ? '' : 's'} without a category${
+                    todos.length > INBOX_TRIAGE_BATCH_SIZE ? `; the first ${INBOX_TRIAGE_BATCH_SIZE} are triaged at a time` : ''}.`}
+              </p>
+              <button
+                type="button"
+                onClick={handleSuggest}
+                disabled={loading || todos.length === 0}
+                className="flex-shrink-0 px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Suggesting…' : batch.length > 0 ? 'Suggest again' : 'Suggest'}
+              </button>
+            </div>
+
+            {error && (
+              <p role="alert" className="mb-4 px-3 py-2 rounded-lg text-sm bg-red-50 text-red-700">
+                {error.message}
+                {batch.length > 0 && ' Showing the suggestions that arrived.'}
+              </p>
+            )}
+
+            {suggested && !loading && !error && batch.length === 0 && (
+              <p className="text-sm text-gray-500">No suggestions left to review.</p>
+            )}
+
+            <div className="space-y-4">
+              {batch.map(({ todo, proposals }) => (
+                <div key={todo.id} className="p-3 bg-gray-50 rounded-lg space-y-2">
+                  <div className="flex items-center justify-between gap-2">
+                    <h3 className="font-medium text-gray-900 truncate">{todo.title}</h3>
+                    {proposals.length > 1 && (
+                      <div className="flex-shrink-0 flex gap-3 text-sm">
+                        <button type="button" onClick={() => resolve(todo.id, proposals, [])} className="text-blue-600 hover:text-blue-800">
+                          Accept all
+                        </button>
+                        <button type="button" onClick={() => resolve(todo.id, [], proposals)} className="text-gray-500 hover:text-gray-700">
+                          Dismiss all
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                  <TriageProposals
+                    proposals={proposals}
+                    onAccept={(proposal) => resolve(todo.id, [proposal], [])}
+                    onDismiss={(proposal) => resolve(todo.id, [], [proposal])}
+                  />
+                </div>
+              ))}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default InboxTriage;
@@ -1,11 +1,15 @@
 import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { handleInvitationResponse } from '../supabase';
+import { useToast } from './ToastProvider';
 
 function InvitationsModal({ isOpen, onClose, invitations, userEmail, onInvitationHandled }) {
+  const toast = useToast();
+
   const handleResponse = async (invitationId, todoId, accept) => {
     try {
       await handleInvitationResponse(userEmail, invitationId, todoId, accept);
+      if (accept) toast.success('Invitation accepted');
       onInvitationHandled();
     } catch (error) {
       console.error('Error handling invitation:', error);
@@ -43,7 +47,12 @@ function InvitationsModal({ isOpen, onClose, invitations, userEmail, onInvitatio
                     className="border border-gray-200 rounded-lg p-4"
                   >
                     <div className="mb-2">
-                      <h3 className="font-medium">{invitation.todo_data.title}</h3>
+                      <h3 className="font-medium">
+                        {invitation.project_id && (
+                          <span className="mr-2 px-2 py-0.5 text-xs font-medium rounded-full bg-blue-100 text-blue-700">Project</span>
+                        )}
+                        {invitation.todo_data.title}
+                      </h3>
                       {invitation.todo_data.description && (
                         <p className="text-sm text-gray-600 mt-1">
                           {invitation.todo_data.description}
@@ -0,0 +1,199 @@
+/**
+ * PlanMyDay Component
+ * Modal for "Plan my day": sends the user's open todos, owned and shared,
+ * to the AI with the hours they have and a start time, and shows the
+ * time-boxed plan it proposes (see utils/dayPlan) to accept or try again.
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is visible
+ * @param {Function} props.onClose - Closes the modal
+ * @param {Array} props.todos - All todos
+ * @param {Function} props.onAccept - Called with the plan from buildDayPlan
+ */
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { planDay } from '../services/openaiService';
+import { DEFAULT_DAY_HOURS, getPlannableTodos, getPlanStartTime, buildDayPlan, getPlannedTodos, formatMinutes } from '../utils/dayPlan';
+import { getTodayKey } from '../utils/calendar';
+
+function PlanMyDay({ isOpen, onClose, todos, onAccept }) {
+  const [hours, setHours] = useState(DEFAULT_DAY_HOURS);
+  const [startTime, setStartTime] = useState(getPlanStartTime());
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null); // Typed error (see openaiService) from the last request
+  const [plan, setPlan] = useState(null); // Proposed plan, from buildDayPlan
+
+  // Start over each time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setStartTime(getPlanStartTime());
+      setPlan(null);
+      setError(null);
+    }
+  }, [isOpen]);
+
+  const plannable = getPlannableTodos(todos);
+  const validHours = hours > 0 && hours <= 24;
+
+  const handlePlan = async () => {
+    setLoading(true);
+    setError(null);
+
+    const today = new Date().toLocaleDateString('en-CA') + ', ' + new Date().toLocaleDateString('en-US', { weekday: 'long' });
+    const result = await planDay(plannable, { hours, startTime, today });
+
+    setPlan(result.content ? buildDayPlan(result.content, { todos: plannable, date: getTodayKey(), startTime, hours }) : null);
+    setError(result.ok ? null : result.error);
+    setLoading(false);
+  };
+
+  const handleAccept = async () => {
+    setSaving(true);
+    try {
+      await onAccept(plan);
+      onClose();
+    } catch (error) {
+      // Already reported; keep the plan so it can be accepted again
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const titleOf = (todoId) => todos.find(todo => todo.id === todoId)?.title;
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[80vh] overflow-y-auto"
+            onClick={e => e.stopPropagation()}
+          >
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-2xl font-semibold text-gray-800">Plan my day</h2>
+              <button
+                onClick={onClose}
+                className="text-gray-500 hover:text-gray-700"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            <div className="flex flex-wrap items-end gap-4 mb-4">
+              <label className="text-sm text-gray-700">
+                Hours available
+                <input
+                  type="number"
+                  min="0.5"
+                  max="24"
+                  step="0.5"
+                  value={hours}
+                  onChange={(e) => setHours(Number(e.target.value))}
+                  className="block w-28 mt-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </label>
+              <label className="text-sm text-gray-700">
+                Starting at
+                <input
+                  type="time"
+                  step="900"
+                  value={startTime}
+                  onChange={(e) => setStartTime(e.target.value)}
+                  className="block mt-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </label>
+              <button
+                type="button"
+                onClick={handlePlan}
+                disabled={loading || saving || !validHours || !startTime || plannable.length === 0}
+                className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Planning…' : plan ? 'Try again' : 'Plan'}
+              </button>
+            </div>
+
+            <p className="text-sm text-gray-500 mb-4">
+              {plannable.length === 0
+                ? 'There are no open todos to plan.'
+                : `The AI picks from your ${plannable.length} most urgent open todo${plannable.length === 1 ? '' : 's'}, including shared ones.`}
+            </p>
+
+            {error && (
+              <p role="alert" className="mb-4 px-3 py-2 rounded-lg text-sm bg-red-50 text-red-700">
+                {error.message}
+              </p>
+            )}
+
+            {plan && (
+              <div className="space-y-4">
+                {plan.summary && <p className="text-gray-700">{plan.summary}</p>}
+
+                {plan.items.length === 0 ? (
+                  <p className="text-sm text-gray-500">Nothing fits in the time you have.</p>
+                ) : (
+                  <ol className="space-y-2">
+                    {getPlannedTodos(plan, todos).map(item => (
+                      <li key={item.todo_id} className="flex gap-3 p-2 bg-gray-50 rounded-lg">
+                        <span className="flex-shrink-0 w-28 text-sm font-medium text-blue-700">
+                          {item.start}–{item.end}
+                        </span>
+                        <div className="min-w-0">
+                          <p className="text-gray-900 truncate">{item.todo.title}</p>
+                          <p className="text-xs text-gray-500">
+                            {formatMinutes(item.minutes)}{item.reason && ` · ${item.reason}`}
+                          </p>
+                        </div>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+
+                {plan.left_out.length > 0 && (
+                  <div className="text-sm text-gray-500">
+                    <p className="font-medium">Didn't fit:</p>
+                    <ul className="list-disc list-inside">
+                      {plan.left_out.map(todoId => <li key={todoId}>{titleOf(todoId)}</li>)}
+                    </ul>
+                  </div>
+                )}
+
+                <div className="flex justify-end gap-3">
+                  <button
+                    type="button"
+                    onClick={onClose}
+                    className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleAccept}
+                    disabled={saving || loading || plan.items.length === 0}
+                    className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {saving ? 'Saving…' : 'Accept plan'}
+                  </button>
+                </div>
+              </div>
+            )}
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default PlanMyDay;
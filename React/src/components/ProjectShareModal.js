@@ -0,0 +1,191 @@
+/**
+ * ProjectShareModal Component
+ * Shares a whole project using the same view/edit permission model as
+ * individual todos. Members see every todo in the project, including
+ * todos added after they joined.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object|null} props.project - The project being shared, null hides the modal
+ * @param {Function} props.onClose - Closes the modal
+ * @param {string} props.currentUserEmail - Email of the project owner
+ */
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  checkUserExists,
+  createProjectInvitation,
+  getProjectMembers,
+  updateProjectMemberPermission,
+  removeProjectMember
+} from '../supabase';
+import { useToast } from './ToastProvider';
+
+function ProjectShareModal({ project, onClose, currentUserEmail }) {
+  const toast = useToast();
+  const [shareEmail, setShareEmail] = useState('');
+  const [sharePermission, setSharePermission] = useState('view');
+  const [shareError, setShareError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [members, setMembers] = useState([]);
+
+  useEffect(() => {
+    if (!project) return;
+
+    setShareEmail('');
+    setShareError('');
+    // Failures are reported by getProjectMembers
+    getProjectMembers(project.id).then(setMembers).catch(() => setMembers([]));
+  }, [project]);
+
+  const handleShare = async (e) => {
+    e.preventDefault();
+    setShareError('');
+
+    if (!shareEmail.trim()) {
+      setShareError('Please enter an email address');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const exists = await checkUserExists(shareEmail);
+      if (!exists) {
+        setShareError('That email address is invalid.');
+        return;
+      }
+
+      await createProjectInvitation(project, currentUserEmail, shareEmail, sharePermission);
+      toast.success(`Invitation sent to ${shareEmail}`);
+      setShareEmail('');
+    } catch (error) {
+      // createProjectInvitation has already told the user
+      console.error('Error sharing project:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handlePermissionChange = async (member, permission) => {
+    try {
+      await updateProjectMemberPermission(member.id, permission);
+      setMembers(prev => prev.map(m => (m.id === member.id ? { ...m, permission } : m)));
+    } catch (error) {
+      console.error('Error updating project permission:', error);
+    }
+  };
+
+  const handleRemove = async (member) => {
+    try {
+      await removeProjectMember(member.id);
+      setMembers(prev => prev.filter(m => m.id !== member.id));
+    } catch (error) {
+      console.error('Error removing project member:', error);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {project && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 backdrop-blur-sm flex items-center justify-center z-50"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            className="bg-white rounded-lg p-6 w-full max-w-md"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <h3 className="text-lg font-medium text-gray-900 mb-1">Share "{project.name}"</h3>
+            <p className="text-sm text-gray-500 mb-4">Members can see every todo in this project, including new ones.</p>
+
+            <form onSubmit={handleShare} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Email Address
+                </label>
+                <input
+                  type="email"
+                  value={shareEmail}
+                  onChange={(e) => setShareEmail(e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+                  placeholder="Enter email address"
+                />
+                {shareError && <p className="mt-1 text-sm text-red-500">{shareError}</p>}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Permission
+                </label>
+                <select
+                  value={sharePermission}
+                  onChange={(e) => setSharePermission(e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-600"
+                >
+                  <option value="view">View Only</option>
+                  <option value="edit">Can Edit</option>
+                </select>
+              </div>
+
+              <div className="flex justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800"
+                >
+                  Close
+                </button>
+                <button
+                  type="submit"
+                  disabled={isLoading}
+                  className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {isLoading ? 'Sharing...' : 'Share'}
+                </button>
+              </div>
+            </form>
+
+            {members.length > 0 && (
+              <div className="mt-6 space-y-2">
+                <h4 className="text-sm font-medium text-gray-700">Members ({members.length})</h4>
+                {members.map(member => (
+                  <div key={member.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                    <span className="text-sm text-gray-900 truncate">{member.recipient_email}</span>
+                    <div className="flex items-center gap-2">
+                      <select
+                        value={member.permission}
+                        onChange={(e) => handlePermissionChange(member, e.target.value)}
+                        className="text-sm border border-gray-200 rounded px-2 py-1"
+                      >
+                        <option value="view">View</option>
+                        <option value="edit">Edit</option>
+                      </select>
+                      <button
+                        type="button"
+                        onClick={() => handleRemove(member)}
+                        className="text-red-500 hover:text-red-700"
+                        title="Remove member"
+                      >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default ProjectShareModal;
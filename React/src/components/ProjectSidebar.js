@@ -0,0 +1,237 @@
+/**
+ * ProjectSidebar Component
+ * Navigation between "All Tasks", the inbox (todos without a project),
+ * the user's own and shared projects, and their smart views (saved filters,
+ * which apply on top of the selected project).
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array} props.projects - Projects the user owns or is a member of
+ * @param {string} props.activeProjectId - 'all', 'inbox' or a project ID
+ * @param {Function} props.setActiveProjectId - Selects a project
+ * @param {Object} props.todoCounts - Pending todo counts keyed by 'all', 'inbox' and project ID
+ * @param {Function} props.onCreate - Called with { name, color }
+ * @param {Function} props.onRename - Called with (projectId, name)
+ * @param {Function} props.onDelete - Called with the project ID (owners)
+ * @param {Function} props.onLeave - Called with the project (members)
+ * @param {Function} props.onShare - Called with the project to open the share modal
+ * @param {Array} props.smartViews - The user's smart views
+ * @param {string|null} props.activeSmartViewId - Smart view whose filters are applied
+ * @param {Object} props.smartViewCounts - Matching todo counts keyed by smart view ID
+ * @param {Function} props.onSelectSmartView - Called with the smart view to apply
+ * @param {Function} props.onNewSmartView - Opens the editor for a view of the current filters
+ * @param {Function} props.onEditSmartView - Called with the smart view to edit
+ * @param {Function} props.onDeleteSmartView - Called with the smart view ID
+ */
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+
+const PROJECT_COLORS = ['#3B82F6', '#8B5CF6', '#EC4899', '#F59E0B', '#10B981', '#EF4444'];
+
+function ProjectSidebar({
+  projects,
+  activeProjectId,
+  setActiveProjectId,
+  todoCounts,
+  onCreate,
+  onRename,
+  onDelete,
+  onLeave,
+  onShare,
+  smartViews = [],
+  activeSmartViewId = null,
+  smartViewCounts = {},
+  onSelectSmartView,
+  onNewSmartView,
+  onEditSmartView,
+  onDeleteSmartView
+}) {
+  const [newName, setNewName] = useState('');
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+
+  const ownedProjects = projects.filter(project => project.isOwner);
+  const sharedProjects = projects.filter(project => !project.isOwner);
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    onCreate({
+      name: newName.trim(),
+      color: PROJECT_COLORS[ownedProjects.length % PROJECT_COLORS.length]
+    });
+    setNewName('');
+  };
+
+  const submitRename = (project) => {
+    if (renameValue.trim() && renameValue.trim() !== project.name) {
+      onRename(project.id, renameValue.trim());
+    }
+    setRenamingId(null);
+  };
+
+  const renderItem = (id, label, color, count, extra = null) => (
+    <div
+      key={id}
+      className={`group flex items-center gap-2 px-3 py-2 rounded-xl cursor-pointer transition-all duration-200 ${
+        activeProjectId === id ? 'bg-white text-blue-600' : 'text-white/90 hover:bg-white/10'
+      }`}
+      onClick={() => setActiveProjectId(id)}
+    >
+      {color && <span className="w-2.5 h-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: color }} />}
+      <span className="flex-1 min-w-0 truncate text-sm font-medium">{label}</span>
+      {extra}
+      {count > 0 && <span className="text-xs opacity-70">{count}</span>}
+    </div>
+  );
+
+  const renderProject = (project) => {
+    if (renamingId === project.id) {
+      return (
+        <input
+          key={project.id}
+          autoFocus
+          value={renameValue}
+          onChange={(e) => setRenameValue(e.target.value)}
+          onBlur={() => submitRename(project)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') submitRename(project);
+            if (e.key === 'Escape') setRenamingId(null);
+          }}
+          className="w-full px-3 py-2 rounded-xl bg-white text-gray-800 text-sm focus:outline-none"
+        />
+      );
+    }
+
+    const actions = (
+      <div className="hidden group-hover:flex items-center gap-1" onClick={(e) => e.stopPropagation()}>
+        {project.isOwner ? (
+          <>
+            <button onClick={() => onShare(project)} className="p-0.5 opacity-70 hover:opacity-100" title="Share project">
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M18 9v3m0 0v3m0-3h3m-3 0h-3m-2-5a4 4 0 11-8 0 4 4 0 018 0zM3 20a6 6 0 0112 0v1H3v-1z" />
+              </svg>
+            </button>
+            <button
+              onClick={() => {
+                setRenamingId(project.id);
+                setRenameValue(project.name);
+              }}
+              className="p-0.5 opacity-70 hover:opacity-100"
+              title="Rename project"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+              </svg>
+            </button>
+            <button
+              onClick={() => {
+                if (window.confirm(`Delete "${project.name}"? Its todos will move back to your inbox.`)) {
+                  onDelete(project.id);
+                }
+              }}
+              className="p-0.5 opacity-70 hover:opacity-100"
+              title="Delete project"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </>
+        ) : (
+          <button
+            onClick={() => {
+              if (window.confirm(`Leave "${project.name}"?`)) onLeave(project);
+            }}
+            className="p-0.5 opacity-70 hover:opacity-100"
+            title="Leave project"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+            </svg>
+          </button>
+        )}
+      </div>
+    );
+
+    return renderItem(project.id, project.name, project.color, todoCounts[project.id] || 0, actions);
+  };
+
+  const renderSmartView = (view) => (
+    <div
+      key={view.id}
+      className={`group flex items-center gap-2 px-3 py-2 rounded-xl cursor-pointer transition-all duration-200 ${
+        activeSmartViewId === view.id ? 'bg-white text-blue-600' : 'text-white/90 hover:bg-white/10'
+      }`}
+      onClick={() => onSelectSmartView(view)}
+    >
+      <svg className="w-3.5 h-3.5 flex-shrink-0 opacity-80" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 4a1 1 0 011-1h16a1 1 0 011 1v2.586a1 1 0 01-.293.707l-6.414 6.414a1 1 0 00-.293.707V17l-4 4v-6.586a1 1 0 00-.293-.707L3.293 7.293A1 1 0 013 6.586V4z" />
+      </svg>
+      <span className="flex-1 min-w-0 truncate text-sm font-medium">{view.name}</span>
+      <div className="hidden group-hover:flex items-center gap-1" onClick={(e) => e.stopPropagation()}>
+        <button onClick={() => onEditSmartView(view)} className="p-0.5 opacity-70 hover:opacity-100" title="Edit smart view">
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+          </svg>
+        </button>
+        <button
+          onClick={() => {
+            if (window.confirm(`Delete the "${view.name}" smart view?`)) onDeleteSmartView(view.id);
+          }}
+          className="p-0.5 opacity-70 hover:opacity-100"
+          title="Delete smart view"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+      {smartViewCounts[view.id] > 0 && <span className="text-xs opacity-70">{smartViewCounts[view.id]}</span>}
+    </div>
+  );
+
+  return (
+    <motion.aside
+      initial={{ opacity: 0, x: -20 }}
+      animate={{ opacity: 1, x: 0 }}
+      transition={{ duration: 0.3 }}
+      className="bg-white/10 backdrop-blur-lg rounded-2xl p-3 space-y-1"
+    >
+      {renderItem('all', 'All Tasks', null, todoCounts.all || 0)}
+      {renderItem('inbox', 'Inbox', null, todoCounts.inbox || 0)}
+
+      <p className="px-3 pt-4 pb-1 text-xs font-semibold uppercase tracking-wide text-white/60">Projects</p>
+      {ownedProjects.map(renderProject)}
+
+      <form onSubmit={handleCreate} className="px-1 pt-1">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="+ New project"
+          className="w-full px-2 py-1.5 bg-transparent text-white placeholder-white/60 text-sm focus:outline-none focus:bg-white/10 rounded-lg"
+        />
+      </form>
+
+      {sharedProjects.length > 0 && (
+        <>
+          <p className="px-3 pt-4 pb-1 text-xs font-semibold uppercase tracking-wide text-white/60">Shared with me</p>
+          {sharedProjects.map(renderProject)}
+        </>
+      )}
+
+      <p className="px-3 pt-4 pb-1 text-xs font-semibold uppercase tracking-wide text-white/60">Smart views</p>
+      {smartViews.map(renderSmartView)}
+      <button
+        onClick={onNewSmartView}
+        className="w-full text-left px-3 py-1.5 text-sm text-white/60 hover:text-white hover:bg-white/10 rounded-lg"
+        title="Save the current filters as a smart view"
+      >
+        + New smart view
+      </button>
+    </motion.aside>
+  );
+}
+
+export default ProjectSidebar;
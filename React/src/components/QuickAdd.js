@@ -0,0 +1,131 @@
+/**
+ * QuickAdd Component
+ * One-line task entry. Typing "Pay rent tomorrow 9am #personal !high every
+ * month" shows the parsed due date, category, tags, priority and recurrence
+ * as you type; Enter adds the task. When the phrasing is ambiguous, the AI
+ * can be asked to read it instead.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array} props.categories - The user's categories, matched by #name
+ * @param {Function} props.onAdd - Called with the parsed fields (see utils/quickAdd)
+ * @param {boolean} props.isOnline - Whether the AI parser can be reached
+ */
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { parseQuickAdd, fromAIParse } from '../utils/quickAdd';
+import { describeRecurrence } from '../utils/recurrence';
+import { parseTaskText } from '../services/openaiService';
+
+const PRIORITY_STYLES = {
+  high: 'bg-red-100 text-red-700',
+  medium: 'bg-yellow-100 text-yellow-700',
+  low: 'bg-green-100 text-green-700'
+};
+
+const formatDueDate = (dueDate, hasTime) =>
+  new Date(dueDate).toLocaleString('en-US', {
+    timeZone: 'UTC',
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    ...(hasTime ? { hour: 'numeric', minute: '2-digit' } : {})
+  });
+
+function QuickAdd({ categories, onAdd, isOnline }) {
+  const [text, setText] = useState('');
+  const [aiParse, setAiParse] = useState(null); // AI reading of `aiParse.text`
+  const [isAsking, setIsAsking] = useState(false);
+
+  const localParse = parseQuickAdd(text, { categories });
+  // The AI's reading only applies to the exact text it was given
+  const parsed = aiParse?.text === text ? aiParse.result : localParse;
+
+  const askAI = async () => {
+    setIsAsking(true);
+    const asked = text;
+    const today = new Date().toLocaleDateString('en-CA') + ', ' + new Date().toLocaleDateString('en-US', { weekday: 'long' });
+    const result = await parseTaskText(asked, { categories, today });
+    setIsAsking(false);
+    if (result) setAiParse({ text: asked, result: fromAIParse(result, parseQuickAdd(asked, { categories }), categories) });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!parsed.title) return;
+    onAdd(parsed);
+    setText('');
+    setAiParse(null);
+  };
+
+  const chips = [
+    parsed.dueDate && { key: 'due', label: `📅 ${formatDueDate(parsed.dueDate, parsed.hasTime)}`, style: 'bg-blue-100 text-blue-700' },
+    parsed.category && { key: 'category', label: parsed.category, style: 'bg-purple-100 text-purple-700' },
+    ...parsed.tags.map(tag => ({ key: `tag-${tag}`, label: `#${tag}`, style: 'bg-gray-100 text-gray-700' })),
+    parsed.priority && { key: 'priority', label: `${parsed.priority} priority`, style: `${PRIORITY_STYLES[parsed.priority]} capitalize` },
+    parsed.recurrence && { key: 'recurrence', label: `🔁 ${describeRecurrence(parsed.recurrence)}`, style: 'bg-teal-100 text-teal-700' }
+  ].filter(Boolean);
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-3">
+      <div className="bg-white/10 backdrop-blur-lg rounded-xl px-4 py-2.5 flex items-center gap-2">
+        <svg className="w-5 h-5 flex-shrink-0 text-white/80" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M13 10V3L4 14h7v7l9-11h-7z" />
+        </svg>
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') setText('');
+          }}
+          placeholder="Quick add: Pay rent tomorrow 9am #personal !high every month"
+          aria-label="Quick add a task"
+          className="flex-1 min-w-0 bg-transparent text-white text-sm placeholder-white/60 focus:outline-none"
+        />
+        {text.trim() && (
+          <button
+            type="submit"
+            disabled={!parsed.title}
+            className="px-3 py-1 text-xs font-medium bg-white text-blue-600 rounded-lg disabled:opacity-50"
+          >
+            Add
+          </button>
+        )}
+      </div>
+
+      <AnimatePresence>
+        {text.trim() && (
+          <motion.div
+            initial={{ opacity: 0, y: -5 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -5 }}
+            className="mt-2 flex flex-wrap items-center gap-2 px-1"
+          >
+            <span className="text-sm text-white font-medium truncate max-w-full">
+              {parsed.title || <span className="text-white/60 italic">Add a title</span>}
+            </span>
+            {chips.map(chip => (
+              <span key={chip.key} className={`px-2 py-0.5 rounded-full text-xs font-medium ${chip.style}`}>
+                {chip.label}
+              </span>
+            ))}
+            {localParse.ambiguous && aiParse?.text !== text && (
+              <button
+                type="button"
+                onClick={askAI}
+                disabled={!isOnline || isAsking}
+                className="px-2 py-0.5 rounded-full text-xs font-medium bg-white/20 text-white hover:bg-white/30 disabled:opacity-50"
+                title={isOnline ? 'Not sure about the date or time here, let AI read it' : 'AI needs a connection'}
+              >
+                {isAsking ? 'Asking AI…' : '✨ Ask AI to read this'}
+              </button>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </form>
+  );
+}
+
+export default QuickAdd;
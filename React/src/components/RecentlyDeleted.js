@@ -1,21 +1,18 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { getRecentlyDeletedTodos, restoreTodo, permanentlyDeleteTodo } from '../supabase';
 import { supabase } from '../supabase';
+import { useTodosRepository } from '../services/TodosRepositoryContext';
+import { useToast } from './ToastProvider';
 
 const RecentlyDeleted = ({ isOpen, onClose, onRestore }) => {
+  const repository = useTodosRepository();
+  const toast = useToast();
   const [deletedTodos, setDeletedTodos] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [currentUser, setCurrentUser] = useState(null);
 
-  useEffect(() => {
-    if (isOpen) {
-      fetchDeletedTodos();
-    }
-  }, [isOpen]);
-
-  const fetchDeletedTodos = async () => {
+  const fetchDeletedTodos = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
@@ -28,7 +25,7 @@ const RecentlyDeleted = ({ isOpen, onClose, onRestore }) => {
       setCurrentUser(user);
 
       console.log('Fetching deleted todos for user:', user.id);
-      const todos = await getRecentlyDeletedTodos(user.id);
+      const todos = await repository.listDeleted(user.id);
       console.log('Fetched deleted todos:', todos);
       setDeletedTodos(todos);
     } catch (err) {
@@ -37,34 +34,38 @@ const RecentlyDeleted = ({ isOpen, onClose, onRestore }) => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [repository]);
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchDeletedTodos();
+    }
+  }, [isOpen, fetchDeletedTodos]);
 
   const handleRestore = async (todoId) => {
     try {
-      const restoredTodo = await restoreTodo(todoId);
+      const restoredTodo = await repository.restore(todoId);
+      setDeletedTodos(deletedTodos.filter(todo => todo.id !== todoId));
+      // Restored shared access comes back through the realtime share insert
       if (restoredTodo) {
-        setDeletedTodos(deletedTodos.filter(todo => todo.id !== todoId));
-        onRestore && onRestore({
-          ...restoredTodo,
-          isOwner: true
-        });
+        onRestore && onRestore(restoredTodo);
       }
+      toast.success('Task restored');
     } catch (err) {
+      // The repository has already told the user
       console.error('Error restoring todo:', err);
-      alert('Failed to restore todo. Please try again.');
     }
   };
 
   const handlePermanentDelete = async (todoId) => {
     if (window.confirm('Are you sure you want to permanently delete this todo? This action cannot be undone.')) {
       try {
-        const success = await permanentlyDeleteTodo(todoId);
+        const success = await repository.purge(todoId);
         if (success) {
           setDeletedTodos(deletedTodos.filter(todo => todo.id !== todoId));
         }
       } catch (err) {
         console.error('Error permanently deleting todo:', err);
-        alert('Failed to permanently delete todo. Please try again.');
       }
     }
   };
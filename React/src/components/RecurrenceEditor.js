@@ -0,0 +1,158 @@
+/**
+ * RecurrenceEditor Component
+ * Form controls for building an RRULE-style recurrence rule.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object|null} props.value - Current recurrence rule, null when the todo does not repeat
+ * @param {Function} props.onChange - Called with the updated rule (or null)
+ * @param {string} props.dueDate - Due date used to pick sensible defaults
+ */
+import React from 'react';
+import { WEEKDAY_LABELS, describeRecurrence } from '../utils/recurrence';
+
+const inputClassName = 'px-3 py-1.5 bg-gray-50 rounded-lg text-gray-800 text-sm focus:outline-none focus:ring-1 focus:ring-blue-600 transition-colors';
+
+function RecurrenceEditor({ value, onChange, dueDate }) {
+  const baseDate = dueDate ? new Date(dueDate) : new Date();
+  const unitLabels = { daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)' };
+  const endType = value?.count ? 'count' : value?.endDate ? 'date' : 'never';
+
+  const handleFrequencyChange = (frequency) => {
+    if (!frequency) {
+      onChange(null);
+      return;
+    }
+
+    onChange({
+      frequency,
+      interval: value?.interval || 1,
+      weekdays: frequency === 'weekly' ? [baseDate.getUTCDay()] : undefined,
+      monthDay: frequency === 'monthly' ? baseDate.getUTCDate() : undefined,
+      endDate: value?.endDate || null,
+      count: value?.count || null
+    });
+  };
+
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const toggleWeekday = (day) => {
+    const weekdays = value.weekdays || [];
+    const next = weekdays.includes(day)
+      ? weekdays.filter(d => d !== day)
+      : [...weekdays, day].sort((a, b) => a - b);
+    // Keep at least one weekday selected
+    if (next.length > 0) update({ weekdays: next });
+  };
+
+  const handleEndTypeChange = (type) => {
+    if (type === 'never') update({ endDate: null, count: null });
+    if (type === 'date') update({ endDate: baseDate.toISOString().slice(0, 10), count: null });
+    if (type === 'count') update({ endDate: null, count: 5 });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={value?.frequency || ''}
+          onChange={(e) => handleFrequencyChange(e.target.value)}
+          className={`${inputClassName} appearance-none`}
+        >
+          <option value="">Does not repeat</option>
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+          <option value="monthly">Monthly</option>
+        </select>
+
+        {value && (
+          <div className="flex items-center gap-2 text-sm text-gray-600">
+            <span>every</span>
+            <input
+              type="number"
+              min="1"
+              value={value.interval || 1}
+              onChange={(e) => update({ interval: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+              className={`${inputClassName} w-16`}
+            />
+            <span>{unitLabels[value.frequency]}</span>
+          </div>
+        )}
+      </div>
+
+      {value?.frequency === 'weekly' && (
+        <div className="flex flex-wrap gap-1">
+          {WEEKDAY_LABELS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => toggleWeekday(day)}
+              className={`w-10 py-1 rounded-full text-xs font-medium transition-colors ${
+                (value.weekdays || []).includes(day)
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {value?.frequency === 'monthly' && (
+        <div className="flex items-center gap-2 text-sm text-gray-600">
+          <span>on day</span>
+          <input
+            type="number"
+            min="1"
+            max="31"
+            value={value.monthDay || baseDate.getUTCDate()}
+            onChange={(e) => update({ monthDay: Math.min(31, Math.max(1, parseInt(e.target.value, 10) || 1)) })}
+            className={`${inputClassName} w-16`}
+          />
+        </div>
+      )}
+
+      {value && (
+        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+          <span>ends</span>
+          <select
+            value={endType}
+            onChange={(e) => handleEndTypeChange(e.target.value)}
+            className={`${inputClassName} appearance-none`}
+          >
+            <option value="never">Never</option>
+            <option value="date">On date</option>
+            <option value="count">After</option>
+          </select>
+          {endType === 'date' && (
+            <input
+              type="date"
+              value={value.endDate}
+              onChange={(e) => update({ endDate: e.target.value || null })}
+              className={inputClassName}
+            />
+          )}
+          {endType === 'count' && (
+            <>
+              <input
+                type="number"
+                min="1"
+                value={value.count}
+                onChange={(e) => update({ count: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                className={`${inputClassName} w-16`}
+              />
+              <span>occurrences</span>
+            </>
+          )}
+        </div>
+      )}
+
+      {value && (
+        <p className="text-xs text-gray-500">{describeRecurrence(value)}</p>
+      )}
+    </div>
+  );
+}
+
+export default RecurrenceEditor;
@@ -0,0 +1,71 @@
+/**
+ * ReminderPicker Component
+ * Lists a todo's reminders ("1 day before", "At time due") and adds or
+ * removes them. Adding the first one asks for permission to show browser
+ * notifications.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array} props.value - { minutes_before } reminders
+ * @param {Function} props.onChange - Called with the new reminders
+ * @param {boolean} props.hasTime - Whether the todo has a due time; date-only
+ *   todos are reminded from the morning of their day
+ */
+import React from 'react';
+import { REMINDER_OPTIONS, REMINDER_BASE_TIME, describeReminder, normalizeReminders } from '../utils/dueDates';
+import { requestNotificationPermission } from '../services/reminders';
+
+function ReminderPicker({ value = [], onChange, hasTime }) {
+  const reminders = normalizeReminders(value);
+  const available = REMINDER_OPTIONS.filter(option =>
+    !reminders.some(reminder => reminder.minutes_before === option.minutes));
+
+  const addReminder = (minutes) => {
+    requestNotificationPermission();
+    onChange(normalizeReminders([...reminders, { minutes_before: minutes }]));
+  };
+
+  const removeReminder = (minutes) => {
+    onChange(reminders.filter(reminder => reminder.minutes_before !== minutes));
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        {reminders.map(reminder => (
+          <span
+            key={reminder.minutes_before}
+            className="flex items-center gap-1 px-3 py-1 text-xs font-medium rounded-full bg-blue-50 text-blue-600"
+          >
+            🔔 {describeReminder(reminder.minutes_before)}
+            <button
+              type="button"
+              onClick={() => removeReminder(reminder.minutes_before)}
+              className="ml-1 hover:text-blue-800"
+              title="Remove reminder"
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        {available.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => e.target.value !== '' && addReminder(Number(e.target.value))}
+            className="px-3 py-1 text-xs bg-gray-50 border border-gray-200 rounded-full focus:outline-none focus:ring-1 focus:ring-blue-500"
+          >
+            <option value="">+ Add reminder</option>
+            {available.map(option => (
+              <option key={option.minutes} value={option.minutes}>{option.label}</option>
+            ))}
+          </select>
+        )}
+      </div>
+      {!hasTime && reminders.length > 0 && (
+        <p className="text-xs text-gray-500">Without a due time, reminders count from {REMINDER_BASE_TIME} on the due date.</p>
+      )}
+    </div>
+  );
+}
+
+export default ReminderPicker;
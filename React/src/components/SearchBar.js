@@ -0,0 +1,76 @@
+/**
+ * SearchBar Component
+ * Search box for titles, descriptions, categories and AI content. While it
+ * has focus, ↑/↓ move through the results, Enter jumps to the selected one
+ * and Escape clears the search.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.query - Current search text
+ * @param {Function} props.setQuery - Updates the search text
+ * @param {number} props.resultCount - Number of todos matching the search
+ * @param {number} props.activeIndex - Index of the selected result, -1 for none
+ * @param {Function} props.onNavigate - Called with -1 or 1 to select the previous or next result
+ * @param {Function} props.onOpen - Jumps to the selected result
+ * @param {Object} props.inputRef - Ref to the input, for the "/" shortcut
+ */
+import React from 'react';
+import { motion } from 'framer-motion';
+
+function SearchBar({ query, setQuery, resultCount, activeIndex, onNavigate, onOpen, inputRef }) {
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      onNavigate(e.key === 'ArrowDown' ? 1 : -1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      onOpen();
+    } else if (e.key === 'Escape') {
+      setQuery('');
+      e.target.blur();
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      transition={{ duration: 0.3 }}
+      className="bg-white/10 backdrop-blur-lg rounded-full px-4 py-2 flex items-center gap-2 text-white"
+    >
+      <svg className="w-4 h-4 flex-shrink-0 text-white/80" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+      </svg>
+      <input
+        ref={inputRef}
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder="Search tasks  ( / )"
+        aria-label="Search tasks"
+        className="flex-1 min-w-0 bg-transparent text-sm placeholder-white/60 focus:outline-none"
+      />
+      {query && (
+        <>
+          <span className="text-xs text-white/70 whitespace-nowrap">
+            {resultCount === 0
+              ? 'No results'
+              : activeIndex >= 0 ? `${activeIndex + 1} of ${resultCount}` : `${resultCount} found`}
+          </span>
+          <button
+            onClick={() => setQuery('')}
+            className="text-white/70 hover:text-white"
+            title="Clear search"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </>
+      )}
+    </motion.div>
+  );
+}
+
+export default SearchBar;
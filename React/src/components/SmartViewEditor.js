@@ -0,0 +1,230 @@
+/**
+ * SmartViewEditor Component
+ * Modal for naming a smart view and choosing its filters: completion,
+ * workflow statuses, categories, priorities, tags, due date range,
+ * ownership and sort order.
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is visible
+ * @param {Function} props.onClose - Closes the modal
+ * @param {Object|null} props.view - The smart view being edited, null for a new one
+ * @param {Object} props.initialFilters - Filters a new view starts from (the current ones)
+ * @param {Array} props.categories - The user's categories
+ * @param {Array} props.statuses - The user's workflow statuses
+ * @param {Array} props.availableTags - Every tag in use
+ * @param {Function} props.onSave - Called with { name, filters }
+ */
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { DUE_RANGES, OWNERSHIP_OPTIONS, normalizeFilter } from '../utils/filters';
+
+const PRIORITIES = ['high', 'medium', 'low'];
+
+function SmartViewEditor({ isOpen, onClose, view, initialFilters, categories, statuses, availableTags, onSave }) {
+  const [name, setName] = useState('');
+  const [filters, setFilters] = useState(normalizeFilter());
+  const [error, setError] = useState('');
+
+  // Start from the view, or from the current filters for a new one
+  useEffect(() => {
+    if (!isOpen) return;
+    setName(view?.name || '');
+    setFilters(normalizeFilter(view ? view.filters : initialFilters));
+    setError('');
+  }, [isOpen, view, initialFilters]);
+
+  const update = (changes) => setFilters(prev => ({ ...prev, ...changes }));
+
+  const toggle = (field, value) => update({
+    [field]: filters[field].includes(value)
+      ? filters[field].filter(v => v !== value)
+      : [...filters[field], value]
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (!name.trim()) return;
+
+    try {
+      await onSave({ name: name.trim(), filters });
+      onClose();
+    } catch (err) {
+      setError('Failed to save the smart view. Please try again.');
+    }
+  };
+
+  const renderChip = (field, value, label, color) => (
+    <button
+      key={value}
+      type="button"
+      onClick={() => toggle(field, value)}
+      className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${
+        filters[field].includes(value)
+          ? 'bg-blue-600 text-white border-blue-600'
+          : 'bg-gray-50 text-gray-700 border-gray-200 hover:bg-gray-100'
+      }`}
+    >
+      {color && <span className="inline-block w-2 h-2 rounded-full mr-1.5" style={{ backgroundColor: color }} />}
+      {label}
+    </button>
+  );
+
+  const selectClass = 'w-full px-3 py-1.5 bg-gray-50 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-1 focus:ring-blue-600';
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            className="bg-white rounded-lg p-6 w-full max-w-lg max-h-[80vh] overflow-y-auto"
+            onClick={e => e.stopPropagation()}
+          >
+            <div className="flex justify-between items-center mb-1">
+              <h2 className="text-2xl font-semibold text-gray-800">{view ? 'Edit smart view' : 'New smart view'}</h2>
+              <button
+                onClick={onClose}
+                className="text-gray-500 hover:text-gray-700"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+            <p className="text-sm text-gray-500 mb-4">
+              Todos must match every section. Within a section, any selected value matches; leave it empty to match all.
+            </p>
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder="e.g. Urgent this week"
+                  autoFocus
+                  className={selectClass}
+                />
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Show</label>
+                  <select value={filters.completion} onChange={(e) => update({ completion: e.target.value })} className={selectClass}>
+                    <option value="all">All todos</option>
+                    <option value="pending">Pending</option>
+                    <option value="completed">Completed</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Due</label>
+                  <select value={filters.due} onChange={(e) => update({ due: e.target.value })} className={selectClass}>
+                    {DUE_RANGES.map(range => (
+                      <option key={range.id} value={range.id}>{range.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Owner</label>
+                  <select value={filters.ownership} onChange={(e) => update({ ownership: e.target.value })} className={selectClass}>
+                    {OWNERSHIP_OPTIONS.map(option => (
+                      <option key={option.id} value={option.id}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Sort by</label>
+                  <select value={filters.sortBy} onChange={(e) => update({ sortBy: e.target.value })} className={selectClass}>
+                    <option value="date">Date</option>
+                    <option value="priority">Priority</option>
+                    <option value="due">Due date</option>
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
+                <div className="flex flex-wrap gap-2">
+                  {PRIORITIES.map(priority => renderChip('priorities', priority, priority.charAt(0).toUpperCase() + priority.slice(1)))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+                <div className="flex flex-wrap gap-2">
+                  {statuses.map(status => renderChip('statuses', status.key, status.name, status.color))}
+                </div>
+              </div>
+
+              {categories.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                  <div className="flex flex-wrap gap-2">
+                    {categories.map(category => renderChip(
+                      'categories',
+                      category.id,
+                      `${category.icon ? `${category.icon} ` : ''}${category.name}`
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {availableTags.length > 0 && (
+                <div>
+                  <div className="flex items-center justify-between mb-1">
+                    <label className="block text-sm font-medium text-gray-700">Tags</label>
+                    {filters.tags.length > 1 && (
+                      <select
+                        value={filters.tagMatchMode}
+                        onChange={(e) => update({ tagMatchMode: e.target.value })}
+                        className="text-xs text-gray-600 bg-transparent focus:outline-none"
+                      >
+                        <option value="all">Match all</option>
+                        <option value="any">Match any</option>
+                      </select>
+                    )}
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    {availableTags.map(tag => renderChip('tags', tag, `#${tag}`))}
+                  </div>
+                </div>
+              )}
+
+              {error && <p className="text-sm text-red-500">{error}</p>}
+
+              <div className="flex justify-end gap-2 pt-2">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="px-4 py-1.5 text-sm text-gray-600 hover:text-gray-800"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={!name.trim()}
+                  className="px-4 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {view ? 'Save' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default SmartViewEditor;
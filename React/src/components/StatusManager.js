@@ -0,0 +1,188 @@
+/**
+ * StatusManager Component
+ * Modal for creating, renaming, recolouring, reordering and deleting the
+ * user's workflow statuses, and choosing which of them count as done.
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is visible
+ * @param {Function} props.onClose - Closes the modal
+ * @param {Array} props.statuses - The user's statuses, in workflow order
+ * @param {Function} props.onCreate - Called with { key, name, color, is_done }
+ * @param {Function} props.onUpdate - Called with (statusId, changes)
+ * @param {Function} props.onMove - Called with (statusId, -1 or 1)
+ * @param {Function} props.onDelete - Called with the status ID
+ */
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { createStatusKey } from '../utils/statuses';
+
+function StatusManager({ isOpen, onClose, statuses, onCreate, onUpdate, onMove, onDelete }) {
+  const [name, setName] = useState('');
+  const [color, setColor] = useState('#F59E0B');
+  const [isDone, setIsDone] = useState(false);
+  const [error, setError] = useState('');
+
+  // The checkbox needs somewhere to go either way, so keep one of each
+  const isLastOfKind = (status) => statuses.filter(s => s.is_done === status.is_done).length === 1;
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!name.trim()) return;
+    if (statuses.some(status => status.name.toLowerCase() === name.trim().toLowerCase())) {
+      setError('A status with that name already exists.');
+      return;
+    }
+
+    try {
+      await onCreate({ key: createStatusKey(name, statuses), name: name.trim(), color, is_done: isDone });
+      setName('');
+      setIsDone(false);
+    } catch (err) {
+      setError('Failed to create status. Please try again.');
+    }
+  };
+
+  const handleDelete = (status) => {
+    if (window.confirm(`Delete the "${status.name}" status? Its todos keep it until you move them on.`)) {
+      onDelete(status.id);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            className="bg-white rounded-lg p-6 w-full max-w-lg max-h-[80vh] overflow-y-auto"
+            onClick={e => e.stopPropagation()}
+          >
+            <div className="flex justify-between items-center mb-1">
+              <h2 className="text-2xl font-semibold text-gray-800">Workflow</h2>
+              <button
+                onClick={onClose}
+                className="text-gray-500 hover:text-gray-700"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+            <p className="text-sm text-gray-500 mb-4">
+              Todos move through these statuses in order. Todos in a "done" status count as completed.
+            </p>
+
+            <div className="space-y-2 mb-6">
+              {statuses.map((status, index) => (
+                <div key={status.id || status.key} className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg">
+                  <div className="flex flex-col">
+                    <button
+                      onClick={() => onMove(status.id, -1)}
+                      disabled={index === 0}
+                      className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                      title="Move earlier"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
+                      </svg>
+                    </button>
+                    <button
+                      onClick={() => onMove(status.id, 1)}
+                      disabled={index === statuses.length - 1}
+                      className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                      title="Move later"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                      </svg>
+                    </button>
+                  </div>
+                  <input
+                    type="color"
+                    value={status.color}
+                    onChange={(e) => onUpdate(status.id, { color: e.target.value })}
+                    className="w-8 h-8 rounded cursor-pointer border-0 bg-transparent"
+                    title="Status colour"
+                  />
+                  <input
+                    type="text"
+                    defaultValue={status.name}
+                    onBlur={(e) => {
+                      const newName = e.target.value.trim();
+                      if (newName && newName !== status.name) onUpdate(status.id, { name: newName });
+                    }}
+                    className="flex-1 px-3 py-1.5 bg-white border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-1 focus:ring-blue-600"
+                  />
+                  <label className="flex items-center gap-1 text-xs text-gray-600" title="Todos in this status count as completed">
+                    <input
+                      type="checkbox"
+                      checked={status.is_done}
+                      onChange={(e) => onUpdate(status.id, { is_done: e.target.checked })}
+                      disabled={isLastOfKind(status)}
+                    />
+                    Done
+                  </label>
+                  <button
+                    onClick={() => handleDelete(status)}
+                    disabled={isLastOfKind(status)}
+                    className="text-red-500 hover:text-red-700 disabled:opacity-30"
+                    title={isLastOfKind(status) ? `You need at least one ${status.is_done ? 'done' : 'open'} status` : 'Delete status'}
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                    </svg>
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <form onSubmit={handleCreate} className="space-y-2">
+              <label className="block text-sm font-medium text-gray-700">New status</label>
+              <div className="flex items-center gap-3">
+                <input
+                  type="color"
+                  value={color}
+                  onChange={(e) => setColor(e.target.value)}
+                  className="w-8 h-8 rounded cursor-pointer border-0 bg-transparent"
+                  title="Status colour"
+                />
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder="Status name"
+                  className="flex-1 px-3 py-1.5 bg-gray-50 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-1 focus:ring-blue-600"
+                />
+                <label className="flex items-center gap-1 text-xs text-gray-600">
+                  <input type="checkbox" checked={isDone} onChange={(e) => setIsDone(e.target.checked)} />
+                  Done
+                </label>
+                <button
+                  type="submit"
+                  disabled={!name.trim()}
+                  className="px-4 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Add
+                </button>
+              </div>
+              {error && <p className="text-sm text-red-500">{error}</p>}
+            </form>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default StatusManager;
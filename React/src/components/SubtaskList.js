@@ -0,0 +1,131 @@
+/**
+ * SubtaskList Component
+ * Renders a checkable, reorderable list of subtasks with an inline add input.
+ *
+ * Used both by TodoForm (drafts kept in local state before the todo exists)
+ * and by TodoItem (persisted subtasks updated through App handlers).
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array} props.subtasks - Subtasks in display order
+ * @param {boolean} props.canEdit - Whether the current user may change subtasks
+ * @param {Function} props.onAdd - Called with the new subtask title
+ * @param {Function} props.onToggle - Called with the subtask index
+ * @param {Function} props.onDelete - Called with the subtask index
+ * @param {Function} props.onReorder - Called with (fromIndex, toIndex)
+ */
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+
+function SubtaskList({ subtasks, canEdit, onAdd, onToggle, onDelete, onReorder }) {
+  const [newTitle, setNewTitle] = useState('');
+
+  const handleAdd = () => {
+    if (!newTitle.trim()) return;
+    onAdd(newTitle.trim());
+    setNewTitle('');
+  };
+
+  return (
+    <div className="space-y-2" onClick={(e) => e.stopPropagation()}>
+      <AnimatePresence initial={false}>
+        {subtasks.map((subtask, index) => (
+          <motion.div
+            key={subtask.id || `draft-${index}`}
+            layout
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            className="flex items-center gap-3 px-3 py-2 bg-white/80 rounded-lg shadow-sm group/subtask"
+          >
+            <button
+              type="button"
+              onClick={() => onToggle(index)}
+              disabled={!canEdit}
+              className={`flex-shrink-0 w-5 h-5 rounded border-2 transition-all duration-200 ${
+                subtask.completed
+                  ? 'bg-blue-500 border-blue-500'
+                  : 'border-gray-300 hover:border-blue-400'
+              } ${canEdit ? 'cursor-pointer' : 'opacity-50 cursor-not-allowed'}`}
+            >
+              {subtask.completed && (
+                <svg className="w-full h-full text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="3" d="M5 13l4 4L19 7" />
+                </svg>
+              )}
+            </button>
+
+            <span className={`flex-1 min-w-0 text-sm ${subtask.completed ? 'text-gray-400 line-through' : 'text-gray-800'}`}>
+              {subtask.title}
+            </span>
+
+            {canEdit && (
+              <div className="flex items-center gap-1 opacity-0 group-hover/subtask:opacity-100 transition-opacity">
+                <button
+                  type="button"
+                  onClick={() => onReorder(index, index - 1)}
+                  disabled={index === 0}
+                  className="p-1 text-gray-400 hover:text-blue-500 disabled:opacity-30"
+                  title="Move up"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 15l7-7 7 7" />
+                  </svg>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onReorder(index, index + 1)}
+                  disabled={index === subtasks.length - 1}
+                  className="p-1 text-gray-400 hover:text-blue-500 disabled:opacity-30"
+                  title="Move down"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7" />
+                  </svg>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onDelete(index)}
+                  className="p-1 text-gray-400 hover:text-red-500"
+                  title="Delete subtask"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </div>
+            )}
+          </motion.div>
+        ))}
+      </AnimatePresence>
+
+      {canEdit && (
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={newTitle}
+            onChange={(e) => setNewTitle(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                handleAdd();
+              }
+            }}
+            placeholder="Add a subtask"
+            className="flex-1 px-3 py-1.5 bg-gray-50 rounded-lg text-gray-800 placeholder-gray-400 text-sm focus:outline-none focus:ring-1 focus:ring-blue-600 transition-colors"
+          />
+          <button
+            type="button"
+            onClick={handleAdd}
+            disabled={!newTitle.trim()}
+            className="px-3 py-1.5 text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+          >
+            Add
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SubtaskList;
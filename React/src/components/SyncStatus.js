@@ -0,0 +1,103 @@
+/**
+ * SyncStatus Component
+ * Header indicator for the offline outbox: shows when the app is offline,
+ * how many changes are waiting to sync, and lets the user resolve changes
+ * that conflicted with someone else's edit or were rejected by the server.
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} props.isOnline - Whether the browser is online
+ * @param {Array} props.outbox - Queued outbox entries
+ * @param {Function} props.onRetry - Called with (entry, force) to retry or overwrite
+ * @param {Function} props.onDiscard - Called with the entry to drop it
+ */
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { OUTBOX_OPERATIONS, OUTBOX_STATUS, summarizeOutbox } from '../utils/outbox';
+
+const OPERATION_LABELS = {
+  [OUTBOX_OPERATIONS.INSERT]: 'New task',
+  [OUTBOX_OPERATIONS.UPDATE]: 'Edit',
+  [OUTBOX_OPERATIONS.TOGGLE]: 'Complete',
+  [OUTBOX_OPERATIONS.DELETE]: 'Delete',
+  [OUTBOX_OPERATIONS.SUBTASKS]: 'Subtasks'
+};
+
+function SyncStatus({ isOnline, outbox, onRetry, onDiscard }) {
+  const [showDetails, setShowDetails] = useState(false);
+  const { pending, conflicts, failed } = summarizeOutbox(outbox);
+  const needsAttention = outbox.filter(entry => entry.status !== OUTBOX_STATUS.PENDING);
+
+  if (isOnline && pending === 0 && needsAttention.length === 0) return null;
+
+  let label;
+  if (needsAttention.length > 0) {
+    label = `${conflicts + failed} to review`;
+  } else if (!isOnline) {
+    label = pending > 0 ? `Offline · ${pending} pending` : 'Offline';
+  } else {
+    label = `Syncing ${pending}...`;
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setShowDetails(!showDetails)}
+        className={`flex items-center gap-2 px-3 py-1 rounded-full text-sm font-medium transition-colors ${
+          needsAttention.length > 0 ? 'bg-amber-400 text-amber-900' : 'bg-white/20 text-white'
+        }`}
+        title="Sync status"
+      >
+        <span className={`w-2 h-2 rounded-full ${isOnline ? 'bg-green-400' : 'bg-gray-300'}`} />
+        {label}
+      </button>
+
+      <AnimatePresence>
+        {showDetails && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-lg p-4 z-50 space-y-3"
+          >
+            <p className="text-sm text-gray-600">
+              {isOnline
+                ? `${pending} change${pending === 1 ? '' : 's'} waiting to sync.`
+                : 'You are offline. Changes are saved on this device and will sync when you reconnect.'}
+            </p>
+
+            {needsAttention.map(entry => (
+              <div key={entry.seq} className="p-3 bg-gray-50 rounded-lg space-y-2">
+                <div className="text-sm">
+                  <span className="font-medium text-gray-900">{OPERATION_LABELS[entry.type]}: </span>
+                  <span className="text-gray-700">{entry.title}</span>
+                </div>
+                <p className="text-xs text-gray-500">
+                  {entry.status === OUTBOX_STATUS.CONFLICT
+                    ? 'Someone else changed this task after you did.'
+                    : `The server rejected this change: ${entry.error}`}
+                </p>
+                <div className="flex justify-end gap-2">
+                  <button
+                    onClick={() => onDiscard(entry)}
+                    className="px-3 py-1 text-xs text-gray-600 hover:text-gray-800"
+                  >
+                    {entry.status === OUTBOX_STATUS.CONFLICT ? 'Keep theirs' : 'Discard'}
+                  </button>
+                  <button
+                    onClick={() => onRetry(entry, entry.status === OUTBOX_STATUS.CONFLICT)}
+                    className="px-3 py-1 text-xs bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                  >
+                    {entry.status === OUTBOX_STATUS.CONFLICT ? 'Keep mine' : 'Retry'}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+export default SyncStatus;
@@ -1,7 +1,32 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 
-function TabFilter({ activeTab, setActiveTab, sortBy, setSortBy, filterCategory, setFilterCategory }) {
+function TabFilter({
+  activeTab,
+  setActiveTab,
+  sortBy,
+  setSortBy,
+  filterCategory,
+  setFilterCategory,
+  categories = [],
+  filterStatus,
+  setFilterStatus,
+  statuses = [],
+  availableTags = [],
+  filterTags = [],
+  setFilterTags,
+  tagMatchMode,
+  setTagMatchMode,
+  extraFilters = [],
+  onClearFilters
+}) {
+  const toggleTag = (tag) => {
+    setFilterTags(filterTags.includes(tag)
+      ? filterTags.filter(t => t !== tag)
+      : [...filterTags, tag]);
+  };
+
+
   return (
     <div className="flex flex-col items-center gap-4">
       <motion.div 
@@ -42,7 +67,7 @@ function TabFilter({ activeTab, setActiveTab, sortBy, setSortBy, filterCategory,
         </button>
       </motion.div>
 
-      <div className="flex items-center gap-4">
+      <div className="flex flex-wrap items-center justify-center gap-4">
         <motion.div
           initial={{ opacity: 0 }}
           animate={{ opacity: 1 }}
@@ -57,6 +82,7 @@ function TabFilter({ activeTab, setActiveTab, sortBy, setSortBy, filterCategory,
           >
             <option value="date" className="text-gray-800">Date</option>
             <option value="priority" className="text-gray-800">Priority</option>
+            <option value="due" className="text-gray-800">Due date</option>
           </select>
         </motion.div>
 
@@ -73,13 +99,97 @@ function TabFilter({ activeTab, setActiveTab, sortBy, setSortBy, filterCategory,
             className="bg-transparent text-white/90 text-sm font-medium focus:outline-none cursor-pointer"
           >
             <option value="all" className="text-gray-800">All</option>
-            <option value="personal" className="text-gray-800">Personal</option>
-            <option value="work" className="text-gray-800">Work</option>
-            <option value="shopping" className="text-gray-800">Shopping</option>
-            <option value="other" className="text-gray-800">Other</option>
+            {filterCategory === 'multiple' && (
+              <option value="multiple" disabled className="text-gray-800">Several</option>
+            )}
+            {categories.map(category => (
+              <option key={category.id} value={category.id} className="text-gray-800">
+                {category.icon ? `${category.icon} ` : ''}{category.name}
+              </option>
+            ))}
+          </select>
+        </motion.div>
+
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          transition={{ duration: 0.3, delay: 0.25 }}
+          className="bg-white/10 backdrop-blur-lg rounded-full px-4 py-1 flex items-center gap-2"
+        >
+          <span className="text-white/90 text-sm">Status:</span>
+          <select
+            value={filterStatus}
+            onChange={(e) => setFilterStatus(e.target.value)}
+            className="bg-transparent text-white/90 text-sm font-medium focus:outline-none cursor-pointer"
+          >
+            <option value="all" className="text-gray-800">All</option>
+            {filterStatus === 'multiple' && (
+              <option value="multiple" disabled className="text-gray-800">Several</option>
+            )}
+            {statuses.map(status => (
+              <option key={status.key} value={status.key} className="text-gray-800">
+                {status.name}
+              </option>
+            ))}
           </select>
         </motion.div>
       </div>
+
+      {extraFilters.length > 0 && (
+        <div className="flex flex-wrap items-center justify-center gap-2">
+          {extraFilters.map(label => (
+            <span key={label} className="px-3 py-1 rounded-full text-xs font-medium bg-white text-blue-600">
+              {label}
+            </span>
+          ))}
+          <button
+            onClick={onClearFilters}
+            className="px-3 py-1 text-xs text-white/80 hover:text-white"
+          >
+            Clear filters
+          </button>
+        </div>
+      )}
+
+      {availableTags.length > 0 && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          transition={{ duration: 0.3, delay: 0.3 }}
+          className="flex flex-wrap items-center justify-center gap-2"
+        >
+          {availableTags.map(tag => (
+            <button
+              key={tag}
+              onClick={() => toggleTag(tag)}
+              className={`px-3 py-1 rounded-full text-xs font-medium transition-all duration-200 ${
+                filterTags.includes(tag)
+                  ? 'bg-white text-blue-600'
+                  : 'bg-white/10 backdrop-blur-lg text-white/90 hover:bg-white/20'
+              }`}
+            >
+              #{tag}
+            </button>
+          ))}
+          {filterTags.length > 1 && (
+            <button
+              onClick={() => setTagMatchMode(tagMatchMode === 'all' ? 'any' : 'all')}
+              className="px-3 py-1 rounded-full text-xs font-medium bg-white/10 backdrop-blur-lg text-white/90 hover:bg-white/20"
+              title="Toggle whether todos need every selected tag or just one"
+            >
+              Match {tagMatchMode === 'all' ? 'all' : 'any'}
+            </button>
+          )}
+          {filterTags.length > 0 && (
+            <button
+              onClick={() => setFilterTags([])}
+              className="px-3 py-1 text-xs text-white/80 hover:text-white"
+            >
+              Clear
+            </button>
+          )}
+        </motion.div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,72 @@
+/**
+ * TagInput Component
+ * Free-form tag editor: type a tag and press Enter or comma to add it.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<string>} props.tags - Current tags
+ * @param {Function} props.onChange - Called with the updated tag array
+ * @param {Array<string>} props.suggestions - Existing tags offered for autocompletion
+ */
+import React, { useState } from 'react';
+import { normalizeTag } from '../utils/categories';
+
+function TagInput({ tags, onChange, suggestions = [] }) {
+  const [input, setInput] = useState('');
+  const listId = `tag-suggestions-${suggestions.length}`;
+
+  const addTag = (raw) => {
+    const tag = normalizeTag(raw);
+    if (tag && !tags.includes(tag)) {
+      onChange([...tags, tag]);
+    }
+    setInput('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(input);
+    } else if (e.key === 'Backspace' && !input && tags.length > 0) {
+      onChange(tags.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 px-3 py-1.5 bg-gray-50 rounded-lg focus-within:ring-1 focus-within:ring-blue-600 transition-colors">
+      {tags.map(tag => (
+        <span
+          key={tag}
+          className="flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded-full bg-blue-100 text-blue-700"
+        >
+          #{tag}
+          <button
+            type="button"
+            onClick={() => onChange(tags.filter(t => t !== tag))}
+            className="text-blue-500 hover:text-blue-800"
+            title={`Remove ${tag}`}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      <input
+        type="text"
+        value={input}
+        list={listId}
+        onChange={(e) => setInput(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => input && addTag(input)}
+        placeholder={tags.length === 0 ? 'Add tags' : ''}
+        className="flex-1 min-w-[6rem] bg-transparent text-gray-800 placeholder-gray-400 text-sm focus:outline-none"
+      />
+      <datalist id={listId}>
+        {suggestions.filter(tag => !tags.includes(tag)).map(tag => (
+          <option key={tag} value={tag} />
+        ))}
+      </datalist>
+    </div>
+  );
+}
+
+export default TagInput;
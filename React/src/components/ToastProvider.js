@@ -0,0 +1,137 @@
+/**
+ * ToastProvider Component
+ * Renders the toast stack and provides `useToast()` to the component tree.
+ * Toasts reported outside React (errorHandler, Supabase helpers) go
+ * through the same notifications store and show up here too.
+ *
+ * @component
+ * @param {Object} props
+ * @param {ReactNode} props.children - The app
+ */
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { notify, dismiss, subscribe } from '../utils/notifications';
+
+const SEVERITY_STYLES = {
+  success: 'border-green-500',
+  info: 'border-blue-500',
+  warning: 'border-amber-500',
+  error: 'border-red-500',
+  critical: 'border-red-700'
+};
+
+const SEVERITY_ICONS = {
+  success: '✓',
+  info: 'ℹ',
+  warning: '!',
+  error: '✕',
+  critical: '✕'
+};
+
+const ICON_STYLES = {
+  success: 'bg-green-100 text-green-700',
+  info: 'bg-blue-100 text-blue-700',
+  warning: 'bg-amber-100 text-amber-700',
+  error: 'bg-red-100 text-red-700',
+  critical: 'bg-red-200 text-red-800'
+};
+
+// Shortcuts for each severity: toast.success('Saved'), toast.error('Failed', { actions })
+const toastApi = {
+  notify,
+  dismiss,
+  success: (message, options = {}) => notify({ ...options, message, severity: 'success' }),
+  info: (message, options = {}) => notify({ ...options, message, severity: 'info' }),
+  warning: (message, options = {}) => notify({ ...options, message, severity: 'warning' }),
+  error: (message, options = {}) => notify({ ...options, message, severity: 'error' })
+};
+
+const ToastContext = createContext(null);
+
+/**
+ * Get the toast API
+ * @returns {Object} { notify, dismiss, success, info, warning, error }
+ */
+export const useToast = () => {
+  const toast = useContext(ToastContext);
+  if (!toast) {
+    throw new Error('useToast must be used inside a ToastProvider');
+  }
+  return toast;
+};
+
+function Toast({ toast }) {
+  // Hide automatically unless the toast asks to stay
+  useEffect(() => {
+    if (!toast.duration) return;
+    const timer = setTimeout(() => dismiss(toast.id), toast.duration);
+    return () => clearTimeout(timer);
+  }, [toast.id, toast.duration]);
+
+  return (
+    <motion.div
+      layout
+      initial={{ opacity: 0, y: 20, scale: 0.95 }}
+      animate={{ opacity: 1, y: 0, scale: 1 }}
+      exit={{ opacity: 0, x: 50 }}
+      role={toast.severity === 'error' || toast.severity === 'critical' ? 'alert' : 'status'}
+      className={`w-80 bg-white rounded-lg shadow-lg border-l-4 p-4 ${SEVERITY_STYLES[toast.severity] || SEVERITY_STYLES.info}`}
+    >
+      <div className="flex items-start gap-3">
+        <span className={`flex-shrink-0 w-6 h-6 rounded-full flex items-center justify-center text-sm font-bold ${ICON_STYLES[toast.severity] || ICON_STYLES.info}`}>
+          {SEVERITY_ICONS[toast.severity] || SEVERITY_ICONS.info}
+        </span>
+        <div className="flex-1 min-w-0">
+          {toast.title && <p className="text-sm font-medium text-gray-900">{toast.title}</p>}
+          {toast.message && <p className="text-sm text-gray-600">{toast.message}</p>}
+          {toast.actions.length > 0 && (
+            <div className="flex gap-3 mt-2">
+              {toast.actions.map(action => (
+                <button
+                  key={action.label}
+                  onClick={() => {
+                    action.onClick();
+                    dismiss(toast.id);
+                  }}
+                  className="text-sm font-medium text-blue-600 hover:text-blue-800"
+                >
+                  {action.label}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+        <button
+          onClick={() => dismiss(toast.id)}
+          className="text-gray-400 hover:text-gray-600"
+          aria-label="Dismiss"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+    </motion.div>
+  );
+}
+
+function ToastProvider({ children }) {
+  const [toasts, setToasts] = useState([]);
+
+  useEffect(() => subscribe(setToasts), []);
+
+  return (
+    <ToastContext.Provider value={toastApi}>
+      {children}
+      <div className="fixed bottom-4 right-4 z-[60] flex flex-col gap-2" aria-live="polite">
+        <AnimatePresence>
+          {toasts.map(toast => (
+            <Toast key={toast.id} toast={toast} />
+          ))}
+        </AnimatePresence>
+      </div>
+    </ToastContext.Provider>
+  );
+}
+
+export default ToastProvider;
@@ -0,0 +1,110 @@
+/**
+ * TodayView Component
+ * The todos pinned by today's accepted day plan, in their time boxes, with
+ * progress through the plan. Offers "Plan my day" when there is no plan yet.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object|null} props.plan - Today's saved plan (see utils/dayPlan)
+ * @param {Array} props.todos - All todos, owned and shared
+ * @param {Function} props.onToggle - Called with a todo ID to mark it done or not
+ * @param {Function} props.onOpen - Called with a todo ID to show it in the list
+ * @param {Function} props.onPlan - Opens "Plan my day"
+ * @param {Function} props.onClear - Removes today's plan
+ */
+import React from 'react';
+import { getPlannedTodos, formatMinutes } from '../utils/dayPlan';
+
+function TodayView({ plan, todos, onToggle, onOpen, onPlan, onClear }) {
+  const planned = getPlannedTodos(plan, todos);
+  const done = planned.filter(item => item.todo.completed);
+  const doneMinutes = done.reduce((total, item) => total + item.minutes, 0);
+  const plannedMinutes = planned.reduce((total, item) => total + item.minutes, 0);
+
+  if (!plan) {
+    return (
+      <div className="bg-white rounded-lg shadow p-8 text-center">
+        <h2 className="text-xl font-semibold text-gray-800 mb-2">No plan for today yet</h2>
+        <p className="text-gray-500 mb-4">
+          Tell the AI how many hours you have and it will time-box your open todos.
+        </p>
+        <button
+          type="button"
+          onClick={onPlan}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+        >
+          Plan my day
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-800">Today</h2>
+          {plan.summary && <p className="text-sm text-gray-500">{plan.summary}</p>}
+        </div>
+        <div className="flex-shrink-0 flex gap-3 text-sm">
+          <button type="button" onClick={onPlan} className="text-blue-600 hover:text-blue-800">
+            Replan
+          </button>
+          <button type="button" onClick={onClear} className="text-gray-500 hover:text-gray-700">
+            Clear
+          </button>
+        </div>
+      </div>
+
+      {planned.length > 0 && (
+        <div>
+          <div className="flex justify-between text-sm text-gray-600 mb-1">
+            <span>{done.length} of {planned.length} done</span>
+            <span>{formatMinutes(doneMinutes)} of {formatMinutes(plannedMinutes)}</span>
+          </div>
+          <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-green-500 transition-all duration-300"
+              style={{ width: `${plannedMinutes ? (doneMinutes / plannedMinutes) * 100 : 0}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {planned.length === 0 ? (
+        <p className="text-sm text-gray-500">The todos in today's plan have all been deleted.</p>
+      ) : (
+        <ol className="space-y-2">
+          {planned.map(item => (
+            <li key={item.todo_id} className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg">
+              <input
+                type="checkbox"
+                checked={item.todo.completed}
+                onChange={() => onToggle(item.todo_id)}
+                disabled={item.todo.isShared && item.todo.permission === 'view'}
+                className="w-5 h-5 text-blue-600 rounded focus:ring-blue-500"
+              />
+              <span className="flex-shrink-0 w-28 text-sm font-medium text-blue-700">
+                {item.start}–{item.end}
+              </span>
+              <button
+                type="button"
+                onClick={() => onOpen(item.todo_id)}
+                className="min-w-0 flex-1 text-left"
+              >
+                <p className={`truncate ${item.todo.completed ? 'line-through text-gray-400' : 'text-gray-900'}`}>
+                  {item.todo.title}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {formatMinutes(item.minutes)}{item.reason && ` · ${item.reason}`}
+                </p>
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default TodayView;
@@ -1,34 +1,162 @@
-import React, { useState } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import fetchAIResponse from '../services/openaiService';
+import { streamAIResponse, triageTodos, AIErrorType } from '../services/openaiService';
+import SubtaskList from './SubtaskList';
+import RecurrenceEditor from './RecurrenceEditor';
+import TagInput from './TagInput';
+import ReminderPicker from './ReminderPicker';
+import TriageProposals from './TriageProposals';
+import { moveSubtask, stepsToSubtasks } from '../utils/subtasks';
+import { getTriageProposals, toTriageDecision } from '../utils/aiTriage';
 
-function TodoForm({ onSubmit, onClose }) {
+function TodoForm({ onSubmit, onClose, categories = [], projects = [], defaultProjectId = '', tagSuggestions = [], onTriageDecisions = () => {} }) {
   const [text, setText] = useState('');
   const [description, setDescription] = useState('');
-  const [category, setCategory] = useState('personal');
+  const [categoryId, setCategoryId] = useState(categories[0]?.id || '');
+  const [projectId, setProjectId] = useState(defaultProjectId);
+  const [tags, setTags] = useState([]);
   const [dueDate, setDueDate] = useState('');
+  const [dueTime, setDueTime] = useState('');
+  const [reminders, setReminders] = useState([]);
   const [priority, setPriority] = useState('medium');
   const [aiContent, setAiContent] = useState(null);
+  const [subtasks, setSubtasks] = useState([]);
+  const [recurrence, setRecurrence] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [aiError, setAiError] = useState(null); // Typed error (see openaiService) when AI help failed or was stopped
+  const aiRequestRef = useRef(null); // AbortController of the AI help being streamed
+  const [triaging, setTriaging] = useState(false); // Waiting for triage suggestions
+  const [triageProposals, setTriageProposals] = useState([]); // Suggested field values not yet accepted or dismissed
+  const [triageError, setTriageError] = useState(null); // Typed error when triage failed
+  const [triageNote, setTriageNote] = useState(''); // Said when the AI had nothing to change
 
-  // Generate AI-powered description
+  // Stop streaming when the form closes
+  useEffect(() => () => {
+    aiRequestRef.current?.abort();
+    aiRequestRef.current = null;
+  }, []);
+
+  // Generate AI-powered description, showing it as it streams in
   const handleGenerateDescription = async () => {
     if (!text.trim() && !description.trim()) return;
+    const controller = new AbortController();
+    aiRequestRef.current = controller;
     setLoading(true);
-    const aiResponse = await fetchAIResponse(text, description);
-    setAiContent(aiResponse);
+    setAiContent(null);
+    setAiError(null);
+
+    const result = await streamAIResponse(text, description, {
+      signal: controller.signal,
+      onUpdate: setAiContent
+    });
+    // The form was submitted or closed meanwhile
+    if (aiRequestRef.current !== controller) return;
+    aiRequestRef.current = null;
+
+    // Whatever arrived before a cancel or failure is kept, unless discarded
+    setAiContent(result.content);
+    setAiError(result.ok ? null : result.error);
     setLoading(false);
   };
 
+  const handleCancelAI = () => {
+    aiRequestRef.current?.abort();
+  };
+
+  const handleDiscardAI = () => {
+    setAiContent(null);
+    setAiError(null);
+  };
+
+  // Ask the AI for a category, priority and due date
+  const handleTriage = async () => {
+    if (!text.trim()) return;
+    setTriaging(true);
+    setTriageProposals([]);
+    setTriageError(null);
+    setTriageNote('');
+
+    const today = new Date().toLocaleDateString('en-CA') + ', ' + new Date().toLocaleDateString('en-US', { weekday: 'long' });
+    const result = await triageTodos([{
+      id: 'draft',
+      title: text.trim(),
+      description: description.trim(),
+      priority,
+      dueDate: dueDate || null,
+      aiContent
+    }], { categories, today });
+
+    const selectedCategory = categories.find(c => c.id === categoryId) || categories[0];
+    const proposals = getTriageProposals(result.content?.[0], {
+      category: selectedCategory?.name || null,
+      priority,
+      dueDate: dueDate || null
+    });
+    setTriageProposals(proposals);
+    setTriageError(result.ok ? null : result.error);
+    if (result.ok && proposals.length === 0) setTriageNote('No changes suggested: the current values look right.');
+    setTriaging(false);
+  };
+
+  const resolveTriageProposal = (proposal, accepted) => {
+    onTriageDecisions([toTriageDecision(proposal, accepted)]);
+    setTriageProposals(prev => prev.filter(p => p.field !== proposal.field));
+  };
+
+  const handleAcceptTriage = (proposal) => {
+    if (proposal.field === 'category') {
+      const category = categories.find(c => c.name === proposal.value);
+      if (category) setCategoryId(category.id);
+    } else if (proposal.field === 'priority') {
+      setPriority(proposal.value);
+    } else if (proposal.field === 'dueDate') {
+      setDueDate(proposal.value);
+    }
+    resolveTriageProposal(proposal, true);
+  };
+
+  // Subtask drafts are kept locally until the todo is created
+  const handleAddSubtask = (title) => {
+    setSubtasks(prev => [...prev, { title, completed: false, position: prev.length }]);
+  };
+
+  const handleToggleSubtask = (index) => {
+    setSubtasks(prev => prev.map((subtask, i) =>
+      i === index ? { ...subtask, completed: !subtask.completed } : subtask
+    ));
+  };
+
+  const handleDeleteSubtask = (index) => {
+    setSubtasks(prev => prev
+      .filter((_, i) => i !== index)
+      .map((subtask, i) => ({ ...subtask, position: i })));
+  };
+
+  const handleReorderSubtask = (fromIndex, toIndex) => {
+    setSubtasks(prev => moveSubtask(prev, fromIndex, toIndex));
+  };
+
+  const handleConvertSteps = () => {
+    if (!aiContent?.steps) return;
+    setSubtasks(prev => [...prev, ...stepsToSubtasks(aiContent.steps, prev.length)]);
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!text.trim()) return;
+
+    const selectedCategory = categories.find(c => c.id === categoryId) || categories[0];
     
     const todoData = {
       text: text.trim(),
       description: description.trim(),
-      category,
+      categoryId: selectedCategory?.id || null,
+      category: selectedCategory?.name || 'personal',
+      projectId: projectId || null,
+      tags,
       dueDate: dueDate || null,
+      dueTime: dueDate && dueTime ? dueTime : null,
+      reminders: dueDate ? reminders : [],
       priority,
       aiContent: aiContent ? {
         summary: aiContent.summary,
@@ -36,18 +164,33 @@ function TodoForm({ onSubmit, onClose }) {
         difficulty: aiContent.difficulty,
         steps: aiContent.steps,
         relatedTasks: aiContent.relatedTasks
-      } : null
+      } : null,
+      subtasks,
+      recurrence
     };
 
     onSubmit(todoData);
 
     // Reset form
+    aiRequestRef.current?.abort();
+    aiRequestRef.current = null;
+    setLoading(false);
+    setAiError(null);
     setText('');
     setDescription('');
-    setCategory('personal');
+    setCategoryId(categories[0]?.id || '');
+    setProjectId(defaultProjectId);
+    setTags([]);
     setDueDate('');
+    setDueTime('');
+    setReminders([]);
     setPriority('medium');
     setAiContent(null);
+    setSubtasks([]);
+    setRecurrence(null);
+    setTriageProposals([]);
+    setTriageError(null);
+    setTriageNote('');
   };
 
   const getDifficultyColor = (difficulty) => {
@@ -93,9 +236,9 @@ function TodoForm({ onSubmit, onClose }) {
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
               type="button"
-              onClick={handleGenerateDescription}
-              disabled={loading}
+              onClick={loading ? handleCancelAI : handleGenerateDescription}
               className="px-4 py-2 bg-blue-600 text-white rounded-full hover:bg-blue-700 transition-colors disabled:opacity-50 text-sm flex items-center gap-2"
+              title={loading ? 'Stop generating and keep what has arrived' : undefined}
             >
               {loading ? (
                 <>
@@ -103,7 +246,7 @@ function TodoForm({ onSubmit, onClose }) {
                     <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none"/>
                     <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"/>
                   </svg>
-                  Generating...
+                  Stop
                 </>
               ) : (
                 <>
@@ -116,6 +259,31 @@ function TodoForm({ onSubmit, onClose }) {
             </motion.button>
           </div>
           <div className="w-full bg-gray-50 border border-gray-200 rounded-lg p-4">
+            {aiError && (
+              <div
+                role={aiError.type === AIErrorType.CANCELLED ? undefined : 'alert'}
+                className={`mb-3 px-3 py-2 rounded-lg text-sm flex items-start justify-between gap-2 ${
+                  aiError.type === AIErrorType.CANCELLED ? 'bg-gray-100 text-gray-600' : 'bg-red-50 text-red-700'
+                }`}
+              >
+                <span>
+                  {aiError.message}
+                  {aiContent && ' Showing what arrived so far; it is saved with the task unless you discard it.'}
+                </span>
+                <span className="flex-shrink-0 flex gap-3 font-medium">
+                  {aiContent && (
+                    <button type="button" onClick={handleDiscardAI} className="underline">
+                      Discard
+                    </button>
+                  )}
+                  {aiError.type !== AIErrorType.NOT_CONFIGURED && (
+                    <button type="button" onClick={handleGenerateDescription} className="underline">
+                      Try again
+                    </button>
+                  )}
+                </span>
+              </div>
+            )}
             {aiContent ? (
               <div className="space-y-4">
                 {/* Summary */}
@@ -126,25 +294,40 @@ function TodoForm({ onSubmit, onClose }) {
 
                 {/* Task Info */}
                 <div className="flex items-center gap-4 text-sm">
-                  <div className="flex items-center gap-1">
-                    <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"/>
-                    </svg>
-                    <span className="text-gray-600">{aiContent.estimatedTime}</span>
-                  </div>
-                  <div className="flex items-center gap-1">
-                    <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z"/>
-                    </svg>
-                    <span className={`font-medium ${getDifficultyColor(aiContent.difficulty)}`}>
-                      {aiContent.difficulty.charAt(0).toUpperCase() + aiContent.difficulty.slice(1)}
-                    </span>
-                  </div>
+                  {aiContent.estimatedTime && (
+                    <div className="flex items-center gap-1">
+                      <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"/>
+                      </svg>
+                      <span className="text-gray-600">{aiContent.estimatedTime}</span>
+                    </div>
+                  )}
+                  {aiContent.difficulty && (
+                    <div className="flex items-center gap-1">
+                      <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z"/>
+                      </svg>
+                      <span className={`font-medium ${getDifficultyColor(aiContent.difficulty)}`}>
+                        {aiContent.difficulty.charAt(0).toUpperCase() + aiContent.difficulty.slice(1)}
+                      </span>
+                    </div>
+                  )}
                 </div>
 
                 {/* Steps */}
                 <div className="space-y-3">
-                  <p className="font-medium text-sm">Steps:</p>
+                  <div className="flex items-center justify-between">
+                    <p className="font-medium text-sm">Steps:</p>
+                    {aiContent.steps.length > 0 && !loading && (
+                      <button
+                        type="button"
+                        onClick={handleConvertSteps}
+                        className="text-sm text-blue-600 hover:text-blue-800"
+                      >
+                        Convert to subtasks
+                      </button>
+                    )}
+                  </div>
                   {aiContent.steps.map((step, index) => (
                     <div key={index} className="bg-white rounded-lg p-3 shadow-sm">
                       <div className="flex items-start gap-2">
@@ -191,23 +374,66 @@ function TodoForm({ onSubmit, onClose }) {
                     </ul>
                   </div>
                 )}
+
+                {loading && (
+                  <p className="text-sm text-gray-400 animate-pulse">Writing…</p>
+                )}
               </div>
-            ) : (
+            ) : loading ? (
+              <p className="text-gray-400 text-sm animate-pulse">Thinking about your task…</p>
+            ) : !aiError && (
               <p className="text-gray-400 text-sm">Click "Get AI Help" to receive personalized guidance and resources</p>
             )}
           </div>
         </div>
 
-        <div className="grid grid-cols-3 gap-2">
+        {/* Subtasks Section */}
+        <div className="space-y-2">
+          <label className="block text-sm font-medium text-gray-700">Subtasks</label>
+          <SubtaskList
+            subtasks={subtasks}
+            canEdit
+            onAdd={handleAddSubtask}
+            onToggle={handleToggleSubtask}
+            onDelete={handleDeleteSubtask}
+            onReorder={handleReorderSubtask}
+          />
+        </div>
+
+        {/* AI triage: proposed category, priority and due date, accepted one at a time */}
+        <div className="space-y-2">
+          <div className="flex justify-end">
+            <button
+              type="button"
+              onClick={handleTriage}
+              disabled={triaging || !text.trim()}
+              className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {triaging ? 'Suggesting…' : 'Suggest category, priority & due date'}
+            </button>
+          </div>
+          {triageError && (
+            <p role="alert" className="px-3 py-2 rounded-lg text-sm bg-red-50 text-red-700">{triageError.message}</p>
+          )}
+          {triageNote && <p className="text-sm text-gray-500">{triageNote}</p>}
+          {triageProposals.length > 0 && (
+            <TriageProposals
+              proposals={triageProposals}
+              onAccept={handleAcceptTriage}
+              onDismiss={(proposal) => resolveTriageProposal(proposal, false)}
+            />
+          )}
+        </div>
+
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
           <select
-            value={category}
-            onChange={(e) => setCategory(e.target.value)}
+            value={categoryId || categories[0]?.id || ''}
+            onChange={(e) => setCategoryId(e.target.value)}
             className="px-3 py-1.5 bg-gray-50 rounded-lg text-gray-800 text-sm focus:outline-none focus:ring-1 focus:ring-blue-600 transition-colors appearance-none"
           >
-            <option value="personal">Personal</option>
-            <option value="work">Work</option>
-            <option value="shopping">Shopping</option>
-            <option value="other">Other</option>
+            {categories.map(c => (
+              <option key={c.id} value={c.id}>{c.icon ? `${c.icon} ` : ''}{c.name}</option>
+            ))}
           </select>
 
           <input
@@ -217,6 +443,15 @@ function TodoForm({ onSubmit, onClose }) {
             className="px-3 py-1.5 bg-gray-50 rounded-lg text-gray-800 text-sm focus:outline-none focus:ring-1 focus:ring-blue-600 transition-colors"
           />
 
+          <input
+            type="time"
+            value={dueTime}
+            onChange={(e) => setDueTime(e.target.value)}
+            disabled={!dueDate}
+            title={dueDate ? 'Due time (optional)' : 'Pick a due date first'}
+            className="px-3 py-1.5 bg-gray-50 rounded-lg text-gray-800 text-sm focus:outline-none focus:ring-1 focus:ring-blue-600 transition-colors disabled:opacity-50"
+          />
+
           <select
             value={priority}
             onChange={(e) => setPriority(e.target.value)}
@@ -228,6 +463,34 @@ function TodoForm({ onSubmit, onClose }) {
           </select>
         </div>
 
+        {/* Only projects the user can add todos to */}
+        <select
+          value={projectId}
+          onChange={(e) => setProjectId(e.target.value)}
+          className="w-full px-3 py-1.5 bg-gray-50 rounded-lg text-gray-800 text-sm focus:outline-none focus:ring-1 focus:ring-blue-600 transition-colors appearance-none"
+        >
+          <option value="">Inbox</option>
+          {projects.filter(p => p.permission === 'edit').map(p => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+        </select>
+
+        <TagInput tags={tags} onChange={setTags} suggestions={tagSuggestions} />
+
+        {/* Recurrence Section */}
+        <div className="space-y-2">
+          <label className="block text-sm font-medium text-gray-700">Repeat</label>
+          <RecurrenceEditor value={recurrence} onChange={setRecurrence} dueDate={dueDate} />
+        </div>
+
+        {/* Reminders need a due date to count from */}
+        {dueDate && (
+          <div className="space-y-2">
+            <label className="block text-sm font-medium text-gray-700">Reminders</label>
+            <ReminderPicker value={reminders} onChange={setReminders} hasTime={!!dueTime} />
+          </div>
+        )}
+
         <div className="flex justify-end gap-3 pt-2">
           <button
             type="button"
@@ -6,12 +6,15 @@
  * 
  * 1. Todo Display
  *    - Title and description
- *    - Category and priority indicators
+ *    - User-defined category (colour and icon) and free-form tags
+ *    - Workflow status, with when the todo entered it
+ *    - Priority indicators
  *    - Due date display
  *    - Completion status toggle
  * 
  * 2. Editing Capabilities
  *    - Inline editing of all todo fields
+ *    - Recurrence rules, editing one occurrence or all future occurrences
  *    - Form validation
  *    - Permission-based editing
  * 
@@ -24,19 +27,80 @@
  *    - Display of AI-generated insights
  *    - Task difficulty estimation
  *    - Time estimation
+ *    - Conversion of AI steps into subtasks
+ *    - Regenerating or refining insights, with earlier versions to compare and restore
  * 
- * 5. UI/UX Features
+ * 5. Subtasks
+ *    - Checkable, reorderable subtask list
+ *    - Progress bar based on completed subtasks
+ * 
+ * 6. UI/UX Features
  *    - Smooth animations using Framer Motion
  *    - Responsive design
  *    - Interactive tooltips
  *    - Loading states
+ *    - Search matches highlighted, and the selected search result outlined
+ *    - "Pending sync" badge for changes not yet sent to the server
  */
 
 import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { checkUserExists, createTodoInvitation, getSharedUsers, revokeAccess, updatePermission } from '../supabase';
+import { useTodosRepository } from '../services/TodosRepositoryContext';
+import { useToast } from './ToastProvider';
+import SubtaskList from './SubtaskList';
+import RecurrenceEditor from './RecurrenceEditor';
+import TagInput from './TagInput';
+import ReminderPicker from './ReminderPicker';
+import Highlight from './Highlight';
+import AIRevisionPanel from './AIRevisionPanel';
+import { getSubtaskProgress } from '../utils/subtasks';
+import { describeRecurrence } from '../utils/recurrence';
+import { resolveCategory } from '../utils/categories';
+import { resolveStatus, getStatusEnteredAt } from '../utils/statuses';
+import { splitDueDate, buildDueFields, isOverdue, formatDue, describeReminder, normalizeReminders } from '../utils/dueDates';
+
+function TodoItem({
+  todo,
+  onToggle,
+  onChangeStatus,
+  onDelete,
+  onEdit,
+  onAddSubtask,
+  onToggleSubtask,
+  onDeleteSubtask,
+  onReorderSubtasks,
+  onConvertSteps,
+  onReviseAI,
+  onRestoreAI,
+  currentUserEmail,
+  categories = [],
+  statuses = [],
+  projects = [],
+  tagSuggestions = [],
+  searchTerms = [],
+  isActiveResult = false
+}) {
+  const repository = useTodosRepository();
+  const toast = useToast();
+
+  // Category shown for this todo (the owner's category for shared todos)
+  const category = resolveCategory(todo, categories);
+  const project = projects.find(p => p.id === todo.project_id);
+
+  // Keep the result selected from the search box in view
+  useEffect(() => {
+    if (isActiveResult) {
+      document.getElementById(`todo-${todo.id}`)?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+  }, [isActiveResult, todo.id]);
+
+  // Open todos past their due date or time are flagged
+  const overdue = isOverdue(todo);
+
+  // Workflow status and when the todo entered it
+  const status = resolveStatus(todo, statuses);
+  const statusEnteredAt = getStatusEnteredAt(todo, statuses);
 
-function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
   // State Management
   const [isEditing, setIsEditing] = useState(false); // Toggle edit mode
   const [isSharing, setIsSharing] = useState(false); // Toggle sharing modal
@@ -46,15 +110,22 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
   const [showTooltip, setShowTooltip] = useState(false); // Tooltip visibility
   const [editedText, setEditedText] = useState(todo.title); // Edited title
   const [editedDescription, setEditedDescription] = useState(todo.description || ''); // Edited description
-  const [editedCategory, setEditedCategory] = useState(todo.category || 'personal'); // Edited category
-  const [editedDueDate, setEditedDueDate] = useState(todo.due_date || ''); // Edited due date
+  const [editedCategoryId, setEditedCategoryId] = useState(category?.id || ''); // Edited category
+  const [editedTags, setEditedTags] = useState(todo.tags || []); // Edited tags
+  const [editedProjectId, setEditedProjectId] = useState(todo.project_id || ''); // Edited project
+  const [editedDueDate, setEditedDueDate] = useState(splitDueDate(todo.due_date).date); // Edited due date
+  const [editedDueTime, setEditedDueTime] = useState(splitDueDate(todo.due_date, todo.has_due_time).time); // Edited due time, '' for none
+  const [editedReminders, setEditedReminders] = useState(todo.reminders || []); // Edited reminders
   const [editedPriority, setEditedPriority] = useState(todo.priority || 'medium'); // Edited priority
+  const [editedRecurrence, setEditedRecurrence] = useState(todo.recurrence || null); // Edited recurrence rule
+  const [editScope, setEditScope] = useState('this'); // Recurring edits: 'this' or 'future' occurrences
   const [isLoading, setIsLoading] = useState(false); // Loading state
   const [showSharedUsers, setShowSharedUsers] = useState(false); // Show shared users modal
   const [sharedUsers, setSharedUsers] = useState([]); // List of shared users
   const [isLoadingUsers, setIsLoadingUsers] = useState(false); // Loading state for users
   const [updatingPermission, setUpdatingPermission] = useState(null); // Permission update state
   const [selectedStep, setSelectedStep] = useState(null); // Selected step in multi-step forms
+  const [showSubtasks, setShowSubtasks] = useState(false); // Toggle subtask list
 
   // Permission Checks
   // Check if the current user can edit the todo
@@ -62,8 +133,13 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
                  (todo.isShared && todo.permission === 'edit');
 
   // Check if the current user can delete the todo
-  // Users can always delete todos for themselves, but only owners can delete for everyone
-  const canDelete = todo.isShared || todo.original_owner === currentUserEmail;
+  // Users can always delete todos for themselves, but only owners can delete for everyone.
+  // Todos visible through a shared project can't be removed individually.
+  const canDelete = (todo.isShared && !todo.isProjectShared) || todo.original_owner === currentUserEmail;
+
+  // Subtasks and their completion progress
+  const subtasks = todo.subtasks || [];
+  const subtaskProgress = getSubtaskProgress(subtasks);
 
   /**
    * Utility Functions
@@ -114,7 +190,7 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
       
       setIsLoadingUsers(true);
       try {
-        const users = await getSharedUsers(todo.id);
+        const users = await repository.getShares(todo.id);
         setSharedUsers(users);
       } catch (error) {
         console.error('Error fetching shared users:', error);
@@ -124,7 +200,7 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
     };
 
     fetchSharedUsers();
-  }, [showSharedUsers, todo.id, currentUserEmail, todo.original_owner]);
+  }, [showSharedUsers, todo.id, currentUserEmail, todo.original_owner, repository]);
 
   /**
    * Event Handlers
@@ -143,19 +219,20 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
       }
 
       // Check if user exists
-      const exists = await checkUserExists(shareEmail);
+      const exists = await repository.recipientExists(shareEmail);
       if (!exists) {
         setShareError('That email address is invalid.');
         return;
       }
 
       // Create invitation with permissions
-      await createTodoInvitation(todo.id, currentUserEmail, shareEmail, sharePermission);
+      await repository.share(todo.id, currentUserEmail, shareEmail, sharePermission);
+      toast.success(`Invitation sent to ${shareEmail}`);
       setShareEmail('');
       setIsSharing(false);
     } catch (error) {
+      // The repository has already told the user
       console.error('Error sharing todo:', error);
-      setShareError('Error sharing todo. Please try again.');
     } finally {
       setIsLoading(false);
     }
@@ -166,13 +243,29 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
     e.preventDefault();
     if (editedText.trim().length === 0) return;
     
+    // Categories belong to the owner, so recipients of shared todos can't change them
+    const selectedCategory = categories.find(c => c.id === editedCategoryId);
+    const categoryChanges = !todo.isShared && selectedCategory
+      ? { category_id: selectedCategory.id, category: selectedCategory.name }
+      : {};
+    // Only the owner can move a todo between projects
+    const projectChanges = !todo.isShared ? { project_id: editedProjectId || null } : {};
+    // A due time stays in the zone it was set in until it's changed
+    const due = splitDueDate(todo.due_date, todo.has_due_time);
+    const dueChanged = due.date !== editedDueDate || due.time !== editedDueTime;
+    const dueFields = buildDueFields(editedDueDate, editedDueTime, (!dueChanged && todo.due_time_zone) || undefined);
+
     onEdit(todo.id, {
       title: editedText,
       description: editedDescription,
-      category: editedCategory,
-      due_date: editedDueDate,
-      priority: editedPriority
-    });
+      ...categoryChanges,
+      ...projectChanges,
+      tags: editedTags,
+      ...dueFields,
+      reminders: dueFields.due_date ? normalizeReminders(editedReminders) : [],
+      priority: editedPriority,
+      recurrence: editedRecurrence
+    }, editScope);
     
     setIsEditing(false);
   };
@@ -181,7 +274,7 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
   const handlePermissionChange = async (userId, email, newPermission) => {
     try {
       setUpdatingPermission(userId);
-      await updatePermission(todo.id, email, newPermission);
+      await repository.updateSharePermission(todo.id, email, newPermission);
       setSharedUsers(users =>
         users.map(u =>
           u.id === userId 
@@ -190,8 +283,8 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
         )
       );
     } catch (error) {
+      // The repository has already told the user
       console.error('Error updating permission:', error);
-      alert('Failed to update permission. Please try again.');
     } finally {
       setUpdatingPermission(null);
     }
@@ -200,7 +293,7 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
   // Handle revoking user access
   const handleRevokeAccess = async (userId, email) => {
     try {
-      await revokeAccess(todo.id, email);
+      await repository.revokeShare(todo.id, email);
       setSharedUsers(users => users.filter(u => u.id !== userId));
     } catch (error) {
       console.error('Error revoking access:', error);
@@ -211,6 +304,7 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
   if (isEditing) {
     return (
       <motion.div
+        id={`todo-${todo.id}`}
         initial={{ opacity: 0, y: 20 }}
         animate={{ opacity: 1, y: 0 }}
         className="bg-gradient-to-br from-white via-white to-blue-50/30 rounded-xl p-6 mb-4 shadow-lg border border-white/50"
@@ -241,16 +335,22 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
           <div className="grid grid-cols-2 gap-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
-              <select 
-                value={editedCategory}
-                onChange={(e) => setEditedCategory(e.target.value)}
-                className="w-full px-4 py-2 bg-gray-50 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-              >
-                <option value="personal">Personal</option>
-                <option value="work">Work</option>
-                <option value="shopping">Shopping</option>
-                <option value="other">Other</option>
-              </select>
+              {todo.isShared ? (
+                <div className="w-full px-4 py-2 bg-gray-50 border border-gray-200 rounded-lg text-gray-600">
+                  {category ? `${category.icon ? `${category.icon} ` : ''}${category.name}` : 'None'}
+                </div>
+              ) : (
+                <select 
+                  value={editedCategoryId}
+                  onChange={(e) => setEditedCategoryId(e.target.value)}
+                  className="w-full px-4 py-2 bg-gray-50 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {!editedCategoryId && <option value="">{todo.category || 'None'}</option>}
+                  {categories.map(c => (
+                    <option key={c.id} value={c.id}>{c.icon ? `${c.icon} ` : ''}{c.name}</option>
+                  ))}
+                </select>
+              )}
             </div>
 
             <div>
@@ -267,16 +367,88 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
             </div>
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Tags</label>
+            <TagInput tags={editedTags} onChange={setEditedTags} suggestions={tagSuggestions} />
+          </div>
+
+          {!todo.isShared && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Project</label>
+              <select
+                value={editedProjectId}
+                onChange={(e) => setEditedProjectId(e.target.value)}
+                className="w-full px-4 py-2 bg-gray-50 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Inbox</option>
+                {projects.filter(p => p.permission === 'edit' || p.id === todo.project_id).map(p => (
+                  <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Due Date</label>
-            <input
-              type="date"
-              value={editedDueDate}
-              onChange={(e) => setEditedDueDate(e.target.value)}
-              className="w-full px-4 py-2 bg-gray-50 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
+            <div className="flex gap-2">
+              <input
+                type="date"
+                value={editedDueDate}
+                onChange={(e) => setEditedDueDate(e.target.value)}
+                className="flex-1 px-4 py-2 bg-gray-50 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <input
+                type="time"
+                value={editedDueTime}
+                onChange={(e) => setEditedDueTime(e.target.value)}
+                disabled={!editedDueDate}
+                title="Due time (optional)"
+                className="px-4 py-2 bg-gray-50 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+              />
+            </div>
+          </div>
+
+          {editedDueDate && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reminders</label>
+              <ReminderPicker value={editedReminders} onChange={setEditedReminders} hasTime={!!editedDueTime} />
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Repeat</label>
+            <RecurrenceEditor value={editedRecurrence} onChange={setEditedRecurrence} dueDate={editedDueDate} />
           </div>
 
+          {/* Recurring edits can apply to one occurrence or the rest of the series */}
+          {todo.series_id && (
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-700">Apply changes to</label>
+              <div className="flex items-center gap-4 text-sm text-gray-700">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    name={`edit-scope-${todo.id}`}
+                    value="this"
+                    checked={editScope === 'this'}
+                    onChange={() => setEditScope('this')}
+                  />
+                  This occurrence
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    name={`edit-scope-${todo.id}`}
+                    value="future"
+                    checked={editScope === 'future'}
+                    onChange={() => setEditScope('future')}
+                  />
+                  All future occurrences
+                </label>
+              </div>
+            </div>
+          )}
+
           {/* AI Content Section */}
           {todo.aiContent && (
             <div className="space-y-4 bg-gray-50 rounded-lg p-4">
@@ -364,6 +536,15 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
             </div>
           )}
 
+          {/* Regenerate or refine the AI content, and roll back to earlier versions */}
+          {canEdit && (
+            <AIRevisionPanel
+              todo={todo}
+              onRevise={(aiContent, change) => onReviseAI(todo.id, aiContent, change)}
+              onRestore={(index) => onRestoreAI(todo.id, index)}
+            />
+          )}
+
           {/* Show Shared Users section (only visible to original owner) */}
           {todo.original_owner === currentUserEmail && (
             <div className="space-y-2">
@@ -459,9 +640,13 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
   // Regular todo item view
   return (
     <motion.div
+      id={`todo-${todo.id}`}
+      tabIndex={-1}
       initial={{ opacity: 0, y: 20 }}
       animate={{ opacity: 1, y: 0 }}
-      className="relative bg-gradient-to-br from-white/95 via-white/90 to-blue-50/80 backdrop-blur-md rounded-2xl p-6 mb-4 group hover:bg-gradient-to-br hover:from-white/95 hover:via-white/95 hover:to-blue-100/80 transition-all duration-300 shadow-lg hover:shadow-xl border border-white/20 hover:border-white/40"
+      className={`relative bg-gradient-to-br from-white/95 via-white/90 to-blue-50/80 backdrop-blur-md rounded-2xl p-6 mb-4 group hover:bg-gradient-to-br hover:from-white/95 hover:via-white/95 hover:to-blue-100/80 transition-all duration-300 shadow-lg hover:shadow-xl border border-white/20 hover:border-white/40 focus:outline-none ${
+        isActiveResult ? 'ring-4 ring-yellow-300' : ''
+      } ${overdue ? 'border-l-4 border-l-red-400' : ''}`}
       onClick={() => {
         if (canEdit) {
           setIsEditing(true);
@@ -493,11 +678,36 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
         <div className="flex-1 min-w-0">
           <div className="flex items-center flex-wrap gap-2 mb-2">
             <h3 className={`text-lg font-medium ${todo.completed ? 'text-gray-400 line-through' : 'text-gray-800'}`}>
-              {todo.title}
+              <Highlight text={todo.title} terms={searchTerms} />
             </h3>
-            <span className="px-3 py-1 text-xs font-medium rounded-full bg-gray-100/80 text-gray-600 backdrop-blur-sm">
-              {todo.category}
-            </span>
+            <select
+              value={status.key}
+              onChange={(e) => onChangeStatus(todo.id, e.target.value)}
+              onClick={(e) => e.stopPropagation()}
+              disabled={todo.isShared && todo.permission === 'view'}
+              title={statusEnteredAt ? `${status.name} since ${formatDate(statusEnteredAt)}` : status.name}
+              className="px-3 py-1 text-xs font-medium rounded-full backdrop-blur-sm appearance-none cursor-pointer focus:outline-none disabled:cursor-default"
+              style={{
+                backgroundColor: `${status.color}20`,
+                color: status.color
+              }}
+            >
+              {!statuses.some(s => s.key === status.key) && <option value={status.key}>{status.name}</option>}
+              {statuses.map(option => (
+                <option key={option.key} value={option.key} className="text-gray-800">{option.name}</option>
+              ))}
+            </select>
+            {category && (
+              <span
+                className="px-3 py-1 text-xs font-medium rounded-full backdrop-blur-sm"
+                style={{
+                  backgroundColor: `${category.color}20`,
+                  color: category.color
+                }}
+              >
+                {category.icon ? `${category.icon} ` : ''}<Highlight text={category.name} terms={searchTerms} />
+              </span>
+            )}
             {todo.priority && (
               <span 
                 className="px-3 py-1 text-xs font-medium rounded-full backdrop-blur-sm" 
@@ -509,22 +719,70 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
                 {todo.priority}
               </span>
             )}
+            {todo.pendingSync && (
+              <span
+                className="flex items-center gap-1 px-2 py-1 text-xs font-medium rounded-full bg-amber-50 text-amber-600"
+                title="Saved on this device, waiting to sync"
+              >
+                <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                </svg>
+                Pending sync
+              </span>
+            )}
           </div>
           
           {todo.description && (
             <p className={`text-sm mb-3 ${todo.completed ? 'text-gray-400' : 'text-gray-600'}`}>
-              {todo.description}
+              <Highlight text={todo.description} terms={searchTerms} />
             </p>
           )}
 
+          {/* Tags */}
+          {todo.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-1 mb-3">
+              {todo.tags.map(tag => (
+                <span key={tag} className="px-2 py-0.5 text-xs font-medium rounded-full bg-blue-50 text-blue-600">
+                  #{tag}
+                </span>
+              ))}
+            </div>
+          )}
+
           <div className="flex items-center flex-wrap gap-4 text-sm text-gray-500">
+            {/* Project */}
+            {project && (
+              <div className="flex items-center gap-2 px-3 py-1 rounded-full bg-gray-50/50 backdrop-blur-sm">
+                <span className="w-2 h-2 rounded-full" style={{ backgroundColor: project.color }} />
+                <span>{project.name}</span>
+              </div>
+            )}
+
             {/* Due Date */}
             {todo.due_date && (
-              <div className="flex items-center gap-2 px-3 py-1 rounded-full bg-gray-50/50 backdrop-blur-sm">
+              <div
+                className={`flex items-center gap-2 px-3 py-1 rounded-full backdrop-blur-sm ${
+                  overdue ? 'bg-red-50 text-red-600 font-medium' : 'bg-gray-50/50'
+                }`}
+                title={todo.reminders?.length
+                  ? `Reminders: ${normalizeReminders(todo.reminders).map(r => describeReminder(r.minutes_before)).join(', ')}`
+                  : undefined}
+              >
                 <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
                 </svg>
-                <span>{formatDate(todo.due_date)}</span>
+                <span>{overdue && 'Overdue · '}{formatDue(todo)}</span>
+                {todo.reminders?.length > 0 && <span aria-label="Has reminders">🔔</span>}
+              </div>
+            )}
+
+            {/* Recurrence */}
+            {todo.recurrence && (
+              <div className="flex items-center gap-2 px-3 py-1 rounded-full bg-gray-50/50 backdrop-blur-sm">
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                </svg>
+                <span>{describeRecurrence(todo.recurrence)}</span>
               </div>
             )}
 
@@ -533,7 +791,7 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
               <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A2 2 0 013 12V7a4 4 0 014-4z" />
               </svg>
-              <span className="capitalize">{todo.category}</span>
+              <span className="capitalize">{category?.name || 'Uncategorized'}</span>
             </div>
 
             {/* Steps if available */}
@@ -556,6 +814,23 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
               </div>
             )}
           </div>
+
+          {/* Subtask Progress */}
+          {subtaskProgress.total > 0 && (
+            <div className="mt-3 flex items-center gap-3">
+              <div className="flex-1 h-2 bg-gray-200/70 rounded-full overflow-hidden">
+                <motion.div
+                  className="h-full bg-gradient-to-r from-blue-400 to-blue-600 rounded-full"
+                  initial={false}
+                  animate={{ width: `${subtaskProgress.percent}%` }}
+                  transition={{ duration: 0.3 }}
+                />
+              </div>
+              <span className="text-xs font-medium text-gray-500">
+                {subtaskProgress.completed}/{subtaskProgress.total}
+              </span>
+            </div>
+          )}
         </div>
 
         {/* Action Buttons */}
@@ -607,13 +882,59 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
         </div>
       </div>
 
+      {/* Subtasks */}
+      {(subtaskProgress.total > 0 || canEdit) && (
+        <div className="mt-4 pt-4 border-t border-gray-200/50">
+          <button
+            type="button"
+            onClick={(e) => {
+              e.stopPropagation();
+              setShowSubtasks(!showSubtasks);
+            }}
+            className="flex items-center gap-2 text-sm font-medium text-gray-700 hover:text-gray-900"
+          >
+            <svg
+              className={`w-4 h-4 transition-transform ${showSubtasks ? 'rotate-180' : ''}`}
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7" />
+            </svg>
+            {subtaskProgress.total > 0
+              ? `Subtasks (${subtaskProgress.completed}/${subtaskProgress.total})`
+              : 'Add subtasks'}
+          </button>
+
+          <AnimatePresence>
+            {showSubtasks && (
+              <motion.div
+                initial={{ opacity: 0, height: 0 }}
+                animate={{ opacity: 1, height: "auto" }}
+                exit={{ opacity: 0, height: 0 }}
+                className="mt-3 overflow-hidden"
+              >
+                <SubtaskList
+                  subtasks={subtasks}
+                  canEdit={canEdit}
+                  onAdd={(title) => onAddSubtask(todo.id, title)}
+                  onToggle={(index) => onToggleSubtask(todo.id, subtasks[index].id)}
+                  onDelete={(index) => onDeleteSubtask(todo.id, subtasks[index].id)}
+                  onReorder={(fromIndex, toIndex) => onReorderSubtasks(todo.id, fromIndex, toIndex)}
+                />
+              </motion.div>
+            )}
+          </AnimatePresence>
+        </div>
+      )}
+
       {/* AI Content Preview */}
       {todo.aiContent && (
         <div className="mt-4 pt-4 border-t border-gray-200/50">
           {/* Summary */}
           <div className="space-y-2 mb-4">
             <h4 className="text-sm font-medium text-gray-700">AI Assistant Insights</h4>
-            <p className="text-sm text-gray-600">{todo.aiContent.summary}</p>
+            <p className="text-sm text-gray-600"><Highlight text={todo.aiContent.summary} terms={searchTerms} /></p>
           </div>
 
           {/* Task Info */}
@@ -637,7 +958,22 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
           {/* Steps */}
           {todo.aiContent.steps && (
             <div className="mt-4 space-y-3">
-              <h5 className="text-sm font-medium text-gray-700">Steps</h5>
+              <div className="flex items-center justify-between">
+                <h5 className="text-sm font-medium text-gray-700">Steps</h5>
+                {canEdit && todo.aiContent.steps.length > 0 && (
+                  <button
+                    type="button"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onConvertSteps(todo.id);
+                      setShowSubtasks(true);
+                    }}
+                    className="text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    Convert to subtasks
+                  </button>
+                )}
+              </div>
               <div className="space-y-2">
                 {todo.aiContent.steps.map((step, index) => (
                   <div
@@ -652,7 +988,7 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
                       {index + 1}
                     </div>
                     <div className="flex-1 min-w-0">
-                      <p className="text-sm font-medium text-gray-900">{step.step}</p>
+                      <p className="text-sm font-medium text-gray-900"><Highlight text={step.step} terms={searchTerms} /></p>
                       {selectedStep === index && (
                         <motion.div
                           initial={{ opacity: 0, height: 0 }}
@@ -661,7 +997,7 @@ function TodoItem({ todo, onToggle, onDelete, onEdit, currentUserEmail }) {
                           className="mt-2 space-y-2"
                         >
                           {step.details && (
-                            <p className="text-sm text-gray-600">{step.details}</p>
+                            <p className="text-sm text-gray-600"><Highlight text={step.details} terms={searchTerms} /></p>
                           )}
                           {step.resources && step.resources.length > 0 && (
                             <div className="space-y-1">
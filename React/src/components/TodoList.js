@@ -6,17 +6,53 @@
  * @param {Object} props
  * @param {Array} props.todos - Array of todo objects to display
  * @param {Function} props.onToggle - Callback function to handle todo completion toggle
+ * @param {Function} props.onChangeStatus - Callback function to move a todo to another workflow status
  * @param {Function} props.onDelete - Callback function to handle todo deletion
  * @param {Function} props.onEdit - Callback function to handle todo editing
+ * @param {Function} props.onAddSubtask - Callback function to add a subtask to a todo
+ * @param {Function} props.onToggleSubtask - Callback function to toggle a subtask
+ * @param {Function} props.onDeleteSubtask - Callback function to delete a subtask
+ * @param {Function} props.onReorderSubtasks - Callback function to move a subtask
+ * @param {Function} props.onConvertSteps - Callback function to turn AI steps into subtasks
+ * @param {Function} props.onReviseAI - Callback function to save regenerated or refined AI insights
+ * @param {Function} props.onRestoreAI - Callback function to roll AI insights back to an earlier version
  * @param {string} props.currentUserEmail - Email of the current user for permission checks
+ * @param {Array} props.categories - The current user's categories
+ * @param {Array} props.statuses - The current user's workflow statuses
+ * @param {Array} props.projects - Projects the user owns or is a member of
+ * @param {Array} props.tagSuggestions - Tags already in use, offered when editing
  * @param {string} props.selectedStep - Current selected step
  * @param {Function} props.setSelectedStep - Callback function to set the selected step
+ * @param {Array<string>} props.searchTerms - Search terms to highlight
+ * @param {string} props.activeTodoId - ID of the result selected from the search box
  */
 import React from 'react';
 import TodoItem from './TodoItem';
 import { AnimatePresence } from 'framer-motion';
 
-function TodoList({ todos, onToggle, onDelete, onEdit, currentUserEmail, selectedStep, setSelectedStep }) {
+function TodoList({
+  todos,
+  onToggle,
+  onChangeStatus,
+  onDelete,
+  onEdit,
+  onAddSubtask,
+  onToggleSubtask,
+  onDeleteSubtask,
+  onReorderSubtasks,
+  onConvertSteps,
+  onReviseAI,
+  onRestoreAI,
+  currentUserEmail,
+  categories,
+  statuses,
+  projects,
+  tagSuggestions,
+  selectedStep,
+  setSelectedStep,
+  searchTerms,
+  activeTodoId
+}) {
   return (
     <div className="space-y-4">
       <AnimatePresence>
@@ -25,11 +61,25 @@ function TodoList({ todos, onToggle, onDelete, onEdit, currentUserEmail, selecte
             key={todo.id}
             todo={todo}
             onToggle={onToggle}
+            onChangeStatus={onChangeStatus}
             onDelete={onDelete}
             onEdit={onEdit}
+            onAddSubtask={onAddSubtask}
+            onToggleSubtask={onToggleSubtask}
+            onDeleteSubtask={onDeleteSubtask}
+            onReorderSubtasks={onReorderSubtasks}
+            onConvertSteps={onConvertSteps}
+            onReviseAI={onReviseAI}
+            onRestoreAI={onRestoreAI}
             currentUserEmail={currentUserEmail}
+            categories={categories}
+            statuses={statuses}
+            projects={projects}
+            tagSuggestions={tagSuggestions}
             selectedStep={selectedStep}
             setSelectedStep={setSelectedStep}
+            searchTerms={searchTerms}
+            isActiveResult={todo.id === activeTodoId}
           />
         ))}
       </AnimatePresence>
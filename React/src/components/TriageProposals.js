@@ -0,0 +1,62 @@
+/**
+ * TriageProposals Component
+ * Lists AI triage proposals for one todo (see utils/aiTriage), each with
+ * the current and suggested value and the AI's reason, to accept or dismiss
+ * field by field.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array} props.proposals - { field, value, current, reason } from getTriageProposals
+ * @param {Function} props.onAccept - Called with the accepted proposal
+ * @param {Function} props.onDismiss - Called with the dismissed proposal
+ */
+import React from 'react';
+import { TRIAGE_FIELD_LABELS } from '../utils/aiTriage';
+
+// Show a proposed or current value the way the rest of the app does
+const formatValue = (field, value) => {
+  if (!value) return 'None';
+  if (field === 'dueDate') {
+    return new Date(`${value}T00:00:00.000Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+  }
+  if (field === 'priority') return value.charAt(0).toUpperCase() + value.slice(1);
+  return value;
+};
+
+function TriageProposals({ proposals, onAccept, onDismiss }) {
+  return (
+    <ul className="space-y-2">
+      {proposals.map(proposal => (
+        <li key={proposal.field} className="flex items-start justify-between gap-3 p-2 bg-white rounded-lg border border-gray-100">
+          <div className="min-w-0 text-sm">
+            <p className="text-gray-900">
+              <span className="font-medium">{TRIAGE_FIELD_LABELS[proposal.field]}:</span>{' '}
+              <span className="text-gray-400 line-through">{formatValue(proposal.field, proposal.current)}</span>
+              {' → '}
+              <span className="font-medium text-blue-700">{formatValue(proposal.field, proposal.value)}</span>
+            </p>
+            <p className="text-xs text-gray-500">{proposal.reason}</p>
+          </div>
+          <div className="flex-shrink-0 flex gap-2 text-sm">
+            <button
+              type="button"
+              onClick={() => onAccept(proposal)}
+              className="px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700"
+            >
+              Accept
+            </button>
+            <button
+              type="button"
+              onClick={() => onDismiss(proposal)}
+              className="px-2 py-1 rounded text-gray-600 hover:text-gray-800 hover:bg-gray-100"
+            >
+              Dismiss
+            </button>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default TriageProposals;
@@ -0,0 +1,233 @@
+/**
+ * WeeklyReport Component
+ * Modal with a week's report: the todos, owned and shared, completed and
+ * created that week with stats (see utils/weeklyReport), and a short
+ * narrative the AI writes on request. The report can be copied or
+ * downloaded as Markdown for a standup.
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is visible
+ * @param {Function} props.onClose - Closes the modal
+ * @param {Array} props.todos - All todos, owned and shared
+ * @param {Array} props.statuses - The current user's statuses
+ * @param {Array} props.categories - The current user's categories
+ */
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { summarizeWeek } from '../services/openaiService';
+import { buildWeeklyReport, formatReportRange, toReportMarkdown } from '../utils/weeklyReport';
+import { getTodayKey, getWeekDays, shiftAnchor } from '../utils/calendar';
+import { WEEKDAY_LABELS } from '../utils/recurrence';
+
+function WeeklyReport({ isOpen, onClose, todos, statuses, categories }) {
+  const [anchor, setAnchor] = useState(getTodayKey()); // Any day in the week shown
+  const [narrative, setNarrative] = useState(null); // { summary, highlights } from the AI
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null); // Typed error (see openaiService) from the last request
+  const [copied, setCopied] = useState(false);
+
+  // Open on the current week
+  useEffect(() => {
+    if (isOpen) setAnchor(getTodayKey());
+  }, [isOpen]);
+
+  // A narrative only describes the week it was written for
+  useEffect(() => {
+    setNarrative(null);
+    setError(null);
+    setCopied(false);
+  }, [anchor]);
+
+  const week = getWeekDays(anchor);
+  const isCurrentWeek = week.includes(getTodayKey());
+  const report = buildWeeklyReport(todos, { from: week[0], to: week[6], statuses, categories });
+  const { stats } = report;
+  const busiestDay = Math.max(1, ...stats.byDay.map(({ count }) => count));
+
+  const handleSummarize = async () => {
+    setLoading(true);
+    setError(null);
+    const result = await summarizeWeek(report);
+    if (result.content) setNarrative(result.content);
+    setError(result.ok ? null : result.error);
+    setLoading(false);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(toReportMarkdown(report, narrative));
+      setCopied(true);
+    } catch (error) {
+      setError({ message: "Couldn't copy the report; download it instead." });
+    }
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([toReportMarkdown(report, narrative)], { type: 'text/markdown' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `weekly-report-${report.from}.md`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const renderEntries = (entries, emptyText) => (entries.length === 0 ? (
+    <p className="text-sm text-gray-500">{emptyText}</p>
+  ) : (
+    <ul className="space-y-1">
+      {entries.map(entry => (
+        <li key={entry.id} className="flex items-center justify-between gap-3 text-sm">
+          <span className={`truncate ${entry.completed ? 'text-gray-900' : 'text-gray-600'}`}>{entry.title}</span>
+          <span className="flex-shrink-0 text-xs text-gray-500">
+            {[entry.category, entry.sharedBy && `shared by ${entry.sharedBy}`].filter(Boolean).join(' · ')}
+          </span>
+        </li>
+      ))}
+    </ul>
+  ));
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[80vh] overflow-y-auto"
+            onClick={e => e.stopPropagation()}
+          >
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-2xl font-semibold text-gray-800">Weekly report</h2>
+              <button
+                onClick={onClose}
+                className="text-gray-500 hover:text-gray-700"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            <div className="flex items-center justify-between mb-4">
+              <button
+                type="button"
+                onClick={() => setAnchor(shiftAnchor('week', anchor, -1))}
+                className="px-2 py-1 text-gray-600 hover:text-gray-900"
+                aria-label="Previous week"
+              >
+                ‹
+              </button>
+              <span className="font-medium text-gray-800">{formatReportRange(report)}</span>
+              <button
+                type="button"
+                onClick={() => setAnchor(shiftAnchor('week', anchor, 1))}
+                disabled={isCurrentWeek}
+                className="px-2 py-1 text-gray-600 hover:text-gray-900 disabled:opacity-30 disabled:cursor-not-allowed"
+                aria-label="Next week"
+              >
+                ›
+              </button>
+            </div>
+
+            <div className="grid grid-cols-3 gap-3 mb-4 text-center">
+              <div className="p-3 bg-green-50 rounded-lg">
+                <p className="text-2xl font-semibold text-green-700">{stats.completed}</p>
+                <p className="text-xs text-gray-600">completed{stats.shared > 0 && ` (${stats.shared} shared)`}</p>
+              </div>
+              <div className="p-3 bg-blue-50 rounded-lg">
+                <p className="text-2xl font-semibold text-blue-700">{stats.created}</p>
+                <p className="text-xs text-gray-600">created ({stats.createdStillOpen} still open)</p>
+              </div>
+              <div className="p-3 bg-gray-50 rounded-lg">
+                <p className="text-2xl font-semibold text-gray-700">{stats.open}</p>
+                <p className="text-xs text-gray-600">open now{stats.overdue > 0 && ` (${stats.overdue} overdue)`}</p>
+              </div>
+            </div>
+
+            <div className="flex items-end gap-2 h-20 mb-4" aria-label="Completed per day">
+              {stats.byDay.map(({ day, count }, i) => (
+                <div key={day} className="flex-1 flex flex-col items-center justify-end h-full" title={`${count} completed`}>
+                  <div className="w-full bg-green-400 rounded-t" style={{ height: `${(count / busiestDay) * 100}%` }} />
+                  <span className="text-xs text-gray-500 mt-1">{WEEKDAY_LABELS[i]}</span>
+                </div>
+              ))}
+            </div>
+
+            <div className="mb-4 p-3 bg-gray-50 rounded-lg">
+              <div className="flex items-center justify-between gap-3 mb-2">
+                <h3 className="font-medium text-gray-800">Summary</h3>
+                <button
+                  type="button"
+                  onClick={handleSummarize}
+                  disabled={loading || (stats.completed === 0 && stats.created === 0)}
+                  className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {loading ? 'Writing…' : narrative ? 'Rewrite' : 'Write with AI'}
+                </button>
+              </div>
+              {error && (
+                <p role="alert" className="mb-2 px-3 py-2 rounded-lg text-sm bg-red-50 text-red-700">
+                  {error.message}
+                </p>
+              )}
+              {narrative ? (
+                <>
+                  <p className="text-gray-700">{narrative.summary}</p>
+                  {narrative.highlights.length > 0 && (
+                    <ul className="mt-2 list-disc list-inside text-sm text-gray-700">
+                      {narrative.highlights.map((highlight, i) => <li key={i}>{highlight}</li>)}
+                    </ul>
+                  )}
+                </>
+              ) : (
+                <p className="text-sm text-gray-500">
+                  {stats.completed === 0 && stats.created === 0
+                    ? 'Nothing was completed or created this week.'
+                    : 'Have the AI write a few sentences about this week for your standup.'}
+                </p>
+              )}
+            </div>
+
+            <div className="space-y-4 mb-4">
+              <div>
+                <h3 className="font-medium text-gray-800 mb-1">Completed</h3>
+                {renderEntries(report.completed, 'Nothing completed this week.')}
+              </div>
+              <div>
+                <h3 className="font-medium text-gray-800 mb-1">Created</h3>
+                {renderEntries(report.created, 'Nothing created this week.')}
+              </div>
+            </div>
+
+            <div className="flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={handleCopy}
+                className="px-4 py-2 text-sm text-blue-600 hover:text-blue-800"
+              >
+                {copied ? 'Copied!' : 'Copy Markdown'}
+              </button>
+              <button
+                type="button"
+                onClick={handleDownload}
+                className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                Download .md
+              </button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default WeeklyReport;
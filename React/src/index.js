@@ -2,12 +2,19 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import ToastProvider from './components/ToastProvider';
+import { TodosRepositoryProvider } from './services/TodosRepositoryContext';
+import { todosRepository } from './services/todosRepository';
 import reportWebVitals from './reportWebVitals';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <ToastProvider>
+      <TodosRepositoryProvider repository={todosRepository}>
+        <App />
+      </TodosRepositoryProvider>
+    </ToastProvider>
   </React.StrictMode>
 );
 
@@ -0,0 +1,35 @@
+/**
+ * Todos Repository Context
+ *
+ * Makes the todos repository injectable: the app provides the Supabase
+ * repository, tests can provide createInMemoryTodosRepository() instead.
+ */
+
+import React, { createContext, useContext } from 'react';
+
+const TodosRepositoryContext = createContext(null);
+
+/**
+ * Provide a todos repository to the component tree
+ * @param {Object} props
+ * @param {Object} props.repository - The Supabase or in-memory repository
+ */
+export function TodosRepositoryProvider({ repository, children }) {
+  return (
+    <TodosRepositoryContext.Provider value={repository}>
+      {children}
+    </TodosRepositoryContext.Provider>
+  );
+}
+
+/**
+ * Get the todos repository provided higher up the tree
+ * @returns {Object} The repository
+ */
+export const useTodosRepository = () => {
+  const repository = useContext(TodosRepositoryContext);
+  if (!repository) {
+    throw new Error('useTodosRepository must be used inside a TodosRepositoryProvider');
+  }
+  return repository;
+};
@@ -0,0 +1,194 @@
+/**
+ * AI Providers
+ *
+ * Every AI feature talks to the model through an AIProvider, so the same
+ * prompts run against the real model or the fixture-driven mock in
+ * services/mockAIProvider.
+ *
+ * The real model sits behind the ai-proxy Edge Function
+ * (supabase/functions/ai-proxy), which holds the API key, checks the user's
+ * session and applies rate limits and quotas. Which model it uses (Azure
+ * OpenAI, OpenAI or an OpenAI-compatible server) is set in its secrets; no
+ * key is ever part of this bundle.
+ *
+ * The provider is picked from the environment (see getAIConfig):
+ *
+ *   REACT_APP_AI_PROVIDER=proxy|mock     defaults to proxy, and mock in tests
+ *   REACT_APP_AI_PROXY_FUNCTION=ai-proxy  name of the Edge Function
+ */
+
+import { createMockAIProvider } from './mockAIProvider';
+
+export const AI_PROVIDERS = ['proxy', 'mock'];
+
+const DEFAULT_PROXY_FUNCTION = 'ai-proxy';
+
+/**
+ * @typedef {Object} AIProvider
+ * @property {string} name - One of AI_PROVIDERS
+ * @property {Function} complete - ({ messages, maxTokens, temperature }) => Promise<string>,
+ *   the text of the reply. Rejects when the model can't be reached; errors
+ *   from the proxy carry its HTTP `status` (429 when over the limits, with
+ *   `retryAfter` in seconds).
+ * @property {Function} stream - ({ messages, maxTokens, temperature, signal, onDelta }) => Promise<string>,
+ *   the same, calling onDelta(textSoFar) as each piece arrives. Rejects with an
+ *   AbortError when `signal` aborts; if the stream breaks midway, the error's
+ *   `partial` holds the text received.
+ */
+
+/**
+ * Read the AI configuration from environment variables
+ * @param {Object} env - Defaults to process.env
+ * @returns {Object|null} { provider, functionName }, null for an unknown provider
+ */
+export const getAIConfig = (env = process.env) => {
+  const provider = env.REACT_APP_AI_PROVIDER || (env.NODE_ENV === 'test' ? 'mock' : 'proxy');
+
+  if (provider === 'proxy') {
+    return { provider, functionName: env.REACT_APP_AI_PROXY_FUNCTION || DEFAULT_PROXY_FUNCTION };
+  }
+  if (provider === 'mock') return { provider };
+  return null;
+};
+
+// Call an Edge Function with the signed-in user's session. Loaded on first
+// use so tests and the mock don't need Supabase set up.
+const invokeFunction = async (functionName, body) => {
+  const { supabase } = await import('../supabase');
+  return supabase.functions.invoke(functionName, { body });
+};
+
+// Turn an error from supabase.functions.invoke into one with the proxy's
+// message and HTTP status
+const toProxyError = async (error) => {
+  // HTTP errors carry the proxy's response, which says what went wrong
+  const response = error.context;
+  let body = {};
+  if (typeof response?.json === 'function') {
+    try {
+      body = await response.json();
+    } catch (parseError) {
+      // Not JSON, e.g. from the gateway; keep the generic message
+    }
+  }
+  return Object.assign(new Error(body.error || error.message), { status: response?.status, retryAfter: body.retryAfter });
+};
+
+const abortError = () => Object.assign(new Error('The AI request was cancelled'), { name: 'AbortError' });
+
+/**
+ * Read the proxy's server-sent events until { done } or { error }
+ * @param {Response} response - A text/event-stream response
+ * @param {Function} onEvent - Called with each parsed event
+ * @param {AbortSignal} signal - Stops reading and closes the stream
+ */
+const readEventStream = async (response, onEvent, signal) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const cancel = () => reader.cancel().catch(() => {});
+  signal?.addEventListener('abort', cancel);
+
+  try {
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (signal?.aborted) throw abortError();
+      if (done) return;
+
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+      for (const event of events) {
+        const data = event.split('\n').filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('');
+        if (data && onEvent(JSON.parse(data)) === false) {
+          cancel();
+          return;
+        }
+      }
+    }
+  } finally {
+    signal?.removeEventListener('abort', cancel);
+  }
+};
+
+/**
+ * The model behind the ai-proxy Edge Function
+ * @param {Object} options
+ * @param {string} options.functionName - Edge Function to call
+ * @param {Function} options.invoke - (functionName, body) => { data, error }, like supabase.functions.invoke
+ */
+export const createProxyProvider = ({ functionName = DEFAULT_PROXY_FUNCTION, invoke = invokeFunction } = {}) => ({
+  name: 'proxy',
+
+  async complete({ messages, maxTokens = 800, temperature = 0.7 }) {
+    const { data, error } = await invoke(functionName, { messages, maxTokens, temperature });
+
+    if (error) throw await toProxyError(error);
+
+    if (typeof data?.content !== 'string') {
+      throw new Error('No AI response received.');
+    }
+    return data.content;
+  },
+
+  async stream({ messages, maxTokens = 800, temperature = 0.7, signal, onDelta = () => {} }) {
+    const { data, error } = await invoke(functionName, { messages, maxTokens, temperature, stream: true });
+    if (error) throw await toProxyError(error);
+    if (signal?.aborted) {
+      data.body?.cancel();
+      throw abortError();
+    }
+
+    let text = '';
+    let finished = false;
+    let streamError = null;
+    try {
+      await readEventStream(data, (event) => {
+        if (event.delta) {
+          text += event.delta;
+          onDelta(text);
+        }
+        if (event.error) streamError = event.error;
+        finished = !!event.done;
+        return !event.done && !event.error;
+      }, signal);
+    } catch (readError) {
+      if (readError.name === 'AbortError') throw Object.assign(readError, { partial: text });
+      streamError = 'The connection to the AI service was lost';
+    }
+
+    if (!finished) {
+      throw Object.assign(new Error(streamError || 'The AI response was cut off'), { partial: text });
+    }
+    return text;
+  }
+});
+
+/**
+ * Create the provider for a configuration
+ * @param {Object|null} config - From getAIConfig
+ * @returns {AIProvider|null} null when AI isn't set up
+ */
+export const createAIProvider = (config) => {
+  switch (config?.provider) {
+    case 'proxy':
+      return createProxyProvider(config);
+    case 'mock':
+      return createMockAIProvider();
+    default:
+      return null;
+  }
+};
+
+let defaultProvider;
+
+/**
+ * Get the provider configured for this build
+ * @returns {AIProvider|null}
+ */
+export const getDefaultAIProvider = () => {
+  if (defaultProvider === undefined) {
+    defaultProvider = createAIProvider(getAIConfig());
+  }
+  return defaultProvider;
+};
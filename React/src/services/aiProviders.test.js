@@ -0,0 +1,388 @@
+import { getAIConfig, createAIProvider, createProxyProvider } from './aiProviders';
+import { createMockAIProvider } from './mockAIProvider';
+import fetchAIResponse, { parseTaskText, streamAIResponse, refineAIResponse, triageTodos, planDay, summarizeWeek, AIErrorType, MAX_REPAIR_ATTEMPTS } from './openaiService';
+import { AI_ACTIONS } from '../utils/aiVersions';
+import { TextDecoder, TextEncoder } from 'util';
+
+// jsdom has no TextDecoder, which reading streams needs
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+// A fetch Response whose body arrives in the given pieces
+const eventStreamResponse = (pieces) => {
+  const chunks = pieces.map(piece => new TextEncoder().encode(piece));
+  return {
+    body: {
+      getReader: () => ({
+        read: async () => (chunks.length ? { value: chunks.shift(), done: false } : { done: true }),
+        cancel: async () => {}
+      })
+    }
+  };
+};
+
+describe('getAIConfig', () => {
+  it('uses the proxy unless configured otherwise', () => {
+    expect(getAIConfig({})).toEqual({ provider: 'proxy', functionName: 'ai-proxy' });
+    expect(getAIConfig({ REACT_APP_AI_PROVIDER: 'proxy', REACT_APP_AI_PROXY_FUNCTION: 'ai' }))
+      .toEqual({ provider: 'proxy', functionName: 'ai' });
+    expect(getAIConfig({ REACT_APP_AI_PROVIDER: 'mock' })).toEqual({ provider: 'mock' });
+  });
+
+  it('returns null for an unknown provider', () => {
+    expect(getAIConfig({ REACT_APP_AI_PROVIDER: 'azure' })).toBeNull();
+  });
+
+  it('defaults to the mock in tests', () => {
+    expect(getAIConfig({ NODE_ENV: 'test' })).toEqual({ provider: 'mock' });
+  });
+});
+
+describe('createAIProvider', () => {
+  it('creates a provider for each configuration without connecting', () => {
+    expect(createAIProvider({ provider: 'proxy', functionName: 'ai-proxy' }).name).toBe('proxy');
+    expect(createAIProvider({ provider: 'mock' }).name).toBe('mock');
+    expect(createAIProvider(null)).toBeNull();
+  });
+});
+
+describe('proxy provider', () => {
+  const messages = [{ role: 'user', content: 'Plan a trip' }];
+
+  it('sends the request to the Edge Function and returns its content', async () => {
+    const invoke = jest.fn().mockResolvedValue({ data: { content: 'Sure' }, error: null });
+    const provider = createProxyProvider({ functionName: 'ai-proxy', invoke });
+
+    await expect(provider.complete({ messages, maxTokens: 200, temperature: 0 })).resolves.toBe('Sure');
+    expect(invoke).toHaveBeenCalledWith('ai-proxy', { messages, maxTokens: 200, temperature: 0 });
+  });
+
+  it('rejects with the proxy\'s message and status', async () => {
+    const context = { status: 429, json: async () => ({ error: 'Too many AI requests, please wait a moment', retryAfter: 30 }) };
+    const invoke = jest.fn().mockResolvedValue({ data: null, error: Object.assign(new Error('Edge Function returned a non-2xx status code'), { context }) });
+
+    await expect(createProxyProvider({ invoke }).complete({ messages }))
+      .rejects.toMatchObject({ message: 'Too many AI requests, please wait a moment', status: 429 });
+  });
+});
+
+describe('proxy provider streaming', () => {
+  const messages = [{ role: 'user', content: 'Plan a trip' }];
+
+  it('reads events split across chunks', async () => {
+    const invoke = jest.fn().mockResolvedValue({
+      data: eventStreamResponse(['data: {"delta":"Hel', 'lo"}\n\ndata: {"delta":" there"}\n\n', 'data: {"done":true}\n\n']),
+      error: null
+    });
+    const onDelta = jest.fn();
+
+    await expect(createProxyProvider({ invoke }).stream({ messages, onDelta })).resolves.toBe('Hello there');
+    expect(onDelta.mock.calls).toEqual([['Hello'], ['Hello there']]);
+    expect(invoke.mock.calls[0][1].stream).toBe(true);
+  });
+
+  it('rejects with the text so far when the stream breaks', async () => {
+    const invoke = jest.fn().mockResolvedValue({
+      data: eventStreamResponse(['data: {"delta":"Half"}\n\n', 'data: {"error":"The AI service stopped responding"}\n\n']),
+      error: null
+    });
+
+    await expect(createProxyProvider({ invoke }).stream({ messages }))
+      .rejects.toMatchObject({ message: 'The AI service stopped responding', partial: 'Half' });
+  });
+
+  it('treats a stream that ends without finishing as cut off', async () => {
+    const invoke = jest.fn().mockResolvedValue({ data: eventStreamResponse(['data: {"delta":"Half"}\n\n']), error: null });
+
+    await expect(createProxyProvider({ invoke }).stream({ messages }))
+      .rejects.toMatchObject({ message: 'The AI response was cut off', partial: 'Half' });
+  });
+});
+
+describe('mock provider', () => {
+  it('answers from the first matching fixture and records the request', async () => {
+    const provider = createMockAIProvider({
+      fixtures: [
+        { match: 'groceries', response: 'first' },
+        { match: /groc/, response: 'second' }
+      ]
+    });
+
+    await expect(provider.complete({ messages: [{ role: 'user', content: 'Buy groceries' }] })).resolves.toBe('first');
+    expect(provider.calls).toHaveLength(1);
+  });
+
+  it('streams the response in pieces', async () => {
+    const provider = createMockAIProvider({ fixtures: [{ match: 'trip', response: 'x'.repeat(40) }] });
+    const onDelta = jest.fn();
+
+    await expect(provider.stream({ messages: [{ role: 'user', content: 'trip' }], onDelta })).resolves.toHaveLength(40);
+    expect(onDelta.mock.calls.map(([text]) => text.length)).toEqual([16, 32, 40]);
+  });
+
+  it('breaks the stream after failAfter characters and stops when aborted', async () => {
+    const provider = createMockAIProvider({ fixtures: [{ match: 'trip', response: 'x'.repeat(40), failAfter: 20 }] });
+    const messages = [{ role: 'user', content: 'trip' }];
+
+    await expect(provider.stream({ messages })).rejects.toMatchObject({ partial: 'x'.repeat(20) });
+
+    const controller = new AbortController();
+    controller.abort();
+    await expect(provider.stream({ messages, signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError', partial: '' });
+  });
+
+  it('rejects with fixture errors and when nothing matches', async () => {
+    const provider = createMockAIProvider({ fixtures: [{ match: 'fail', response: new Error('Rate limited') }] });
+
+    await expect(provider.complete({ messages: [{ role: 'user', content: 'fail' }] })).rejects.toThrow('Rate limited');
+    await expect(provider.complete({ messages: [{ role: 'user', content: 'hello' }] })).rejects.toThrow('No mock AI fixture');
+  });
+});
+
+describe('AI requests through a provider', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => console.error.mockRestore());
+
+  const guidance = {
+    summary: 'Book it',
+    steps: [{ step: 'Compare flights', details: '', resources: [] }, { step: 'Book the hotel', details: '', resources: [] }],
+    estimatedTime: '1 hour',
+    difficulty: 'easy',
+    relatedTasks: []
+  };
+  // Answers every guidance request, including repair requests, with `response`
+  const always = (response, extra = {}) => createMockAIProvider({
+    fixtures: [{ match: ({ system }) => system.includes('task management'), response, ...extra }]
+  });
+
+  it('analyzes a task with the default fixtures', async () => {
+    const result = await fetchAIResponse('Plan a trip', '', { provider: createMockAIProvider() });
+
+    expect(result.ok).toBe(true);
+    expect(result.content.summary).toContain('Plan a trip');
+    expect(result.content.steps).toHaveLength(2);
+  });
+
+  it('uses the configured provider by default', async () => {
+    const result = await fetchAIResponse('Plan a trip', '');
+
+    expect(result.content.summary).toContain('mock AI provider');
+  });
+
+  it('reads JSON wrapped in a code fence with trailing prose', async () => {
+    const provider = always('Here you go:\n```json\n' + JSON.stringify(guidance) + '\n```\nGood luck!');
+
+    await expect(fetchAIResponse('Plan a trip', '', { provider })).resolves.toEqual({ ok: true, content: guidance });
+    expect(provider.calls).toHaveLength(1);
+  });
+
+  it('asks the model to fix an invalid reply once', async () => {
+    const provider = createMockAIProvider({
+      fixtures: [
+        { match: 'Plan a trip', response: { ...guidance, difficulty: 'tricky' } },
+        { match: "doesn't match", response: guidance }
+      ]
+    });
+
+    await expect(fetchAIResponse('Plan a trip', '', { provider })).resolves.toEqual({ ok: true, content: guidance });
+    expect(provider.calls).toHaveLength(2);
+    expect(provider.calls[1].messages[3].content).toContain('difficulty should be one of "easy", "medium", "hard"');
+  });
+
+  it('returns a typed error when the reply stays invalid', async () => {
+    const badResource = { ...guidance, steps: [{ step: 'Read', resources: [{ title: 'Guide', url: 'not a url', type: 'blog' }] }] };
+    const provider = always(badResource);
+
+    const result = await fetchAIResponse('Plan a trip', '', { provider });
+
+    expect(provider.calls).toHaveLength(1 + MAX_REPAIR_ATTEMPTS);
+    expect(result).toMatchObject({ ok: false, error: { type: AIErrorType.INVALID_RESPONSE } });
+    expect(result.error.problems).toContain('steps[0].resources[0].url should be an http(s) URL');
+    expect(result.error.problems).toContain('steps[0].resources[0].type should be one of');
+  });
+
+  it('returns typed errors instead of placeholder guidance when the request fails', async () => {
+    const offline = always(new Error('offline'));
+    const limited = always(Object.assign(new Error("You've used today's AI allowance"), { status: 429, retryAfter: 60 }));
+
+    expect(await fetchAIResponse('Plan a trip', '', { provider: offline }))
+      .toEqual({ ok: false, content: null, error: { type: AIErrorType.NETWORK, message: "Couldn't reach the AI service. Please try again." } });
+    expect((await fetchAIResponse('Plan a trip', '', { provider: limited })).error)
+      .toEqual({ type: AIErrorType.RATE_LIMITED, message: "You've used today's AI allowance", retryAfter: 60 });
+    expect((await fetchAIResponse('Plan a trip', '', { provider: null })).error.type).toBe(AIErrorType.NOT_CONFIGURED);
+  });
+
+  it('parses quick-add text from a fixture', async () => {
+    const provider = createMockAIProvider({
+      fixtures: [{ match: 'this weekend', response: { title: 'Clean garage', date: '2026-10-24', time: null } }]
+    });
+
+    await expect(parseTaskText('Clean garage this weekend', { today: '2026-10-19, Monday', provider }))
+      .resolves.toEqual({ title: 'Clean garage', date: '2026-10-24', time: null });
+    expect(provider.calls[0].temperature).toBe(0);
+  });
+
+  it('ignores quick-add parses that do not match the schema', async () => {
+    const provider = createMockAIProvider({
+      fixtures: [{ match: 'this weekend', response: { title: 'Clean garage', date: 'Saturday' } }]
+    });
+
+    await expect(parseTaskText('Clean garage this weekend', { today: '2026-10-19, Monday', provider })).resolves.toBeNull();
+  });
+
+  it('streams guidance as it arrives', async () => {
+    const onUpdate = jest.fn();
+    const result = await streamAIResponse('Plan a trip', '', { provider: createMockAIProvider(), onUpdate });
+
+    expect(result.ok).toBe(true);
+    expect(result.content.steps).toHaveLength(2);
+    expect(onUpdate.mock.calls[0][0].summary.length).toBeLessThan(result.content.summary.length);
+  });
+
+  it('keeps the guidance that arrived before a stream fails', async () => {
+    const failAfter = JSON.stringify(guidance).indexOf('Book the');
+    const result = await streamAIResponse('Plan a trip', '', { provider: always(guidance, { failAfter }) });
+
+    expect(result).toMatchObject({ ok: false, error: { type: AIErrorType.INCOMPLETE, message: 'The AI service stopped responding, please try again' } });
+    expect(result.content.summary).toBe('Book it');
+    expect(result.content.steps.map(step => step.step)).toEqual(['Compare flights', '']);
+  });
+
+  it('reports cancelled and cut-off responses', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    expect((await streamAIResponse('Plan a trip', '', { provider: createMockAIProvider(), signal: controller.signal })).error.type)
+      .toBe(AIErrorType.CANCELLED);
+
+    expect(await streamAIResponse('Plan a trip', '', { provider: always('{"summary": "Book it", "steps": [') })).toMatchObject({
+      ok: false,
+      error: { type: AIErrorType.INCOMPLETE },
+      content: { summary: 'Book it', steps: [] }
+    });
+  });
+  it('refines the current guidance with feedback', async () => {
+    const provider = always(guidance);
+    const current = { ...guidance, summary: 'Travel' };
+
+    const result = await refineAIResponse('Plan a trip', '', current, { action: AI_ACTIONS.REFINE, feedback: ' Mention trains ', provider });
+
+    expect(result).toEqual({ ok: true, content: guidance });
+    const { messages } = provider.calls[0];
+    expect(messages[2]).toEqual({ role: 'assistant', content: JSON.stringify(current) });
+    expect(messages[3].content).toMatch(/^Revise this guidance based on my feedback: Mention trains\n/);
+  });
+
+  it('regenerates from scratch, and simplifies or details the current guidance', async () => {
+    const provider = always(guidance);
+
+    await refineAIResponse('Plan a trip', '', guidance, { action: AI_ACTIONS.REGENERATE, provider });
+    await refineAIResponse('Plan a trip', '', guidance, { action: AI_ACTIONS.SIMPLIFY, provider });
+    await refineAIResponse('Plan a trip', '', guidance, { action: AI_ACTIONS.DETAILED, provider });
+
+    expect(provider.calls[0].messages).toHaveLength(2);
+    expect(provider.calls[0].temperature).toBe(0.9);
+    expect(provider.calls[1].messages[3].content).toContain('Simplify this guidance');
+    expect(provider.calls[2].messages[3].content).toContain('more detailed');
+  });
+  it('triages todos, keeping only well-formed suggestions for the todos asked about', async () => {
+    const categories = [{ id: 'c1', name: 'Work' }];
+    const todos = [{ id: 't1', title: 'Send the report', aiContent: { estimatedTime: '2 hours', difficulty: 'hard' } }, { id: 't2', title: 'Call mum' }];
+    const provider = createMockAIProvider({
+      fixtures: [{
+        match: 'Send the report',
+        response: {
+          suggestions: [
+            { id: 't1', category: { value: 'Work', reason: 'It is for the office' }, priority: { value: 'high', reason: 'Hard and due soon' } },
+            { id: 't9', priority: { value: 'low', reason: 'Not asked about' } }
+          ]
+        }
+      }]
+    });
+
+    const result = await triageTodos(todos, { categories, today: '2026-10-19, Monday', provider });
+
+    expect(result).toEqual({
+      ok: true,
+      content: [{ id: 't1', category: { value: 'Work', reason: 'It is for the office' }, priority: { value: 'high', reason: 'Hard and due soon' } }]
+    });
+    expect(provider.calls[0].messages[0].content).toContain('"Work"');
+    expect(JSON.parse(provider.calls[0].messages[1].content)[0]).toEqual({ id: 't1', title: 'Send the report', estimatedTime: '2 hours', difficulty: 'hard' });
+  });
+
+  it('asks for a fix when a triage suggestion names an unknown category', async () => {
+    const provider = createMockAIProvider({
+      fixtures: [{ match: ({ system }) => system.includes('triage'), response: { suggestions: [{ id: 't2', category: { value: 'Family', reason: 'Mum' } }] } }]
+    });
+
+    const result = await triageTodos([{ id: 't2', title: 'Call mum' }], { categories: [{ id: 'c1', name: 'Personal' }], today: '2026-10-19, Monday', provider });
+
+    expect(provider.calls).toHaveLength(1 + MAX_REPAIR_ATTEMPTS);
+    expect(result).toMatchObject({ ok: false, content: [], error: { type: AIErrorType.INVALID_RESPONSE } });
+    expect(result.error.problems).toContain('suggestions[0].category.value should be one of "Personal"');
+  });
+
+  it('triages with the default fixture', async () => {
+    const result = await triageTodos([{ id: 't1', title: 'Pay rent', dueDate: '2026-10-20' }], { today: '2026-10-19, Monday', provider: createMockAIProvider() });
+
+    expect(result.content[0].priority.value).toBe('high');
+  });
+  it('plans the day from open todos, keeping each known todo once', async () => {
+    const todos = [
+      { id: 't1', title: 'Send the report', priority: 'high', due_date: '2099-10-19T17:00:00.000Z', has_due_time: true, aiContent: { estimatedTime: '2 hours' } },
+      { id: 't2', title: 'Review slides', isShared: true, original_owner: 'them@example.com' }
+    ];
+    const provider = createMockAIProvider({
+      fixtures: [{
+        match: 'Send the report',
+        response: {
+          summary: 'Report first',
+          items: [{ id: 't1', minutes: 120, reason: 'Due today' }, { id: 't9', minutes: 30 }, { id: 't1', minutes: 30 }, { id: 't2', minutes: 45 }]
+        }
+      }]
+    });
+
+    const result = await planDay(todos, { hours: 4, startTime: '09:00', today: '2026-10-19, Monday', provider });
+
+    expect(result).toEqual({
+      ok: true,
+      content: { summary: 'Report first', items: [{ id: 't1', minutes: 120, reason: 'Due today' }, { id: 't2', minutes: 45 }] }
+    });
+    expect(provider.calls[0].messages[0].content).toContain('They have 4 hours, starting at 09:00');
+    expect(JSON.parse(provider.calls[0].messages[1].content)).toEqual([
+      { id: 't1', title: 'Send the report', priority: 'high', due: '2099-10-19 17:00', estimatedTime: '2 hours' },
+      { id: 't2', title: 'Review slides', sharedBy: 'them@example.com' }
+    ]);
+  });
+
+  it('plans the day with the default fixture', async () => {
+    const result = await planDay([{ id: 't1', title: 'Pay rent' }], { hours: 2, startTime: '09:00', today: '2026-10-19, Monday', provider: createMockAIProvider() });
+
+    expect(result.content.items).toEqual([{ id: 't1', minutes: 30, reason: 'Next on the list.' }]);
+  });
+
+  it('summarizes the week from the report, without IDs or times', async () => {
+    const report = {
+      from: '2026-10-18',
+      to: '2026-10-24',
+      completed: [{ id: 't1', title: 'Ship the release', category: 'Work', priority: 'high', completed: true, completedAt: '2026-10-20T12:00:00.000Z', sharedBy: null }],
+      created: [{ id: 't2', title: 'Plan the offsite', category: 'Uncategorized', priority: null, completed: false, completedAt: null, sharedBy: 'them@example.com' }],
+      stats: { completed: 1, created: 1, byDay: [{ day: '2026-10-20', count: 1 }] }
+    };
+    const provider = createMockAIProvider();
+
+    const result = await summarizeWeek(report, { provider });
+
+    expect(result).toEqual({
+      ok: true,
+      content: {
+        summary: 'A sample summary from the mock AI provider: I completed 1 and created 1 tasks.',
+        highlights: ['Finished Ship the release']
+      }
+    });
+    expect(provider.calls[0].messages[0].content).toContain('The report covers 2026-10-18 to 2026-10-24');
+    expect(JSON.parse(provider.calls[0].messages[1].content)).toEqual({
+      stats: { completed: 1, created: 1 },
+      completed: [{ title: 'Ship the release', category: 'Work', priority: 'high', completed: true }],
+      created: [{ title: 'Plan the offsite', category: 'Uncategorized', sharedBy: 'them@example.com' }]
+    });
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * In-Memory Todos Repository
+ *
+ * Implements the same API as services/todosRepository without a server,
+ * for rendering components in tests:
+ *
+ *   <TodosRepositoryProvider repository={createInMemoryTodosRepository({ todos })}>
+ *
+ * Todos are stored as `todos` rows (with embedded `subtasks`) and returned
+ * through the same mapper as the Supabase repository.
+ */
+
+import { mapTodoRow, toDeletedTodoColumns, fromDeletedTodoRow } from '../utils/todoMapper';
+import { parseSearchQuery } from '../utils/search';
+import { applySubtaskChanges } from '../utils/subtasks';
+
+/**
+ * Create an in-memory todos repository
+ * @param {Object} seed
+ * @param {Array} seed.todos - `todos` rows, optionally with `subtasks`
+ * @param {Array} seed.shares - `shared_todos` rows
+ * @param {Array} seed.deleted - `recently_deleted` rows
+ * @param {Array<string>} seed.users - Emails todos can be shared with
+ * @returns {Object} The repository, plus `invitations` for inspecting shares
+ */
+export const createInMemoryTodosRepository = ({
+  todos = [],
+  shares = [],
+  deleted = [],
+  users = []
+} = {}) => {
+  const rows = new Map(todos.map(row => [row.id, { subtasks: [], ...row }]));
+  let shareRows = [...shares];
+  let deletedRows = [...deleted];
+  const invitations = [];
+  let lastId = 0;
+  const nextId = () => `memory-${++lastId}`;
+
+  const findRow = (todoId) => {
+    const row = rows.get(todoId);
+    if (!row) throw new Error('Todo not found');
+    return row;
+  };
+
+  const mapForUser = (row, { user, projectAccess = {} }) => {
+    if (row.user_id === user.id) return mapTodoRow(row);
+
+    const share = shareRows.find(s => s.todo_id === row.id && s.recipient_email === user.email);
+    if (share) return mapTodoRow(row, { share });
+
+    const projectPermission = projectAccess[row.project_id];
+    return projectPermission ? mapTodoRow(row, { projectPermission }) : null;
+  };
+
+  return {
+    invitations,
+
+    async list(context) {
+      return [...rows.values()]
+        .map(row => mapForUser(row, context))
+        .filter(Boolean);
+    },
+
+    async get(todoId, context) {
+      const row = rows.get(todoId);
+      return row ? mapForUser(row, context) : null;
+    },
+
+    async getVersion(todoId) {
+      const row = rows.get(todoId);
+      return row ? { id: row.id, updated_at: row.updated_at } : null;
+    },
+
+    async search(query) {
+      const terms = parseSearchQuery(query);
+      return [...rows.values()]
+        .filter(row => {
+          const text = [row.title, row.description, row.category, JSON.stringify(row.ai_content ?? '')].join('\n').toLowerCase();
+          return terms.length > 0 && terms.every(term => text.includes(term));
+        })
+        .map(row => row.id);
+    },
+
+    async create(row, subtasks = []) {
+      if (!rows.has(row.id)) {
+        rows.set(row.id, { ...row, subtasks: subtasks.map(subtask => ({ ...subtask, todo_id: row.id })) });
+      }
+      return true;
+    },
+
+    async changeSubtasks(todoId, changes) {
+      const row = findRow(todoId);
+      const created = (changes.created || []).map(subtask => ({ ...subtask, todo_id: todoId }));
+      rows.set(todoId, { ...row, subtasks: applySubtaskChanges(row.subtasks, { ...changes, created }) });
+      return true;
+    },
+
+    async update(todoId, changes) {
+      rows.set(todoId, { ...findRow(todoId), ...changes });
+      return true;
+    },
+
+    async updateSeries(seriesId, fromIndex, changes) {
+      rows.forEach((row, id) => {
+        if (row.series_id === seriesId && row.recurrence_index >= fromIndex && !row.completed) {
+          rows.set(id, { ...row, ...changes, updated_at: new Date().toISOString() });
+        }
+      });
+      return true;
+    },
+
+    async toggle(todoId, changes, nextDueDate = null) {
+      await this.update(todoId, changes);
+      if (!nextDueDate) return true;
+
+      // Like the create_next_occurrence RPC, only one next occurrence per completion
+      const row = findRow(todoId);
+      const nextIndex = row.recurrence_index + 1;
+      const exists = [...rows.values()].some(r => r.series_id === row.series_id && r.recurrence_index === nextIndex);
+      if (!exists) {
+        const id = nextId();
+        rows.set(id, {
+          ...row,
+          id,
+          completed: false,
+          due_date: nextDueDate,
+          recurrence_index: nextIndex,
+          subtasks: row.subtasks.map(subtask => ({ ...subtask, id: nextId(), todo_id: id, completed: false }))
+        });
+      }
+      return true;
+    },
+
+    async delete(user, todo) {
+      const row = findRow(todo.id);
+      const deletedRow = {
+        id: todo.id,
+        ...toDeletedTodoColumns(todo),
+        ai_content: row.ai_content ?? null,
+        user_id: user.id,
+        owner: todo.owner,
+        original_owner: todo.original_owner,
+        deleted_at: new Date().toISOString(),
+        deleted_by: user.email
+      };
+
+      if (todo.isShared && todo.original_owner !== user.email) {
+        // Shared users only remove their own access
+        const share = shareRows.find(s => s.id === todo.sharedId);
+        shareRows = shareRows.filter(s => s.id !== todo.sharedId);
+        deletedRows.unshift({
+          ...deletedRow,
+          is_shared: true,
+          shared_id: todo.sharedId,
+          shared_todo_id: todo.id,
+          permission: share?.permission || null
+        });
+        return true;
+      }
+
+      rows.delete(todo.id);
+      shareRows = shareRows.filter(s => s.todo_id !== todo.id);
+      deletedRows.unshift({ ...deletedRow, is_shared: false });
+      return true;
+    },
+
+    async recipientExists(email) {
+      return users.includes(email);
+    },
+
+    async share(todoId, ownerEmail, recipientEmail, permission = 'view') {
+      findRow(todoId);
+      if (!users.includes(recipientEmail)) throw new Error('Recipient not found');
+      invitations.push({ todo_id: todoId, owner_email: ownerEmail, recipient_email: recipientEmail, permission, status: 'pending' });
+      return true;
+    },
+
+    async getShares(todoId) {
+      return shareRows
+        .filter(share => share.todo_id === todoId)
+        .map(share => ({
+          id: share.id,
+          email: share.recipient_email,
+          permission: share.permission,
+          displayName: null,
+          photoUrl: null
+        }));
+    },
+
+    async updateSharePermission(todoId, recipientEmail, permission) {
+      shareRows = shareRows.map(share => (
+        share.todo_id === todoId && share.recipient_email === recipientEmail ? { ...share, permission } : share
+      ));
+      return true;
+    },
+
+    async revokeShare(todoId, recipientEmail) {
+      shareRows = shareRows.filter(share => !(share.todo_id === todoId && share.recipient_email === recipientEmail));
+      return true;
+    },
+
+    async restoreAccess(user, todo) {
+      shareRows.push({
+        id: nextId(),
+        todo_id: todo.id,
+        recipient_email: user.email,
+        owner_email: todo.ownerEmail,
+        original_owner: todo.original_owner,
+        permission: todo.permission || 'view'
+      });
+      deletedRows = deletedRows.filter(row => !(row.id === todo.id && row.user_id === user.id));
+      return this.get(todo.id, { user });
+    },
+
+    async listDeleted(userId) {
+      if (!userId) throw new Error('User ID is required');
+      return deletedRows.filter(row => row.user_id === userId);
+    },
+
+    async restore(deletedId) {
+      const deletedRow = deletedRows.find(row => row.id === deletedId);
+      if (!deletedRow) throw new Error('Todo not found in recently deleted');
+      deletedRows = deletedRows.filter(row => row !== deletedRow);
+
+      if (deletedRow.is_shared && deletedRow.shared_id && deletedRow.owner !== deletedRow.original_owner) {
+        shareRows.push({
+          id: deletedRow.shared_id,
+          todo_id: deletedRow.shared_todo_id,
+          recipient_email: deletedRow.owner,
+          owner_email: deletedRow.original_owner,
+          original_owner: deletedRow.original_owner,
+          permission: deletedRow.permission || 'view'
+        });
+        return null;
+      }
+
+      const now = new Date().toISOString();
+      await this.create({ ...fromDeletedTodoRow(deletedRow), created_at: now, updated_at: now }, deletedRow.subtasks || []);
+      return mapTodoRow(rows.get(deletedId));
+    },
+
+    async purge(deletedId) {
+      deletedRows = deletedRows.filter(row => row.id !== deletedId);
+      return true;
+    }
+  };
+};
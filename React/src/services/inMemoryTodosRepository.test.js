@@ -0,0 +1,170 @@
+import { createInMemoryTodosRepository } from './inMemoryTodosRepository';
+
+const owner = { id: 'u1', email: 'owner@example.com' };
+const friend = { id: 'u2', email: 'friend@example.com' };
+
+const row = (overrides = {}) => ({
+  id: 't1',
+  title: 'Write report',
+  completed: false,
+  user_id: owner.id,
+  owner: owner.email,
+  original_owner: owner.email,
+  project_id: null,
+  recurrence_index: 0,
+  updated_at: '2026-10-01T10:00:00.000Z',
+  ...overrides
+});
+
+const share = { id: 's1', todo_id: 't1', recipient_email: friend.email, owner_email: owner.email, original_owner: owner.email, permission: 'view' };
+
+test('lists owned, shared and project todos through the todo mapper', async () => {
+  const repository = createInMemoryTodosRepository({
+    todos: [row(), row({ id: 't2', user_id: 'u3', project_id: 'p1' }), row({ id: 't3', user_id: 'u3' })],
+    shares: [share]
+  });
+
+  const ownerTodos = await repository.list({ user: owner });
+  expect(ownerTodos.map(todo => todo.id)).toEqual(['t1']);
+  expect(ownerTodos[0]).toMatchObject({ isOwner: true, subtasks: [], tags: [] });
+
+  const friendTodos = await repository.list({ user: friend, projectAccess: { p1: 'edit' } });
+  expect(friendTodos).toEqual([
+    expect.objectContaining({ id: 't1', isShared: true, sharedId: 's1', permission: 'view' }),
+    expect.objectContaining({ id: 't2', isProjectShared: true, permission: 'edit' })
+  ]);
+  expect(await repository.get('t3', { user: friend })).toBeNull();
+});
+
+test('creates idempotently and updates todos', async () => {
+  const repository = createInMemoryTodosRepository();
+  await repository.create(row(), [{ id: 'st1', title: 'Outline', completed: false, position: 0 }]);
+  await repository.create(row({ title: 'Replayed' }));
+  await repository.update('t1', { title: 'Write summary', updated_at: '2026-10-02T00:00:00.000Z' });
+
+  expect(await repository.get('t1', { user: owner })).toMatchObject({
+    title: 'Write summary',
+    subtasks: [expect.objectContaining({ id: 'st1', todo_id: 't1' })]
+  });
+  expect(await repository.getVersion('t1')).toEqual({ id: 't1', updated_at: '2026-10-02T00:00:00.000Z' });
+});
+
+test('adds, updates and deletes subtasks, ignoring replayed adds', async () => {
+  const repository = createInMemoryTodosRepository({ todos: [row({ subtasks: [{ id: 'st1', todo_id: 't1', title: 'Outline', completed: false, position: 0 }] })] });
+  const created = [{ id: 'st2', title: 'Draft', completed: false, position: 1 }];
+
+  await repository.changeSubtasks('t1', { created, updated: [{ id: 'st1', changes: { completed: true } }] });
+  await repository.changeSubtasks('t1', { created });
+  expect((await repository.get('t1', { user: owner })).subtasks).toEqual([
+    expect.objectContaining({ id: 'st1', completed: true }),
+    expect.objectContaining({ id: 'st2', todo_id: 't1', title: 'Draft' })
+  ]);
+
+  await repository.changeSubtasks('t1', { deleted: ['st1'] });
+  expect((await repository.get('t1', { user: owner })).subtasks.map(subtask => subtask.id)).toEqual(['st2']);
+});
+
+test('searches titles, descriptions and AI content', async () => {
+  const repository = createInMemoryTodosRepository({
+    todos: [row(), row({ id: 't2', title: 'Book flights', ai_content: JSON.stringify({ summary: 'Compare report prices' }) })]
+  });
+
+  expect(await repository.search('REPORT')).toEqual(['t1', 't2']);
+  expect(await repository.search('flights report')).toEqual(['t2']);
+  expect(await repository.search(' ')).toEqual([]);
+});
+
+test('completing a recurring todo creates its next occurrence once', async () => {
+  const repository = createInMemoryTodosRepository({ todos: [row({ series_id: 'series', recurrence: { freq: 'daily' } })] });
+  await repository.toggle('t1', { completed: true }, '2026-10-02T00:00:00.000Z');
+  await repository.toggle('t1', { completed: true }, '2026-10-02T00:00:00.000Z');
+
+  const todos = await repository.list({ user: owner });
+  expect(todos).toHaveLength(2);
+  expect(todos[1]).toMatchObject({ completed: false, recurrence_index: 1, due_date: '2026-10-02T00:00:00.000Z' });
+});
+
+test('shares, changes permission and revokes access', async () => {
+  const repository = createInMemoryTodosRepository({ todos: [row()], shares: [share], users: [friend.email] });
+
+  expect(await repository.recipientExists('nobody@example.com')).toBe(false);
+  await repository.share('t1', owner.email, friend.email, 'edit');
+  expect(repository.invitations).toEqual([expect.objectContaining({ recipient_email: friend.email, permission: 'edit' })]);
+
+  await repository.updateSharePermission('t1', friend.email, 'edit');
+  expect(await repository.getShares('t1')).toEqual([expect.objectContaining({ email: friend.email, permission: 'edit' })]);
+
+  await repository.revokeShare('t1', friend.email);
+  expect(await repository.getShares('t1')).toEqual([]);
+});
+
+test('deletes to recently deleted and restores', async () => {
+  const repository = createInMemoryTodosRepository({ todos: [row()], shares: [share] });
+  const [todo] = await repository.list({ user: owner });
+
+  await repository.delete(owner, todo);
+  expect(await repository.list({ user: owner })).toEqual([]);
+  expect(await repository.getShares('t1')).toEqual([]);
+
+  const [deleted] = await repository.listDeleted(owner.id);
+  const restored = await repository.restore(deleted.id);
+  expect(restored).toMatchObject({ id: 't1', title: 'Write report', isOwner: true });
+  expect(await repository.listDeleted(owner.id)).toEqual([]);
+});
+
+test('restores a deleted todo with its category and tags', async () => {
+  const repository = createInMemoryTodosRepository({ todos: [row({ category: 'Work', category_id: 'c1', tags: ['q3', 'urgent'] })] });
+  const [todo] = await repository.list({ user: owner });
+
+  await repository.delete(owner, todo);
+  const restored = await repository.restore('t1');
+
+  expect(restored).toMatchObject({ category: 'Work', category_id: 'c1', tags: ['q3', 'urgent'] });
+});
+
+test('restores a deleted todo into its project, where members see it again', async () => {
+  const repository = createInMemoryTodosRepository({ todos: [row({ project_id: 'p1' })] });
+  const [todo] = await repository.list({ user: owner });
+
+  await repository.delete(owner, todo);
+  await repository.restore('t1');
+
+  expect(await repository.list({ user: friend, projectAccess: { p1: 'edit' } }))
+    .toEqual([expect.objectContaining({ id: 't1', project_id: 'p1', isProjectShared: true })]);
+});
+
+test('restores a deleted occurrence into its recurring series', async () => {
+  const repository = createInMemoryTodosRepository({ todos: [row({ series_id: 'series', recurrence: { freq: 'daily' }, recurrence_index: 2 })] });
+  const [todo] = await repository.list({ user: owner });
+
+  await repository.delete(owner, todo);
+  const restored = await repository.restore('t1');
+  expect(restored).toMatchObject({ series_id: 'series', recurrence: { freq: 'daily' }, recurrence_index: 2 });
+
+  await repository.toggle('t1', { completed: true }, '2026-10-02T00:00:00.000Z');
+  const todos = await repository.list({ user: owner });
+  expect(todos[1]).toMatchObject({ series_id: 'series', recurrence_index: 3 });
+});
+
+test('restores a deleted todo with its subtasks', async () => {
+  const subtasks = [{ id: 'st1', todo_id: 't1', title: 'Outline', completed: true, position: 0 }];
+  const repository = createInMemoryTodosRepository({ todos: [row({ subtasks })] });
+  const [todo] = await repository.list({ user: owner });
+
+  await repository.delete(owner, todo);
+  const restored = await repository.restore('t1');
+
+  expect(restored.subtasks).toEqual([expect.objectContaining({ id: 'st1', todo_id: 't1', title: 'Outline', completed: true })]);
+});
+
+test('gives a shared user back the access they removed', async () => {
+  const repository = createInMemoryTodosRepository({ todos: [row()], shares: [share] });
+  const [todo] = await repository.list({ user: friend });
+
+  await repository.delete(friend, todo);
+  expect(await repository.list({ user: friend })).toEqual([]);
+
+  const restored = await repository.restoreAccess(friend, todo);
+  expect(restored).toMatchObject({ id: 't1', isShared: true, permission: 'view' });
+  expect(await repository.listDeleted(friend.id)).toEqual([]);
+});
@@ -0,0 +1,152 @@
+/**
+ * Mock AI Provider
+ *
+ * Implements the AIProvider interface (see services/aiProviders) from
+ * fixtures instead of a model, so AI features work offline, in demos and in
+ * tests. Select it with REACT_APP_AI_PROVIDER=mock, or pass one directly:
+ *
+ *   fetchAIResponse('Plan a trip', '', {
+ *     provider: createMockAIProvider({ fixtures: [{ match: /trip/, response: { summary: '...', steps: [] } }] })
+ *   })
+ *
+ * A fixture's `match` is tested against the last user message (a string
+ * matches when it's contained in it, a function gets { system, user,
+ * messages }); the first match answers. Object responses are sent as JSON.
+ * Streams send the response in STREAM_CHUNK_SIZE pieces, `delayMs` apart;
+ * a fixture's `failAfter` breaks the stream after that many characters.
+ */
+
+// Answers for the app's own prompts, used when no fixture matches
+export const DEFAULT_AI_FIXTURES = [
+  {
+    match: ({ system }) => system.includes('turn a one-line task into structured fields'),
+    response: ({ user }) => ({
+      title: user,
+      date: null,
+      time: null,
+      category: null,
+      priority: null,
+      recurrence: null
+    })
+  },
+  {
+    match: ({ system }) => system.includes('task management and productivity'),
+    response: ({ user }) => {
+      const task = (user.match(/^Task: (.*)$/m) || [])[1] || 'this task';
+      return {
+        summary: `A sample plan for "${task}" from the mock AI provider.`,
+        steps: [
+          {
+            step: 'Break the task down',
+            details: `List what "${task}" needs before starting.`,
+            resources: []
+          },
+          {
+            step: 'Work through the list',
+            details: 'Do the items one at a time, hardest first.',
+            resources: [{ title: 'Getting Things Done', url: 'https://gettingthingsdone.com', type: 'book' }]
+          }
+        ],
+        estimatedTime: '1 hour',
+        difficulty: 'medium',
+        relatedTasks: []
+      };
+    }
+  },
+  {
+    match: ({ system }) => system.includes('You triage a to-do list'),
+    response: ({ user }) => ({
+      suggestions: JSON.parse(user).map(todo => ({
+        id: todo.id,
+        priority: todo.dueDate
+          ? { value: 'high', reason: 'It has a due date (sample suggestion from the mock AI provider).' }
+          : { value: 'low', reason: 'Nothing says it is urgent (sample suggestion from the mock AI provider).' }
+      }))
+    })
+  },
+  {
+    match: ({ system }) => system.includes("You plan someone's day"),
+    response: ({ user }) => ({
+      summary: 'A sample plan from the mock AI provider: the tasks in the order given, 30 minutes each.',
+      items: JSON.parse(user).map(todo => ({ id: todo.id, minutes: 30, reason: 'Next on the list.' }))
+    })
+  },
+  {
+    match: ({ system }) => system.includes('You write a short weekly progress summary'),
+    response: ({ user }) => {
+      const { stats, completed } = JSON.parse(user);
+      return {
+        summary: `A sample summary from the mock AI provider: I completed ${stats.completed} and created ${stats.created} tasks.`,
+        highlights: completed.slice(0, 3).map(todo => `Finished ${todo.title}`)
+      };
+    }
+  }
+];
+
+export const STREAM_CHUNK_SIZE = 16;
+
+const matches = (match, request) => {
+  if (typeof match === 'function') return match(request);
+  if (match instanceof RegExp) return match.test(request.user);
+  return request.user.includes(match);
+};
+
+/**
+ * Create a mock AI provider
+ * @param {Object} options
+ * @param {Array} options.fixtures - { match, response } entries tried before the defaults;
+ *   `response` may be a string, an object, an Error to reject with, or a
+ *   function of the request returning one of those
+ * @param {number} options.delayMs - Simulated latency, per piece when streaming
+ * @returns {Object} The provider, plus `calls` for inspecting requests
+ */
+export const createMockAIProvider = ({ fixtures = [], delayMs = 0 } = {}) => {
+  const calls = [];
+  const wait = () => delayMs && new Promise(resolve => setTimeout(resolve, delayMs));
+
+  // Find the fixture for a request and its response text
+  const answer = ({ messages, maxTokens, temperature }) => {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+    const user = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    const request = { system, user, messages };
+    calls.push({ messages, maxTokens, temperature });
+
+    const fixture = [...fixtures, ...DEFAULT_AI_FIXTURES].find(f => matches(f.match, request));
+    if (!fixture) throw new Error('No mock AI fixture matches this request');
+
+    const response = typeof fixture.response === 'function' ? fixture.response(request) : fixture.response;
+    if (response instanceof Error) throw response;
+    return { fixture, text: typeof response === 'string' ? response : JSON.stringify(response) };
+  };
+
+  return {
+    name: 'mock',
+    calls,
+
+    async complete(options) {
+      const { text } = answer(options);
+      await wait();
+      return text;
+    },
+
+    async stream({ signal, onDelta = () => {}, ...options }) {
+      const { fixture, text } = answer(options);
+      const end = fixture.failAfter ?? text.length;
+      let sent = '';
+
+      while (sent.length < end) {
+        await wait();
+        if (signal?.aborted) {
+          throw Object.assign(new Error('The AI request was cancelled'), { name: 'AbortError', partial: sent });
+        }
+        sent = text.slice(0, Math.min(sent.length + STREAM_CHUNK_SIZE, end));
+        onDelta(sent);
+      }
+
+      if (end < text.length) {
+        throw Object.assign(new Error('The AI service stopped responding, please try again'), { partial: sent });
+      }
+      return text;
+    }
+  };
+};
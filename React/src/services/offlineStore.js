@@ -0,0 +1,171 @@
+/**
+ * Offline Store
+ *
+ * Local IndexedDB copy of the user's todos plus a persistent outbox of
+ * mutations waiting to be sent to Supabase. Each signed-in user gets their
+ * own database so switching accounts on a shared device never mixes data.
+ *
+ * When IndexedDB is unavailable (old browsers, some private modes, tests)
+ * the store falls back to memory for the lifetime of the page.
+ */
+
+const DB_VERSION = 1;
+const TODOS_STORE = 'todos';
+const OUTBOX_STORE = 'outbox';
+
+const databases = {}; // Open database promises keyed by user ID
+const memoryStores = {}; // Fallback stores keyed by user ID
+
+const hasIndexedDB = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Open (and create on first use) the user's database
+ */
+const openDatabase = (userId) => {
+  if (!databases[userId]) {
+    databases[userId] = new Promise((resolve, reject) => {
+      const request = indexedDB.open(`bluetask-${userId}`, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(TODOS_STORE)) {
+          db.createObjectStore(TODOS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+          // Auto-incrementing keys keep the outbox in the order mutations were made
+          db.createObjectStore(OUTBOX_STORE, { keyPath: 'seq', autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        delete databases[userId];
+        reject(request.error);
+      };
+    });
+  }
+  return databases[userId];
+};
+
+/**
+ * Run a transaction and resolve with the result of the request it returns
+ */
+const runTransaction = async (userId, storeName, mode, callback) => {
+  const db = await openDatabase(userId);
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const getMemoryStore = (userId) => {
+  if (!memoryStores[userId]) {
+    memoryStores[userId] = { todos: [], outbox: [], nextSeq: 1 };
+  }
+  return memoryStores[userId];
+};
+
+/**
+ * Get the cached todos for a user
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Array>}
+ */
+export const getCachedTodos = async (userId) => {
+  if (!hasIndexedDB()) return getMemoryStore(userId).todos;
+
+  try {
+    return await runTransaction(userId, TODOS_STORE, 'readonly', store => store.getAll());
+  } catch (error) {
+    console.error('Error reading cached todos:', error);
+    return [];
+  }
+};
+
+/**
+ * Replace the cached todos with the list currently shown
+ * @param {string} userId - The user's ID
+ * @param {Array} todos - Todos to cache
+ */
+export const replaceCachedTodos = async (userId, todos) => {
+  if (!hasIndexedDB()) {
+    getMemoryStore(userId).todos = todos;
+    return;
+  }
+
+  try {
+    await runTransaction(userId, TODOS_STORE, 'readwrite', store => {
+      store.clear();
+      todos.forEach(todo => store.put(todo));
+    });
+  } catch (error) {
+    console.error('Error caching todos:', error);
+  }
+};
+
+/**
+ * Get every outbox entry in the order it was queued
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Array>}
+ */
+export const getOutbox = async (userId) => {
+  if (!hasIndexedDB()) return [...getMemoryStore(userId).outbox];
+
+  try {
+    return await runTransaction(userId, OUTBOX_STORE, 'readonly', store => store.getAll());
+  } catch (error) {
+    console.error('Error reading outbox:', error);
+    return [];
+  }
+};
+
+/**
+ * Queue a mutation
+ * @param {string} userId - The user's ID
+ * @param {Object} entry - Outbox entry, see utils/outbox
+ * @returns {Promise<Object>} The entry with its sequence number
+ */
+export const addToOutbox = async (userId, entry) => {
+  if (!hasIndexedDB()) {
+    const memory = getMemoryStore(userId);
+    const queued = { ...entry, seq: memory.nextSeq++ };
+    memory.outbox.push(queued);
+    return queued;
+  }
+
+  const seq = await runTransaction(userId, OUTBOX_STORE, 'readwrite', store => store.add(entry));
+  return { ...entry, seq };
+};
+
+/**
+ * Save changes to a queued entry (status, error, force flag)
+ * @param {string} userId - The user's ID
+ * @param {Object} entry - The full entry, including `seq`
+ */
+export const updateOutboxEntry = async (userId, entry) => {
+  if (!hasIndexedDB()) {
+    const memory = getMemoryStore(userId);
+    memory.outbox = memory.outbox.map(e => (e.seq === entry.seq ? entry : e));
+    return;
+  }
+
+  await runTransaction(userId, OUTBOX_STORE, 'readwrite', store => store.put(entry));
+};
+
+/**
+ * Remove an entry once it has synced or been discarded
+ * @param {string} userId - The user's ID
+ * @param {number} seq - The entry's sequence number
+ */
+export const removeFromOutbox = async (userId, seq) => {
+  if (!hasIndexedDB()) {
+    const memory = getMemoryStore(userId);
+    memory.outbox = memory.outbox.filter(e => e.seq !== seq);
+    return;
+  }
+
+  await runTransaction(userId, OUTBOX_STORE, 'readwrite', store => store.delete(seq));
+};
@@ -1,66 +1,29 @@
 /**
  * OpenAI Service for Task Analysis
  * 
- * This service integrates with Azure OpenAI to provide AI-powered task analysis.
- * It requires the following environment variables to be set in your .env file:
- * 
- * REACT_APP_AZURE_OPENAI_ENDPOINT=your_azure_openai_endpoint
- * REACT_APP_AZURE_OPENAI_API_KEY=your_azure_openai_api_key
- * REACT_APP_AZURE_OPENAI_DEPLOYMENT=your_azure_openai_deployment
- * 
- * Make sure to create a .env file in the root of your React project
- * and add these variables with your Azure OpenAI credentials.
+ * Prompts for the AI features. Requests go through an AIProvider: normally
+ * the ai-proxy Edge Function, which holds the model's API key, or the
+ * offline mock (see services/aiProviders and OpenAI.txt). Each function also
+ * takes `{ provider }` to use another one, e.g. a mock in tests.
+ *
+ * Replies are checked against the schemas in utils/aiOutput. Task guidance
+ * that doesn't match is sent back to the model to fix once; results are
+ * { ok, content, error } with a typed error (AIErrorType) rather than
+ * placeholder guidance, so nothing fake is ever saved as a todo's AI content.
  */
 
-import { AzureOpenAI } from "openai";
-
-const fetchAIResponse = async (taskText, description) => {
-  // Get environment variables
-  const endpoint = process.env.REACT_APP_AZURE_OPENAI_ENDPOINT;
-  const apiKey = process.env.REACT_APP_AZURE_OPENAI_API_KEY;
-  const deployment = process.env.REACT_APP_AZURE_OPENAI_DEPLOYMENT; 
-  const apiVersion = "2024-05-01-preview";
-
-  // Validate environment variables
-  if (!endpoint || !apiKey || !deployment) {
-    console.error("❌ Azure OpenAI environment variables are missing");
-    console.error("Please make sure you have set the following in your .env file:");
-    console.error("- REACT_APP_AZURE_OPENAI_ENDPOINT");
-    console.error("- REACT_APP_AZURE_OPENAI_API_KEY");
-    console.error("- REACT_APP_AZURE_OPENAI_DEPLOYMENT");
-    
-    return {
-      summary: "AI features are not configured",
-      steps: [{
-        step: "Configuration Required",
-        details: "The AI features require Azure OpenAI credentials. Please set up your environment variables.",
-        resources: []
-      }],
-      estimatedTime: "N/A",
-      difficulty: "medium",
-      relatedTasks: []
-    };
-  }
-
-  console.log("🔹 Initializing Azure OpenAI client...");
-
-  try {
-    // Initialize Azure OpenAI client
-    const client = new AzureOpenAI({
-      apiKey,
-      endpoint,
-      deployment,
-      apiVersion,
-      dangerouslyAllowBrowser: true,
-    });
+import { getDefaultAIProvider } from "./aiProviders";
+import { parsePartialJson } from "../utils/partialJson";
+import { readGuidance, readReply, extractJson, buildTriageSchema, QUICK_ADD_SCHEMA, DAY_PLAN_SCHEMA, WEEKLY_SUMMARY_SCHEMA } from "../utils/aiOutput";
+import { validateSchema, describeSchemaErrors } from "../utils/jsonSchema";
+import { AI_ACTIONS } from "../utils/aiVersions";
+import { splitDueDate, isOverdue } from "../utils/dueDates";
 
-    // Prepare the chat completion request
-    const response = await client.chat.completions.create({
-      model: "gpt-35-turbo",
-      messages: [
-        {
-          role: "system",
-          content: `
+// The task guidance prompt: a JSON summary, steps with resources, time and difficulty
+const buildTaskMessages = (taskText, description) => [
+  {
+    role: "system",
+    content: `
 You are a helpful AI assistant specializing in task management and productivity. 
 Your goal is to provide actionable guidance and relevant resources.
 
@@ -86,68 +49,517 @@ Your goal is to provide actionable guidance and relevant resources.
 }
 
 Keep responses concise and focused on practical, actionable advice.
-          `.trim(),
-        },
-        {
-          role: "user",
-          content: `
+    `.trim(),
+  },
+  {
+    role: "user",
+    content: `
 Task: ${taskText}
 
 ${description ? "Existing Description: " + description : ""}
 
 Provide structured guidance and resources to help complete this task.
-          `.trim(),
+    `.trim(),
+  },
+];
+
+// Kinds of failure, so the UI can say what happened and what to do
+export const AIErrorType = {
+  NOT_CONFIGURED: "not_configured",
+  UNAUTHORIZED: "unauthorized",
+  RATE_LIMITED: "rate_limited",
+  NETWORK: "network",
+  INCOMPLETE: "incomplete",
+  INVALID_RESPONSE: "invalid_response",
+  CANCELLED: "cancelled",
+};
+
+const AI_ERROR_MESSAGES = {
+  [AIErrorType.NOT_CONFIGURED]: "AI features are not configured.",
+  [AIErrorType.UNAUTHORIZED]: "Sign in again to use AI features.",
+  [AIErrorType.RATE_LIMITED]: "You've reached the AI limit for now. Please try again later.",
+  [AIErrorType.NETWORK]: "Couldn't reach the AI service. Please try again.",
+  [AIErrorType.INCOMPLETE]: "The AI response was cut off. Please try again.",
+  [AIErrorType.INVALID_RESPONSE]: "The AI response wasn't in the expected format. Please try again.",
+  [AIErrorType.CANCELLED]: "Stopped.",
+};
+
+// Times the model is asked to fix a reply that doesn't match the schema
+export const MAX_REPAIR_ATTEMPTS = 1;
+
+/**
+ * Create a typed AI error result
+ * @param {string} type - One of AIErrorType
+ * @param {string} message - Shown to the user, defaults to the type's message
+ * @param {Object} details - E.g. { problems } for invalid responses, { retryAfter } for limits
+ * @returns {Object} { type, message, ...details }
+ */
+export const createAIError = (type, message, details = {}) => ({
+  type,
+  message: message || AI_ERROR_MESSAGES[type],
+  ...details,
+});
+
+/**
+ * Classify an error thrown by an AIProvider
+ * @returns {Object} A typed AI error (see createAIError)
+ */
+export const toAIError = (error) => {
+  if (error.name === "AbortError") return createAIError(AIErrorType.CANCELLED);
+  // The proxy's own message explains sign-in problems and limits
+  if (error.status === 401) return createAIError(AIErrorType.UNAUTHORIZED, error.message);
+  if (error.status === 429) return createAIError(AIErrorType.RATE_LIMITED, error.message, { retryAfter: error.retryAfter });
+  if (error.status === 503) return createAIError(AIErrorType.NOT_CONFIGURED, error.message);
+  if (error.partial !== undefined) return createAIError(AIErrorType.INCOMPLETE, error.message);
+  return createAIError(AIErrorType.NETWORK, error.status ? error.message : undefined);
+};
+
+const notConfigured = () => {
+  console.error("❌ AI provider is not configured");
+  console.error("Please set REACT_APP_AI_PROVIDER to proxy or mock in your .env file (see OpenAI.txt)");
+  return { ok: false, content: null, error: createAIError(AIErrorType.NOT_CONFIGURED) };
+};
+
+// Keep the well-formed parts of (possibly partial) guidance
+const toGuidance = (value) => {
+  if (!value || typeof value !== "object") return null;
+
+  const guidance = {
+    summary: typeof value.summary === "string" ? value.summary : "",
+    steps: (Array.isArray(value.steps) ? value.steps : [])
+      .filter(step => typeof step?.step === "string")
+      .map(step => ({
+        step: step.step,
+        details: typeof step.details === "string" ? step.details : "",
+        resources: (Array.isArray(step.resources) ? step.resources : []).filter(resource => resource?.title && resource?.url)
+      })),
+    relatedTasks: (Array.isArray(value.relatedTasks) ? value.relatedTasks : []).filter(task => typeof task === "string")
+  };
+  if (typeof value.estimatedTime === "string") guidance.estimatedTime = value.estimatedTime;
+  if (typeof value.difficulty === "string") guidance.difficulty = value.difficulty;
+
+  return guidance.summary || guidance.steps.length > 0 ? guidance : null;
+};
+
+/**
+ * Check a complete reply against a schema. A reply that doesn't match is
+ * sent back to the model with what's wrong, up to MAX_REPAIR_ATTEMPTS times.
+ * @param {Object} provider - The AIProvider that replied
+ * @param {Array} messages - The request
+ * @param {string} reply - The model's reply
+ * @param {Function} read - (text) => { value, errors }, see utils/aiOutput readReply
+ * @param {Function} toContent - Turns a (possibly partial) value into the result's content
+ * @returns {Promise<Object>} { ok, content, error } (see fetchAIResponse)
+ */
+const finishReply = async (provider, messages, reply, read, toContent) => {
+  for (let attempt = 0; ; attempt++) {
+    const { value, errors } = read(reply);
+    if (errors.length === 0) return { ok: true, content: toContent(value) };
+
+    const problems = describeSchemaErrors(errors);
+    if (attempt >= MAX_REPAIR_ATTEMPTS) {
+      console.error("Error validating AI response:", problems);
+      return {
+        ok: false,
+        // Show what could be read, e.g. the steps before the reply was cut off
+        content: toContent(value || parsePartialJson(reply)),
+        error: createAIError(value ? AIErrorType.INVALID_RESPONSE : AIErrorType.INCOMPLETE, undefined, { problems }),
+      };
+    }
+
+    reply = await provider.complete({
+      messages: [
+        ...messages,
+        { role: "assistant", content: reply },
+        {
+          role: "user",
+          content: `That response doesn't match the response format: ${problems}. Reply with only the corrected JSON object${value ? "" : ", keeping it short enough to finish"}.`,
         },
       ],
-      max_tokens: 800,
-      temperature: 0.7,
-      top_p: 0.95,
-      frequency_penalty: 0,
-      presence_penalty: 0,
+      maxTokens: 800,
+      temperature: 0,
     });
+  }
+};
+
+const finishGuidance = (provider, messages, reply) =>
+  finishReply(provider, messages, reply, readGuidance, toGuidance);
+
+/**
+ * Get guidance for a task: a summary, steps with resources, time and difficulty
+ * @param {string} taskText - The task title
+ * @param {string} description - The task description, if any
+ * @param {Object} options - { provider } to ask instead of the configured one
+ * @returns {Promise<Object>} { ok: true, content } with guidance matching
+ *   TASK_GUIDANCE_SCHEMA, or { ok: false, content, error } where error is
+ *   typed (see AIErrorType) and content is whatever could be read, or null
+ */
+const fetchAIResponse = async (taskText, description, { provider = getDefaultAIProvider() } = {}) => {
+  if (!provider) return notConfigured();
+
+  const messages = buildTaskMessages(taskText, description);
+  try {
+    const reply = await provider.complete({ messages, maxTokens: 800, temperature: 0.7 });
+    return await finishGuidance(provider, messages, reply);
+  } catch (error) {
+    console.error(`❌ AI API Error (${provider.name}):`, error);
+    return { ok: false, content: null, error: toAIError(error) };
+  }
+};
+
+// Stream a guidance request, calling onUpdate with the guidance received so far
+const streamGuidance = async (messages, { onUpdate, signal, provider, temperature = 0.7 }) => {
+  let received = "";
+  const handleDelta = (text) => {
+    received = text;
+    const guidance = toGuidance(parsePartialJson(text));
+    if (guidance) onUpdate(guidance);
+  };
+
+  try {
+    const request = { messages, maxTokens: 800, temperature };
+    // Providers that can't stream answer all at once
+    const reply = provider.stream
+      ? await provider.stream({ ...request, signal, onDelta: handleDelta })
+      : await provider.complete(request);
+    received = reply;
+    return await finishGuidance(provider, messages, reply);
+  } catch (error) {
+    const aiError = toAIError(error);
+    if (aiError.type !== AIErrorType.CANCELLED) console.error(`❌ AI API Error (${provider.name}):`, error);
+    return { ok: false, content: toGuidance(parsePartialJson(error.partial ?? received)), error: aiError };
+  }
+};
+
+/**
+ * Stream guidance for a task, so the summary and steps can be shown as they
+ * arrive
+ * @param {string} taskText - The task title
+ * @param {string} description - The task description, if any
+ * @param {Object} options
+ * @param {Function} options.onUpdate - Called with the guidance received so far
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {Object} options.provider - AIProvider to ask instead of the configured one
+ * @returns {Promise<Object>} Like fetchAIResponse; after a cancel or a broken
+ *   stream, content is the guidance that arrived
+ */
+export const streamAIResponse = async (taskText, description, { onUpdate = () => {}, signal, provider = getDefaultAIProvider() } = {}) => {
+  if (!provider) return notConfigured();
+
+  return streamGuidance(buildTaskMessages(taskText, description), { onUpdate, signal, provider });
+};
+
+// What the model is asked to do to a todo's current guidance
+const REFINE_INSTRUCTIONS = {
+  [AI_ACTIONS.DETAILED]: () =>
+    "Make this guidance more detailed: split the steps into smaller, concrete actions, expand their details and add useful resources.",
+  [AI_ACTIONS.SIMPLIFY]: () =>
+    "Simplify this guidance: at most 5 short steps in plain language, keeping only what's essential.",
+  [AI_ACTIONS.REFINE]: (feedback) =>
+    `Revise this guidance based on my feedback: ${feedback}`,
+};
+
+/**
+ * Rework a todo's existing guidance (see utils/aiVersions for the actions).
+ * Regenerating asks for new guidance from scratch; the other actions send
+ * the current guidance back with what to change.
+ * @param {string} taskText - The task title
+ * @param {string} description - The task description, if any
+ * @param {Object|null} current - The todo's current guidance
+ * @param {Object} options
+ * @param {string} options.action - One of AI_ACTIONS, except RESTORE
+ * @param {string} options.feedback - What to change, for AI_ACTIONS.REFINE
+ * @param {Function} options.onUpdate - Called with the guidance received so far
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {Object} options.provider - AIProvider to ask instead of the configured one
+ * @returns {Promise<Object>} Like streamAIResponse
+ */
+export const refineAIResponse = async (taskText, description, current, {
+  action,
+  feedback = "",
+  onUpdate = () => {},
+  signal,
+  provider = getDefaultAIProvider(),
+} = {}) => {
+  if (!provider) return notConfigured();
+
+  const messages = buildTaskMessages(taskText, description);
+  if (action === AI_ACTIONS.REGENERATE || !current) {
+    // A fresh take rather than the same answer again
+    return streamGuidance(messages, { onUpdate, signal, provider, temperature: 0.9 });
+  }
+
+  const instruction = REFINE_INSTRUCTIONS[action];
+  if (!instruction || (action === AI_ACTIONS.REFINE && !feedback.trim())) {
+    throw new Error(`Unknown AI refine action: ${action}`);
+  }
+  return streamGuidance([
+    ...messages,
+    { role: "assistant", content: JSON.stringify(current) },
+    { role: "user", content: `${instruction(feedback.trim())}\n\nReply with the complete guidance in the same response format.` },
+  ], { onUpdate, signal, provider });
+};
 
-    if (!response.choices || response.choices.length === 0) {
-      throw new Error("No AI response received.");
+// Triage input for one todo: what it is, and what the AI already knows about it
+const describeForTriage = (todo) => ({
+  id: todo.id,
+  title: todo.title,
+  ...(todo.description ? { description: todo.description.slice(0, 300) } : {}),
+  ...(todo.priority ? { priority: todo.priority } : {}),
+  ...(todo.dueDate ? { dueDate: todo.dueDate } : {}),
+  ...(todo.aiContent?.estimatedTime ? { estimatedTime: todo.aiContent.estimatedTime } : {}),
+  ...(todo.aiContent?.difficulty ? { difficulty: todo.aiContent.difficulty } : {}),
+});
+
+/**
+ * Suggest a category, priority and due date for todos, each with a reason
+ * @param {Array} todos - { id, title, description, priority, dueDate ('YYYY-MM-DD'), aiContent }
+ * @param {Object} context
+ * @param {Array} context.categories - The user's categories, the only ones suggested
+ * @param {string} context.today - 'YYYY-MM-DD, Weekday'
+ * @param {Object} context.provider - AIProvider to ask instead of the configured one
+ * @returns {Promise<Object>} { ok, content, error } where content is the
+ *   suggestions matching buildTriageSchema, one per todo at most: { id,
+ *   category, priority, dueDate } with each field { value, reason }. After a
+ *   failure, content holds the suggestions that could be read.
+ */
+export const triageTodos = async (todos, { categories = [], today, provider = getDefaultAIProvider() }) => {
+  if (!provider) return notConfigured();
+
+  const schema = buildTriageSchema(categories.map(category => category.name));
+  const ids = new Set(todos.map(todo => todo.id));
+  // Keep each well-formed suggestion for a todo that was asked about
+  const toSuggestions = (value) => (Array.isArray(value?.suggestions) ? value.suggestions : [])
+    .filter(suggestion => ids.has(suggestion?.id) &&
+      validateSchema(suggestion, schema.properties.suggestions.items).length === 0);
+
+  const messages = [
+    {
+      role: "system",
+      content: `
+You triage a to-do list. Today is ${today}. For each task, suggest:
+- category: one of ${categories.map(category => JSON.stringify(category.name)).join(", ")}
+- priority: high, medium or low, from its urgency, importance and effort (estimatedTime and difficulty when given)
+- dueDate: YYYY-MM-DD, only when the task implies a deadline
+
+Give each suggestion a short reason (one sentence). Leave out fields you have no good suggestion for.
+
+**Response Format:**
+{
+  "suggestions": [
+    {
+      "id": "The task's id",
+      "category": { "value": "Category name", "reason": "Why" },
+      "priority": { "value": "high|medium|low", "reason": "Why" },
+      "dueDate": { "value": "YYYY-MM-DD", "reason": "Why" }
     }
+  ]
+}
 
-    // Parse and validate the response
-    try {
-      const content = response.choices[0].message.content.trim();
-      const parsedResponse = JSON.parse(content);
-      
-      // Validate required fields
-      if (!parsedResponse.summary || !Array.isArray(parsedResponse.steps)) {
-        throw new Error("Invalid response format");
-      }
-
-      return parsedResponse;
-    } catch (error) {
-      console.error("Error parsing AI response:", error);
-      return {
-        summary: "Error: Could not process AI response",
-        steps: [{
-          step: "Error occurred",
-          details: "There was an error processing the AI response. Please try again.",
-          resources: []
-        }],
-        estimatedTime: "Unknown",
-        difficulty: "medium",
-        relatedTasks: []
-      };
+Respond with JSON only.
+      `.trim(),
+    },
+    { role: "user", content: JSON.stringify(todos.map(describeForTriage)) },
+  ];
+
+  try {
+    const reply = await provider.complete({ messages, maxTokens: Math.min(200 + todos.length * 150, 1500), temperature: 0.2 });
+    return await finishReply(provider, messages, reply, (text) => readReply(text, schema), toSuggestions);
+  } catch (error) {
+    console.error(`❌ AI API Error (${provider.name}):`, error);
+    return { ok: false, content: [], error: toAIError(error) };
+  }
+};
+
+// Planning input for one todo: what it is, how urgent, and how long it may take
+const describeForPlanning = (todo) => {
+  const due = splitDueDate(todo.due_date, todo.has_due_time);
+  return {
+    id: todo.id,
+    title: todo.title,
+    ...(todo.priority ? { priority: todo.priority } : {}),
+    ...(due.date ? { due: due.time ? `${due.date} ${due.time}` : due.date } : {}),
+    ...(isOverdue(todo) ? { overdue: true } : {}),
+    ...(todo.aiContent?.estimatedTime ? { estimatedTime: todo.aiContent.estimatedTime } : {}),
+    ...(todo.aiContent?.difficulty ? { difficulty: todo.aiContent.difficulty } : {}),
+    ...(todo.isShared ? { sharedBy: todo.original_owner } : {}),
+  };
+};
+
+/**
+ * Pick and order open todos for the day, each with a time box
+ * @param {Array} todos - Open todos (see utils/dayPlan getPlannableTodos)
+ * @param {Object} options
+ * @param {number} options.hours - Hours available
+ * @param {string} options.startTime - 'HH:MM' the day starts
+ * @param {string} options.today - 'YYYY-MM-DD, Weekday'
+ * @param {Object} options.provider - AIProvider to ask instead of the configured one
+ * @returns {Promise<Object>} { ok, content, error } where content matches
+ *   DAY_PLAN_SCHEMA: { summary, items: [{ id, minutes, reason }] } in the
+ *   order to do them, only for todos that were given and each once. Lay it
+ *   out with utils/dayPlan buildDayPlan.
+ */
+export const planDay = async (todos, { hours, startTime, today, provider = getDefaultAIProvider() }) => {
+  if (!provider) return notConfigured();
+
+  const ids = new Set(todos.map(todo => todo.id));
+  const toPlan = (value) => {
+    const seen = new Set();
+    const items = (Array.isArray(value?.items) ? value.items : []).filter(item => {
+      if (!ids.has(item?.id) || seen.has(item.id) ||
+        validateSchema(item, DAY_PLAN_SCHEMA.properties.items.items).length > 0) return false;
+      seen.add(item.id);
+      return true;
+    });
+    return { summary: typeof value?.summary === "string" ? value.summary : "", items };
+  };
+
+  const messages = [
+    {
+      role: "system",
+      content: `
+You plan someone's day from their to-do list. Today is ${today}. They have ${hours} hours, starting at ${startTime}.
+
+Choose the tasks to do today and order them: overdue and due-soon tasks first, then by priority, with hard tasks early in the day. Give each a time box in whole minutes (use estimatedTime when given) and a short reason. The time boxes must add up to at most ${Math.round(hours * 60)} minutes; leave out tasks that don't fit.
+
+**Response Format:**
+{
+  "summary": "One or two sentences on the plan",
+  "items": [
+    { "id": "The task's id", "minutes": 30, "reason": "Why it's here" }
+  ]
+}
+
+Respond with JSON only.
+      `.trim(),
+    },
+    { role: "user", content: JSON.stringify(todos.map(describeForPlanning)) },
+  ];
+
+  try {
+    const reply = await provider.complete({ messages, maxTokens: Math.min(200 + todos.length * 60, 1500), temperature: 0.3 });
+    return await finishReply(provider, messages, reply, (text) => readReply(text, DAY_PLAN_SCHEMA), toPlan);
+  } catch (error) {
+    console.error(`❌ AI API Error (${provider.name}):`, error);
+    return { ok: false, content: null, error: toAIError(error) };
+  }
+};
+
+// Report input for one todo: only what a summary needs, without IDs or times
+const describeForReport = ({ title, category, priority, completed, sharedBy }) => ({
+  title,
+  category,
+  ...(priority ? { priority } : {}),
+  ...(completed ? { completed: true } : {}),
+  ...(sharedBy ? { sharedBy } : {}),
+});
+
+/**
+ * Write a short narrative for a weekly report
+ * @param {Object} report - From utils/weeklyReport buildWeeklyReport
+ * @param {Object} options - Optionally the `provider` to ask
+ * @returns {Promise<Object>} { ok, content, error } where content matches
+ *   WEEKLY_SUMMARY_SCHEMA: { summary, highlights }
+ */
+export const summarizeWeek = async (report, { provider = getDefaultAIProvider() } = {}) => {
+  if (!provider) return notConfigured();
+
+  // Keep whatever of a summary could be read, e.g. from a reply that was cut off
+  const toNarrative = (value) => (typeof value?.summary === "string" && value.summary
+    ? { summary: value.summary, highlights: (Array.isArray(value.highlights) ? value.highlights : []).filter(h => typeof h === "string") }
+    : null);
+
+  const { byDay, ...stats } = report.stats;
+  const messages = [
+    {
+      role: "system",
+      content: `
+You write a short weekly progress summary from someone's to-do list, for them to read out at a standup. The report covers ${report.from} to ${report.to}.
+
+Write two to four sentences in the first person ("I finished…") about what got done, what was started and what is still open, based only on the tasks and stats given. Mention work done on tasks shared by others. Add up to five short highlights, the most notable first. Don't invent tasks or numbers.
+
+**Response Format:**
+{
+  "summary": "The narrative",
+  "highlights": ["A notable thing that got done"]
+}
+
+Respond with JSON only.
+      `.trim(),
+    },
+    {
+      role: "user",
+      content: JSON.stringify({
+        stats,
+        completed: report.completed.map(describeForReport),
+        created: report.created.map(describeForReport),
+      }),
+    },
+  ];
+
+  try {
+    const reply = await provider.complete({ messages, maxTokens: 600, temperature: 0.5 });
+    return await finishReply(provider, messages, reply, (text) => readReply(text, WEEKLY_SUMMARY_SCHEMA), toNarrative);
+  } catch (error) {
+    console.error(`❌ AI API Error (${provider.name}):`, error);
+    return { ok: false, content: null, error: toAIError(error) };
+  }
+};
+
+/**
+ * Parse a quick-add line the local parser found ambiguous ("this weekend",
+ * "end of month", "at 5") into todo fields
+ * @param {string} text - The quick-add line
+ * @param {Object} context - { categories, today } where today is 'YYYY-MM-DD, Weekday',
+ *   and optionally the `provider` to ask
+ * @returns {Promise<Object|null>} { title, date, time, category, priority, recurrence }
+ *   matching QUICK_ADD_SCHEMA, or null when AI is unavailable or the reply
+ *   doesn't match (callers keep the local parse)
+ */
+export const parseTaskText = async (text, { categories = [], today, provider = getDefaultAIProvider() }) => {
+  if (!provider) {
+    console.error("❌ AI provider is not configured");
+    return null;
+  }
+
+  try {
+    const content = await provider.complete({
+      messages: [
+        {
+          role: "system",
+          content: `
+You turn a one-line task into structured fields. Today is ${today}.
+
+**Response Format:**
+{
+  "title": "The task without any date, time, category, priority or repeat words",
+  "date": "YYYY-MM-DD or null",
+  "time": "HH:MM (24-hour) or null",
+  "category": "One of: ${categories.map(category => category.name).join(", ")}, or null",
+  "priority": "high|medium|low or null",
+  "recurrence": null or { "frequency": "daily|weekly|monthly", "interval": 1, "weekdays": [0-6, Sunday is 0] }
+}
+
+Only fill in fields the text mentions. Respond with JSON only.
+          `.trim(),
+        },
+        { role: "user", content: text },
+      ],
+      maxTokens: 200,
+      temperature: 0,
+    });
+
+    const extracted = extractJson(content);
+    const errors = extracted ? validateSchema(extracted.value, QUICK_ADD_SCHEMA) : [{ path: "response", message: "is not JSON" }];
+    // Quick add doesn't wait for a repair: the local parse is still there
+    if (errors.length > 0) {
+      console.error("Error validating AI quick-add parse:", describeSchemaErrors(errors));
+      return null;
     }
+    return extracted.value;
   } catch (error) {
-    console.error("❌ Azure OpenAI API Error:", error);
-    return {
-      summary: "Error: Could not connect to AI service",
-      steps: [{
-        step: "Service unavailable",
-        details: "There was an error connecting to the AI service. Please check your credentials and try again.",
-        resources: []
-      }],
-      estimatedTime: "Unknown",
-      difficulty: "medium",
-      relatedTasks: []
-    };
+    console.error(`❌ AI API Error (${provider.name}):`, error);
+    return null;
   }
 };
 
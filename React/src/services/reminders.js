@@ -0,0 +1,105 @@
+/**
+ * Reminder Delivery
+ *
+ * Browser notifications through the reminder service worker
+ * (public/reminder-sw.js), and the record of which reminders this device
+ * has already shown. Working out which reminders are due is in
+ * utils/dueDates.
+ *
+ * Reminders go off while BlueTask is open in a tab, even in the
+ * background. Reminding a user with no tab open would need push messages
+ * from a server.
+ */
+
+const WORKER_URL = `${process.env.PUBLIC_URL || ''}/reminder-sw.js`;
+const DELIVERED_LIMIT = 500;
+
+const supportsWorker = () => typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+const supportsNotifications = () => typeof window !== 'undefined' && 'Notification' in window;
+
+/**
+ * Register the reminder service worker
+ * @returns {Promise<ServiceWorkerRegistration|null>} null where unsupported
+ */
+export const registerReminderWorker = async () => {
+  if (!supportsWorker()) return null;
+  try {
+    return await navigator.serviceWorker.register(WORKER_URL);
+  } catch (error) {
+    console.error('Error registering the reminder service worker:', error);
+    return null;
+  }
+};
+
+/**
+ * Listen for reminder notifications being clicked
+ * @param {Function} onOpen - Called with the todo ID
+ * @returns {Function} Stops listening
+ */
+export const onReminderClicked = (onOpen) => {
+  if (!supportsWorker()) return () => {};
+  const handleMessage = (event) => {
+    if (event.data?.type === 'open-todo' && event.data.todoId) onOpen(event.data.todoId);
+  };
+  navigator.serviceWorker.addEventListener('message', handleMessage);
+  return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+};
+
+/**
+ * Ask for permission to show browser notifications. Call it from a click,
+ * browsers ignore requests made without one.
+ * @returns {Promise<string>} 'granted', 'denied', 'default' or 'unsupported'
+ */
+export const requestNotificationPermission = async () => {
+  if (!supportsNotifications()) return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  try {
+    return await Notification.requestPermission();
+  } catch (error) {
+    console.error('Error requesting notification permission:', error);
+    return 'denied';
+  }
+};
+
+/**
+ * Show a browser notification for a reminder, when the user has allowed them
+ * @param {Object} todo - The todo
+ * @param {string} body - e.g. "Due Oct 20, 2026, 9:00 AM"
+ */
+export const showReminderNotification = async (todo, body) => {
+  if (!supportsNotifications() || Notification.permission !== 'granted') return;
+
+  const options = { body, tag: `reminder-${todo.id}`, data: { todoId: todo.id }, icon: '/logo192.png' };
+  try {
+    const registration = supportsWorker() ? await navigator.serviceWorker.getRegistration() : null;
+    if (registration) {
+      await registration.showNotification(todo.title, options);
+    } else {
+      new Notification(todo.title, options);
+    }
+  } catch (error) {
+    console.error('Error showing reminder notification:', error);
+  }
+};
+
+const deliveredKey = (userId) => `bluetask:reminders:${userId}`;
+
+/**
+ * Get the reminders this device has already shown the user
+ * @returns {Set<string>} Reminder keys (see getReminderTimes)
+ */
+export const getDeliveredReminders = (userId) => {
+  try {
+    return new Set(JSON.parse(localStorage.getItem(deliveredKey(userId)) || '[]'));
+  } catch (error) {
+    return new Set();
+  }
+};
+
+/**
+ * Remember that reminders have been shown, keeping the most recent ones
+ */
+export const markRemindersDelivered = (userId, keys) => {
+  const delivered = [...getDeliveredReminders(userId), ...keys].slice(-DELIVERED_LIMIT);
+  localStorage.setItem(deliveredKey(userId), JSON.stringify(delivered));
+};
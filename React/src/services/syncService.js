@@ -0,0 +1,104 @@
+/**
+ * Sync Service
+ *
+ * Replays the offline outbox against the todos repository in the order
+ * mutations were made. Before updating or deleting a todo the server copy's `updated_at`
+ * is compared with the version the change was made against; if someone
+ * else changed it in the meantime the entry is parked as a conflict for the
+ * user to resolve instead of silently overwriting their work.
+ *
+ * Network errors stop the replay and leave the remaining entries queued.
+ * Any other error parks the entry as failed so it can't block the queue.
+ */
+
+import { getOutbox, updateOutboxEntry, removeFromOutbox } from './offlineStore';
+import { OUTBOX_OPERATIONS, OUTBOX_STATUS, hasConflict, isNetworkError } from '../utils/outbox';
+
+/**
+ * Send a single entry to the repository
+ */
+const pushEntry = async (user, repository, entry) => {
+  const { payload } = entry;
+
+  switch (entry.type) {
+    case OUTBOX_OPERATIONS.INSERT:
+      await repository.create(payload.todo, payload.subtasks);
+      // A todo restored by undo leaves recently deleted once it exists again
+      if (payload.purgeDeleted) await repository.purge(entry.todoId);
+      break;
+    case OUTBOX_OPERATIONS.UPDATE:
+      await repository.update(entry.todoId, payload.changes);
+      if (payload.future) {
+        await repository.updateSeries(payload.future.seriesId, payload.future.fromIndex, payload.future.changes);
+      }
+      break;
+    case OUTBOX_OPERATIONS.TOGGLE:
+      // Completing a recurring todo schedules its next occurrence
+      await repository.toggle(entry.todoId, payload.changes, payload.nextDueDate);
+      break;
+    case OUTBOX_OPERATIONS.DELETE:
+      await repository.delete(user, payload.todo);
+      break;
+    case OUTBOX_OPERATIONS.SUBTASKS:
+      await repository.changeSubtasks(entry.todoId, payload);
+      break;
+    default:
+      throw new Error(`Unknown outbox operation: ${entry.type}`);
+  }
+};
+
+/**
+ * Replay every pending outbox entry for a user
+ * @param {Object} user - The Supabase Auth user
+ * @param {Object} repository - The todos repository to replay against
+ * @returns {Promise<Object>} { synced, conflicts, failed, offline, rejected },
+ *   where `rejected` lists the { entry, error } of each change the server refused
+ */
+export const replayOutbox = async (user, repository) => {
+  const result = { synced: 0, conflicts: 0, failed: 0, offline: false, rejected: [] };
+  const entries = await getOutbox(user.id);
+
+  for (const entry of entries) {
+    if (entry.status !== OUTBOX_STATUS.PENDING) continue;
+
+    try {
+      if (entry.type !== OUTBOX_OPERATIONS.INSERT) {
+        const serverTodo = await repository.getVersion(entry.todoId);
+
+        // The todo was deleted elsewhere, there is nothing left to change
+        if (!serverTodo) {
+          console.warn('Dropping queued change for deleted todo:', entry);
+          await removeFromOutbox(user.id, entry.seq);
+          continue;
+        }
+
+        if (hasConflict(entry, serverTodo)) {
+          await updateOutboxEntry(user.id, { ...entry, status: OUTBOX_STATUS.CONFLICT });
+          result.conflicts += 1;
+          continue;
+        }
+      }
+
+      await pushEntry(user, repository, entry);
+      await removeFromOutbox(user.id, entry.seq);
+      result.synced += 1;
+    } catch (error) {
+      if (isNetworkError(error)) {
+        result.offline = true;
+        break;
+      }
+
+      console.error('Error syncing outbox entry:', error);
+      const failedEntry = {
+        ...entry,
+        status: OUTBOX_STATUS.FAILED,
+        error: error.message || 'Unknown error'
+      };
+      await updateOutboxEntry(user.id, failedEntry);
+      result.failed += 1;
+      result.rejected.push({ entry: failedEntry, error });
+    }
+  }
+
+  return result;
+};
@@ -0,0 +1,781 @@
+/**
+ * Todos Repository
+ *
+ * The single data-access API for todos, backed by Supabase. Every todo
+ * that leaves this module goes through the canonical mapper in
+ * utils/todoMapper, so owned, shared and project todos all look the same
+ * to the UI.
+ *
+ * Components get the repository from TodosRepositoryContext rather than
+ * importing it, so tests can provide the in-memory implementation instead.
+ *
+ * Methods that take a `context` expect { user, projectAccess }, where
+ * projectAccess maps project IDs to the user's permission.
+ *
+ * Sharing and recently deleted failures are reported to the user here.
+ * Todo reads and writes are only logged: they run in the background
+ * through the sync outbox, which reports them itself.
+ */
+
+import { supabase, checkUserExists, createSubtasks } from '../supabase';
+import { mapTodoRow, toDeletedTodoColumns, fromDeletedTodoRow } from '../utils/todoMapper';
+import { handleError } from '../utils/errorHandler';
+
+const TODO_SELECT = '*, subtasks (*), categories (*)';
+
+/**
+ * Check that a row a restored todo refers to still exists
+ * @returns {Promise<string|null>} The ID, or null when it's gone (or unset)
+ */
+const findExistingId = async (table, id) => {
+  if (!id) return null;
+
+  const { data, error } = await supabase
+    .from(table)
+    .select('id')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? id : null;
+};
+
+/**
+ * Move a todo to recently deleted collection
+ */
+const moveToRecentlyDeleted = async (todoId, todoData) => {
+  try {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000); // 30 days from now
+
+    // If this is a shared todo and the user is not the original owner,
+    // we need to store the shared_todos information for restoration
+    const isSharedUserDeleting = todoData.is_shared && todoData.owner !== todoData.original_owner;
+    const isOwnerDeleting = todoData.owner === todoData.original_owner;
+
+    const recentlyDeletedTodo = {
+      id: todoId,
+      ...toDeletedTodoColumns(todoData),
+      user_id: todoData.user_id,
+      owner: todoData.owner,
+      original_owner: todoData.original_owner,
+      is_shared: todoData.is_shared || false,
+      shared_id: todoData.shared_id || null,
+      shared_todo_id: todoData.shared_todo_id || null,
+      permission: todoData.permission || null,
+      deleted_at: todoData.deleted_at || now.toISOString(),
+      deleted_by: todoData.deleted_by || todoData.owner,
+      expires_at: todoData.expires_at || expiresAt.toISOString()
+    };
+
+    // Log the data being inserted
+    console.log('Moving to recently deleted:', recentlyDeletedTodo);
+
+    // Insert into recently_deleted for the current user
+    const { data, error } = await supabase
+      .from('recently_deleted')
+      .insert(recentlyDeletedTodo)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error moving to recently deleted:', error);
+      throw error;
+    }
+
+    // If the owner is deleting, we need to:
+    // 1. Remove all sharing relationships (permanently)
+    // 2. Delete the original todo
+    if (isOwnerDeleting) {
+      // Remove all sharing relationships
+      const { error: removeSharesError } = await supabase
+        .from('shared_todos')
+        .delete()
+        .eq('todo_id', todoId);
+
+      if (removeSharesError) {
+        console.error('Error removing sharing relationships:', removeSharesError);
+      }
+
+      // Delete the original todo
+      const { error: deleteTodoError } = await supabase
+        .from('todos')
+        .delete()
+        .eq('id', todoId);
+
+      if (deleteTodoError) {
+        console.error('Error deleting original todo:', deleteTodoError);
+        throw deleteTodoError;
+      }
+    } 
+    // If a shared user is deleting, just remove their access
+    else if (isSharedUserDeleting && todoData.shared_id) {
+      const { error: removeAccessError } = await supabase
+        .from('shared_todos')
+        .delete()
+        .eq('id', todoData.shared_id);
+
+      if (removeAccessError) {
+        console.error('Error removing shared access:', removeAccessError);
+        throw removeAccessError;
+      }
+    }
+
+    console.log('Successfully moved to recently deleted:', data);
+    return true;
+  } catch (error) {
+    console.error('Error moving todo to recently deleted:', error);
+    throw error;
+  }
+};
+
+export const todosRepository = {
+  /**
+   * List every todo the user can see: their own, todos shared with them
+   * and other members' todos in their projects
+   * @param {Object} context - { user, projectAccess }
+   * @returns {Promise<Array>}
+   */
+  async list({ user, projectAccess = {} }) {
+    try {
+      console.log('Fetching todos for user:', user.email);
+
+      // Fetch todos owned by the current user
+      const { data: ownedTodos, error: ownedError } = await supabase
+        .from('todos')
+        .select(TODO_SELECT)
+        .eq('user_id', user.id);
+
+      if (ownedError) throw ownedError;
+
+      // Fetch todos shared with the current user
+      const { data: shares, error: sharedError } = await supabase
+        .from('shared_todos')
+        .select(`*, todos (${TODO_SELECT})`)
+        .eq('recipient_email', user.email);
+
+      if (sharedError) throw sharedError;
+
+      // Fetch todos other members added to projects the user belongs to
+      const projectIds = Object.keys(projectAccess);
+      let projectTodos = [];
+      if (projectIds.length) {
+        const { data, error: projectError } = await supabase
+          .from('todos')
+          .select(TODO_SELECT)
+          .in('project_id', projectIds)
+          .neq('user_id', user.id);
+
+        if (projectError) throw projectError;
+        projectTodos = data || [];
+      }
+
+      const sharedTodos = (shares || [])
+        .filter(share => share.todos)
+        .map(share => mapTodoRow(share.todos, { share }));
+      const sharedIds = new Set(sharedTodos.map(todo => todo.id));
+
+      return [
+        ...(ownedTodos || []).map(row => mapTodoRow(row)),
+        ...sharedTodos,
+        ...projectTodos
+          .filter(row => !sharedIds.has(row.id))
+          .map(row => mapTodoRow(row, { projectPermission: projectAccess[row.project_id] }))
+      ];
+    } catch (error) {
+      console.error('Error fetching todos:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a single todo as the user sees it
+   * @param {string} todoId - The todo's ID
+   * @param {Object} context - { user, projectAccess }
+   * @returns {Promise<Object|null>} null if the user can't see it
+   */
+  async get(todoId, { user, projectAccess = {} }) {
+    try {
+      const { data: row, error } = await supabase
+        .from('todos')
+        .select(TODO_SELECT)
+        .eq('id', todoId)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!row) return null;
+      if (row.user_id === user.id) return mapTodoRow(row);
+
+      const { data: share, error: shareError } = await supabase
+        .from('shared_todos')
+        .select('*')
+        .eq('todo_id', todoId)
+        .eq('recipient_email', user.email)
+        .maybeSingle();
+
+      if (shareError) throw shareError;
+      if (share) return mapTodoRow(row, { share });
+
+      const projectPermission = projectAccess[row.project_id];
+      return projectPermission ? mapTodoRow(row, { projectPermission }) : null;
+    } catch (error) {
+      console.error('Error fetching todo:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the server's current version of a todo for conflict detection
+   * @returns {Promise<Object|null>} { id, updated_at }, or null if it no longer exists
+   */
+  async getVersion(todoId) {
+    try {
+      const { data, error } = await supabase
+        .from('todos')
+        .select('id, updated_at')
+        .eq('id', todoId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error fetching todo version:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Find the todos the user can see that match a search query, using the
+   * full-text index so word forms match too ("running" finds "run")
+   * @param {string} query - What the user typed
+   * @returns {Promise<Array<string>>} Matching todo IDs, best matches first
+   */
+  async search(query) {
+    try {
+      const { data, error } = await supabase
+        .from('todos')
+        .select('id')
+        .textSearch('search_vector', query, { type: 'websearch', config: 'english' })
+        .limit(200);
+
+      if (error) throw error;
+      return (data || []).map(row => row.id);
+    } catch (error) {
+      console.error('Error searching todos:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a todo and its subtasks. Both carry client-generated IDs and
+   * replaying the same create is a no-op, so it can safely be retried.
+   * @param {Object} row - The `todos` row to insert
+   * @param {Array} subtasks - Subtask rows to insert with it
+   */
+  async create(row, subtasks = []) {
+    try {
+      const { error } = await supabase
+        .from('todos')
+        .upsert(row, { onConflict: 'id', ignoreDuplicates: true });
+
+      if (error) throw error;
+      await createSubtasks(row.id, subtasks);
+      return true;
+    } catch (error) {
+      console.error('Error creating todo:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add, update and delete a todo's subtasks. New subtasks carry
+   * client-generated IDs and are only inserted once, so it can safely be retried.
+   * @param {string} todoId - The todo's ID
+   * @param {Object} changes - { created, updated: [{ id, changes }], deleted: [id] }
+   */
+  async changeSubtasks(todoId, { created = [], updated = [], deleted = [] }) {
+    try {
+      if (created.length) {
+        const { error } = await supabase
+          .from('subtasks')
+          .upsert(created.map(subtask => ({
+            id: subtask.id,
+            todo_id: todoId,
+            title: subtask.title,
+            completed: subtask.completed || false,
+            position: subtask.position
+          })), { onConflict: 'id', ignoreDuplicates: true });
+
+        if (error) throw error;
+      }
+
+      for (const { id, changes } of updated) {
+        const { error } = await supabase
+          .from('subtasks')
+          .update({ ...changes, updated_at: new Date().toISOString() })
+          .eq('id', id);
+
+        if (error) throw error;
+      }
+
+      if (deleted.length) {
+        const { error } = await supabase
+          .from('subtasks')
+          .delete()
+          .in('id', deleted);
+
+        if (error) throw error;
+      }
+      return true;
+    } catch (error) {
+      console.error('Error saving subtasks:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update columns of a todo
+   * @param {string} todoId - The todo's ID
+   * @param {Object} changes - Columns to update, including `updated_at`
+   */
+  async update(todoId, changes) {
+    try {
+      const { error } = await supabase
+        .from('todos')
+        .update(changes)
+        .eq('id', todoId);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error updating todo:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Apply updates to every later, still open occurrence in a recurring series
+   * @param {string} seriesId - The recurring series ID
+   * @param {number} fromIndex - Recurrence index of the first occurrence to update
+   * @param {Object} changes - Columns to update
+   */
+  async updateSeries(seriesId, fromIndex, changes) {
+    try {
+      const { error } = await supabase
+        .from('todos')
+        .update({
+          ...changes,
+          updated_at: new Date().toISOString()
+        })
+        .eq('series_id', seriesId)
+        .gte('recurrence_index', fromIndex)
+        .eq('completed', false);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error updating future occurrences:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Set a todo's completion status. Completing an occurrence of a recurring
+   * todo creates the next one (idempotently, on the server).
+   * @param {string} todoId - The todo's ID
+   * @param {Object} changes - { completed, updated_at }
+   * @param {string|null} nextDueDate - ISO due date of the next occurrence
+   */
+  async toggle(todoId, changes, nextDueDate = null) {
+    await this.update(todoId, changes);
+    if (!nextDueDate) return true;
+
+    try {
+      const { error } = await supabase
+        .rpc('create_next_occurrence', {
+          p_todo_id: todoId,
+          p_due_date: nextDueDate
+        });
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error creating next occurrence:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a todo on behalf of a user, keeping a copy in recently deleted.
+   *
+   * - Original owners delete the todo for everyone it was shared with
+   * - Shared users only remove their own access
+   * @param {Object} user - The Supabase Auth user
+   * @param {Object} todo - Snapshot of the todo as shown to the user
+   */
+  async delete(user, todo) {
+    const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+
+    try {
+      if (todo.isShared && todo.original_owner !== user.email) {
+        // Shared user removing their access
+        // Move to recently deleted just for this user
+        await moveToRecentlyDeleted(todo.id, {
+          ...todo,
+          user_id: user.id,
+          is_shared: true,
+          shared_id: todo.sharedId,
+          shared_todo_id: todo.id,
+          deleted_at: new Date().toISOString(),
+          deleted_by: user.email,
+          expires_at: expiresAt
+        });
+
+        // Remove their shared access
+        const { error } = await supabase
+          .from('shared_todos')
+          .delete()
+          .eq('id', todo.sharedId);
+
+        if (error) throw error;
+        return true;
+      }
+
+      if (todo.isShared) {
+        // Original owner deleting - remove for everyone
+        const sharedUsers = await this.getShares(todo.id);
+
+        // Move to recently deleted for all shared users
+        for (const sharedUser of sharedUsers) {
+          const { data: userData } = await supabase
+            .from('user_profiles')
+            .select('id')
+            .eq('email', sharedUser.email)
+            .single();
+
+          if (userData) {
+            await moveToRecentlyDeleted(todo.id, {
+              ...todo,
+              user_id: userData.id,
+              is_shared: true,
+              shared_id: sharedUser.id,
+              shared_todo_id: todo.id,
+              deleted_at: new Date().toISOString(),
+              deleted_by: user.email,
+              expires_at: expiresAt
+            });
+          }
+        }
+      }
+
+      // Move to recently deleted for the owner
+      await moveToRecentlyDeleted(todo.id, {
+        ...todo,
+        user_id: user.id,
+        ...(todo.isShared && { is_shared: true, shared_todo_id: todo.id }),
+        deleted_at: new Date().toISOString(),
+        deleted_by: user.email,
+        expires_at: expiresAt
+      });
+
+      // Deleting the todo cascades to its shared_todos entries
+      const { error: deleteError } = await supabase
+        .from('todos')
+        .delete()
+        .eq('id', todo.id);
+
+      if (deleteError) throw deleteError;
+      return true;
+    } catch (error) {
+      console.error('Error deleting todo:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Check whether an email belongs to a user a todo can be shared with
+   */
+  async recipientExists(email) {
+    return checkUserExists(email);
+  },
+
+  /**
+   * Invite a user to a todo
+   * @param {string} todoId - The todo's ID
+   * @param {string} ownerEmail - Email of the user sharing it
+   * @param {string} recipientEmail - Email of the user to invite
+   * @param {string} permission - 'view' or 'edit'
+   */
+  async share(todoId, ownerEmail, recipientEmail, permission = 'view') {
+    try {
+      // Get the todo data
+      const { data: todoData, error: todoError } = await supabase
+        .from('todos')
+        .select('*')
+        .eq('id', todoId)
+        .single();
+
+      if (todoError) throw todoError;
+      if (!todoData) throw new Error('Todo not found');
+
+      // Get recipient's user ID
+      const { data: recipientData, error: recipientError } = await supabase
+        .from('user_profiles')
+        .select('id')
+        .eq('email', recipientEmail)
+        .single();
+
+      if (recipientError) throw recipientError;
+      if (!recipientData) throw new Error('Recipient not found');
+
+      // Create invitation
+      const { error: invitationError } = await supabase
+        .from('todo_invitations')
+        .insert({
+          todo_id: todoId,
+          todo_data: todoData,
+          owner_email: ownerEmail,
+          original_owner: todoData.original_owner || todoData.owner,
+          recipient_id: recipientData.id,
+          recipient_email: recipientEmail,
+          permission,
+          status: 'pending',
+          created_at: new Date().toISOString()
+        });
+
+      if (invitationError) throw invitationError;
+      return true;
+    } catch (error) {
+      handleError(error, "Couldn't share the task");
+      throw error;
+    }
+  },
+
+  /**
+   * Get the users a todo is shared with
+   * @returns {Promise<Array>} { id, email, permission, displayName, photoUrl }
+   */
+  async getShares(todoId) {
+    try {
+      const { data, error } = await supabase
+        .from('shared_todos')
+        .select(`
+          id,
+          recipient_email,
+          permission,
+          user_profiles (
+            id,
+            display_name,
+            photo_url
+          )
+        `)
+        .eq('todo_id', todoId);
+
+      if (error) throw error;
+      return (data || []).map(share => ({
+        id: share.user_profiles.id,
+        email: share.recipient_email,
+        permission: share.permission,
+        displayName: share.user_profiles.display_name,
+        photoUrl: share.user_profiles.photo_url
+      }));
+    } catch (error) {
+      handleError(error, "Couldn't load who this task is shared with");
+      return [];
+    }
+  },
+
+  /**
+   * Change a shared user's permission
+   */
+  async updateSharePermission(todoId, recipientEmail, permission) {
+    try {
+      const { error } = await supabase
+        .from('shared_todos')
+        .update({ permission })
+        .eq('todo_id', todoId)
+        .eq('recipient_email', recipientEmail);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      handleError(error, "Couldn't change the permission");
+      throw error;
+    }
+  },
+
+  /**
+   * Revoke a user's access to a shared todo
+   */
+  async revokeShare(todoId, recipientEmail) {
+    try {
+      const { error } = await supabase
+        .from('shared_todos')
+        .delete()
+        .eq('todo_id', todoId)
+        .eq('recipient_email', recipientEmail);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      handleError(error, "Couldn't revoke access");
+      throw error;
+    }
+  },
+
+  /**
+   * Give a shared user back the access they removed by deleting the todo
+   * @param {Object} user - The Supabase Auth user
+   * @param {Object} todo - The todo as it was shown to them
+   * @returns {Promise<Object|null>} The todo with its new share
+   */
+  async restoreAccess(user, todo) {
+    try {
+      const { error: shareError } = await supabase
+        .from('shared_todos')
+        .insert({
+          todo_id: todo.id,
+          recipient_email: user.email,
+          owner_email: todo.ownerEmail,
+          original_owner: todo.original_owner,
+          permission: todo.permission || 'view',
+          created_at: new Date().toISOString()
+        });
+
+      if (shareError) throw shareError;
+
+      const { error: deleteError } = await supabase
+        .from('recently_deleted')
+        .delete()
+        .eq('id', todo.id)
+        .eq('user_id', user.id);
+
+      if (deleteError) {
+        // Don't throw here as the access is already restored
+        console.error('Error removing from recently deleted:', deleteError);
+      }
+
+      return this.get(todo.id, { user });
+    } catch (error) {
+      handleError(error, "Couldn't restore your access to the task");
+      throw error;
+    }
+  },
+
+  /**
+   * Get a user's recently deleted todos, newest first
+   */
+  async listDeleted(userId) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required');
+      }
+
+      const { data, error } = await supabase
+        .from('recently_deleted')
+        .select('*')
+        .eq('user_id', userId)
+        .order('deleted_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      handleError(error, "Couldn't load recently deleted tasks");
+      throw error;
+    }
+  },
+
+  /**
+   * Restore a todo from recently deleted
+   * @param {string} deletedId - ID of the recently deleted entry
+   * @returns {Promise<Object|null>} The restored todo, or null when a shared
+   *   user's access was restored (it arrives through the realtime share insert)
+   */
+  async restore(deletedId) {
+    try {
+      const { data: todoData, error: fetchError } = await supabase
+        .from('recently_deleted')
+        .select('*')
+        .eq('id', deletedId)
+        .single();
+
+      if (fetchError) throw fetchError;
+      if (!todoData) {
+        throw new Error('Todo not found in recently deleted');
+      }
+
+      let restoredTodo = null;
+
+      if (todoData.is_shared && todoData.shared_id && todoData.owner !== todoData.original_owner) {
+        // Restore the sharing relationship only
+        const { error: shareError } = await supabase
+          .from('shared_todos')
+          .insert({
+            todo_id: todoData.shared_todo_id,
+            recipient_email: todoData.owner,
+            owner_email: todoData.original_owner,
+            original_owner: todoData.original_owner,
+            permission: todoData.permission || 'view',
+            created_at: new Date().toISOString()
+          });
+
+        if (shareError) throw shareError;
+      } else {
+        // The category or project may have been deleted since, like they
+        // would have been unset on the todo (ON DELETE SET NULL)
+        const restoreData = fromDeletedTodoRow(todoData);
+        restoreData.category_id = await findExistingId('categories', restoreData.category_id);
+        restoreData.project_id = await findExistingId('projects', restoreData.project_id);
+
+        // Add back to todos collection as a fresh todo without any sharing
+        // information, with the subtasks it had
+        const now = new Date().toISOString();
+        await this.create({ ...restoreData, created_at: now, updated_at: now }, todoData.subtasks || []);
+
+        const { data: row, error: fetchRestoredError } = await supabase
+          .from('todos')
+          .select(TODO_SELECT)
+          .eq('id', restoreData.id)
+          .single();
+
+        if (fetchRestoredError) throw fetchRestoredError;
+        restoredTodo = mapTodoRow(row);
+      }
+
+      // Delete from recently deleted
+      const { error: deleteError } = await supabase
+        .from('recently_deleted')
+        .delete()
+        .eq('id', deletedId);
+
+      if (deleteError) {
+        // Don't throw here as the todo is already restored
+        console.error('Error removing from recently deleted:', deleteError);
+      }
+
+      return restoredTodo;
+    } catch (error) {
+      handleError(error, "Couldn't restore the task");
+      throw error;
+    }
+  },
+
+  /**
+   * Permanently delete a recently deleted todo
+   * @returns {Promise<boolean>} Whether it was deleted
+   */
+  async purge(deletedId) {
+    try {
+      const { error } = await supabase
+        .from('recently_deleted')
+        .delete()
+        .eq('id', deletedId);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      handleError(error, "Couldn't permanently delete the task");
+      return false;
+    }
+  }
+};
@@ -8,23 +8,21 @@
  *    - User profile management
  * 
  * 2. Todo Management
- *    - CRUD operations
- *    - Recently deleted functionality
- *    - AI content integration
+ *    - Categories, workflow statuses, smart views and projects
+ *    - Todos and their subtasks are read and written through services/todosRepository
  * 
  * 3. Sharing System
- *    - Todo sharing
- *    - Permission management
  *    - Invitation handling
+ *    - Project membership and permissions
  * 
  * 4. Database Operations
  *    - User profiles
- *    - Todos
- *    - Shared todos
- *    - Recently deleted items
+ *    - Subtasks, categories, workflow statuses, smart views and projects
+ *    - Decisions on AI suggestions and day plans
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { handleError } from './utils/errorHandler';
 
 // Initialize Supabase client
 const supabaseUrl = process.env.REACT_APP_SUPABASE_URL;
@@ -64,7 +62,7 @@ export const updateUserProfile = async (user) => {
 
     if (error) throw error;
   } catch (error) {
-    console.error('Error updating user profile:', error);
+    handleError(error, "Couldn't update your profile");
   }
 };
 
@@ -150,7 +148,7 @@ export const signInWithGoogle = async () => {
     
     return data?.user;
   } catch (error) {
-    console.error("Google Sign-In Process Error:", error);
+    handleError(error, "Couldn't sign in with Google");
     throw error;
   }
 };
@@ -167,7 +165,7 @@ export const logOut = async () => {
     const { error } = await supabaseClient.auth.signOut();
     if (error) throw error;
   } catch (error) {
-    console.error("Sign-Out Error", error);
+    handleError(error, "Couldn't sign out");
     throw error;
   }
 };
@@ -193,59 +191,11 @@ export const checkUserExists = async (email) => {
     console.log('Query result:', data); // Log the result of the query
     return !!data; // Return true if data exists, false otherwise
   } catch (error) {
-    console.error('Error checking user existence:', error); // Log the error
+    handleError(error, "Couldn't look up that user"); // Log and report the error
     return false; // Return false in case of an error
   }
 };
 
-/**
- * Create a todo invitation
- */
-export const createTodoInvitation = async (todoId, ownerEmail, recipientEmail, permission = 'view') => {
-  try {
-    // Get the todo data
-    const { data: todoData, error: todoError } = await supabaseClient
-      .from('todos')
-      .select('*')
-      .eq('id', todoId)
-      .single();
-
-    if (todoError) throw todoError;
-    if (!todoData) throw new Error('Todo not found');
-
-    // Get recipient's user ID
-    const { data: recipientData, error: recipientError } = await supabaseClient
-      .from('user_profiles')
-      .select('id')
-      .eq('email', recipientEmail)
-      .single();
-
-    if (recipientError) throw recipientError;
-    if (!recipientData) throw new Error('Recipient not found');
-
-    // Create invitation
-    const { error: invitationError } = await supabaseClient
-      .from('todo_invitations')
-      .insert({
-        todo_id: todoId,
-        todo_data: todoData,
-        owner_email: ownerEmail,
-        original_owner: todoData.original_owner || todoData.owner,
-        recipient_id: recipientData.id,
-        recipient_email: recipientEmail,
-        permission,
-        status: 'pending',
-        created_at: new Date().toISOString()
-      });
-
-    if (invitationError) throw invitationError;
-    return true;
-  } catch (error) {
-    console.error('Error creating todo invitation:', error);
-    throw error;
-  }
-};
-
 /**
  * Get pending todo invitations for a user
  */
@@ -274,7 +224,7 @@ export const getPendingInvitations = async (userEmail) => {
     if (error) throw error;
     return invitations || [];
   } catch (error) {
-    console.error('Error fetching invitations:', error);
+    handleError(error, "Couldn't load invitations");
     return [];
   }
 };
@@ -294,19 +244,29 @@ export const handleInvitationResponse = async (userEmail, invitationId, todoId,
 
       if (invitationError) throw invitationError;
 
-      // Create shared todo with all required fields
-      const { error: shareError } = await supabaseClient
-        .from('shared_todos')
-        .insert({
-          todo_id: todoId,
-          recipient_email: userEmail,
-          owner_email: invitation.owner_email,
-          original_owner: invitation.original_owner,
-          permission: invitation.permission,
-          created_at: new Date().toISOString()
-        });
-
-      if (shareError) throw shareError;
+      if (invitation.project_id) {
+        // Project invitations grant access to every todo in the project; the
+        // server copies the permission from the invitation and marks it accepted
+        const { error: memberError } = await supabaseClient
+          .rpc('accept_project_invitation', { p_invitation_id: invitationId });
+
+        if (memberError) throw memberError;
+        return true;
+      } else {
+        // Create shared todo with all required fields
+        const { error: shareError } = await supabaseClient
+          .from('shared_todos')
+          .insert({
+            todo_id: todoId,
+            recipient_email: userEmail,
+            owner_email: invitation.owner_email,
+            original_owner: invitation.original_owner,
+            permission: invitation.permission,
+            created_at: new Date().toISOString()
+          });
+
+        if (shareError) throw shareError;
+      }
     }
 
     // Update invitation status
@@ -318,342 +278,630 @@ export const handleInvitationResponse = async (userEmail, invitationId, todoId,
     if (updateError) throw updateError;
     return true;
   } catch (error) {
-    console.error('Error handling invitation response:', error);
+    handleError(error, "Couldn't respond to the invitation");
+    throw error;
+  }
+};
+
+/**
+ * Create subtasks for a todo
+ * @param {string} todoId - The parent todo ID
+ * @param {Array} subtasks - Drafts with title, completed and position
+ * @returns {Promise<Array>} The created subtask rows
+ */
+export const createSubtasks = async (todoId, subtasks) => {
+  if (!todoId || !subtasks?.length) return [];
+
+  try {
+    const { data, error } = await supabaseClient
+      .from('subtasks')
+      .insert(subtasks.map((subtask, index) => ({
+        // Subtasks created offline already have a client-generated ID
+        ...(subtask.id && { id: subtask.id }),
+        todo_id: todoId,
+        title: subtask.title,
+        completed: subtask.completed || false,
+        position: subtask.position ?? index
+      })))
+      .select('*');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    handleError(error, "Couldn't add subtasks");
     throw error;
   }
 };
 
 /**
- * Get shared todos for a user
+ * Get the categories owned by a user
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Array>} Categories ordered by position
  */
-export const getSharedTodos = async (userEmail) => {
+export const getCategories = async (userId) => {
   try {
-    const { data: sharedTodos, error } = await supabaseClient
-      .from('shared_todos')
-      .select(`
-        *,
-        todos (*)
-      `)
-      .eq('recipient_email', userEmail);
+    const { data, error } = await supabaseClient
+      .from('categories')
+      .select('*')
+      .eq('user_id', userId)
+      .order('position', { ascending: true });
 
     if (error) throw error;
-    return sharedTodos || [];
+    return data || [];
   } catch (error) {
-    console.error('Error fetching shared todos:', error);
+    handleError(error, "Couldn't load categories");
     return [];
   }
 };
 
 /**
- * Revoke access to a shared todo
+ * Create one or more categories for a user
+ * @param {string} userId - The user's ID
+ * @param {Array} categories - Objects with name, color and icon
+ * @param {number} startPosition - Position of the first created category
+ * @returns {Promise<Array>} The created categories
+ */
+export const createCategories = async (userId, categories, startPosition = 0) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('categories')
+      .insert(categories.map((category, index) => ({
+        user_id: userId,
+        name: category.name.trim(),
+        color: category.color,
+        icon: category.icon || null,
+        position: startPosition + index
+      })))
+      .select('*');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    handleError(error, "Couldn't create categories");
+    throw error;
+  }
+};
+
+/**
+ * Update a category
+ *
+ * Renaming also updates the denormalized `category` name on its todos
+ * so older clients and the recently deleted copy stay in sync.
+ *
+ * @param {string} categoryId - The category ID
+ * @param {Object} updates - Name, color and/or icon
+ */
+export const updateCategory = async (categoryId, updates) => {
+  try {
+    const { error } = await supabaseClient
+      .from('categories')
+      .update(updates)
+      .eq('id', categoryId);
+
+    if (error) throw error;
+
+    if (updates.name) {
+      const { error: todosError } = await supabaseClient
+        .from('todos')
+        .update({ category: updates.name })
+        .eq('category_id', categoryId);
+
+      if (todosError) {
+        console.error('Error renaming category on todos:', todosError);
+      }
+    }
+
+    return true;
+  } catch (error) {
+    handleError(error, "Couldn't update the category");
+    throw error;
+  }
+};
+
+/**
+ * Delete a category. Its todos keep the category name but lose the link.
+ * @param {string} categoryId - The category ID
  */
-export const revokeAccess = async (todoId, recipientEmail) => {
+export const deleteCategory = async (categoryId) => {
   try {
     const { error } = await supabaseClient
-      .from('shared_todos')
+      .from('categories')
       .delete()
-      .eq('todo_id', todoId)
-      .eq('recipient_email', recipientEmail);
+      .eq('id', categoryId);
 
     if (error) throw error;
     return true;
   } catch (error) {
-    console.error('Error revoking access:', error);
+    handleError(error, "Couldn't delete the category");
     throw error;
   }
 };
 
 /**
- * Update shared todo permission
+ * Get a user's workflow statuses
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Array>} Statuses in workflow order
  */
-export const updatePermission = async (todoId, recipientEmail, newPermission) => {
+export const getStatuses = async (userId) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('workflow_statuses')
+      .select('*')
+      .eq('user_id', userId)
+      .order('position', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    handleError(error, "Couldn't load statuses");
+    return [];
+  }
+};
+
+/**
+ * Create one or more workflow statuses for a user
+ * @param {string} userId - The user's ID
+ * @param {Array} statuses - Objects with key, name, color and is_done
+ * @param {number} startPosition - Position of the first created status
+ * @returns {Promise<Array>} The created statuses
+ */
+export const createStatuses = async (userId, statuses, startPosition = 0) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('workflow_statuses')
+      .insert(statuses.map((status, index) => ({
+        user_id: userId,
+        key: status.key,
+        name: status.name.trim(),
+        color: status.color,
+        is_done: !!status.is_done,
+        position: startPosition + index
+      })))
+      .select('*');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    handleError(error, "Couldn't create statuses");
+    throw error;
+  }
+};
+
+/**
+ * Update a workflow status. Todos keep its key, so renaming needs no
+ * changes to them.
+ * @param {string} statusId - The status ID
+ * @param {Object} updates - Name, color, is_done and/or position
+ */
+export const updateStatus = async (statusId, updates) => {
   try {
     const { error } = await supabaseClient
-      .from('shared_todos')
-      .update({ permission: newPermission })
-      .eq('todo_id', todoId)
-      .eq('recipient_email', recipientEmail);
+      .from('workflow_statuses')
+      .update(updates)
+      .eq('id', statusId);
 
     if (error) throw error;
     return true;
   } catch (error) {
-    console.error('Error updating permission:', error);
+    handleError(error, "Couldn't update the status");
     throw error;
   }
 };
 
 /**
- * Move a todo to recently deleted collection
+ * Delete a workflow status. Its todos keep the key and show it by name.
+ * @param {string} statusId - The status ID
  */
-export const moveToRecentlyDeleted = async (todoId, todoData) => {
+export const deleteStatus = async (statusId) => {
   try {
-    const now = new Date();
-    const expiresAt = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000); // 30 days from now
+    const { error } = await supabaseClient
+      .from('workflow_statuses')
+      .delete()
+      .eq('id', statusId);
 
-    // If this is a shared todo and the user is not the original owner,
-    // we need to store the shared_todos information for restoration
-    const isSharedUserDeleting = todoData.is_shared && todoData.owner !== todoData.original_owner;
-    const isOwnerDeleting = todoData.owner === todoData.original_owner;
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    handleError(error, "Couldn't delete the status");
+    throw error;
+  }
+};
 
-    const recentlyDeletedTodo = {
-      id: todoId,
-      title: todoData.title,
-      description: todoData.description,
-      category: todoData.category,
-      due_date: todoData.due_date,
-      priority: todoData.priority,
-      user_id: todoData.user_id,
-      owner: todoData.owner,
-      original_owner: todoData.original_owner,
-      is_shared: todoData.is_shared || false,
-      shared_id: todoData.shared_id || null,
-      shared_todo_id: todoData.shared_todo_id || null,
-      permission: todoData.permission || null,
-      deleted_at: todoData.deleted_at || now.toISOString(),
-      deleted_by: todoData.deleted_by || todoData.owner,
-      expires_at: todoData.expires_at || expiresAt.toISOString()
-    };
+/**
+ * Get a user's smart views (saved filters)
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Array>} Smart views in sidebar order
+ */
+export const getSmartViews = async (userId) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('smart_views')
+      .select('*')
+      .eq('user_id', userId)
+      .order('position', { ascending: true });
 
-    // Log the data being inserted
-    console.log('Moving to recently deleted:', recentlyDeletedTodo);
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    handleError(error, "Couldn't load smart views");
+    return [];
+  }
+};
 
-    // Insert into recently_deleted for the current user
+/**
+ * Save a filter as a smart view
+ * @param {string} userId - The user's ID
+ * @param {Object} view - { name, filters }
+ * @param {number} position - Position in the sidebar
+ * @returns {Promise<Object>} The created smart view
+ */
+export const createSmartView = async (userId, view, position = 0) => {
+  try {
     const { data, error } = await supabaseClient
-      .from('recently_deleted')
-      .insert(recentlyDeletedTodo)
-      .select()
+      .from('smart_views')
+      .insert({
+        user_id: userId,
+        name: view.name.trim(),
+        filters: view.filters,
+        position
+      })
+      .select('*')
       .single();
 
-    if (error) {
-      console.error('Error moving to recently deleted:', error);
-      throw error;
-    }
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    handleError(error, "Couldn't save the smart view");
+    throw error;
+  }
+};
 
-    // If the owner is deleting, we need to:
-    // 1. Remove all sharing relationships (permanently)
-    // 2. Delete the original todo
-    if (isOwnerDeleting) {
-      // Remove all sharing relationships
-      const { error: removeSharesError } = await supabaseClient
-        .from('shared_todos')
-        .delete()
-        .eq('todo_id', todoId);
-
-      if (removeSharesError) {
-        console.error('Error removing sharing relationships:', removeSharesError);
-      }
+/**
+ * Update a smart view's name, filters or position
+ * @param {string} viewId - The smart view ID
+ * @param {Object} updates - Fields to change
+ */
+export const updateSmartView = async (viewId, updates) => {
+  try {
+    const { error } = await supabaseClient
+      .from('smart_views')
+      .update(updates)
+      .eq('id', viewId);
 
-      // Delete the original todo
-      const { error: deleteTodoError } = await supabaseClient
-        .from('todos')
-        .delete()
-        .eq('id', todoId);
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    handleError(error, "Couldn't update the smart view");
+    throw error;
+  }
+};
 
-      if (deleteTodoError) {
-        console.error('Error deleting original todo:', deleteTodoError);
-        throw deleteTodoError;
-      }
-    } 
-    // If a shared user is deleting, just remove their access
-    else if (isSharedUserDeleting && todoData.shared_id) {
-      const { error: removeAccessError } = await supabaseClient
-        .from('shared_todos')
-        .delete()
-        .eq('id', todoData.shared_id);
-
-      if (removeAccessError) {
-        console.error('Error removing shared access:', removeAccessError);
-        throw removeAccessError;
-      }
-    }
+/**
+ * Delete a smart view
+ * @param {string} viewId - The smart view ID
+ */
+export const deleteSmartView = async (viewId) => {
+  try {
+    const { error } = await supabaseClient
+      .from('smart_views')
+      .delete()
+      .eq('id', viewId);
 
-    console.log('Successfully moved to recently deleted:', data);
+    if (error) throw error;
     return true;
   } catch (error) {
-    console.error('Error moving todo to recently deleted:', error);
+    handleError(error, "Couldn't delete the smart view");
     throw error;
   }
 };
 
 /**
- * Get recently deleted todos for the current user
+ * Get the projects a user owns or is a member of
+ * @param {string} userId - The user's ID
+ * @param {string} userEmail - The user's email
+ * @returns {Promise<Array>} Projects with `isOwner` and `permission`
  */
-export const getRecentlyDeletedTodos = async (userId) => {
+export const getProjects = async (userId, userEmail) => {
   try {
-    if (!userId) {
-      throw new Error('User ID is required');
-    }
+    const { data: ownedProjects, error: ownedError } = await supabaseClient
+      .from('projects')
+      .select('*')
+      .eq('user_id', userId)
+      .order('position', { ascending: true });
+
+    if (ownedError) throw ownedError;
 
-    console.log('Fetching recently deleted todos for user:', userId);
+    const { data: memberships, error: membershipError } = await supabaseClient
+      .from('project_members')
+      .select(`
+        *,
+        projects (*)
+      `)
+      .eq('recipient_email', userEmail);
 
+    if (membershipError) throw membershipError;
+
+    return [
+      ...(ownedProjects || []).map(project => ({
+        ...project,
+        isOwner: true,
+        permission: 'edit'
+      })),
+      ...(memberships || [])
+        .filter(membership => membership.projects)
+        .map(membership => ({
+          ...membership.projects,
+          isOwner: false,
+          permission: membership.permission,
+          membershipId: membership.id
+        }))
+    ];
+  } catch (error) {
+    handleError(error, "Couldn't load projects");
+    return [];
+  }
+};
+
+/**
+ * Create a project
+ * @param {Object} user - The Supabase Auth user
+ * @param {Object} project - Name and color
+ * @param {number} position - Position in the sidebar
+ */
+export const createProject = async (user, project, position = 0) => {
+  try {
     const { data, error } = await supabaseClient
-      .from('recently_deleted')
+      .from('projects')
+      .insert({
+        user_id: user.id,
+        owner_email: user.email,
+        name: project.name.trim(),
+        color: project.color,
+        position
+      })
       .select('*')
-      .eq('user_id', userId)
-      .order('deleted_at', { ascending: false });
-
-    if (error) {
-      console.error('Error fetching recently deleted todos:', error);
-      throw error;
-    }
+      .single();
 
-    console.log('Found recently deleted todos:', data?.length || 0);
-    return data || [];
+    if (error) throw error;
+    return { ...data, isOwner: true, permission: 'edit' };
   } catch (error) {
-    console.error('Error in getRecentlyDeletedTodos:', error);
+    handleError(error, "Couldn't create the project");
     throw error;
   }
 };
 
 /**
- * Restore a todo from recently deleted
+ * Update a project's name or color
  */
-export const restoreTodo = async (todoId) => {
+export const updateProject = async (projectId, updates) => {
   try {
-    console.log('Starting todo restoration for ID:', todoId);
+    const { error } = await supabaseClient
+      .from('projects')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', projectId);
 
-    // Get the todo data
-    const { data: todoData, error: fetchError } = await supabaseClient
-      .from('recently_deleted')
-      .select('*')
-      .eq('id', todoId)
-      .single();
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    handleError(error, "Couldn't update the project");
+    throw error;
+  }
+};
 
-    if (fetchError) {
-      console.error('Error fetching todo data:', fetchError);
-      throw fetchError;
-    }
+/**
+ * Delete a project. Its todos move back to the owner's inbox.
+ */
+export const deleteProject = async (projectId) => {
+  try {
+    const { error } = await supabaseClient
+      .from('projects')
+      .delete()
+      .eq('id', projectId);
 
-    if (!todoData) {
-      throw new Error('Todo not found in recently deleted');
-    }
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    handleError(error, "Couldn't delete the project");
+    throw error;
+  }
+};
 
-    console.log('Found todo data:', todoData);
+/**
+ * Invite a user to a whole project
+ */
+export const createProjectInvitation = async (project, ownerEmail, recipientEmail, permission = 'view') => {
+  try {
+    // Get recipient's user ID
+    const { data: recipientData, error: recipientError } = await supabaseClient
+      .from('user_profiles')
+      .select('id')
+      .eq('email', recipientEmail)
+      .single();
 
-    // If this was a shared todo that was deleted by a shared user
-    if (todoData.is_shared && todoData.shared_id && todoData.owner !== todoData.original_owner) {
-      console.log('Restoring shared todo access');
-      
-      // Restore the sharing relationship only
-      const { error: shareError } = await supabaseClient
-        .from('shared_todos')
-        .insert({
-          todo_id: todoData.shared_todo_id,
-          recipient_email: todoData.owner,
-          owner_email: todoData.original_owner,
-          original_owner: todoData.original_owner,
-          permission: todoData.permission || 'view',
-          created_at: new Date().toISOString()
-        });
-
-      if (shareError) {
-        console.error('Error restoring share relationship:', shareError);
-        throw shareError;
-      }
-    } else {
-      // This is a todo being restored by its owner
-      // Remove fields that shouldn't be restored
-      const {
-        deleted_at,
-        expires_at,
-        is_shared,
-        shared_id,
-        shared_todo_id,
-        deleted_by,
+    if (recipientError) throw recipientError;
+    if (!recipientData) throw new Error('Recipient not found');
+
+    const { error: invitationError } = await supabaseClient
+      .from('todo_invitations')
+      .insert({
+        project_id: project.id,
+        todo_data: { title: project.name, isProject: true },
+        owner_email: ownerEmail,
+        original_owner: ownerEmail,
+        recipient_id: recipientData.id,
+        recipient_email: recipientEmail,
         permission,
-        ...restoreData
-      } = todoData;
+        status: 'pending',
+        created_at: new Date().toISOString()
+      });
 
-      // Create a fresh todo without any sharing information
-      const newTodo = {
-        ...restoreData,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-        shared_count: 0 // Reset shared count since this is a fresh todo
-      };
+    if (invitationError) throw invitationError;
+    return true;
+  } catch (error) {
+    handleError(error, "Couldn't share the project");
+    throw error;
+  }
+};
 
-      console.log('Preparing to restore with data:', newTodo);
+/**
+ * Get the members of a project
+ */
+export const getProjectMembers = async (projectId) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('project_members')
+      .select('*')
+      .eq('project_id', projectId);
 
-      // Add back to todos collection as a fresh todo
-      const { data: restoredTodo, error: restoreError } = await supabaseClient
-        .from('todos')
-        .insert(newTodo)
-        .select()
-        .single();
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    handleError(error, "Couldn't load project members");
+    return [];
+  }
+};
 
-      if (restoreError) {
-        console.error('Error restoring todo:', restoreError);
-        throw restoreError;
-      }
+/**
+ * Change a project member's permission
+ */
+export const updateProjectMemberPermission = async (membershipId, permission) => {
+  try {
+    const { error } = await supabaseClient
+      .from('project_members')
+      .update({ permission })
+      .eq('id', membershipId);
 
-      console.log('Successfully restored todo:', restoredTodo);
-    }
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    handleError(error, "Couldn't change the member's permission");
+    throw error;
+  }
+};
 
-    // Delete from recently deleted
-    const { error: deleteError } = await supabaseClient
-      .from('recently_deleted')
+/**
+ * Remove a member from a project (owners revoking access, or members leaving)
+ */
+export const removeProjectMember = async (membershipId) => {
+  try {
+    const { error } = await supabaseClient
+      .from('project_members')
       .delete()
-      .eq('id', todoId);
+      .eq('id', membershipId);
 
-    if (deleteError) {
-      console.error('Error removing from recently deleted:', deleteError);
-      // Don't throw here as the todo is already restored
-    }
-    
-    return todoData;
+    if (error) throw error;
+    return true;
   } catch (error) {
-    console.error('Error in restoreTodo:', error);
+    handleError(error, "Couldn't remove the project member");
     throw error;
   }
 };
 
 /**
- * Permanently delete a todo
+ * Record what the user did with AI suggestions (see utils/aiTriage)
+ * @param {string} userId - The user's ID
+ * @param {Array} decisions - { todo_id, feature, field, suggested_value, accepted } rows
  */
-export const permanentlyDeleteTodo = async (todoId) => {
+export const recordAISuggestionDecisions = async (userId, decisions) => {
   try {
     const { error } = await supabaseClient
-      .from('recently_deleted')
-      .delete()
-      .eq('id', todoId);
+      .from('ai_suggestion_decisions')
+      .insert(decisions.map(decision => ({ ...decision, user_id: userId })));
 
     if (error) throw error;
     return true;
   } catch (error) {
-    console.error('Error permanently deleting todo:', error);
+    // Only used for measuring the feature; not worth interrupting the user
+    console.error('Error recording AI suggestion decisions:', error);
     return false;
   }
 };
 
 /**
- * Get shared users for a todo
+ * Get a user's recorded decisions on an AI feature's suggestions
+ * @param {string} userId - The user's ID
+ * @param {string} feature - E.g. 'triage'
+ * @returns {Promise<Array>} { field, accepted } rows
  */
-export const getSharedUsers = async (todoId) => {
+export const getAISuggestionDecisions = async (userId, feature) => {
   try {
     const { data, error } = await supabaseClient
-      .from('shared_todos')
-      .select(`
-        id,
-        recipient_email,
-        permission,
-        user_profiles (
-          id,
-          display_name,
-          photo_url
-        )
-      `)
-      .eq('todo_id', todoId);
+      .from('ai_suggestion_decisions')
+      .select('field, accepted')
+      .eq('user_id', userId)
+      .eq('feature', feature);
 
     if (error) throw error;
-    return data.map(share => ({
-      id: share.user_profiles.id,
-      email: share.recipient_email,
-      permission: share.permission,
-      displayName: share.user_profiles.display_name,
-      photoUrl: share.user_profiles.photo_url
-    })) || [];
-  } catch (error) {
-    console.error('Error fetching shared users:', error);
+    return data || [];
+  } catch (error) {
+    console.error('Error loading AI suggestion decisions:', error);
     return [];
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Get the plan a user accepted for a day (see utils/dayPlan)
+ * @param {string} userId - The user's ID
+ * @param {string} planDate - 'YYYY-MM-DD'
+ * @returns {Promise<Object|null>} null when the day has no plan
+ */
+export const getDayPlan = async (userId, planDate) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('day_plans')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('plan_date', planDate)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    handleError(error, "Couldn't load today's plan");
+    return null;
+  }
+};
+
+/**
+ * Save a day's plan, replacing any plan the user had for that day
+ * @param {string} userId - The user's ID
+ * @param {Object} plan - From buildDayPlan
+ * @returns {Promise<Object>} The saved plan
+ */
+export const saveDayPlan = async (userId, plan) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('day_plans')
+      .upsert({ ...plan, user_id: userId, updated_at: new Date().toISOString() }, { onConflict: 'user_id,plan_date' })
+      .select('*')
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    handleError(error, "Couldn't save the plan");
+    throw error;
+  }
+};
+
+/**
+ * Remove a day's plan, unpinning its todos from the Today view
+ * @param {string} planId - The plan ID
+ */
+export const deleteDayPlan = async (planId) => {
+  try {
+    const { error } = await supabaseClient
+      .from('day_plans')
+      .delete()
+      .eq('id', planId);
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    handleError(error, "Couldn't clear the plan");
+    throw error;
+  }
+};
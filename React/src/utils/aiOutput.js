@@ -0,0 +1,260 @@
+/**
+ * AI Output Utilities
+ * Schemas for what the AI features expect back, and reading the model's
+ * reply into them. Models often wrap JSON in a code fence, add a sentence
+ * after it, or leave a trailing comma; extractJson recovers the object from
+ * those. Anything still wrong is reported by the schema, and the service
+ * asks the model to fix it (see services/openaiService).
+ */
+
+import { validateSchema } from './jsonSchema';
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+export const RESOURCE_TYPES = ['article', 'video', 'tool', 'book'];
+export const PRIORITIES = ['high', 'medium', 'low'];
+
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+
+// Guidance for a task (todos.ai_content)
+export const TASK_GUIDANCE_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'steps', 'estimatedTime', 'difficulty'],
+  properties: {
+    summary: { type: 'string', minLength: 1, maxLength: 1000 },
+    steps: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 15,
+      items: {
+        type: 'object',
+        required: ['step'],
+        properties: {
+          step: { type: 'string', minLength: 1 },
+          details: { type: 'string' },
+          resources: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['title', 'url', 'type'],
+              properties: {
+                title: { type: 'string', minLength: 1 },
+                url: { type: 'string', format: 'uri' },
+                type: { enum: RESOURCE_TYPES }
+              }
+            }
+          }
+        }
+      }
+    },
+    estimatedTime: { type: 'string', minLength: 1 },
+    difficulty: { enum: DIFFICULTIES },
+    relatedTasks: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+// A quick-add line read by the AI (see utils/quickAdd)
+export const QUICK_ADD_SCHEMA = {
+  type: 'object',
+  required: ['title'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    date: { type: ['string', 'null'], pattern: DATE_PATTERN },
+    time: { type: ['string', 'null'], pattern: '^\\d{2}:\\d{2}$' },
+    category: { type: ['string', 'null'] },
+    priority: { enum: [...PRIORITIES, null] },
+    recurrence: {
+      type: ['object', 'null'],
+      required: ['frequency'],
+      properties: {
+        frequency: { enum: ['daily', 'weekly', 'monthly'] },
+        interval: { type: 'integer' },
+        weekdays: { type: 'array', items: { type: 'integer' } }
+      }
+    }
+  }
+};
+
+// A triage suggestion for one field: the value and why
+const triageField = (value) => ({
+  type: 'object',
+  required: ['value', 'reason'],
+  properties: { value, reason: { type: 'string', minLength: 1, maxLength: 300 } }
+});
+
+/**
+ * Schema for triage suggestions (see utils/aiTriage). Fields the model has
+ * no opinion on are left out.
+ * @param {Array<string>} categoryNames - The user's categories, the only ones it may suggest
+ */
+export const buildTriageSchema = (categoryNames) => ({
+  type: 'object',
+  required: ['suggestions'],
+  properties: {
+    suggestions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          category: triageField({ enum: categoryNames }),
+          priority: triageField({ enum: PRIORITIES }),
+          dueDate: triageField({ type: ['string', 'null'], pattern: DATE_PATTERN })
+        }
+      }
+    }
+  }
+});
+
+// A plan for the day (see utils/dayPlan): todos in the order to do them,
+// each with a time box
+export const DAY_PLAN_SCHEMA = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    summary: { type: 'string', maxLength: 500 },
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'minutes'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          minutes: { type: 'integer', minimum: 5, maximum: 480 },
+          reason: { type: 'string', maxLength: 300 }
+        }
+      }
+    }
+  }
+};
+
+// The narrative of a weekly report (see utils/weeklyReport)
+export const WEEKLY_SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['summary'],
+  properties: {
+    summary: { type: 'string', minLength: 1, maxLength: 1500 },
+    highlights: {
+      type: 'array',
+      maxItems: 5,
+      items: { type: 'string', minLength: 1, maxLength: 300 }
+    }
+  }
+};
+
+// Index just past the '}' closing the object that opens at `start`, -1 if it never closes
+const findObjectEnd = (text, start) => {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i += 1;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      depth += 1;
+    } else if (char === '}' || char === ']') {
+      depth -= 1;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return -1;
+};
+
+// Fix the usual near-misses: curly quotes, trailing commas and unquoted keys.
+// Only text outside strings (the even parts of the split) is touched.
+const repairJson = (json) => json
+  .replace(/[“”]/g, '"')
+  .split(/("(?:[^"\\]|\\.)*")/)
+  .map((part, index) => (index % 2 === 1 ? part : part
+    .replace(/,(\s*[}\]])/g, '$1')
+    .replace(/([{,]\s*)([A-Za-z_]\w*)(\s*:)/g, '$1"$2"$3')))
+  .join('');
+
+/**
+ * Pull the JSON object out of a model reply
+ * @param {string} text - The reply
+ * @returns {{ value: Object, repaired: boolean }|null} repaired is true when
+ *   the object needed fixing beyond cutting surrounding text; null when no
+ *   complete object could be read (e.g. the reply was cut off)
+ */
+export const extractJson = (text = '') => {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = fenced ? fenced[1] : text;
+  const start = body.indexOf('{');
+  if (start === -1) return null;
+
+  const end = findObjectEnd(body, start);
+  if (end === -1) return null;
+  const json = body.slice(start, end);
+
+  try {
+    return { value: JSON.parse(json), repaired: false };
+  } catch (error) {
+    try {
+      return { value: JSON.parse(repairJson(json)), repaired: true };
+    } catch (repairError) {
+      return null;
+    }
+  }
+};
+
+const trimmed = (value) => (typeof value === 'string' ? value.trim() : value);
+const lowercased = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+
+/**
+ * Apply fixes that don't change the meaning of guidance: whitespace, case of
+ * enum values, and empty defaults for optional lists
+ * @param {*} value - Parsed reply
+ * @returns {*} The fixed guidance; anything that isn't an object is returned as is
+ */
+export const normalizeGuidance = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+
+  return {
+    ...value,
+    summary: trimmed(value.summary),
+    estimatedTime: typeof value.estimatedTime === 'number' ? `${value.estimatedTime} hours` : trimmed(value.estimatedTime),
+    difficulty: lowercased(value.difficulty),
+    steps: Array.isArray(value.steps)
+      ? value.steps.map(step => (step && typeof step === 'object' ? {
+        ...step,
+        step: trimmed(step.step),
+        details: trimmed(step.details) ?? '',
+        resources: Array.isArray(step.resources)
+          ? step.resources.map(resource => (resource && typeof resource === 'object'
+            ? { ...resource, title: trimmed(resource.title), url: trimmed(resource.url), type: lowercased(resource.type) }
+            : resource))
+          : step.resources ?? []
+      } : step))
+      : value.steps,
+    relatedTasks: value.relatedTasks ?? []
+  };
+};
+
+/**
+ * Read a complete model reply against a schema
+ * @param {string} text - The reply
+ * @param {Object} schema - What the reply should match
+ * @param {Function} normalize - Fixes to apply before validating
+ * @returns {{ value: *, errors: Array }} errors (see utils/jsonSchema) is
+ *   empty when the reply is valid; a reply without a complete object has a
+ *   single error at 'response'
+ */
+export const readReply = (text, schema, normalize = (value) => value) => {
+  const extracted = extractJson(text);
+  if (!extracted) {
+    return { value: null, errors: [{ path: 'response', message: 'is not a complete JSON object' }] };
+  }
+  const value = normalize(extracted.value);
+  return { value, errors: validateSchema(value, schema) };
+};
+
+/**
+ * Read a complete model reply as task guidance
+ * @param {string} text - The reply
+ * @returns {{ value: Object|null, errors: Array }} See readReply
+ */
+export const readGuidance = (text) => readReply(text, TASK_GUIDANCE_SCHEMA, normalizeGuidance);
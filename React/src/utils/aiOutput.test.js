@@ -0,0 +1,50 @@
+import { extractJson, normalizeGuidance, readGuidance } from './aiOutput';
+
+const guidance = {
+  summary: 'Plan the trip',
+  steps: [{ step: 'Book flights', details: 'Compare prices', resources: [{ title: 'Fares', url: 'https://example.com', type: 'tool' }] }],
+  estimatedTime: '2 hours',
+  difficulty: 'easy',
+  relatedTasks: ['Pack']
+};
+
+test('extracts JSON from fences and surrounding prose', () => {
+  expect(extractJson(JSON.stringify(guidance))).toEqual({ value: guidance, repaired: false });
+  expect(extractJson('Sure! ```json\n' + JSON.stringify(guidance) + '\n``` Let me know.')).toEqual({ value: guidance, repaired: false });
+  expect(extractJson('Here: {"a": "}"} and {"b": 2}')).toEqual({ value: { a: '}' }, repaired: false });
+});
+
+test('repairs trailing commas, curly quotes and unquoted keys outside strings', () => {
+  expect(extractJson('{summary: “Plan, then: go”, "steps": [1, 2,],}')).toEqual({
+    value: { summary: 'Plan, then: go', steps: [1, 2] },
+    repaired: true
+  });
+});
+
+test('returns null when no complete object is found', () => {
+  expect(extractJson('I cannot help with that.')).toBeNull();
+  expect(extractJson('{"summary": "Plan", "steps": [')).toBeNull();
+  expect(extractJson('{"summary": Plan}')).toBeNull();
+});
+
+test('normalizes case, whitespace and optional lists', () => {
+  expect(normalizeGuidance({
+    summary: ' Plan ',
+    steps: [{ step: 'Book ', resources: [{ title: 'Fares', url: ' https://example.com ', type: 'Tool' }] }],
+    estimatedTime: 2,
+    difficulty: 'Easy'
+  })).toEqual({
+    summary: 'Plan',
+    steps: [{ step: 'Book', details: '', resources: [{ title: 'Fares', url: 'https://example.com', type: 'tool' }] }],
+    estimatedTime: '2 hours',
+    difficulty: 'easy',
+    relatedTasks: []
+  });
+});
+
+test('reads guidance and reports schema problems', () => {
+  expect(readGuidance(JSON.stringify(guidance))).toEqual({ value: guidance, errors: [] });
+  expect(readGuidance(JSON.stringify({ ...guidance, steps: [] })).errors)
+    .toEqual([{ path: 'steps', message: 'should have at least 1 item' }]);
+  expect(readGuidance('{"summary": "Pl').errors).toEqual([{ path: 'response', message: 'is not a complete JSON object' }]);
+});
@@ -0,0 +1,114 @@
+/**
+ * AI Triage Utilities
+ * The AI can suggest a todo's category, priority and due date, each with a
+ * short reason. Suggestions are shown as proposals the user accepts or
+ * dismisses one field at a time, and every decision is recorded
+ * (`ai_suggestion_decisions`) so the acceptance rate shows whether triage
+ * is worth having.
+ */
+
+import { resolveCategory } from './categories';
+import { splitDueDate, buildDueFields } from './dueDates';
+
+export const TRIAGE_FIELDS = ['category', 'priority', 'dueDate'];
+
+export const TRIAGE_FIELD_LABELS = {
+  category: 'Category',
+  priority: 'Priority',
+  dueDate: 'Due date'
+};
+
+/**
+ * Get the todos "Triage my inbox" looks at: the user's own open todos
+ * without a category
+ * @param {Array} todos - All todos
+ * @param {string} userEmail - The current user
+ * @param {Array} categories - The current user's categories
+ */
+export const getUntriagedTodos = (todos, userEmail, categories = []) =>
+  todos.filter(todo => !todo.completed && !todo.isShared && todo.original_owner === userEmail &&
+    !resolveCategory(todo, categories));
+
+/**
+ * Get a todo's current triage fields, as the AI suggests them
+ * @returns {Object} { category (name), priority, dueDate ('YYYY-MM-DD') }, null when unset
+ */
+export const getTriageValues = (todo, categories = []) => ({
+  category: resolveCategory(todo, categories)?.name || null,
+  priority: todo.priority || null,
+  dueDate: splitDueDate(todo.due_date).date || null
+});
+
+/**
+ * Turn a suggestion into the proposals worth showing: fields the AI
+ * suggested a value for that isn't the current one
+ * @param {Object} suggestion - { category, priority, dueDate } as { value, reason }
+ * @param {Object} current - From getTriageValues
+ * @returns {Array<{ field, value, current, reason }>}
+ */
+export const getTriageProposals = (suggestion, current = {}) =>
+  TRIAGE_FIELDS
+    .filter(field => suggestion?.[field]?.value && suggestion[field].value !== current[field])
+    .map(field => ({
+      field,
+      value: suggestion[field].value,
+      current: current[field] ?? null,
+      reason: suggestion[field].reason
+    }));
+
+/**
+ * Get the todo columns an accepted proposal changes
+ * @param {Object} proposal - From getTriageProposals
+ * @param {Array} categories - The current user's categories
+ * @param {Object} todo - The todo it was proposed for; a new due date keeps its time and zone
+ * @returns {Object} Columns for editTodo, empty if the category no longer exists
+ */
+export const getTriageChanges = (proposal, categories = [], todo = {}) => {
+  switch (proposal.field) {
+    case 'category': {
+      const category = categories.find(c => c.name === proposal.value);
+      return category ? { category_id: category.id, category: category.name } : {};
+    }
+    case 'priority':
+      return { priority: proposal.value };
+    case 'dueDate':
+      return buildDueFields(
+        proposal.value,
+        splitDueDate(todo.due_date, todo.has_due_time).time,
+        todo.due_time_zone || undefined
+      );
+    default:
+      return {};
+  }
+};
+
+/**
+ * Build the row recording what the user did with a proposal
+ * @param {Object} proposal - From getTriageProposals
+ * @param {boolean} accepted - Accepted rather than dismissed
+ * @param {string|null} todoId - null for todos not created yet
+ */
+export const toTriageDecision = (proposal, accepted, todoId = null) => ({
+  todo_id: todoId,
+  feature: 'triage',
+  field: proposal.field,
+  suggested_value: String(proposal.value),
+  accepted
+});
+
+const countDecisions = (decisions) => {
+  const accepted = decisions.filter(decision => decision.accepted).length;
+  return { total: decisions.length, accepted, rate: decisions.length ? accepted / decisions.length : null };
+};
+
+/**
+ * Summarize recorded decisions
+ * @param {Array} decisions - { field, accepted } rows
+ * @returns {Object} { total, accepted, rate } overall and per field in
+ *   byField; rate is between 0 and 1, null without decisions
+ */
+export const summarizeDecisions = (decisions = []) => ({
+  ...countDecisions(decisions),
+  byField: Object.fromEntries(TRIAGE_FIELDS.map(field =>
+    [field, countDecisions(decisions.filter(decision => decision.field === field))]))
+});
@@ -0,0 +1,71 @@
+import {
+  getUntriagedTodos,
+  getTriageValues,
+  getTriageProposals,
+  getTriageChanges,
+  toTriageDecision,
+  summarizeDecisions
+} from './aiTriage';
+
+const categories = [{ id: 'c1', name: 'Work' }, { id: 'c2', name: 'Personal' }];
+const me = 'me@example.com';
+
+test('finds the open todos of the user that have no category', () => {
+  const todos = [
+    { id: 'inbox', original_owner: me, completed: false },
+    { id: 'done', original_owner: me, completed: true },
+    { id: 'filed', original_owner: me, completed: false, category_id: 'c1' },
+    { id: 'legacy', original_owner: me, completed: false, category: 'work' },
+    { id: 'shared', original_owner: 'them@example.com', isShared: true, completed: false }
+  ];
+
+  expect(getUntriagedTodos(todos, me, categories).map(todo => todo.id)).toEqual(['inbox']);
+});
+
+test('proposes only suggested values that differ from the current ones', () => {
+  const todo = { category_id: 'c1', priority: 'medium', due_date: '2026-10-20T00:00:00.000Z' };
+  const suggestion = {
+    id: 't1',
+    category: { value: 'Work', reason: 'It is for the office' },
+    priority: { value: 'high', reason: 'Due tomorrow' },
+    dueDate: { value: null, reason: 'No date mentioned' }
+  };
+
+  expect(getTriageValues(todo, categories)).toEqual({ category: 'Work', priority: 'medium', dueDate: '2026-10-20' });
+  expect(getTriageProposals(suggestion, getTriageValues(todo, categories))).toEqual([
+    { field: 'priority', value: 'high', current: 'medium', reason: 'Due tomorrow' }
+  ]);
+});
+
+test('turns accepted proposals into todo changes', () => {
+  expect(getTriageChanges({ field: 'category', value: 'Personal' }, categories)).toEqual({ category_id: 'c2', category: 'Personal' });
+  expect(getTriageChanges({ field: 'category', value: 'Gone' }, categories)).toEqual({});
+  expect(getTriageChanges({ field: 'priority', value: 'low' })).toEqual({ priority: 'low' });
+  expect(getTriageChanges({ field: 'dueDate', value: '2026-10-24' }, categories)).toMatchObject({
+    due_date: '2026-10-24T00:00:00.000Z',
+    has_due_time: false
+  });
+
+  // A timed todo keeps its time and zone on the new day
+  const timed = { due_date: '2026-10-20T09:30:00.000Z', has_due_time: true, due_time_zone: 'Europe/Berlin' };
+  expect(getTriageChanges({ field: 'dueDate', value: '2026-10-24' }, categories, timed)).toEqual({
+    due_date: '2026-10-24T09:30:00.000Z',
+    has_due_time: true,
+    due_time_zone: 'Europe/Berlin'
+  });
+});
+
+test('summarizes the acceptance rate overall and per field', () => {
+  const decisions = [
+    toTriageDecision({ field: 'priority', value: 'high' }, true, 't1'),
+    toTriageDecision({ field: 'priority', value: 'low' }, false, 't2'),
+    toTriageDecision({ field: 'category', value: 'Work' }, true)
+  ];
+
+  expect(decisions[2]).toEqual({ todo_id: null, feature: 'triage', field: 'category', suggested_value: 'Work', accepted: true });
+  const summary = summarizeDecisions(decisions);
+  expect(summary).toMatchObject({ total: 3, accepted: 2 });
+  expect(summary.rate).toBeCloseTo(2 / 3);
+  expect(summary.byField.priority).toEqual({ total: 2, accepted: 1, rate: 0.5 });
+  expect(summary.byField.dueDate).toEqual({ total: 0, accepted: 0, rate: null });
+});
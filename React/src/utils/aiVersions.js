@@ -0,0 +1,116 @@
+/**
+ * AI Version Utilities
+ * A todo's AI guidance can be regenerated, made more detailed, simplified or
+ * refined with feedback. The guidance it replaces is kept in
+ * `todos.ai_history` (oldest first), so earlier versions can be compared
+ * with the current one and brought back.
+ */
+
+export const AI_ACTIONS = {
+  REGENERATE: 'regenerate',
+  DETAILED: 'detailed',
+  SIMPLIFY: 'simplify',
+  REFINE: 'refine',
+  RESTORE: 'restore'
+};
+
+export const AI_ACTION_LABELS = {
+  [AI_ACTIONS.REGENERATE]: 'Regenerate',
+  [AI_ACTIONS.DETAILED]: 'More detailed',
+  [AI_ACTIONS.SIMPLIFY]: 'Simplify',
+  [AI_ACTIONS.REFINE]: 'Refine',
+  [AI_ACTIONS.RESTORE]: 'Restore'
+};
+
+// Older versions are dropped past this many
+export const AI_HISTORY_LIMIT = 10;
+
+/**
+ * Keep the current guidance as a version before it's replaced
+ * @param {Array} history - The todo's ai_history
+ * @param {Object|null} content - The guidance being replaced; nothing is kept without it
+ * @param {Object} change - { action, feedback, by, at }: what replaced it, who did it and when
+ * @returns {Array} The new history, at most AI_HISTORY_LIMIT versions
+ */
+export const addAIVersion = (history = [], content, { action, feedback, by, at = new Date().toISOString() }) => {
+  if (!content) return history;
+
+  const version = { content, action, replaced_at: at, replaced_by: by || null };
+  if (feedback) version.feedback = feedback;
+  return [...history, version].slice(-AI_HISTORY_LIMIT);
+};
+
+/**
+ * Bring back an earlier version. It leaves the history and the current
+ * guidance takes its place there, so a restore can itself be undone.
+ * @param {Array} history - The todo's ai_history
+ * @param {number} index - Version to restore
+ * @param {Object|null} current - The todo's current guidance
+ * @param {Object} change - { by, at }
+ * @returns {Object|null} { content, history }, null for an unknown version
+ */
+export const restoreAIVersion = (history = [], index, current, { by, at } = {}) => {
+  const version = history[index];
+  if (!version) return null;
+
+  const rest = history.filter((_, i) => i !== index);
+  return {
+    content: version.content,
+    history: addAIVersion(rest, current, { action: AI_ACTIONS.RESTORE, by, at })
+  };
+};
+
+const stepTitles = (guidance) =>
+  (Array.isArray(guidance?.steps) ? guidance.steps : []).map(step => step?.step || '');
+
+// Lines of `before` and `after` marked 'same', 'removed' or 'added', by their
+// longest common subsequence
+const diffLines = (before, after) => {
+  const common = before.map(() => new Array(after.length + 1).fill(0));
+  common.push(new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      common[i][j] = before[i] === after[j]
+        ? common[i + 1][j + 1] + 1
+        : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      lines.push({ text: before[i], change: 'same' });
+      i += 1;
+      j += 1;
+    } else if (j >= after.length || (i < before.length && common[i + 1][j] >= common[i][j + 1])) {
+      lines.push({ text: before[i], change: 'removed' });
+      i += 1;
+    } else {
+      lines.push({ text: after[j], change: 'added' });
+      j += 1;
+    }
+  }
+  return lines;
+};
+
+const compareField = (before, after, field) => {
+  const from = before?.[field] || '';
+  const to = after?.[field] || '';
+  return { before: from, after: to, changed: from !== to };
+};
+
+/**
+ * Compare two versions of a todo's guidance
+ * @param {Object|null} before - E.g. an earlier version's content
+ * @param {Object|null} after - E.g. the current guidance
+ * @returns {Object} { summary, estimatedTime, difficulty } as { before, after, changed },
+ *   and steps as [{ text, change }] where change is 'same', 'removed' or 'added'
+ */
+export const compareGuidance = (before, after) => ({
+  summary: compareField(before, after, 'summary'),
+  estimatedTime: compareField(before, after, 'estimatedTime'),
+  difficulty: compareField(before, after, 'difficulty'),
+  steps: diffLines(stepTitles(before), stepTitles(after))
+});
@@ -0,0 +1,55 @@
+import { AI_ACTIONS, AI_HISTORY_LIMIT, addAIVersion, restoreAIVersion, compareGuidance } from './aiVersions';
+
+const guidance = (summary, steps) => ({ summary, steps: steps.map(step => ({ step, details: '', resources: [] })), estimatedTime: '1 hour', difficulty: 'easy' });
+const at = '2026-10-19T09:00:00.000Z';
+
+test('keeps the replaced guidance with what replaced it', () => {
+  const first = guidance('Plan it', ['Book']);
+
+  expect(addAIVersion([], first, { action: AI_ACTIONS.REFINE, feedback: 'Shorter', by: 'me@example.com', at })).toEqual([
+    { content: first, action: 'refine', feedback: 'Shorter', replaced_at: at, replaced_by: 'me@example.com' }
+  ]);
+  expect(addAIVersion([], first, { action: AI_ACTIONS.SIMPLIFY, at })[0]).not.toHaveProperty('feedback');
+  expect(addAIVersion(undefined, null, { action: AI_ACTIONS.REGENERATE })).toEqual([]);
+});
+
+test('drops the oldest versions past the limit', () => {
+  let history = [];
+  for (let i = 0; i < AI_HISTORY_LIMIT + 2; i++) {
+    history = addAIVersion(history, guidance(`Version ${i}`, []), { action: AI_ACTIONS.REGENERATE, at });
+  }
+
+  expect(history).toHaveLength(AI_HISTORY_LIMIT);
+  expect(history[0].content.summary).toBe('Version 2');
+});
+
+test('restores a version and keeps the current guidance in its place', () => {
+  const history = [
+    { content: guidance('One', []), action: 'detailed', replaced_at: at, replaced_by: null },
+    { content: guidance('Two', []), action: 'simplify', replaced_at: at, replaced_by: null }
+  ];
+
+  const restored = restoreAIVersion(history, 0, guidance('Three', []), { by: 'me@example.com', at });
+
+  expect(restored.content.summary).toBe('One');
+  expect(restored.history.map(version => [version.content.summary, version.action])).toEqual([['Two', 'simplify'], ['Three', 'restore']]);
+  expect(restoreAIVersion(history, 5, guidance('Three', []))).toBeNull();
+});
+
+test('compares the summary, time, difficulty and steps of two versions', () => {
+  const before = guidance('Plan it', ['Pick dates', 'Book flights', 'Pack']);
+  const after = { ...guidance('Plan the trip', ['Pick dates', 'Compare flights', 'Book flights']), difficulty: 'medium' };
+
+  const comparison = compareGuidance(before, after);
+
+  expect(comparison.summary).toEqual({ before: 'Plan it', after: 'Plan the trip', changed: true });
+  expect(comparison.estimatedTime.changed).toBe(false);
+  expect(comparison.difficulty).toEqual({ before: 'easy', after: 'medium', changed: true });
+  expect(comparison.steps).toEqual([
+    { text: 'Pick dates', change: 'same' },
+    { text: 'Compare flights', change: 'added' },
+    { text: 'Book flights', change: 'same' },
+    { text: 'Pack', change: 'removed' }
+  ]);
+  expect(compareGuidance(null, before).steps.every(line => line.change === 'added')).toBe(true);
+});
@@ -0,0 +1,111 @@
+/**
+ * Board Utilities
+ * Columns for the kanban board view and the changes that moving a card
+ * between them makes.
+ *
+ * Every column has the field value it stands for, so dropping a card on a
+ * column is just an edit of that field. Columns that can't be set by a drop
+ * (other people's categories, owners) have `droppable: false`.
+ */
+
+import { resolveCategory } from './categories';
+import { resolveStatus } from './statuses';
+
+export const BOARD_GROUPINGS = [
+  { id: 'status', label: 'Status' },
+  { id: 'priority', label: 'Priority' },
+  { id: 'category', label: 'Category' },
+  { id: 'owner', label: 'Owner' }
+];
+
+const PRIORITY_COLUMNS = [
+  { id: 'high', title: 'High', color: '#DC2626' },
+  { id: 'medium', title: 'Medium', color: '#F59E0B' },
+  { id: 'low', title: 'Low', color: '#10B981' }
+];
+
+const FALLBACK_COLOR = '#6B7280';
+
+/**
+ * Check whether a card can be moved while grouping by a field
+ *
+ * View-only shared todos can't be moved at all. Categories belong to the
+ * owner, so only owned todos can change category, and nobody can hand a
+ * todo to another owner from the board.
+ *
+ * @param {Object} todo - The todo
+ * @param {string} groupBy - A BOARD_GROUPINGS id
+ */
+export const canMoveCard = (todo, groupBy) => {
+  if (todo.isShared && todo.permission === 'view') return false;
+  if (groupBy === 'category') return !todo.isShared;
+  return groupBy !== 'owner';
+};
+
+const categoryColumn = (todo, categories) => {
+  const category = resolveCategory(todo, categories);
+  if (!category) return { id: 'none', title: 'No category', color: FALLBACK_COLOR, droppable: true, changes: { category_id: null, category: null } };
+
+  const own = categories.find(c => c.id === category.id);
+  return own
+    ? { id: own.id, title: own.name, color: own.color, icon: own.icon, droppable: true, changes: { category_id: own.id, category: own.name } }
+    : { id: `other:${category.name}`, title: category.name, color: category.color, icon: category.icon, droppable: false };
+};
+
+/**
+ * Build the board's columns and the cards in each
+ * @param {Array} todos - Todos to show, already filtered and sorted
+ * @param {string} groupBy - A BOARD_GROUPINGS id
+ * @param {Object} options - { categories, statuses, currentUserEmail }
+ * @returns {Array<Object>} Columns { id, title, color, icon, droppable, changes, todos }
+ */
+export const getBoardColumns = (todos, groupBy, { categories = [], statuses = [], currentUserEmail } = {}) => {
+  let columns;
+  let columnFor;
+
+  if (groupBy === 'status') {
+    // One column per workflow status, in workflow order; others' statuses appear when used
+    columns = statuses.map(status => ({ id: status.key, title: status.name, color: status.color, droppable: true, changes: { status: status.key } }));
+    columnFor = (todo) => {
+      const status = resolveStatus(todo, statuses);
+      if (!columns.some(c => c.id === status.key)) {
+        columns.push({ id: status.key, title: status.name, color: status.color, droppable: false });
+      }
+      return status.key;
+    };
+  } else if (groupBy === 'priority') {
+    columns = PRIORITY_COLUMNS.map(column => ({ ...column, droppable: true, changes: { priority: column.id } }));
+    columnFor = (todo) => todo.priority || 'medium';
+  } else if (groupBy === 'category') {
+    // The user's own categories are always there to drop on; others appear when used
+    columns = [
+      ...categories.map(category => categoryColumn({ category_id: category.id }, categories)),
+      categoryColumn({}, categories)
+    ];
+    columnFor = (todo) => {
+      const column = categoryColumn(todo, categories);
+      if (!columns.some(c => c.id === column.id)) columns.push(column);
+      return column.id;
+    };
+  } else {
+    columns = [];
+    columnFor = (todo) => {
+      const owner = todo.ownerEmail || todo.original_owner || todo.owner || 'Unknown';
+      if (!columns.some(c => c.id === owner)) {
+        columns.push({ id: owner, title: owner === currentUserEmail ? 'Me' : owner, color: FALLBACK_COLOR, droppable: false });
+      }
+      return owner;
+    };
+  }
+
+  const cards = {};
+  todos.forEach(todo => {
+    const id = columnFor(todo);
+    cards[id] = [...(cards[id] || []), todo];
+  });
+
+  // The user's own todos come first
+  if (groupBy === 'owner') columns.sort((a, b) => (b.id === currentUserEmail) - (a.id === currentUserEmail));
+
+  return columns.map(column => ({ ...column, todos: cards[column.id] || [] }));
+};
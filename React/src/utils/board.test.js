@@ -0,0 +1,52 @@
+import { getBoardColumns, canMoveCard } from './board';
+import { DEFAULT_STATUSES } from './statuses';
+
+const categories = [
+  { id: 'c1', name: 'Work', color: '#8B5CF6', icon: '💼' },
+  { id: 'c2', name: 'Personal', color: '#3B82F6', icon: '🏠' }
+];
+
+const todos = [
+  { id: 't1', completed: false, priority: 'high', category_id: 'c1', original_owner: 'me@example.com' },
+  { id: 't2', completed: true, priority: 'low', category_id: null, original_owner: 'me@example.com' },
+  {
+    id: 't3', completed: false, priority: 'high', category_id: 'x1', categoryDetails: { id: 'x1', name: 'Errands', color: '#F59E0B' },
+    isShared: true, permission: 'edit', ownerEmail: 'friend@example.com', original_owner: 'friend@example.com'
+  }
+];
+
+const summary = (columns) => columns.map(column => [column.id, column.todos.map(todo => todo.id)]);
+
+test('groups cards by workflow status and priority with the changes a drop makes', () => {
+  const byStatus = getBoardColumns([...todos, { id: 't4', status: 'in_review', completed: false }], 'status', { statuses: DEFAULT_STATUSES });
+  expect(summary(byStatus)).toEqual([
+    ['todo', ['t1', 't3']], ['in_progress', []], ['blocked', []], ['in_review', ['t4']], ['done', ['t2']]
+  ]);
+  expect(byStatus[3].changes).toEqual({ status: 'in_review' });
+
+  const byPriority = getBoardColumns(todos, 'priority');
+  expect(summary(byPriority)).toEqual([['high', ['t1', 't3']], ['medium', []], ['low', ['t2']]]);
+  expect(byPriority[1].changes).toEqual({ priority: 'medium' });
+});
+
+test('groups by category with a column for each own category', () => {
+  const columns = getBoardColumns(todos, 'category', { categories });
+  expect(summary(columns)).toEqual([['c1', ['t1']], ['c2', []], ['none', ['t2']], ['other:Errands', ['t3']]]);
+  expect(columns[1]).toMatchObject({ droppable: true, changes: { category_id: 'c2', category: 'Personal' } });
+  expect(columns[2].changes).toEqual({ category_id: null, category: null });
+  expect(columns[3].droppable).toBe(false);
+});
+
+test('groups by owner with the current user first', () => {
+  const columns = getBoardColumns([todos[2], todos[0]], 'owner', { currentUserEmail: 'me@example.com' });
+  expect(columns.map(column => [column.title, column.droppable])).toEqual([['Me', false], ['friend@example.com', false]]);
+});
+
+test('only lets cards move when the user may change the field', () => {
+  const viewOnly = { ...todos[2], permission: 'view' };
+  expect(canMoveCard(todos[0], 'priority')).toBe(true);
+  expect(canMoveCard(viewOnly, 'status')).toBe(false);
+  expect(canMoveCard(todos[2], 'status')).toBe(true);
+  expect(canMoveCard(todos[2], 'category')).toBe(false);
+  expect(canMoveCard(todos[0], 'owner')).toBe(false);
+});
@@ -0,0 +1,148 @@
+/**
+ * Calendar Utilities
+ * Month/week/day grids for the calendar view and placing todos on them.
+ *
+ * Days are identified by 'YYYY-MM-DD' keys. Due dates are stored as UTC
+ * timestamps (see recurrence.js), so a todo's day is the UTC date of its
+ * `due_date` and all arithmetic here uses UTC to stay clear of DST shifts.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const CALENDAR_VIEWS = ['month', 'week', 'day'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const parseKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const toKey = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (key, days) => toKey(new Date(parseKey(key).getTime() + days * DAY_MS));
+
+/**
+ * Get the key of the day a todo is due on
+ * @param {string|null} dueDate - A stored `due_date` timestamp
+ * @returns {string|null} 'YYYY-MM-DD', or null for undated todos
+ */
+export const getDateKey = (dueDate) => {
+  if (!dueDate) return null;
+  const date = new Date(dueDate);
+  return isNaN(date) ? null : toKey(date);
+};
+
+/**
+ * Get the key of the user's current day
+ * @param {Date} now - Current time
+ */
+export const getTodayKey = (now = new Date()) =>
+  `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+
+/**
+ * Get the seven days of the week containing a day, starting on Sunday
+ * @param {string} anchorKey - Any day in the week
+ * @returns {Array<string>} Day keys
+ */
+export const getWeekDays = (anchorKey) => {
+  const start = addDays(anchorKey, -parseKey(anchorKey).getUTCDay());
+  return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+};
+
+/**
+ * Get the weeks shown for a month, padded with days of the months around it
+ * @param {string} anchorKey - Any day in the month
+ * @returns {Array<Array<string>>} Weeks of day keys, Sunday first
+ */
+export const getMonthGrid = (anchorKey) => {
+  const anchor = parseKey(anchorKey);
+  const first = toKey(new Date(Date.UTC(anchor.getUTCFullYear(), anchor.getUTCMonth(), 1)));
+  const last = toKey(new Date(Date.UTC(anchor.getUTCFullYear(), anchor.getUTCMonth() + 1, 0)));
+
+  const weeks = [];
+  let week = getWeekDays(first);
+  while (week[0] <= last) {
+    weeks.push(week);
+    week = getWeekDays(addDays(week[6], 1));
+  }
+  return weeks;
+};
+
+/**
+ * Get the days a view shows
+ * @param {string} view - 'month', 'week' or 'day'
+ * @param {string} anchorKey - The day the view is centred on
+ * @returns {Array<string>} Day keys
+ */
+export const getVisibleDays = (view, anchorKey) => {
+  if (view === 'month') return getMonthGrid(anchorKey).flat();
+  if (view === 'week') return getWeekDays(anchorKey);
+  return [anchorKey];
+};
+
+/**
+ * Move the anchor day a whole view forwards or backwards
+ * @param {string} view - 'month', 'week' or 'day'
+ * @param {string} anchorKey - The current anchor day
+ * @param {number} amount - Views to move, negative for backwards
+ * @returns {string} The new anchor day
+ */
+export const shiftAnchor = (view, anchorKey, amount) => {
+  if (view === 'week') return addDays(anchorKey, amount * 7);
+  if (view === 'day') return addDays(anchorKey, amount);
+
+  // Land on the 1st so moving from the 31st never skips a month
+  const anchor = parseKey(anchorKey);
+  return toKey(new Date(Date.UTC(anchor.getUTCFullYear(), anchor.getUTCMonth() + amount, 1)));
+};
+
+/**
+ * Check whether a day falls in the same month as the anchor
+ */
+export const isSameMonth = (key, anchorKey) => key.slice(0, 7) === anchorKey.slice(0, 7);
+
+/**
+ * Split todos into the days they're due on and the unscheduled ones
+ * @param {Array} todos - Todos to place
+ * @returns {Object} { byDay: { [dayKey]: todos }, unscheduled: todos }
+ */
+export const groupTodosByDay = (todos) => todos.reduce((groups, todo) => {
+  const key = getDateKey(todo.due_date);
+  if (!key) {
+    groups.unscheduled.push(todo);
+  } else {
+    groups.byDay[key] = [...(groups.byDay[key] || []), todo];
+  }
+  return groups;
+}, { byDay: {}, unscheduled: [] });
+
+/**
+ * Move a due date to another day, keeping its time of day
+ * @param {string|null} dueDate - The current `due_date`, null if undated
+ * @param {string} dayKey - The day to move it to
+ * @returns {string} The new `due_date` timestamp
+ */
+export const rescheduleDueDate = (dueDate, dayKey) => {
+  const time = getDateKey(dueDate) ? new Date(dueDate).toISOString().slice(10) : 'T00:00:00.000Z';
+  return `${dayKey}${time}`;
+};
+
+/**
+ * Format the heading for a view, e.g. "October 2026" or "Oct 18 – 24, 2026"
+ * @param {string} view - 'month', 'week' or 'day'
+ * @param {string} anchorKey - The day the view is centred on
+ */
+export const formatViewTitle = (view, anchorKey) => {
+  const format = (key, options) => parseKey(key).toLocaleDateString('en-US', { timeZone: 'UTC', ...options });
+
+  if (view === 'month') return format(anchorKey, { month: 'long', year: 'numeric' });
+  if (view === 'day') return format(anchorKey, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+
+  const days = getWeekDays(anchorKey);
+  const start = format(days[0], { month: 'short', day: 'numeric' });
+  const end = isSameMonth(days[6], days[0])
+    ? format(days[6], { day: 'numeric' })
+    : format(days[6], { month: 'short', day: 'numeric' });
+  return `${start} – ${end}, ${days[6].slice(0, 4)}`;
+};
@@ -0,0 +1,61 @@
+import {
+  getDateKey,
+  getTodayKey,
+  getWeekDays,
+  getMonthGrid,
+  shiftAnchor,
+  groupTodosByDay,
+  rescheduleDueDate,
+  formatViewTitle
+} from './calendar';
+
+test('places due dates on their UTC day', () => {
+  expect(getDateKey('2026-10-20T00:00:00.000Z')).toBe('2026-10-20');
+  expect(getDateKey('2026-10-20T23:30:00.000Z')).toBe('2026-10-20');
+  expect(getDateKey(null)).toBeNull();
+  expect(getTodayKey(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+});
+
+test('builds weeks starting on Sunday', () => {
+  expect(getWeekDays('2026-10-21')).toEqual([
+    '2026-10-18', '2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22', '2026-10-23', '2026-10-24'
+  ]);
+
+  const weeks = getMonthGrid('2026-10-15');
+  expect(weeks).toHaveLength(5);
+  expect(weeks[0][0]).toBe('2026-09-27');
+  expect(weeks[4][6]).toBe('2026-10-31');
+  // Crosses the March DST change without losing or repeating a day
+  expect(getMonthGrid('2026-03-01').flat()).toContain('2026-03-08');
+  expect(new Set(getMonthGrid('2026-03-01').flat()).size).toBe(35);
+});
+
+test('moves the anchor by a whole view', () => {
+  expect(shiftAnchor('month', '2026-01-31', 1)).toBe('2026-02-01');
+  expect(shiftAnchor('month', '2026-01-15', -1)).toBe('2025-12-01');
+  expect(shiftAnchor('week', '2026-10-21', 1)).toBe('2026-10-28');
+  expect(shiftAnchor('day', '2026-12-31', 1)).toBe('2027-01-01');
+});
+
+test('groups todos by due day and collects unscheduled ones', () => {
+  const todos = [
+    { id: 't1', due_date: '2026-10-20T00:00:00.000Z' },
+    { id: 't2', due_date: null },
+    { id: 't3', due_date: '2026-10-20T15:00:00.000Z' }
+  ];
+  const { byDay, unscheduled } = groupTodosByDay(todos);
+  expect(byDay['2026-10-20'].map(todo => todo.id)).toEqual(['t1', 't3']);
+  expect(unscheduled.map(todo => todo.id)).toEqual(['t2']);
+});
+
+test('reschedules to another day keeping the time of day', () => {
+  expect(rescheduleDueDate('2026-10-20T15:30:00.000Z', '2026-10-23')).toBe('2026-10-23T15:30:00.000Z');
+  expect(rescheduleDueDate(null, '2026-10-23')).toBe('2026-10-23T00:00:00.000Z');
+});
+
+test('formats view titles', () => {
+  expect(formatViewTitle('month', '2026-10-20')).toBe('October 2026');
+  expect(formatViewTitle('week', '2026-10-20')).toBe('Oct 18 – 24, 2026');
+  expect(formatViewTitle('week', '2026-09-30')).toBe('Sep 27 – Oct 3, 2026');
+  expect(formatViewTitle('day', '2026-10-20')).toBe('Tuesday, October 20, 2026');
+});
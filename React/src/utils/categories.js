@@ -0,0 +1,95 @@
+/**
+ * Category and Tag Utilities
+ * Helpers for user-defined categories and free-form todo tags.
+ */
+
+// Seeded for every user that has no categories yet
+export const DEFAULT_CATEGORIES = [
+  { name: 'Personal', color: '#3B82F6', icon: '🏠' },
+  { name: 'Work', color: '#8B5CF6', icon: '💼' },
+  { name: 'Shopping', color: '#10B981', icon: '🛒' },
+  { name: 'Other', color: '#6B7280', icon: '📌' }
+];
+
+export const CATEGORY_ICONS = ['🏠', '💼', '🛒', '📌', '📚', '💪', '💰', '✈️', '🎉', '🩺', '🧹', '💡'];
+
+const FALLBACK_COLOR = '#6B7280';
+
+/**
+ * Resolve the category to display for a todo
+ *
+ * Looks up the todo's category_id in the user's own categories first, then
+ * falls back to the owner's category embedded on shared todos, and finally
+ * to the legacy free-text `category` column.
+ *
+ * @param {Object} todo - The todo
+ * @param {Array} categories - The current user's categories
+ * @returns {{ id: string|null, name: string, color: string, icon: string|null }|null}
+ */
+export const resolveCategory = (todo, categories = []) => {
+  const byId = todo.category_id && categories.find(category => category.id === todo.category_id);
+  const match = byId || todo.categoryDetails ||
+    (todo.category && categories.find(category => category.name.toLowerCase() === todo.category.toLowerCase()));
+
+  if (match) {
+    return {
+      id: match.id || null,
+      name: match.name,
+      color: match.color || FALLBACK_COLOR,
+      icon: match.icon || null
+    };
+  }
+
+  return todo.category
+    ? { id: null, name: todo.category, color: FALLBACK_COLOR, icon: null }
+    : null;
+};
+
+/**
+ * Check whether a todo belongs to the selected category filter
+ * @param {Object} todo - The todo
+ * @param {string} categoryId - Selected category ID or 'all'
+ * @param {Array} categories - The current user's categories
+ */
+export const matchesCategory = (todo, categoryId, categories = []) => {
+  if (categoryId === 'all') return true;
+  if (todo.category_id === categoryId) return true;
+
+  // Legacy todos only carry a category name
+  const selected = categories.find(category => category.id === categoryId);
+  return !todo.category_id && !!selected && todo.category?.toLowerCase() === selected.name.toLowerCase();
+};
+
+/**
+ * Normalize a free-form tag: lowercase, no leading '#', dashes for spaces
+ * @param {string} tag - Raw tag text
+ * @returns {string} The normalized tag, '' when nothing is left
+ */
+export const normalizeTag = (tag) =>
+  (tag || '')
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-');
+
+/**
+ * Collect every distinct tag used by a list of todos, sorted alphabetically
+ * @param {Array} todos - Todos with optional `tags` arrays
+ * @returns {Array<string>}
+ */
+export const collectTags = (todos = []) =>
+  [...new Set(todos.flatMap(todo => todo.tags || []))].sort();
+
+/**
+ * Check whether a todo matches a combination of tags
+ * @param {Object} todo - The todo
+ * @param {Array<string>} tags - Selected tags, empty matches everything
+ * @param {string} mode - 'all' to require every tag, 'any' for at least one
+ */
+export const matchesTags = (todo, tags = [], mode = 'all') => {
+  if (tags.length === 0) return true;
+  const todoTags = todo.tags || [];
+  return mode === 'any'
+    ? tags.some(tag => todoTags.includes(tag))
+    : tags.every(tag => todoTags.includes(tag));
+};
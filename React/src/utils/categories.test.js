@@ -0,0 +1,36 @@
+import { resolveCategory, matchesCategory, normalizeTag, collectTags, matchesTags } from './categories';
+
+const categories = [
+  { id: 'c1', name: 'Work', color: '#8B5CF6', icon: '💼' },
+  { id: 'c2', name: 'Bills', color: '#EF4444', icon: '💰' }
+];
+
+test('resolves categories by id, shared owner category and legacy name', () => {
+  expect(resolveCategory({ category_id: 'c2' }, categories).name).toBe('Bills');
+  expect(resolveCategory({ category_id: 'x', categoryDetails: { id: 'x', name: 'Garden', color: '#00FF00' } }, categories))
+    .toEqual({ id: 'x', name: 'Garden', color: '#00FF00', icon: null });
+  expect(resolveCategory({ category: 'work' }, categories).id).toBe('c1');
+  expect(resolveCategory({ category: 'shopping' }, categories)).toEqual({ id: null, name: 'shopping', color: '#6B7280', icon: null });
+  expect(resolveCategory({}, categories)).toBeNull();
+});
+
+test('matches category filters, including legacy todos', () => {
+  expect(matchesCategory({ category_id: 'c1' }, 'all', categories)).toBe(true);
+  expect(matchesCategory({ category_id: 'c1' }, 'c1', categories)).toBe(true);
+  expect(matchesCategory({ category: 'Work' }, 'c1', categories)).toBe(true);
+  expect(matchesCategory({ category_id: 'c2', category: 'Work' }, 'c1', categories)).toBe(false);
+});
+
+test('normalizes and collects tags', () => {
+  expect(normalizeTag('  #Quick Win ')).toBe('quick-win');
+  expect(normalizeTag('#')).toBe('');
+  expect(collectTags([{ tags: ['b', 'a'] }, { tags: ['a', 'c'] }, {}])).toEqual(['a', 'b', 'c']);
+});
+
+test('matches any or all selected tags', () => {
+  const todo = { tags: ['home', 'urgent'] };
+  expect(matchesTags(todo, [])).toBe(true);
+  expect(matchesTags(todo, ['home', 'urgent'], 'all')).toBe(true);
+  expect(matchesTags(todo, ['home', 'garden'], 'all')).toBe(false);
+  expect(matchesTags(todo, ['home', 'garden'], 'any')).toBe(true);
+});
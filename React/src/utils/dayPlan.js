@@ -0,0 +1,120 @@
+/**
+ * Day Plan Utilities
+ * "Plan my day" asks the AI to pick and order the user's open todos for an
+ * hours budget. The AI only chooses the order and how long each todo gets;
+ * the time boxes are laid out here from the start time, and anything past
+ * the budget (or midnight) is left out. An accepted plan is saved per day
+ * (`day_plans`) and its todos are pinned to the Today view.
+ *
+ * Times are 'HH:MM' on the user's clock and days are 'YYYY-MM-DD' keys
+ * (see utils/calendar).
+ */
+
+import { compareByDue } from './dueDates';
+
+export const DEFAULT_DAY_HOURS = 6;
+
+// Open todos sent to the AI at most, the most urgent first
+export const MAX_PLANNED_TODOS = 30;
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+const DAY_MINUTES = 24 * 60;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Get the open todos, owned and shared, worth planning: due soonest first,
+ * then by priority
+ * @param {Array} todos - All todos
+ * @returns {Array} At most MAX_PLANNED_TODOS todos
+ */
+export const getPlannableTodos = (todos) =>
+  todos
+    .filter(todo => !todo.completed)
+    .sort((a, b) => compareByDue(a, b) || (PRIORITY_ORDER[a.priority] ?? 1) - (PRIORITY_ORDER[b.priority] ?? 1))
+    .slice(0, MAX_PLANNED_TODOS);
+
+/**
+ * Get the default start of the plan: now, rounded up to the next quarter hour
+ * @param {Date} now - Current time
+ * @returns {string} 'HH:MM'
+ */
+export const getPlanStartTime = (now = new Date()) => {
+  const minutes = Math.ceil((now.getHours() * 60 + now.getMinutes()) / 15) * 15;
+  return toTime(Math.min(minutes, DAY_MINUTES - 15));
+};
+
+/**
+ * Lay out the AI's ordered todos as time boxes within the budget
+ * @param {Object} suggestion - { items: [{ id, minutes, reason }], summary } from the AI
+ * @param {Object} options
+ * @param {Array} options.todos - The todos the AI was given; other IDs are ignored
+ * @param {string} options.date - Day of the plan, 'YYYY-MM-DD'
+ * @param {string} options.startTime - 'HH:MM'
+ * @param {number} options.hours - Hours available
+ * @returns {Object} { plan_date, hours, start_time, summary, items: [{ todo_id,
+ *   start, end, minutes, reason }], left_out: [todo_id] } where left_out are
+ *   the todos the AI chose that didn't fit
+ */
+export const buildDayPlan = (suggestion, { todos, date, startTime, hours }) => {
+  const known = new Set(todos.map(todo => todo.id));
+  const budgetEnd = Math.min(toMinutes(startTime) + Math.round(hours * 60), DAY_MINUTES);
+  const seen = new Set();
+  const items = [];
+  const leftOut = [];
+  let clock = toMinutes(startTime);
+
+  (suggestion?.items || []).forEach(item => {
+    if (!known.has(item.id) || seen.has(item.id)) return;
+    seen.add(item.id);
+
+    if (clock + item.minutes > budgetEnd) {
+      leftOut.push(item.id);
+      return;
+    }
+    items.push({
+      todo_id: item.id,
+      start: toTime(clock),
+      end: toTime(clock + item.minutes),
+      minutes: item.minutes,
+      reason: item.reason || ''
+    });
+    clock += item.minutes;
+  });
+
+  return {
+    plan_date: date,
+    hours,
+    start_time: startTime,
+    summary: suggestion?.summary || '',
+    items,
+    left_out: leftOut
+  };
+};
+
+/**
+ * Pair a plan's time boxes with their todos, skipping todos that are gone
+ * @param {Object|null} plan - A saved plan
+ * @param {Array} todos - All todos
+ * @returns {Array} [{ ...item, todo }]
+ */
+export const getPlannedTodos = (plan, todos) =>
+  (plan?.items || [])
+    .map(item => ({ ...item, todo: todos.find(todo => todo.id === item.todo_id) }))
+    .filter(entry => entry.todo);
+
+/**
+ * Describe a number of minutes, e.g. "1 h 30 min"
+ */
+export const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return `${rest} min`;
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+};
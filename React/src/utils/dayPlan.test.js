@@ -0,0 +1,67 @@
+import { getPlannableTodos, getPlanStartTime, buildDayPlan, getPlannedTodos, formatMinutes, MAX_PLANNED_TODOS } from './dayPlan';
+
+const todos = [
+  { id: 'later', title: 'Later', priority: 'high', completed: false },
+  { id: 'done', title: 'Done', priority: 'high', completed: true, due_date: '2026-10-18T00:00:00.000Z' },
+  { id: 'due', title: 'Due', priority: 'low', completed: false, due_date: '2026-10-19T00:00:00.000Z' },
+  { id: 'shared', title: 'Shared', priority: 'medium', completed: false, isShared: true }
+];
+
+test('plans open todos, owned and shared, due soonest and most important first', () => {
+  expect(getPlannableTodos(todos).map(todo => todo.id)).toEqual(['due', 'later', 'shared']);
+
+  const many = Array.from({ length: MAX_PLANNED_TODOS + 5 }, (_, i) => ({ id: `t${i}`, completed: false }));
+  expect(getPlannableTodos(many)).toHaveLength(MAX_PLANNED_TODOS);
+});
+
+test('starts the plan at the next quarter hour', () => {
+  expect(getPlanStartTime(new Date(2026, 9, 19, 9, 0))).toBe('09:00');
+  expect(getPlanStartTime(new Date(2026, 9, 19, 9, 1))).toBe('09:15');
+  expect(getPlanStartTime(new Date(2026, 9, 19, 23, 55))).toBe('23:45');
+});
+
+test('lays out time boxes in order and leaves out what exceeds the budget', () => {
+  const suggestion = {
+    summary: 'Deadline first',
+    items: [
+      { id: 'due', minutes: 90, reason: 'Due today' },
+      { id: 'unknown', minutes: 30 },
+      { id: 'later', minutes: 60 },
+      { id: 'due', minutes: 30 },
+      { id: 'shared', minutes: 45 }
+    ]
+  };
+
+  expect(buildDayPlan(suggestion, { todos, date: '2026-10-19', startTime: '09:00', hours: 2.5 })).toEqual({
+    plan_date: '2026-10-19',
+    hours: 2.5,
+    start_time: '09:00',
+    summary: 'Deadline first',
+    items: [
+      { todo_id: 'due', start: '09:00', end: '10:30', minutes: 90, reason: 'Due today' },
+      { todo_id: 'later', start: '10:30', end: '11:30', minutes: 60, reason: '' }
+    ],
+    left_out: ['shared']
+  });
+});
+
+test('never plans past midnight', () => {
+  const plan = buildDayPlan({ items: [{ id: 'due', minutes: 60 }, { id: 'later', minutes: 60 }] },
+    { todos, date: '2026-10-19', startTime: '22:30', hours: 4 });
+
+  expect(plan.items.map(item => item.end)).toEqual(['23:30']);
+  expect(plan.left_out).toEqual(['later']);
+});
+
+test('pairs time boxes with todos that still exist', () => {
+  const plan = { items: [{ todo_id: 'due', start: '09:00' }, { todo_id: 'deleted', start: '10:00' }] };
+
+  expect(getPlannedTodos(plan, todos)).toEqual([{ todo_id: 'due', start: '09:00', todo: todos[2] }]);
+  expect(getPlannedTodos(null, todos)).toEqual([]);
+});
+
+test('describes durations', () => {
+  expect(formatMinutes(45)).toBe('45 min');
+  expect(formatMinutes(60)).toBe('1 h');
+  expect(formatMinutes(150)).toBe('2 h 30 min');
+});
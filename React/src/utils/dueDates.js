@@ -0,0 +1,213 @@
+/**
+ * Due Date Utilities
+ * Due times, the time zone they're in, overdue checks and reminders.
+ *
+ * `due_date` keeps the wall-clock date and time the user picked stored as a
+ * UTC timestamp (see calendar.js), so days and times read the same on every
+ * device. Alongside it:
+ * - `has_due_time` says whether a time was picked; without one the todo is
+ *   due by the end of its day
+ * - `due_time_zone` is the IANA zone the user was in, e.g. 'Europe/London',
+ *   which turns the wall-clock time into the actual moment it's due
+ * - `reminders` is a list of { minutes_before } offsets from that moment.
+ *   Date-only todos are reminded from REMINDER_BASE_TIME on their day.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+export const REMINDER_BASE_TIME = '09:00';
+
+// Reminders missed by more than this (e.g. the app was closed) are dropped
+export const REMINDER_GRACE_MS = 12 * 60 * MINUTE_MS;
+
+export const REMINDER_OPTIONS = [
+  { minutes: 0, label: 'At time due' },
+  { minutes: 5, label: '5 minutes before' },
+  { minutes: 15, label: '15 minutes before' },
+  { minutes: 30, label: '30 minutes before' },
+  { minutes: 60, label: '1 hour before' },
+  { minutes: 120, label: '2 hours before' },
+  { minutes: 1440, label: '1 day before' },
+  { minutes: 2880, label: '2 days before' },
+  { minutes: 10080, label: '1 week before' }
+];
+
+/**
+ * Get the IANA time zone of this device
+ */
+export const getLocalTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/**
+ * Split a stored due date into the values of date and time inputs
+ * @returns {{ date: string, time: string }} 'YYYY-MM-DD' and 'HH:MM', '' when unset
+ */
+export const splitDueDate = (dueDate, hasTime = false) => {
+  const date = dueDate ? new Date(dueDate) : null;
+  if (!date || isNaN(date)) return { date: '', time: '' };
+  const iso = date.toISOString();
+  return { date: iso.slice(0, 10), time: hasTime ? iso.slice(11, 16) : '' };
+};
+
+/**
+ * Build the due date fields for a todo from date and time inputs
+ * @param {string} date - 'YYYY-MM-DD', '' for no due date
+ * @param {string} time - 'HH:MM', '' for date only
+ * @param {string} timeZone - Zone the user picked them in
+ * @returns {Object} { due_date, has_due_time, due_time_zone }
+ */
+export const buildDueFields = (date, time, timeZone = getLocalTimeZone()) => {
+  if (!date) return { due_date: null, has_due_time: false, due_time_zone: null };
+  return {
+    due_date: `${date}T${time || '00:00'}:00.000Z`,
+    has_due_time: !!time,
+    due_time_zone: timeZone
+  };
+};
+
+// Minutes a zone is ahead of UTC at an instant
+const getZoneOffset = (instant, timeZone) => {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(instant);
+  } catch (error) {
+    // Unknown zone, e.g. from an older browser: use this device's
+    return -instant.getTimezoneOffset();
+  }
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  const wall = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+  return Math.round((wall - Math.floor(instant.getTime() / 1000) * 1000) / MINUTE_MS);
+};
+
+/**
+ * Get the moment a wall-clock time happens in a time zone
+ * @param {string|Date} wallClock - The wall-clock time stored as UTC
+ * @param {string} timeZone - IANA zone
+ * @returns {Date}
+ */
+export const wallClockToInstant = (wallClock, timeZone) => {
+  const wall = new Date(wallClock).getTime();
+  const guess = wall - getZoneOffset(new Date(wall), timeZone) * MINUTE_MS;
+  // Around DST changes the offset at the guess can differ from the first try
+  return new Date(wall - getZoneOffset(new Date(guess), timeZone) * MINUTE_MS);
+};
+
+/**
+ * Get the moment a todo is due: its time in its zone, or the end of its day
+ * @returns {Date|null} null for undated todos
+ */
+export const getDueInstant = (todo) => {
+  if (!todo.due_date || isNaN(new Date(todo.due_date))) return null;
+  const timeZone = todo.due_time_zone || getLocalTimeZone();
+  if (todo.has_due_time) return wallClockToInstant(todo.due_date, timeZone);
+
+  const nextDay = new Date(`${new Date(todo.due_date).toISOString().slice(0, 10)}T00:00:00.000Z`).getTime() + DAY_MS;
+  return wallClockToInstant(new Date(nextDay), timeZone);
+};
+
+/**
+ * Check whether an open todo is past due
+ */
+export const isOverdue = (todo, now = new Date()) => {
+  if (todo.completed) return false;
+  const due = getDueInstant(todo);
+  return !!due && due <= now;
+};
+
+/**
+ * Compare todos by when they're due, soonest (most overdue) first and
+ * undated todos last
+ */
+export const compareByDue = (a, b) => {
+  const dueA = getDueInstant(a);
+  const dueB = getDueInstant(b);
+  if (!dueA || !dueB) return (dueA ? 0 : 1) - (dueB ? 0 : 1);
+  return dueA - dueB;
+};
+
+/**
+ * Describe a reminder offset, e.g. "1 day before"
+ */
+export const describeReminder = (minutesBefore) => {
+  const option = REMINDER_OPTIONS.find(o => o.minutes === minutesBefore);
+  if (option) return option.label;
+  return minutesBefore % 60 === 0
+    ? `${minutesBefore / 60} hours before`
+    : `${minutesBefore} minutes before`;
+};
+
+/**
+ * Keep valid, distinct reminders, earliest first
+ * @param {Array} reminders - { minutes_before } entries
+ */
+export const normalizeReminders = (reminders) =>
+  [...new Set((Array.isArray(reminders) ? reminders : [])
+    .map(reminder => parseInt(reminder?.minutes_before, 10))
+    .filter(minutes => minutes >= 0))]
+    .sort((a, b) => b - a)
+    .map(minutes => ({ minutes_before: minutes }));
+
+/**
+ * Get when each of a todo's reminders goes off
+ * @returns {Array<{ key: string, minutesBefore: number, at: Date }>} The key
+ *   changes with the due date, so rescheduling re-arms a delivered reminder
+ */
+export const getReminderTimes = (todo) => {
+  if (!todo.due_date || todo.completed) return [];
+
+  const timeZone = todo.due_time_zone || getLocalTimeZone();
+  const base = todo.has_due_time
+    ? getDueInstant(todo)
+    : wallClockToInstant(`${new Date(todo.due_date).toISOString().slice(0, 10)}T${REMINDER_BASE_TIME}:00.000Z`, timeZone);
+  if (!base) return [];
+
+  return normalizeReminders(todo.reminders).map(({ minutes_before: minutesBefore }) => ({
+    key: `${todo.id}:${minutesBefore}:${todo.due_date}`,
+    minutesBefore,
+    at: new Date(base.getTime() - minutesBefore * MINUTE_MS)
+  }));
+};
+
+/**
+ * Find reminders that should go off now
+ * @param {Array} todos - The user's todos
+ * @param {Set<string>} delivered - Keys of reminders already shown
+ * @param {Date} now - Current time
+ * @returns {Array<{ key, todo, minutesBefore, at }>}
+ */
+export const getDueReminders = (todos, delivered, now = new Date()) =>
+  todos.flatMap(todo => getReminderTimes(todo)
+    .filter(reminder =>
+      !delivered.has(reminder.key) &&
+      reminder.at <= now &&
+      now - reminder.at <= REMINDER_GRACE_MS)
+    .map(reminder => ({ ...reminder, todo })));
+
+/**
+ * Format a todo's due date for display, e.g. "Oct 20, 2026, 9:00 AM". Times
+ * set in another zone are converted to this device's and the zone noted.
+ */
+export const formatDue = (todo, localZone = getLocalTimeZone()) => {
+  if (!todo.due_date) return 'No due date';
+  const dateOptions = { year: 'numeric', month: 'short', day: 'numeric' };
+
+  if (!todo.has_due_time) {
+    return new Date(todo.due_date).toLocaleDateString('en-US', { ...dateOptions, timeZone: 'UTC' });
+  }
+
+  const timeOptions = { ...dateOptions, hour: 'numeric', minute: '2-digit' };
+  if (!todo.due_time_zone || todo.due_time_zone === localZone) {
+    return new Date(todo.due_date).toLocaleString('en-US', { ...timeOptions, timeZone: 'UTC' });
+  }
+
+  return `${getDueInstant(todo).toLocaleString('en-US', { ...timeOptions, timeZone: localZone })} (set in ${todo.due_time_zone})`;
+};
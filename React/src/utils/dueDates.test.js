@@ -0,0 +1,100 @@
+import {
+  splitDueDate,
+  buildDueFields,
+  wallClockToInstant,
+  getDueInstant,
+  isOverdue,
+  compareByDue,
+  describeReminder,
+  normalizeReminders,
+  getReminderTimes,
+  getDueReminders,
+  formatDue
+} from './dueDates';
+
+const todo = (overrides = {}) => ({
+  id: 't1',
+  completed: false,
+  due_date: '2026-10-20T09:00:00.000Z',
+  has_due_time: true,
+  due_time_zone: 'America/New_York',
+  reminders: [],
+  ...overrides
+});
+
+test('converts between inputs and stored due fields', () => {
+  expect(buildDueFields('2026-10-20', '09:30', 'Europe/London')).toEqual({
+    due_date: '2026-10-20T09:30:00.000Z',
+    has_due_time: true,
+    due_time_zone: 'Europe/London'
+  });
+  expect(buildDueFields('2026-10-20', '', 'Europe/London').has_due_time).toBe(false);
+  expect(buildDueFields('', '09:30')).toEqual({ due_date: null, has_due_time: false, due_time_zone: null });
+
+  expect(splitDueDate('2026-10-20T09:30:00.000Z', true)).toEqual({ date: '2026-10-20', time: '09:30' });
+  expect(splitDueDate('2026-10-20T00:00:00+00:00')).toEqual({ date: '2026-10-20', time: '' });
+  expect(splitDueDate(null)).toEqual({ date: '', time: '' });
+});
+
+test('finds the moment a wall-clock time happens in a zone', () => {
+  expect(wallClockToInstant('2026-10-20T09:00:00.000Z', 'America/New_York').toISOString()).toBe('2026-10-20T13:00:00.000Z');
+  expect(wallClockToInstant('2026-01-20T09:00:00.000Z', 'America/New_York').toISOString()).toBe('2026-01-20T14:00:00.000Z');
+  expect(wallClockToInstant('2026-10-20T09:00:00.000Z', 'Asia/Tokyo').toISOString()).toBe('2026-10-20T00:00:00.000Z');
+  // The day DST ends in New York
+  expect(wallClockToInstant('2026-11-01T12:00:00.000Z', 'America/New_York').toISOString()).toBe('2026-11-01T17:00:00.000Z');
+});
+
+test('date-only todos are due at the end of their day', () => {
+  const dateOnly = todo({ has_due_time: false, due_date: '2026-10-20T00:00:00.000Z', due_time_zone: 'Asia/Tokyo' });
+  expect(getDueInstant(dateOnly).toISOString()).toBe('2026-10-20T15:00:00.000Z');
+  expect(getDueInstant(todo({ due_date: null }))).toBeNull();
+});
+
+test('flags overdue open todos', () => {
+  expect(isOverdue(todo(), new Date('2026-10-20T12:59:00Z'))).toBe(false);
+  expect(isOverdue(todo(), new Date('2026-10-20T13:00:00Z'))).toBe(true);
+  expect(isOverdue(todo({ completed: true }), new Date('2026-10-21T00:00:00Z'))).toBe(false);
+  expect(isOverdue(todo({ due_date: null }))).toBe(false);
+});
+
+test('sorts by due moment with undated todos last', () => {
+  const tokyo = todo({ id: 'tokyo', due_time_zone: 'Asia/Tokyo' });
+  const newYork = todo({ id: 'ny' });
+  const undated = todo({ id: 'none', due_date: null });
+  expect([undated, newYork, tokyo].sort(compareByDue).map(t => t.id)).toEqual(['tokyo', 'ny', 'none']);
+});
+
+test('normalizes and describes reminders', () => {
+  expect(normalizeReminders([{ minutes_before: 0 }, { minutes_before: '1440' }, { minutes_before: 0 }, { minutes_before: -5 }, null]))
+    .toEqual([{ minutes_before: 1440 }, { minutes_before: 0 }]);
+  expect(normalizeReminders(undefined)).toEqual([]);
+  expect(describeReminder(1440)).toBe('1 day before');
+  expect(describeReminder(180)).toBe('3 hours before');
+});
+
+test('schedules reminders from the due time, or the morning of date-only todos', () => {
+  const timed = getReminderTimes(todo({ reminders: [{ minutes_before: 0 }, { minutes_before: 1440 }] }));
+  expect(timed.map(r => r.at.toISOString())).toEqual(['2026-10-19T13:00:00.000Z', '2026-10-20T13:00:00.000Z']);
+  expect(timed[0].key).toBe('t1:1440:2026-10-20T09:00:00.000Z');
+
+  const dateOnly = getReminderTimes(todo({ has_due_time: false, due_date: '2026-10-20T00:00:00.000Z', reminders: [{ minutes_before: 0 }] }));
+  expect(dateOnly[0].at.toISOString()).toBe('2026-10-20T13:00:00.000Z');
+
+  expect(getReminderTimes(todo({ completed: true, reminders: [{ minutes_before: 0 }] }))).toEqual([]);
+});
+
+test('delivers each reminder once, and not long after it was missed', () => {
+  const todos = [todo({ reminders: [{ minutes_before: 0 }, { minutes_before: 60 }] })];
+  const now = new Date('2026-10-20T12:30:00Z');
+
+  const due = getDueReminders(todos, new Set(), now);
+  expect(due.map(r => r.minutesBefore)).toEqual([60]);
+  expect(getDueReminders(todos, new Set([due[0].key]), now)).toEqual([]);
+  expect(getDueReminders(todos, new Set(), new Date('2026-10-21T12:00:00Z'))).toEqual([]);
+});
+
+test('formats due dates and notes times set in another zone', () => {
+  expect(formatDue(todo({ has_due_time: false }), 'America/New_York')).toBe('Oct 20, 2026');
+  expect(formatDue(todo(), 'America/New_York')).toBe('Oct 20, 2026, 9:00 AM');
+  expect(formatDue(todo(), 'Europe/London')).toBe('Oct 20, 2026, 2:00 PM (set in America/New_York)');
+});
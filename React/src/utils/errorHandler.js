@@ -1,10 +1,15 @@
 /**
  * Error Handler Utility
  * Provides centralized error handling and logging functionality.
+ * Handled errors are shown to the user as toasts.
  */
 
+import React from 'react';
+import { notify } from './notifications';
+
 // Error severity levels
 export const ErrorSeverity = {
+  SUCCESS: 'success',
   INFO: 'info',
   WARNING: 'warning',
   ERROR: 'error',
@@ -14,11 +19,18 @@ export const ErrorSeverity = {
 /**
  * Handle and log errors in a consistent way
  * @param {Error} error - The error object
- * @param {string} context - Where the error occurred
+ * @param {string} context - Where the error occurred, shown as the toast title
  * @param {string} severity - Error severity level
  * @param {Object} additionalData - Any additional data to log
+ * @param {Object} options - { notify: false to skip the toast, actions: toast buttons }
  */
-export const handleError = (error, context, severity = ErrorSeverity.ERROR, additionalData = {}) => {
+export const handleError = (
+  error,
+  context,
+  severity = ErrorSeverity.ERROR,
+  additionalData = {},
+  { notify: shouldNotify = true, actions = [] } = {}
+) => {
   // Create error object with metadata
   const errorLog = {
     message: error.message,
@@ -40,8 +52,15 @@ export const handleError = (error, context, severity = ErrorSeverity.ERROR, addi
     // Example: sendToLoggingService(errorLog);
   }
 
+  const friendlyError = getUserFriendlyError(error, context);
+
+  // Failures while offline are expected, the sync indicator already shows them
+  if (shouldNotify && navigator.onLine !== false) {
+    notify({ severity, title: context, message: friendlyError.userMessage, actions });
+  }
+
   // Return user-friendly error message
-  return getUserFriendlyError(error, context);
+  return friendlyError;
 };
 
 /**
@@ -54,7 +73,9 @@ const getUserFriendlyError = (error, context) => {
     'auth/user-not-found': 'Account not found. Please check your credentials.',
     'auth/wrong-password': 'Incorrect password. Please try again.',
     'permission-denied': 'You don\'t have permission to perform this action.',
+    '42501': 'You don\'t have permission to perform this action.', // Postgres: row-level security
     'network-error': 'Network error. Please check your connection and try again.',
+    'Failed to fetch': 'Network error. Please check your connection and try again.',
     'database-error': 'Unable to save changes. Please try again later.'
   };
 
@@ -72,8 +93,6 @@ const getUserFriendlyError = (error, context) => {
 /**
  * Error Boundary Component
  */
-import React from 'react';
-
 export class ErrorBoundary extends React.Component {
   constructor(props) {
     super(props);
@@ -85,7 +104,7 @@ export class ErrorBoundary extends React.Component {
   }
 
   componentDidCatch(error, errorInfo) {
-    handleError(error, 'ErrorBoundary', ErrorSeverity.CRITICAL, errorInfo);
+    handleError(error, 'ErrorBoundary', ErrorSeverity.CRITICAL, errorInfo, { notify: false });
   }
 
   render() {
@@ -0,0 +1,147 @@
+/**
+ * Filter Utilities
+ * The filter expression behind the list, calendar and board, which smart
+ * views save by name.
+ *
+ * A filter is a plain object stored in `smart_views.filters`:
+ * {
+ *   completion: 'all',      // 'all' | 'pending' | 'completed'
+ *   statuses: [],           // workflow status keys, any of
+ *   categories: [],         // category IDs, any of
+ *   priorities: [],         // 'high' | 'medium' | 'low', any of
+ *   due: 'any',             // a DUE_RANGES id
+ *   ownership: 'any',       // 'any' | 'mine' (owned by me) | 'shared' (shared with me)
+ *   tags: [],               // free-form tags
+ *   tagMatchMode: 'all',    // need every tag or any of them
+ *   sortBy: 'date'          // 'date' (created) | 'priority' | 'due'
+ * }
+ * Empty lists match everything.
+ */
+
+import { matchesCategory, matchesTags } from './categories';
+import { matchesStatus } from './statuses';
+import { getDateKey, getTodayKey, shiftAnchor } from './calendar';
+import { isOverdue } from './dueDates';
+
+export const DEFAULT_FILTER = {
+  completion: 'all',
+  statuses: [],
+  categories: [],
+  priorities: [],
+  due: 'any',
+  ownership: 'any',
+  tags: [],
+  tagMatchMode: 'all',
+  sortBy: 'date'
+};
+
+export const DUE_RANGES = [
+  { id: 'any', label: 'Any time' },
+  { id: 'overdue', label: 'Overdue' },
+  { id: 'today', label: 'Due today' },
+  { id: 'next7', label: 'Next 7 days' },
+  { id: 'none', label: 'No due date' }
+];
+
+export const OWNERSHIP_OPTIONS = [
+  { id: 'any', label: 'Anyone' },
+  { id: 'mine', label: 'Owned by me' },
+  { id: 'shared', label: 'Shared with me' }
+];
+
+/**
+ * Fill in defaults and drop unknown fields, e.g. for a view saved by an
+ * older version of the app
+ * @param {Object} filter - A possibly partial filter
+ * @returns {Object} A complete filter
+ */
+export const normalizeFilter = (filter = {}) => Object.fromEntries(
+  Object.entries(DEFAULT_FILTER).map(([field, fallback]) => [
+    field,
+    Array.isArray(fallback)
+      ? (Array.isArray(filter[field]) ? filter[field] : fallback)
+      : (filter[field] ?? fallback)
+  ])
+);
+
+/**
+ * Check whether two filters select the same todos in the same order
+ */
+export const isSameFilter = (a, b) =>
+  JSON.stringify(normalizeFilter(a)) === JSON.stringify(normalizeFilter(b));
+
+/**
+ * Value for a single-choice dropdown showing a list field
+ * @returns {string} 'all', the one selected value, or 'multiple'
+ */
+export const toSelectValue = (values) =>
+  values.length === 0 ? 'all' : values.length === 1 ? values[0] : 'multiple';
+
+/**
+ * Describe the parts of a filter the list's filter bar has no control for
+ * (priority, due date range and ownership), so they aren't applied unseen
+ * @returns {Array<string>} e.g. ['High priority', 'Overdue']
+ */
+export const describeExtraFilters = (filter) => {
+  const f = normalizeFilter(filter);
+  const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+  return [
+    f.priorities.length > 0 && `${capitalize(f.priorities.join(', '))} priority`,
+    f.due !== 'any' && DUE_RANGES.find(range => range.id === f.due)?.label,
+    f.ownership !== 'any' && OWNERSHIP_OPTIONS.find(option => option.id === f.ownership)?.label
+  ].filter(Boolean);
+};
+
+/**
+ * Check whether a due date falls in a range
+ * @param {string|null} dueDate - A stored `due_date`
+ * @param {string} range - A DUE_RANGES id
+ * @param {Date} now - Current time
+ */
+export const matchesDueRange = (dueDate, range, now = new Date()) => {
+  const key = getDateKey(dueDate);
+  const today = getTodayKey(now);
+
+  switch (range) {
+    case 'overdue':
+      return !!key && key < today;
+    case 'today':
+      return key === today;
+    case 'next7':
+      return !!key && key >= today && key <= shiftAnchor('day', today, 7);
+    case 'none':
+      return !key;
+    default:
+      return true;
+  }
+};
+
+/**
+ * Check whether a todo matches a filter
+ * @param {Object} todo - The todo
+ * @param {Object} filter - The filter expression
+ * @param {Object} context - { categories, statuses, now }
+ */
+export const matchesFilter = (todo, filter, { categories = [], statuses = [], now = new Date() } = {}) => {
+  const f = normalizeFilter(filter);
+
+  const completionMatch =
+    f.completion === 'completed' ? todo.completed :
+    f.completion === 'pending' ? !todo.completed :
+    true;
+
+  const ownershipMatch =
+    f.ownership === 'mine' ? !todo.isShared :
+    f.ownership === 'shared' ? !!todo.isShared :
+    true;
+
+  return completionMatch &&
+    ownershipMatch &&
+    (f.statuses.length === 0 || f.statuses.some(key => matchesStatus(todo, key, statuses))) &&
+    (f.categories.length === 0 || f.categories.some(id => matchesCategory(todo, id, categories))) &&
+    (f.priorities.length === 0 || f.priorities.includes(todo.priority || 'medium')) &&
+    // Overdue goes by the due time where there is one, and only open work is overdue
+    (f.due === 'overdue' ? isOverdue(todo, now) : matchesDueRange(todo.due_date, f.due, now)) &&
+    matchesTags(todo, f.tags, f.tagMatchMode);
+};
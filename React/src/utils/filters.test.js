@@ -0,0 +1,59 @@
+import { DEFAULT_FILTER, normalizeFilter, isSameFilter, toSelectValue, describeExtraFilters, matchesDueRange, matchesFilter } from './filters';
+import { DEFAULT_STATUSES } from './statuses';
+
+const now = new Date(2026, 9, 19, 12, 0);
+const categories = [{ id: 'c1', name: 'Work' }, { id: 'c2', name: 'Home' }];
+const context = { categories, statuses: DEFAULT_STATUSES, now };
+
+const todo = (overrides = {}) => ({
+  id: 't1',
+  completed: false,
+  priority: 'medium',
+  category_id: 'c1',
+  due_date: '2026-10-21T00:00:00.000Z',
+  tags: [],
+  ...overrides
+});
+
+test('normalizes saved filters and compares them', () => {
+  expect(normalizeFilter({ priorities: ['high'], categories: 'c1', unknown: true })).toEqual({
+    ...DEFAULT_FILTER,
+    priorities: ['high']
+  });
+  expect(isSameFilter({ due: 'today' }, { ...DEFAULT_FILTER, due: 'today' })).toBe(true);
+  expect(isSameFilter({ due: 'today' }, {})).toBe(false);
+  expect([toSelectValue([]), toSelectValue(['c1']), toSelectValue(['c1', 'c2'])]).toEqual(['all', 'c1', 'multiple']);
+});
+
+test('describes filters the filter bar does not show', () => {
+  expect(describeExtraFilters({ completion: 'pending', categories: ['c1'] })).toEqual([]);
+  expect(describeExtraFilters({ priorities: ['high', 'medium'], due: 'overdue', ownership: 'shared' }))
+    .toEqual(['High, medium priority', 'Overdue', 'Shared with me']);
+});
+
+test('matches due date ranges', () => {
+  expect(matchesDueRange('2026-10-18T00:00:00.000Z', 'overdue', now)).toBe(true);
+  expect(matchesDueRange('2026-10-19T00:00:00.000Z', 'overdue', now)).toBe(false);
+  expect(matchesDueRange('2026-10-19T00:00:00.000Z', 'today', now)).toBe(true);
+  expect(matchesDueRange('2026-10-26T00:00:00.000Z', 'next7', now)).toBe(true);
+  expect(matchesDueRange('2026-10-27T00:00:00.000Z', 'next7', now)).toBe(false);
+  expect(matchesDueRange(null, 'none', now)).toBe(true);
+  expect(matchesDueRange(null, 'next7', now)).toBe(false);
+});
+
+test('combines every part of the filter', () => {
+  const filter = { completion: 'pending', categories: ['c1', 'c2'], priorities: ['high', 'medium'], due: 'next7' };
+  expect(matchesFilter(todo(), filter, context)).toBe(true);
+  expect(matchesFilter(todo({ completed: true }), filter, context)).toBe(false);
+  expect(matchesFilter(todo({ priority: 'low' }), filter, context)).toBe(false);
+  expect(matchesFilter(todo({ category_id: null }), filter, context)).toBe(false);
+  expect(matchesFilter(todo({ due_date: null }), filter, context)).toBe(false);
+});
+
+test('filters by workflow status, ownership and overdue work', () => {
+  expect(matchesFilter(todo({ status: 'blocked' }), { statuses: ['blocked', 'in_review'] }, context)).toBe(true);
+  expect(matchesFilter(todo(), { statuses: ['blocked'] }, context)).toBe(false);
+  expect(matchesFilter(todo({ isShared: true }), { ownership: 'shared' }, context)).toBe(true);
+  expect(matchesFilter(todo({ isShared: true }), { ownership: 'mine' }, context)).toBe(false);
+  expect(matchesFilter(todo({ due_date: '2026-10-01T00:00:00.000Z', completed: true }), { due: 'overdue' }, context)).toBe(false);
+});
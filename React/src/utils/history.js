@@ -0,0 +1,96 @@
+/**
+ * History Utilities
+ * Undo/redo stacks for todo mutations. Commands are plain data describing
+ * what changed (the todo snapshots from before the change and how to redo
+ * it); App knows how to revert and re-apply each command type.
+ */
+
+// How long after an action it can still be undone
+export const UNDO_WINDOW_MS = 10 * 1000;
+
+// Older commands are forgotten
+const MAX_HISTORY = 50;
+
+export const COMMAND_TYPES = {
+  TOGGLE: 'toggle',
+  EDIT: 'edit',
+  DELETE: 'delete'
+};
+
+// Fields an edit sets on every change, which undo sets afresh instead
+const EDIT_METADATA = ['updated_at', 'last_edited_by'];
+
+/**
+ * Create empty undo/redo stacks
+ */
+export const createHistory = () => ({ past: [], future: [] });
+
+/**
+ * Record a command that was just carried out. Anything that could be
+ * redone is dropped, as in any editor.
+ * @param {Object} history - { past, future }
+ * @param {Object} command - { type, label, snapshots, ... }
+ * @param {number} now - Current time in milliseconds
+ */
+export const recordCommand = (history, command, now = Date.now()) => ({
+  past: [...history.past, { ...command, recordedAt: now }].slice(-MAX_HISTORY),
+  future: []
+});
+
+const isFresh = (command, now) => !!command && now - command.recordedAt <= UNDO_WINDOW_MS;
+
+/**
+ * Check whether the last command can still be undone
+ */
+export const canUndo = (history, now = Date.now()) => isFresh(history.past[history.past.length - 1], now);
+
+/**
+ * Check whether the last undone command can still be redone
+ */
+export const canRedo = (history, now = Date.now()) => isFresh(history.future[history.future.length - 1], now);
+
+/**
+ * Take the command to undo off the stack
+ * @returns {Object} { command, history }, command is null if there's nothing to undo
+ */
+export const takeUndo = (history, now = Date.now()) => {
+  if (!canUndo(history, now)) return { command: null, history };
+
+  const command = history.past[history.past.length - 1];
+  return {
+    command,
+    history: {
+      past: history.past.slice(0, -1),
+      future: [...history.future, { ...command, recordedAt: now }]
+    }
+  };
+};
+
+/**
+ * Take the command to redo off the stack
+ * @returns {Object} { command, history }, command is null if there's nothing to redo
+ */
+export const takeRedo = (history, now = Date.now()) => {
+  if (!canRedo(history, now)) return { command: null, history };
+
+  const command = history.future[history.future.length - 1];
+  return {
+    command,
+    history: {
+      past: [...history.past, { ...command, recordedAt: now }],
+      future: history.future.slice(0, -1)
+    }
+  };
+};
+
+/**
+ * Build the changes that put a todo's edited fields back how they were
+ * @param {Object} snapshot - The todo before the edit
+ * @param {Array<string>} fields - Columns the edit changed
+ * @returns {Object} Columns and their previous values
+ */
+export const getRevertChanges = (snapshot, fields) => Object.fromEntries(
+  fields
+    .filter(field => !EDIT_METADATA.includes(field))
+    .map(field => [field, snapshot[field] ?? null])
+);
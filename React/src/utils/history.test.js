@@ -0,0 +1,47 @@
+import {
+  createHistory,
+  recordCommand,
+  canUndo,
+  canRedo,
+  takeUndo,
+  takeRedo,
+  getRevertChanges,
+  UNDO_WINDOW_MS
+} from './history';
+
+const command = (label) => ({ type: 'toggle', label, todoId: 't1', snapshots: [] });
+
+test('undoes and redoes the most recent command', () => {
+  let history = recordCommand(createHistory(), command('first'), 0);
+  history = recordCommand(history, command('second'), 1000);
+
+  const undone = takeUndo(history, 2000);
+  expect(undone.command.label).toBe('second');
+  expect(canRedo(undone.history, 2000)).toBe(true);
+
+  const redone = takeRedo(undone.history, 3000);
+  expect(redone.command.label).toBe('second');
+  expect(redone.history.past.map(c => c.label)).toEqual(['first', 'second']);
+  expect(redone.history.future).toEqual([]);
+});
+
+test('a new command clears the redo stack', () => {
+  const { history } = takeUndo(recordCommand(createHistory(), command('first'), 0), 100);
+  expect(recordCommand(history, command('second'), 200).future).toEqual([]);
+});
+
+test('commands expire after the undo window', () => {
+  const history = recordCommand(createHistory(), command('first'), 0);
+  expect(canUndo(history, UNDO_WINDOW_MS)).toBe(true);
+  expect(canUndo(history, UNDO_WINDOW_MS + 1)).toBe(false);
+  expect(takeUndo(history, UNDO_WINDOW_MS + 1).command).toBeNull();
+  expect(takeRedo(createHistory(), 0).command).toBeNull();
+});
+
+test('reverts only the edited fields', () => {
+  const snapshot = { id: 't1', title: 'Old title', description: undefined, priority: 'high' };
+  expect(getRevertChanges(snapshot, ['title', 'description', 'updated_at', 'last_edited_by'])).toEqual({
+    title: 'Old title',
+    description: null
+  });
+});
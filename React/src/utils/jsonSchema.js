@@ -0,0 +1,113 @@
+/**
+ * JSON Schema Utilities
+ * A small validator for the subset of JSON Schema the app uses to check AI
+ * output: type (one or a list), enum, required, properties,
+ * additionalProperties: false, items, minItems, maxItems, minLength,
+ * maxLength, pattern, format: 'uri' (http and https only), minimum and
+ * maximum.
+ */
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) =>
+  type === typeOf(value) || (type === 'number' && typeOf(value) === 'integer');
+
+/**
+ * Check whether a string is an absolute http(s) URL
+ */
+export const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - JSON Schema (see the supported keywords above)
+ * @param {string} path - Where the value sits, for messages
+ * @returns {Array<{ path: string, message: string }>} Empty when valid
+ */
+export const validateSchema = (value, schema, path = '') => {
+  const at = path || 'response';
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return [{ path: at, message: `should be ${types.join(' or ')}` }];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path: at, message: `should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` }];
+  }
+
+  const errors = [];
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ path: at, message: schema.minLength === 1 ? 'should not be empty' : `should have at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `should have at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: `should match ${schema.pattern}` });
+    }
+    if (schema.format === 'uri' && !isHttpUrl(value)) {
+      errors.push({ path: at, message: 'should be an http(s) URL' });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `should be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `should be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `should have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `should have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' }));
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = path ? `${path}.${key}` : key;
+      if (schema.properties?.[key]) {
+        errors.push(...validateSchema(child, schema.properties[key], childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: 'is not allowed' });
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Describe validation errors in one line, e.g. for asking the model to fix them
+ */
+export const describeSchemaErrors = (errors) =>
+  errors.map(error => `${error.path} ${error.message}`).join('; ');
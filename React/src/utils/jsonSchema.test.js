@@ -0,0 +1,54 @@
+import { validateSchema, describeSchemaErrors, isHttpUrl } from './jsonSchema';
+
+const schema = {
+  type: 'object',
+  required: ['name', 'tags'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    level: { enum: ['low', 'high'] },
+    count: { type: ['integer', 'null'] },
+    link: { type: 'string', format: 'uri' },
+    tags: { type: 'array', maxItems: 2, items: { type: 'string', pattern: '^[a-z]+$' } }
+  }
+};
+
+test('accepts a matching value', () => {
+  expect(validateSchema({ name: 'Trip', level: 'low', count: null, link: 'https://example.com', tags: ['travel'] }, schema)).toEqual([]);
+});
+
+test('reports each problem with its path', () => {
+  const errors = validateSchema({ name: ' ', level: 'medium', count: 1.5, link: 'mailto:someone@example.com', tags: ['a', 'B', 'c'], extra: true }, schema);
+
+  expect(describeSchemaErrors(errors)).toBe([
+    'name should not be empty',
+    'level should be one of "low", "high"',
+    'count should be integer or null',
+    'link should be an http(s) URL',
+    'tags should have at most 2 items',
+    'tags[1] should match ^[a-z]+$',
+    'extra is not allowed'
+  ].join('; '));
+});
+
+test('reports missing required fields and wrong types', () => {
+  expect(validateSchema({}, schema)).toEqual([
+    { path: 'name', message: 'is required' },
+    { path: 'tags', message: 'is required' }
+  ]);
+  expect(validateSchema([], schema)).toEqual([{ path: 'response', message: 'should be object' }]);
+});
+
+test('only counts http and https links as URLs', () => {
+  expect(isHttpUrl('http://localhost:3000/a')).toBe(true);
+  expect(isHttpUrl('ftp://example.com')).toBe(false);
+  expect(isHttpUrl('example.com')).toBe(false);
+});
+
+test('checks number bounds', () => {
+  const minutes = { type: 'integer', minimum: 5, maximum: 480 };
+
+  expect(validateSchema(30, minutes)).toEqual([]);
+  expect(validateSchema(0, minutes, 'minutes')).toEqual([{ path: 'minutes', message: 'should be at least 5' }]);
+  expect(validateSchema(600, minutes, 'minutes')).toEqual([{ path: 'minutes', message: 'should be at most 480' }]);
+});
@@ -0,0 +1,76 @@
+/**
+ * Notifications
+ * A small store for toast notifications that both components and plain
+ * modules (errorHandler, Supabase helpers) can report to. ToastProvider
+ * subscribes to it and renders the toasts.
+ */
+
+// Severities match ErrorSeverity in errorHandler, plus 'success'
+const DEFAULT_DURATION_MS = {
+  success: 4000,
+  info: 5000,
+  warning: 7000,
+  error: 8000,
+  critical: 0 // Stays until dismissed
+};
+
+// Older toasts are dropped once this many are showing
+const MAX_TOASTS = 5;
+
+let toasts = [];
+let lastId = 0;
+const listeners = new Set();
+
+const emit = () => listeners.forEach(listener => listener(toasts));
+
+/**
+ * Show a toast
+ * @param {Object} toast
+ * @param {string} toast.severity - 'success', 'info', 'warning', 'error' or 'critical'
+ * @param {string} toast.title - Short headline (optional)
+ * @param {string} toast.message - Body text
+ * @param {Array} toast.actions - Buttons, each { label, onClick }
+ * @param {number} toast.duration - Milliseconds before it hides itself, 0 to keep it
+ * @returns {number} The toast's ID, for dismissing it
+ */
+export const notify = ({ severity = 'info', title = null, message = '', actions = [], duration } = {}) => {
+  // Don't stack identical toasts, e.g. the same error from several requests
+  const existing = toasts.find(toast =>
+    toast.severity === severity && toast.title === title && toast.message === message
+  );
+  if (existing) return existing.id;
+
+  const toast = {
+    id: ++lastId,
+    severity,
+    title,
+    message,
+    actions,
+    duration: duration ?? DEFAULT_DURATION_MS[severity] ?? DEFAULT_DURATION_MS.info
+  };
+
+  toasts = [...toasts, toast].slice(-MAX_TOASTS);
+  emit();
+  return toast.id;
+};
+
+/**
+ * Hide a toast
+ * @param {number} id - The toast's ID
+ */
+export const dismiss = (id) => {
+  if (!toasts.some(toast => toast.id === id)) return;
+  toasts = toasts.filter(toast => toast.id !== id);
+  emit();
+};
+
+/**
+ * Listen for changes to the visible toasts
+ * @param {Function} listener - Called with the toasts straight away and on every change
+ * @returns {Function} Unsubscribes the listener
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  listener(toasts);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,38 @@
+import { notify, dismiss, subscribe } from './notifications';
+
+let toasts;
+let unsubscribe;
+
+beforeEach(() => {
+  unsubscribe = subscribe(current => { toasts = current; });
+  toasts.forEach(toast => dismiss(toast.id));
+});
+
+afterEach(() => unsubscribe());
+
+test('shows toasts with a default duration per severity', () => {
+  notify({ severity: 'success', message: 'Saved' });
+  notify({ severity: 'critical', title: 'Sync failed', message: 'Try again later' });
+
+  expect(toasts).toEqual([
+    expect.objectContaining({ severity: 'success', message: 'Saved', duration: 4000, actions: [] }),
+    expect.objectContaining({ severity: 'critical', title: 'Sync failed', duration: 0 })
+  ]);
+});
+
+test('does not stack identical toasts', () => {
+  const first = notify({ severity: 'error', title: "Couldn't load projects", message: 'Network error.' });
+  const second = notify({ severity: 'error', title: "Couldn't load projects", message: 'Network error.' });
+
+  expect(second).toBe(first);
+  expect(toasts).toHaveLength(1);
+});
+
+test('dismisses toasts and keeps only the most recent ones', () => {
+  const id = notify({ message: 'Hello' });
+  dismiss(id);
+  expect(toasts).toEqual([]);
+
+  for (let i = 0; i < 7; i += 1) notify({ message: `Toast ${i}` });
+  expect(toasts.map(toast => toast.message)).toEqual(['Toast 2', 'Toast 3', 'Toast 4', 'Toast 5', 'Toast 6']);
+});
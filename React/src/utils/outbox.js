@@ -0,0 +1,151 @@
+/**
+ * Outbox Utilities
+ * Helpers for the offline sync queue: building queued mutations,
+ * detecting conflicts against the server copy, overlaying pending
+ * mutations on freshly fetched todos and rolling back rejected ones.
+ */
+
+import { applySubtaskChanges } from './subtasks';
+
+export const OUTBOX_OPERATIONS = {
+  INSERT: 'insert',
+  UPDATE: 'update',
+  TOGGLE: 'toggle',
+  DELETE: 'delete',
+  SUBTASKS: 'subtasks' // Adds, updates and deletes a todo's subtasks
+};
+
+// Backoff for retrying the outbox after transient network failures
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 60 * 1000;
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  CONFLICT: 'conflict',
+  FAILED: 'failed'
+};
+
+/**
+ * Build an outbox entry for a mutation made against the local copy
+ * @param {string} type - One of OUTBOX_OPERATIONS
+ * @param {Object} todo - The todo as it was before the mutation
+ * @param {Object} payload - Everything needed to replay the mutation
+ */
+export const createOutboxEntry = (type, todo, payload = {}) => ({
+  type,
+  todoId: todo.id,
+  title: todo.title,
+  // The server version this change was made against
+  baseUpdatedAt: type === OUTBOX_OPERATIONS.INSERT ? null : todo.updated_at || null,
+  // The todo as shown before the mutation, restored if the server rejects it
+  snapshot: type === OUTBOX_OPERATIONS.INSERT ? null : todo,
+  payload,
+  status: OUTBOX_STATUS.PENDING,
+  force: false,
+  error: null,
+  createdAt: new Date().toISOString()
+});
+
+/**
+ * Check whether the server copy changed since the entry was queued
+ * @param {Object} entry - Outbox entry
+ * @param {Object|null} serverTodo - The server's { id, updated_at }, null if it no longer exists
+ * @returns {boolean}
+ */
+export const hasConflict = (entry, serverTodo) => {
+  if (entry.type === OUTBOX_OPERATIONS.INSERT || entry.force || !serverTodo) return false;
+  // Subtask rows change independently of the todo's own version
+  if (entry.type === OUTBOX_OPERATIONS.SUBTASKS) return false;
+  if (!serverTodo.updated_at) return false;
+  if (!entry.baseUpdatedAt) return true;
+
+  return new Date(serverTodo.updated_at).getTime() > new Date(entry.baseUpdatedAt).getTime();
+};
+
+/**
+ * Check whether an error means the server couldn't be reached
+ * @param {Object} error - Error thrown by fetch or returned by Supabase
+ */
+export const isNetworkError = (error) =>
+  /failed to fetch|network|load failed|timed? ?out/i.test(error?.message || '');
+
+/**
+ * Re-apply pending outbox entries on top of todos fetched from the server,
+ * so local changes that haven't synced yet don't disappear on refresh
+ * @param {Array} todos - Todos from the server
+ * @param {Array} entries - Outbox entries in queue order
+ * @returns {Array} Todos with `pendingSync` set on the ones awaiting sync
+ */
+export const applyOutbox = (todos, entries) => {
+  return entries
+    .filter(entry => entry.status === OUTBOX_STATUS.PENDING)
+    .reduce((result, entry) => {
+      switch (entry.type) {
+        case OUTBOX_OPERATIONS.INSERT:
+          return result.some(todo => todo.id === entry.todoId)
+            ? result
+            : [{ ...entry.payload.localTodo, pendingSync: true }, ...result];
+        case OUTBOX_OPERATIONS.UPDATE:
+        case OUTBOX_OPERATIONS.TOGGLE:
+          return result.map(todo => (
+            todo.id === entry.todoId
+              ? { ...todo, ...entry.payload.changes, pendingSync: true }
+              : todo
+          ));
+        case OUTBOX_OPERATIONS.DELETE:
+          return result.filter(todo => todo.id !== entry.todoId);
+        case OUTBOX_OPERATIONS.SUBTASKS:
+          return result.map(todo => (
+            todo.id === entry.todoId
+              ? { ...todo, subtasks: applySubtaskChanges(todo.subtasks, entry.payload), pendingSync: true }
+              : todo
+          ));
+        default:
+          return result;
+      }
+    }, todos);
+};
+
+/**
+ * Undo an entry's optimistic change, restoring the todo as it was before
+ * @param {Array} todos - Current todos
+ * @param {Object} entry - The rejected outbox entry
+ * @returns {Array} The todos with the change rolled back
+ */
+export const rollbackEntry = (todos, entry) => {
+  switch (entry.type) {
+    case OUTBOX_OPERATIONS.INSERT:
+      return todos.filter(todo => todo.id !== entry.todoId);
+    case OUTBOX_OPERATIONS.UPDATE:
+    case OUTBOX_OPERATIONS.TOGGLE:
+      if (!entry.snapshot) return todos;
+      return todos.map(todo => (todo.id === entry.todoId ? entry.snapshot : todo));
+    case OUTBOX_OPERATIONS.DELETE:
+      if (!entry.snapshot || todos.some(todo => todo.id === entry.todoId)) return todos;
+      return [entry.snapshot, ...todos];
+    case OUTBOX_OPERATIONS.SUBTASKS:
+      // Only the subtasks, so changes to the todo itself are kept
+      if (!entry.snapshot) return todos;
+      return todos.map(todo => (todo.id === entry.todoId ? { ...todo, subtasks: entry.snapshot.subtasks } : todo));
+    default:
+      return todos;
+  }
+};
+
+/**
+ * Delay before the next retry after consecutive transient failures
+ * @param {number} attempt - Number of failed attempts so far (0 for the first retry)
+ * @returns {number} Delay in milliseconds, doubling up to a minute
+ */
+export const getRetryDelay = (attempt) =>
+  Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, RETRY_MAX_DELAY_MS);
+
+/**
+ * Count outbox entries by status for the sync indicator
+ * @param {Array} entries - Outbox entries
+ */
+export const summarizeOutbox = (entries) => ({
+  pending: entries.filter(entry => entry.status === OUTBOX_STATUS.PENDING).length,
+  conflicts: entries.filter(entry => entry.status === OUTBOX_STATUS.CONFLICT).length,
+  failed: entries.filter(entry => entry.status === OUTBOX_STATUS.FAILED).length
+});
@@ -0,0 +1,73 @@
+import { createOutboxEntry, hasConflict, isNetworkError, applyOutbox, rollbackEntry, getRetryDelay, summarizeOutbox } from './outbox';
+
+const todo = { id: 't1', title: 'Write report', completed: false, updated_at: '2026-10-01T10:00:00.000Z' };
+
+test('records the version a change was made against', () => {
+  const entry = createOutboxEntry('update', todo, { changes: { completed: true } });
+  expect(entry).toMatchObject({ type: 'update', todoId: 't1', baseUpdatedAt: todo.updated_at, status: 'pending' });
+  expect(createOutboxEntry('insert', todo).baseUpdatedAt).toBeNull();
+});
+
+test('detects changes made on the server after the queued change', () => {
+  const entry = createOutboxEntry('update', todo);
+  expect(hasConflict(entry, { id: 't1', updated_at: '2026-10-01T10:00:00+00:00' })).toBe(false);
+  expect(hasConflict(entry, { id: 't1', updated_at: '2026-10-01T11:30:00+00:00' })).toBe(true);
+  expect(hasConflict({ ...entry, force: true }, { id: 't1', updated_at: '2026-10-01T11:30:00+00:00' })).toBe(false);
+  expect(hasConflict(createOutboxEntry('insert', todo), { id: 't1', updated_at: '2026-10-02T00:00:00Z' })).toBe(false);
+});
+
+test('recognises network failures', () => {
+  expect(isNetworkError(new TypeError('Failed to fetch'))).toBe(true);
+  expect(isNetworkError({ message: 'new row violates row-level security policy' })).toBe(false);
+});
+
+test('overlays pending changes on server todos', () => {
+  const server = [todo, { id: 't2', title: 'Old', updated_at: null }];
+  const entries = [
+    createOutboxEntry('insert', { id: 't3' }, { localTodo: { id: 't3', title: 'New' } }),
+    createOutboxEntry('update', todo, { changes: { completed: true } }),
+    createOutboxEntry('delete', server[1]),
+    { ...createOutboxEntry('update', todo, { changes: { title: 'Conflicted' } }), status: 'conflict' }
+  ];
+
+  const result = applyOutbox(server, entries);
+  expect(result.map(t => t.id)).toEqual(['t3', 't1']);
+  expect(result[0].pendingSync).toBe(true);
+  expect(result[1]).toMatchObject({ title: 'Write report', completed: true, pendingSync: true });
+});
+
+test('shows queued subtask changes and rolls back only the subtasks', () => {
+  const withSubtasks = { ...todo, subtasks: [{ id: 's1', title: 'Outline', completed: false, position: 0 }] };
+  const entry = createOutboxEntry('subtasks', withSubtasks, { updated: [{ id: 's1', changes: { completed: true } }] });
+
+  expect(hasConflict(entry, { id: 't1', updated_at: '2026-10-02T00:00:00Z' })).toBe(false);
+
+  const [shown] = applyOutbox([withSubtasks], [entry]);
+  expect(shown).toMatchObject({ pendingSync: true, subtasks: [{ id: 's1', completed: true }] });
+
+  const [rolledBack] = rollbackEntry([{ ...shown, title: 'Renamed' }], entry);
+  expect(rolledBack).toMatchObject({ title: 'Renamed', subtasks: [{ id: 's1', completed: false }] });
+});
+
+test('summarizes the outbox for the sync indicator', () => {
+  expect(summarizeOutbox([{ status: 'pending' }, { status: 'pending' }, { status: 'conflict' }]))
+    .toEqual({ pending: 2, conflicts: 1, failed: 0 });
+});
+
+test('rolls back a rejected change to the snapshot taken before it', () => {
+  const edited = { ...todo, title: 'Edited', pendingSync: true };
+  const update = createOutboxEntry('update', todo, { changes: { title: 'Edited' } });
+  expect(rollbackEntry([edited], update)).toEqual([todo]);
+
+  const insert = createOutboxEntry('insert', { id: 't3' }, { localTodo: { id: 't3' } });
+  expect(rollbackEntry([{ id: 't3' }, todo], insert)).toEqual([todo]);
+
+  const remove = createOutboxEntry('delete', todo, { todo });
+  expect(rollbackEntry([], remove)).toEqual([todo]);
+  expect(rollbackEntry([todo], remove)).toEqual([todo]);
+});
+
+test('backs off exponentially between retries', () => {
+  expect([0, 1, 2, 3].map(getRetryDelay)).toEqual([1000, 2000, 4000, 8000]);
+  expect(getRetryDelay(20)).toBe(60000);
+});
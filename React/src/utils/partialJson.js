@@ -0,0 +1,104 @@
+/**
+ * Partial JSON Utilities
+ * Reading a JSON object while it's still being streamed, e.g.
+ * '{"summary": "Book the fli' reads as { summary: 'Book the fli' }.
+ *
+ * The text is cut back to the last point where everything before it is
+ * complete (or inside a string value, which can show as far as it got) and
+ * the open strings, arrays and objects are closed. A key without its value
+ * yet, or a half-written number or literal, is left out until it completes.
+ */
+
+const CLOSERS = { '{': '}', '[': ']' };
+
+const closeAll = (stack) => stack.map(frame => CLOSERS[frame.type]).reverse().join('');
+
+/**
+ * Parse the JSON object at the start of a possibly incomplete text
+ * @param {string} text - Streamed text; anything before the first '{' (like a code fence) is skipped
+ * @returns {Object|null} What's been received so far, null before the object starts
+ */
+export const parsePartialJson = (text = '') => {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  const stack = [];
+  let cut = null; // { end, closers } of the last complete point
+  let i = start;
+
+  const markComplete = (end) => {
+    cut = { end, closers: closeAll(stack) };
+  };
+
+  // A value finished: the container now wants a comma (or its end)
+  const completeValue = (end) => {
+    const top = stack[stack.length - 1];
+    if (top) top.expect = 'comma';
+    markComplete(end);
+  };
+
+  while (i < text.length && (stack.length > 0 || i === start)) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (char === '{' || char === '[') {
+      stack.push({ type: char, expect: char === '{' ? 'key' : 'value' });
+      i += 1;
+      markComplete(i);
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+      i += 1;
+      completeValue(i);
+    } else if (char === ':') {
+      stack[stack.length - 1].expect = 'value';
+      i += 1;
+    } else if (char === ',') {
+      const top = stack[stack.length - 1];
+      top.expect = top.type === '{' ? 'key' : 'value';
+      i += 1;
+    } else if (char === '"') {
+      const top = stack[stack.length - 1];
+      const isKey = top?.type === '{' && top.expect === 'key';
+      let j = i + 1;
+      let lastSafe = j; // Never cut inside an escape sequence
+      while (j < text.length && text[j] !== '"') {
+        if (text[j] === '\\') {
+          const length = text[j + 1] === 'u' ? 6 : 2;
+          if (j + length > text.length) break;
+          j += length;
+        } else {
+          j += 1;
+        }
+        lastSafe = j;
+      }
+
+      if (j >= text.length || text[j] !== '"') {
+        // Cut off inside the string: show a value as far as it got
+        if (!isKey) cut = { end: lastSafe, closers: `"${closeAll(stack)}` };
+        break;
+      }
+
+      i = j + 1;
+      if (isKey) {
+        top.expect = 'colon';
+      } else {
+        completeValue(i);
+      }
+    } else {
+      // Number or literal: complete only once something follows it
+      const match = text.slice(i).match(/^[-+0-9.eEa-z]+/);
+      if (!match) return null;
+      i += match[0].length;
+      if (i >= text.length) break;
+      completeValue(i);
+    }
+  }
+
+  if (!cut) return null;
+  try {
+    return JSON.parse(text.slice(start, cut.end) + cut.closers);
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,48 @@
+import { parsePartialJson } from './partialJson';
+
+const full = JSON.stringify({
+  summary: 'Plan the "trip"',
+  steps: [{ step: 'Book flights', details: 'Compare prices', resources: [] }],
+  difficulty: 'easy',
+  done: true,
+  hours: 12
+});
+
+test('parses complete JSON, skipping a code fence', () => {
+  expect(parsePartialJson('```json\n' + full + '\n```')).toEqual(JSON.parse(full));
+});
+
+test('returns null before the object starts', () => {
+  expect(parsePartialJson('')).toBeNull();
+  expect(parsePartialJson('```json')).toBeNull();
+});
+
+test('shows a string value as far as it got', () => {
+  expect(parsePartialJson('{"summary": "Plan the')).toEqual({ summary: 'Plan the' });
+  expect(parsePartialJson('{"summary": "Plan the \\"tr')).toEqual({ summary: 'Plan the "tr' });
+  expect(parsePartialJson('{"summary": "Plan\\')).toEqual({ summary: 'Plan' });
+});
+
+test('leaves out keys whose value has not arrived', () => {
+  expect(parsePartialJson('{"summary": "Plan", "ste')).toEqual({ summary: 'Plan' });
+  expect(parsePartialJson('{"summary": "Plan", "steps":')).toEqual({ summary: 'Plan' });
+  expect(parsePartialJson('{"summary": "Plan", "hours": 1')).toEqual({ summary: 'Plan' });
+  expect(parsePartialJson('{"summary": "Plan", "done": tr')).toEqual({ summary: 'Plan' });
+});
+
+test('closes open arrays and objects', () => {
+  expect(parsePartialJson('{"summary": "Plan", "steps": [{"step": "Book flights"}, {"step": "Pack')).toEqual({
+    summary: 'Plan',
+    steps: [{ step: 'Book flights' }, { step: 'Pack' }]
+  });
+  expect(parsePartialJson('{"steps": [{"step": "Book", "resources": [')).toEqual({
+    steps: [{ step: 'Book', resources: [] }]
+  });
+});
+
+test('reads every prefix of a document without throwing', () => {
+  for (let i = 0; i <= full.length; i++) {
+    const value = parsePartialJson(full.slice(0, i));
+    if (i > 0) expect(value).toEqual(expect.any(Object));
+  }
+});
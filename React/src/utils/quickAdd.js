@@ -0,0 +1,255 @@
+/**
+ * Quick Add Parser
+ * Turns one line like "Pay rent tomorrow 9am #personal !high every month"
+ * into the fields of a new todo.
+ *
+ * Understood phrases, anywhere in the line:
+ * - Dates: today, tonight, tomorrow, weekdays ("friday", "next mon"),
+ *   "in 3 days", "next week", "Nov 3", "3rd November", "2026-11-03"
+ * - Times: 9am, 9:30pm, 14:00, noon, midnight
+ * - Category or tags: #name picks the category with that name, any other
+ *   #word becomes a tag
+ * - Priority: !high, !medium, !low (or !h, !m, !l)
+ * - Recurrence: "every day", "every 2 weeks", "every other month",
+ *   "every monday and thursday", "every weekday"
+ * Whatever is left is the title.
+ *
+ * Parsing is deterministic and local. Phrasing it can't place, such as
+ * "this weekend" or "end of month", is flagged `ambiguous` so the AI parser
+ * can be offered instead (see parseTaskText in services/openaiService).
+ *
+ * Due dates use the same convention as the rest of the app: the wall-clock
+ * date and time stored as a UTC timestamp (see calendar.js).
+ */
+
+import { normalizeTag } from './categories';
+import { getTodayKey } from './calendar';
+import { normalizeRecurrence } from './recurrence';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const WEEKDAY_PATTERN = '(sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)(?:day|nesday|sday|urday|rsday)?';
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+const PRIORITIES = { high: 'high', h: 'high', medium: 'medium', med: 'medium', m: 'medium', low: 'low', l: 'low' };
+
+// Words that suggest a date or time the parser doesn't understand
+const AMBIGUOUS_PATTERN = /\b(weekend|end of (the )?(day|week|month|year)|eod|eow|eom|morning|afternoon|evening|later|soon|someday|asap|couple|few|fortnight|next \w+day|at \d{1,2})\b/i;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const parseKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const toKey = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (key, days) => toKey(new Date(parseKey(key).getTime() + days * DAY_MS));
+
+const addMonths = (key, months) => {
+  const date = parseKey(key);
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return toKey(target);
+};
+
+const weekdayIndex = (word) => WEEKDAYS.findIndex(day => day.startsWith(word.toLowerCase().slice(0, 3)));
+
+const monthIndex = (word) => MONTHS.findIndex(month => month.startsWith(word.toLowerCase().slice(0, 3)));
+
+const toNumber = (word) => NUMBER_WORDS[word.toLowerCase()] || parseInt(word, 10);
+
+// The first day on or after `fromKey` that falls on `weekday`
+const nextWeekday = (fromKey, weekday, includeToday = true) => {
+  const offset = (weekday - parseKey(fromKey).getUTCDay() + 7) % 7;
+  return addDays(fromKey, offset === 0 && !includeToday ? 7 : offset);
+};
+
+/**
+ * Find and remove the first match of a pattern, returning what it captured
+ */
+const take = (state, pattern) => {
+  const match = state.text.match(pattern);
+  if (!match) return null;
+  state.text = `${state.text.slice(0, match.index)} ${state.text.slice(match.index + match[0].length)}`;
+  return match;
+};
+
+const parseRecurrence = (state, todayKey) => {
+  const weekdays = take(state, new RegExp(`\\bevery\\s+(${WEEKDAY_PATTERN}(?:\\s*(?:,|and|&)\\s*${WEEKDAY_PATTERN})*)\\b`, 'i'));
+  if (weekdays) {
+    const days = weekdays[1].split(/\s*(?:,|and|&)\s*/i).map(weekdayIndex).filter(day => day >= 0);
+    // The series starts on the first of those days
+    const firstDate = days.map(day => nextWeekday(todayKey, day)).sort()[0];
+    return { rule: { frequency: 'weekly', interval: 1, weekdays: days }, firstDate };
+  }
+
+  if (take(state, /\bevery\s+weekday\b/i)) {
+    return { rule: { frequency: 'weekly', interval: 1, weekdays: [1, 2, 3, 4, 5] } };
+  }
+
+  const interval = take(state, /\bevery\s+(?:(other)\s+|(\d+|two|three|four|five|six)\s+)?(day|week|month)s?\b/i);
+  if (interval) {
+    const frequency = { day: 'daily', week: 'weekly', month: 'monthly' }[interval[3].toLowerCase()];
+    return { rule: { frequency, interval: interval[1] ? 2 : interval[2] ? toNumber(interval[2]) : 1 } };
+  }
+
+  return null;
+};
+
+const parseTime = (state) => {
+  const twelveHour = take(state, /\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/i);
+  if (twelveHour) {
+    const hour = parseInt(twelveHour[1], 10) % 12 + (twelveHour[3].toLowerCase() === 'pm' ? 12 : 0);
+    const minute = parseInt(twelveHour[2] || '0', 10);
+    return hour < 24 && minute < 60 ? `${pad(hour)}:${pad(minute)}` : null;
+  }
+
+  const twentyFourHour = take(state, /\b(?:at\s+)?([01]?\d|2[0-3]):([0-5]\d)\b/);
+  if (twentyFourHour) return `${pad(twentyFourHour[1])}:${twentyFourHour[2]}`;
+
+  const named = take(state, /\b(?:at\s+)?(noon|midday|midnight)\b/i);
+  if (named) return named[1].toLowerCase() === 'midnight' ? '00:00' : '12:00';
+
+  return null;
+};
+
+const parseDate = (state, todayKey) => {
+  const connector = '(?:(?:on|by|due)\\s+)?';
+
+  const relative = take(state, new RegExp(`\\b${connector}(today|tonight|tomorrow|tmrw?|tmr)\\b`, 'i'));
+  if (relative) {
+    const word = relative[1].toLowerCase();
+    return {
+      key: word.startsWith('to') && word !== 'tomorrow' ? todayKey : addDays(todayKey, 1),
+      time: word === 'tonight' ? '20:00' : null
+    };
+  }
+
+  const iso = take(state, new RegExp(`\\b${connector}(\\d{4})-(\\d{2})-(\\d{2})\\b`, 'i'));
+  if (iso) return { key: `${iso[1]}-${iso[2]}-${iso[3]}` };
+
+  const inPeriod = take(state, /\bin\s+(\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten)\s+(day|week|month)s?\b/i);
+  if (inPeriod) {
+    const amount = toNumber(inPeriod[1]);
+    const unit = inPeriod[2].toLowerCase();
+    return { key: unit === 'month' ? addMonths(todayKey, amount) : addDays(todayKey, amount * (unit === 'week' ? 7 : 1)) };
+  }
+
+  const nextPeriod = take(state, /\bnext\s+(week|month)\b/i);
+  if (nextPeriod) {
+    return { key: nextPeriod[1].toLowerCase() === 'month' ? addMonths(todayKey, 1) : addDays(todayKey, 7) };
+  }
+
+  // Full weekday names anywhere, abbreviations only after on/next/this
+  const weekday = take(state, new RegExp(`\\b(?:(?:on|by|due|next|this)\\s+${WEEKDAY_PATTERN}|(${WEEKDAYS.join('|')}))\\b`, 'i'));
+  if (weekday) return { key: nextWeekday(todayKey, weekdayIndex(weekday[1] || weekday[2]), false) };
+
+  const monthFirst = take(state, new RegExp(`\\b${connector}${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'i'));
+  const dayFirst = !monthFirst && take(state, new RegExp(`\\b${connector}(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}\\b`, 'i'));
+  if (monthFirst || dayFirst) {
+    const month = monthIndex(monthFirst ? monthFirst[1] : dayFirst[2]);
+    const day = parseInt(monthFirst ? monthFirst[2] : dayFirst[1], 10);
+    const today = parseKey(todayKey);
+    let date = new Date(Date.UTC(today.getUTCFullYear(), month, day));
+    // Dates already past this year mean next year
+    if (toKey(date) < todayKey) date = new Date(Date.UTC(today.getUTCFullYear() + 1, month, day));
+    if (date.getUTCMonth() === month) return { key: toKey(date) };
+  }
+
+  return null;
+};
+
+/**
+ * Parse a quick-add line
+ * @param {string} input - What the user typed
+ * @param {Object} options - { categories, now }
+ * @returns {Object} { title, dueDate, hasTime, categoryId, category, tags, priority, recurrence, ambiguous }
+ */
+export const parseQuickAdd = (input = '', { categories = [], now = new Date() } = {}) => {
+  const state = { text: ` ${input} ` };
+  const todayKey = getTodayKey(now);
+
+  const recurrence = parseRecurrence(state, todayKey);
+
+  const priorityMatch = take(state, /(?:^|\s)!(high|medium|med|low|h|m|l)\b/i);
+  const priority = priorityMatch ? PRIORITIES[priorityMatch[1].toLowerCase()] : null;
+
+  let category = null;
+  const tags = [];
+  let hashtag;
+  while ((hashtag = take(state, /(?:^|\s)#([\p{L}\p{N}_-]+)/u))) {
+    const word = hashtag[1].toLowerCase();
+    const match = categories.find(c => c.name.toLowerCase().replace(/\s+/g, '') === word.replace(/[-_]/g, ''));
+    if (match && !category) {
+      category = match;
+    } else if (normalizeTag(word) && !tags.includes(normalizeTag(word))) {
+      tags.push(normalizeTag(word));
+    }
+  }
+
+  let time = parseTime(state);
+  const date = parseDate(state, todayKey);
+  time = time || date?.time || null;
+
+  let dayKey = date?.key || recurrence?.firstDate || null;
+  if (!dayKey && time) {
+    // A time alone means the next time the clock shows it
+    dayKey = time > `${pad(now.getHours())}:${pad(now.getMinutes())}` ? todayKey : addDays(todayKey, 1);
+  }
+
+  const title = state.text
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/\s+(on|at|by|due)$/i, '')
+    .replace(/^(on|at|by|due)\s+/i, '');
+
+  const dueDate = dayKey ? `${dayKey}T${time || '00:00'}:00.000Z` : null;
+
+  return {
+    title,
+    dueDate,
+    hasTime: !!time,
+    categoryId: category?.id || null,
+    category: category?.name || null,
+    tags,
+    priority,
+    // "Every month" repeats on the day it's first due
+    recurrence: normalizeRecurrence(recurrence?.rule, dueDate),
+    ambiguous: AMBIGUOUS_PATTERN.test(title)
+  };
+};
+
+/**
+ * Turn the AI parser's answer into the same shape as parseQuickAdd, keeping
+ * anything the AI left out from the local parse
+ * @param {Object} result - { title, date, time, category, priority, recurrence } from the AI
+ * @param {Object} fallback - The local parse of the same line
+ * @param {Array} categories - The user's categories
+ */
+export const fromAIParse = (result, fallback, categories = []) => {
+  const validDate = typeof result?.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(result.date);
+  const validTime = typeof result?.time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(result.time);
+  const category = typeof result?.category === 'string' &&
+    categories.find(c => c.name.toLowerCase() === result.category.toLowerCase());
+
+  const dueDate = validDate ? `${result.date}T${validTime ? result.time : '00:00'}:00.000Z` : fallback.dueDate;
+
+  return {
+    ...fallback,
+    title: typeof result?.title === 'string' && result.title.trim() ? result.title.trim() : fallback.title,
+    dueDate,
+    hasTime: validDate ? validTime : fallback.hasTime,
+    categoryId: category ? category.id : fallback.categoryId,
+    category: category ? category.name : fallback.category,
+    priority: PRIORITIES[result?.priority] || fallback.priority,
+    recurrence: normalizeRecurrence(result?.recurrence, dueDate) || fallback.recurrence,
+    ambiguous: false
+  };
+};
@@ -0,0 +1,98 @@
+import { parseQuickAdd, fromAIParse } from './quickAdd';
+
+// Monday 19 October 2026, noon
+const now = new Date(2026, 9, 19, 12, 0);
+const categories = [
+  { id: 'c1', name: 'Personal' },
+  { id: 'c2', name: 'Work' },
+  { id: 'c3', name: 'Side Project' }
+];
+
+const parse = (input) => parseQuickAdd(input, { categories, now });
+
+test('parses the example from the quick add placeholder', () => {
+  expect(parse('Pay rent tomorrow 9am #personal !high every month')).toEqual({
+    title: 'Pay rent',
+    dueDate: '2026-10-20T09:00:00.000Z',
+    hasTime: true,
+    categoryId: 'c1',
+    category: 'Personal',
+    tags: [],
+    priority: 'high',
+    recurrence: { frequency: 'monthly', interval: 1, endDate: null, count: null, monthDay: 20 },
+    ambiguous: false
+  });
+});
+
+test('leaves plain titles alone', () => {
+  const parsed = parse('Write the marketing plan');
+  expect(parsed.title).toBe('Write the marketing plan');
+  expect(parsed.dueDate).toBeNull();
+  expect(parsed.priority).toBeNull();
+  expect(parsed.recurrence).toBeNull();
+});
+
+test('parses relative and named dates', () => {
+  expect(parse('Call mum today').dueDate).toBe('2026-10-19T00:00:00.000Z');
+  expect(parse('Call mum tonight').dueDate).toBe('2026-10-19T20:00:00.000Z');
+  expect(parse('Review PR friday').dueDate).toBe('2026-10-23T00:00:00.000Z');
+  expect(parse('Standup on mon').dueDate).toBe('2026-10-26T00:00:00.000Z');
+  expect(parse('Renew passport in 2 weeks').dueDate).toBe('2026-11-02T00:00:00.000Z');
+  expect(parse('Plan trip next month').dueDate).toBe('2026-11-19T00:00:00.000Z');
+  expect(parse('Dentist Nov 3 at 14:30').dueDate).toBe('2026-11-03T14:30:00.000Z');
+  expect(parse('Taxes due 15th April').dueDate).toBe('2027-04-15T00:00:00.000Z');
+  expect(parse('Launch 2026-12-01').title).toBe('Launch');
+});
+
+test('puts a time without a date at its next occurrence', () => {
+  expect(parse('Lunch with Sam 1pm').dueDate).toBe('2026-10-19T13:00:00.000Z');
+  expect(parse('Gym 7am').dueDate).toBe('2026-10-20T07:00:00.000Z');
+});
+
+test('tells categories from tags', () => {
+  const parsed = parse('Fix build #work #urgent #SideProject');
+  expect(parsed.title).toBe('Fix build');
+  expect(parsed.categoryId).toBe('c2');
+  expect(parsed.tags).toEqual(['urgent', 'sideproject']);
+});
+
+test('parses recurrence phrases', () => {
+  expect(parse('Water plants every other day').recurrence).toMatchObject({ frequency: 'daily', interval: 2 });
+  expect(parse('Payroll every 2 weeks').recurrence).toMatchObject({ frequency: 'weekly', interval: 2 });
+  expect(parse('Standup every weekday 9:15am').recurrence).toMatchObject({ weekdays: [1, 2, 3, 4, 5] });
+
+  const gym = parse('Gym every tuesday and thursday !low');
+  expect(gym.title).toBe('Gym');
+  expect(gym.priority).toBe('low');
+  expect(gym.recurrence).toMatchObject({ frequency: 'weekly', weekdays: [2, 4] });
+  expect(gym.dueDate).toBe('2026-10-20T00:00:00.000Z');
+
+  // Monthly series keep the day they start on through shorter months
+  expect(parse('Invoice clients every month from Oct 31').recurrence).toMatchObject({ frequency: 'monthly', monthDay: 31 });
+  expect(fromAIParse({ date: '2026-10-31', recurrence: { frequency: 'monthly' } }, parse('Invoice clients'), categories).recurrence)
+    .toMatchObject({ frequency: 'monthly', monthDay: 31 });
+});
+
+test('flags phrasing it cannot place', () => {
+  expect(parse('Clean garage this weekend').ambiguous).toBe(true);
+  expect(parse('Call back at 5').ambiguous).toBe(true);
+  expect(parse('Call back at 5pm').ambiguous).toBe(false);
+});
+
+test('merges the AI parse over the local one', () => {
+  const local = parse('Clean garage this weekend #personal');
+  const merged = fromAIParse(
+    { title: 'Clean garage', date: '2026-10-24', time: null, category: 'Work', priority: 'bogus' },
+    local,
+    categories
+  );
+  expect(merged).toMatchObject({
+    title: 'Clean garage',
+    dueDate: '2026-10-24T00:00:00.000Z',
+    hasTime: false,
+    categoryId: 'c2',
+    priority: null,
+    ambiguous: false
+  });
+  expect(fromAIParse(null, local, categories).title).toBe(local.title);
+});
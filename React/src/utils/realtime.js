@@ -0,0 +1,135 @@
+/**
+ * Realtime Utilities
+ * Applies Supabase `postgres_changes` payloads for todos, shares and
+ * subtasks directly to the in-memory todo list, so a change to one row
+ * doesn't re-download every todo.
+ */
+
+import { sortSubtasks } from './subtasks';
+import { mapTodoFields, mapTodoRow } from './todoMapper';
+
+// Supabase realtime accepts at most 100 values in an `in` filter
+const MAX_FILTER_VALUES = 100;
+
+/**
+ * Build `in` filters for a realtime subscription, split into chunks the
+ * server accepts
+ * @param {string} column - Column to filter on
+ * @param {Array<string>} values - Values to match
+ * @returns {Array<string>} e.g. ['project_id=in.(a,b)']
+ */
+export const buildInFilters = (column, values) => {
+  const filters = [];
+  for (let i = 0; i < values.length; i += MAX_FILTER_VALUES) {
+    filters.push(`${column}=in.(${values.slice(i, i + MAX_FILTER_VALUES).join(',')})`);
+  }
+  return filters;
+};
+
+/**
+ * Apply an INSERT or UPDATE of a `todos` row
+ */
+const upsertTodoRow = (todos, row, { userId, projectAccess }) => {
+  const fields = mapTodoFields(row);
+
+  if (todos.some(todo => todo.id === row.id)) {
+    return todos.flatMap(todo => {
+      if (todo.id !== row.id) return [todo];
+      // Local changes waiting to sync win; the echo of the synced change catches up
+      if (todo.pendingSync) return [todo];
+      // Moved out of every project the user can see
+      if (todo.isProjectShared && !projectAccess[row.project_id]) return [];
+
+      return [{
+        ...todo,
+        ...fields,
+        // Realtime rows don't embed the category, resolve it again if it changed
+        categoryDetails: todo.category_id === row.category_id ? todo.categoryDetails : null,
+        ...(todo.isProjectShared && { permission: projectAccess[row.project_id] })
+      }];
+    });
+  }
+
+  if (row.user_id === userId) {
+    return [mapTodoRow(row), ...todos];
+  }
+
+  if (projectAccess[row.project_id]) {
+    return [mapTodoRow(row, { projectPermission: projectAccess[row.project_id] }), ...todos];
+  }
+
+  return todos;
+};
+
+/**
+ * Apply a change to the `todos` table
+ */
+const applyTodoChange = (todos, change, context) => {
+  if (change.eventType === 'DELETE') {
+    return todos.filter(todo => todo.id !== change.old.id);
+  }
+  return upsertTodoRow(todos, change.new, context);
+};
+
+/**
+ * Apply a change to the `shared_todos` table. INSERT payloads need the
+ * newly shared todo attached as `todo`.
+ */
+const applySharedTodoChange = (todos, change) => {
+  const share = change.new;
+
+  switch (change.eventType) {
+    case 'INSERT': {
+      if (!change.todo) return todos;
+      return [change.todo, ...todos.filter(todo => todo.id !== change.todo.id)];
+    }
+    case 'UPDATE':
+      return todos.map(todo => (
+        todo.sharedId === share.id ? { ...todo, permission: share.permission } : todo
+      ));
+    case 'DELETE':
+      return todos.filter(todo => todo.sharedId !== change.old.id);
+    default:
+      return todos;
+  }
+};
+
+/**
+ * Apply a change to the `subtasks` table
+ */
+const applySubtaskChange = (todos, change) => {
+  if (change.eventType === 'DELETE') {
+    return todos.map(todo => (
+      todo.subtasks?.some(subtask => subtask.id === change.old.id)
+        ? { ...todo, subtasks: todo.subtasks.filter(subtask => subtask.id !== change.old.id) }
+        : todo
+    ));
+  }
+
+  const subtask = change.new;
+  return todos.map(todo => {
+    if (todo.id !== subtask.todo_id) return todo;
+    const others = (todo.subtasks || []).filter(s => s.id !== subtask.id);
+    return { ...todo, subtasks: sortSubtasks([...others, subtask]) };
+  });
+};
+
+/**
+ * Apply a realtime payload to the todo list
+ * @param {Array} todos - Current todos
+ * @param {Object} change - Supabase payload ({ table, eventType, new, old }), plus the mapped `todo` for share inserts
+ * @param {Object} context - { userId, projectAccess: { projectId: permission } }
+ * @returns {Array} The updated todos
+ */
+export const applyRealtimeChange = (todos, change, context) => {
+  switch (change.table) {
+    case 'todos':
+      return applyTodoChange(todos, change, context);
+    case 'shared_todos':
+      return applySharedTodoChange(todos, change);
+    case 'subtasks':
+      return applySubtaskChange(todos, change);
+    default:
+      return todos;
+  }
+};
@@ -0,0 +1,66 @@
+import { applyRealtimeChange, buildInFilters } from './realtime';
+import { mapTodoRow } from './todoMapper';
+
+const context = { userId: 'me', projectAccess: { p1: 'view' } };
+const row = (overrides) => ({ id: 't1', title: 'Task', completed: false, user_id: 'me', project_id: null, updated_at: '2026-10-01T10:00:00Z', ...overrides });
+
+test('adds, updates and removes owned todos', () => {
+  let todos = applyRealtimeChange([], { table: 'todos', eventType: 'INSERT', new: row() }, context);
+  expect(todos).toMatchObject([{ id: 't1', isOwner: true, subtasks: [] }]);
+
+  todos = applyRealtimeChange(todos, { table: 'todos', eventType: 'UPDATE', new: row({ completed: true }) }, context);
+  expect(todos[0].completed).toBe(true);
+
+  todos = applyRealtimeChange(todos, { table: 'todos', eventType: 'DELETE', old: { id: 't1' } }, context);
+  expect(todos).toEqual([]);
+});
+
+test('keeps local changes that are waiting to sync', () => {
+  const todos = [{ id: 't1', title: 'Mine', pendingSync: true }];
+  const result = applyRealtimeChange(todos, { table: 'todos', eventType: 'UPDATE', new: row({ title: 'Theirs' }) }, context);
+  expect(result[0].title).toBe('Mine');
+});
+
+test('tracks todos in shared projects', () => {
+  let todos = applyRealtimeChange([], { table: 'todos', eventType: 'INSERT', new: row({ user_id: 'other', project_id: 'p1' }) }, context);
+  expect(todos[0]).toMatchObject({ isShared: true, isProjectShared: true, permission: 'view' });
+
+  todos = applyRealtimeChange(todos, { table: 'todos', eventType: 'UPDATE', new: row({ user_id: 'other', project_id: 'p2' }) }, context);
+  expect(todos).toEqual([]);
+
+  expect(applyRealtimeChange([], { table: 'todos', eventType: 'INSERT', new: row({ user_id: 'other' }) }, context)).toEqual([]);
+});
+
+test('applies share inserts, permission changes and removals', () => {
+  const share = { id: 's1', todo_id: 't1', owner_email: 'a@x.com', original_owner: 'a@x.com', permission: 'view' };
+  let todos = applyRealtimeChange([], {
+    table: 'shared_todos',
+    eventType: 'INSERT',
+    new: share,
+    todo: mapTodoRow(row({ user_id: 'other' }), { share })
+  }, context);
+  expect(todos[0]).toMatchObject({ id: 't1', sharedId: 's1', isShared: true, permission: 'view' });
+
+  todos = applyRealtimeChange(todos, { table: 'shared_todos', eventType: 'UPDATE', new: { ...share, permission: 'edit' } }, context);
+  expect(todos[0].permission).toBe('edit');
+
+  todos = applyRealtimeChange(todos, { table: 'shared_todos', eventType: 'DELETE', old: { id: 's1' } }, context);
+  expect(todos).toEqual([]);
+});
+
+test('patches subtasks in place', () => {
+  let todos = [{ id: 't1', subtasks: [{ id: 'a', todo_id: 't1', position: 0 }] }];
+  todos = applyRealtimeChange(todos, { table: 'subtasks', eventType: 'INSERT', new: { id: 'b', todo_id: 't1', position: 1 } }, context);
+  expect(todos[0].subtasks.map(s => s.id)).toEqual(['a', 'b']);
+
+  todos = applyRealtimeChange(todos, { table: 'subtasks', eventType: 'DELETE', old: { id: 'a' } }, context);
+  expect(todos[0].subtasks.map(s => s.id)).toEqual(['b']);
+});
+
+test('splits large filters into chunks', () => {
+  const ids = Array.from({ length: 150 }, (_, i) => `id${i}`);
+  const filters = buildInFilters('id', ids);
+  expect(filters).toHaveLength(2);
+  expect(filters[0].startsWith('id=in.(id0,id1,')).toBe(true);
+  expect(buildInFilters('id', [])).toEqual([]);
+});
@@ -0,0 +1,188 @@
+/**
+ * Recurrence Utilities
+ * RRULE-style recurrence rules for repeating todos.
+ *
+ * A rule is a plain object stored in `todos.recurrence`:
+ * {
+ *   frequency: 'daily' | 'weekly' | 'monthly',
+ *   interval: 1,          // every N days/weeks/months
+ *   weekdays: [1, 3],     // weekly only, 0 = Sunday
+ *   monthDay: 15,         // monthly only, clamped to the month's length
+ *   endDate: '2025-12-31' // optional, last allowed occurrence date
+ *   count: 10             // optional, total number of occurrences
+ * }
+ *
+ * Due dates are stored as UTC timestamps, so all calendar arithmetic
+ * here uses UTC getters to keep the stored time of day stable.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Fill in defaults and drop fields that do not apply to the frequency
+ *
+ * Monthly rules without a day are pinned to the day of `startDate`, so a
+ * series starting on the 31st doesn't drift to the 28th after February.
+ * @param {Object|null} rule - A possibly partial recurrence rule
+ * @param {Date|string|null} startDate - Due date of the first occurrence
+ * @returns {Object|null} A normalized rule, or null for "does not repeat"
+ */
+export const normalizeRecurrence = (rule, startDate = null) => {
+  if (!rule || !RECURRENCE_FREQUENCIES.includes(rule.frequency)) return null;
+
+  const normalized = {
+    frequency: rule.frequency,
+    interval: Math.max(1, parseInt(rule.interval, 10) || 1),
+    endDate: rule.endDate || null,
+    count: rule.count ? Math.max(1, parseInt(rule.count, 10)) : null
+  };
+
+  if (rule.frequency === 'weekly') {
+    normalized.weekdays = [...new Set(rule.weekdays || [])]
+      .filter(day => day >= 0 && day <= 6)
+      .sort((a, b) => a - b);
+  }
+
+  if (rule.frequency === 'monthly' && rule.monthDay) {
+    normalized.monthDay = Math.min(31, Math.max(1, parseInt(rule.monthDay, 10)));
+  } else if (rule.frequency === 'monthly' && startDate) {
+    normalized.monthDay = new Date(startDate).getUTCDate();
+  }
+
+  return normalized;
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Compute the date of the occurrence that follows `fromDate`
+ * @param {Object} rule - Recurrence rule
+ * @param {Date|string} fromDate - Due date of the current occurrence
+ * @param {number} occurrenceIndex - Zero-based index of the current occurrence
+ * @returns {Date|null} The next due date, or null when the series has ended
+ */
+export const getNextOccurrence = (rule, fromDate, occurrenceIndex = 0) => {
+  const normalized = normalizeRecurrence(rule);
+  if (!normalized || !fromDate) return null;
+
+  if (normalized.count && occurrenceIndex + 1 >= normalized.count) return null;
+
+  const from = new Date(fromDate);
+  let next;
+
+  if (normalized.frequency === 'daily') {
+    next = addDays(from, normalized.interval);
+  } else if (normalized.frequency === 'weekly') {
+    const weekdays = normalized.weekdays.length ? normalized.weekdays : [from.getUTCDay()];
+    const startOffset = from.getUTCDay();
+
+    // Walk forward day by day, only accepting days in every `interval`-th week
+    for (let offset = 1; offset <= 7 * normalized.interval + 7; offset++) {
+      const candidate = addDays(from, offset);
+      const weekIndex = Math.floor((startOffset + offset) / 7);
+      if (weekIndex % normalized.interval === 0 && weekdays.includes(candidate.getUTCDay())) {
+        next = candidate;
+        break;
+      }
+    }
+  } else {
+    const targetDay = normalized.monthDay || from.getUTCDate();
+    const monthIndex = from.getUTCMonth() + normalized.interval;
+    const year = from.getUTCFullYear() + Math.floor(monthIndex / 12);
+    const month = monthIndex % 12;
+
+    next = new Date(Date.UTC(
+      year,
+      month,
+      Math.min(targetDay, daysInMonth(year, month)),
+      from.getUTCHours(),
+      from.getUTCMinutes()
+    ));
+  }
+
+  if (!next) return null;
+
+  if (normalized.endDate) {
+    const end = new Date(normalized.endDate);
+    end.setUTCHours(23, 59, 59, 999);
+    if (next > end) return null;
+  }
+
+  return next;
+};
+
+/**
+ * Describe a rule in plain English, e.g. "Every 2 weeks on Mon, Wed"
+ * @param {Object|null} rule - Recurrence rule
+ * @returns {string} A human readable description
+ */
+export const describeRecurrence = (rule) => {
+  const normalized = normalizeRecurrence(rule);
+  if (!normalized) return 'Does not repeat';
+
+  const units = { daily: 'day', weekly: 'week', monthly: 'month' };
+  const unit = units[normalized.frequency];
+  let description = normalized.interval === 1
+    ? `Every ${unit}`
+    : `Every ${normalized.interval} ${unit}s`;
+
+  if (normalized.frequency === 'weekly' && normalized.weekdays.length) {
+    description += ` on ${normalized.weekdays.map(day => WEEKDAY_LABELS[day]).join(', ')}`;
+  }
+
+  if (normalized.frequency === 'monthly' && normalized.monthDay) {
+    description += ` on day ${normalized.monthDay}`;
+  }
+
+  if (normalized.count) {
+    description += `, ${normalized.count} times`;
+  } else if (normalized.endDate) {
+    description += `, until ${new Date(normalized.endDate).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      timeZone: 'UTC'
+    })}`;
+  }
+
+  return description;
+};
+
+/**
+ * Fields that can be changed for a single occurrence without affecting the series
+ */
+export const OVERRIDABLE_FIELDS = ['title', 'description', 'category', 'category_id', 'priority', 'due_date'];
+
+const normalizeFieldValue = (field, value) => {
+  if (field === 'due_date') return value ? new Date(value).toISOString() : null;
+  return value || null;
+};
+
+/**
+ * Record the series values of fields edited for "this occurrence" only
+ *
+ * The first time a field is overridden its series value is kept, so the next
+ * occurrence is generated from the series rather than from the one-off edit.
+ *
+ * @param {Object} todo - The occurrence before editing
+ * @param {Object} updates - The edited fields
+ * @returns {Object|null} The overrides to store, or null when there are none
+ */
+export const getOccurrenceOverrides = (todo, updates) => {
+  const overrides = { ...(todo.occurrence_overrides || {}) };
+
+  OVERRIDABLE_FIELDS.forEach(field => {
+    if (!(field in updates) || field in overrides) return;
+    if (normalizeFieldValue(field, todo[field]) !== normalizeFieldValue(field, updates[field])) {
+      overrides[field] = todo[field] ?? null;
+    }
+  });
+
+  return Object.keys(overrides).length > 0 ? overrides : null;
+};
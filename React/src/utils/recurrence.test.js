@@ -0,0 +1,61 @@
+import { normalizeRecurrence, getNextOccurrence, describeRecurrence, getOccurrenceOverrides } from './recurrence';
+
+const iso = (date) => date && date.toISOString().slice(0, 10);
+
+test('normalizes rules and treats unknown frequencies as non-repeating', () => {
+  expect(normalizeRecurrence(null)).toBeNull();
+  expect(normalizeRecurrence({ frequency: 'yearly' })).toBeNull();
+  expect(normalizeRecurrence({ frequency: 'weekly', interval: '0', weekdays: [3, 1, 3, 9] }))
+    .toEqual({ frequency: 'weekly', interval: 1, weekdays: [1, 3], endDate: null, count: null });
+});
+
+test('computes every-N-days occurrences', () => {
+  expect(iso(getNextOccurrence({ frequency: 'daily', interval: 3 }, '2024-01-30T00:00:00Z'))).toBe('2024-02-02');
+});
+
+test('computes weekly occurrences on given weekdays', () => {
+  const rule = { frequency: 'weekly', weekdays: [1, 3] };
+  // Wednesday -> next Monday
+  expect(iso(getNextOccurrence(rule, '2024-05-01T00:00:00Z'))).toBe('2024-05-06');
+  // Monday -> Wednesday of the same week
+  expect(iso(getNextOccurrence(rule, '2024-05-06T00:00:00Z'))).toBe('2024-05-08');
+  // Every other week skips the following week
+  expect(iso(getNextOccurrence({ ...rule, interval: 2 }, '2024-05-01T00:00:00Z'))).toBe('2024-05-13');
+});
+
+test('computes monthly occurrences and clamps to the month length', () => {
+  const rule = { frequency: 'monthly', monthDay: 31 };
+  expect(iso(getNextOccurrence(rule, '2024-01-31T00:00:00Z'))).toBe('2024-02-29');
+  expect(iso(getNextOccurrence(rule, '2024-02-29T00:00:00Z'))).toBe('2024-03-31');
+  expect(iso(getNextOccurrence({ frequency: 'monthly', monthDay: 5 }, '2024-12-05T00:00:00Z'))).toBe('2025-01-05');
+});
+
+test('pins monthly rules without a day to the first due date', () => {
+  const rule = normalizeRecurrence({ frequency: 'monthly' }, '2025-01-31T09:00:00Z');
+  expect(rule.monthDay).toBe(31);
+  expect(normalizeRecurrence({ frequency: 'monthly', monthDay: 5 }, '2025-01-31T09:00:00Z').monthDay).toBe(5);
+
+  const february = getNextOccurrence(rule, '2025-01-31T09:00:00Z');
+  expect(iso(february)).toBe('2025-02-28');
+  expect(iso(getNextOccurrence(rule, february))).toBe('2025-03-31');
+});
+
+test('stops after the end date or occurrence count', () => {
+  expect(getNextOccurrence({ frequency: 'daily', endDate: '2024-01-01' }, '2024-01-01T00:00:00Z')).toBeNull();
+  expect(getNextOccurrence({ frequency: 'daily', count: 3 }, '2024-01-01T00:00:00Z', 1)).not.toBeNull();
+  expect(getNextOccurrence({ frequency: 'daily', count: 3 }, '2024-01-01T00:00:00Z', 2)).toBeNull();
+});
+
+test('describes rules in plain English', () => {
+  expect(describeRecurrence(null)).toBe('Does not repeat');
+  expect(describeRecurrence({ frequency: 'weekly', interval: 2, weekdays: [1, 5] })).toBe('Every 2 weeks on Mon, Fri');
+  expect(describeRecurrence({ frequency: 'monthly', monthDay: 1, count: 12 })).toBe('Every month on day 1, 12 times');
+});
+
+test('keeps the series value of fields edited for a single occurrence', () => {
+  const todo = { title: 'Pay rent', priority: 'high', due_date: '2024-05-01T00:00:00.000Z', occurrence_overrides: null };
+  expect(getOccurrenceOverrides(todo, { title: 'Pay rent', due_date: '2024-05-01' })).toBeNull();
+  expect(getOccurrenceOverrides(todo, { title: 'Pay rent late', priority: 'high' })).toEqual({ title: 'Pay rent' });
+  expect(getOccurrenceOverrides({ ...todo, title: 'Pay rent late', occurrence_overrides: { title: 'Pay rent' } }, { title: 'Pay rent very late' }))
+    .toEqual({ title: 'Pay rent' });
+});
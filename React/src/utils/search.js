@@ -0,0 +1,66 @@
+/**
+ * Search Utilities
+ * Matching todos against a search box query and splitting text into
+ * highlighted parts.
+ *
+ * Matching here is instant and works offline. While online, App also asks
+ * the server, whose full-text index (todos.search_vector) finds word forms
+ * a plain substring match misses, e.g. "running" for "run".
+ */
+
+import { resolveCategory } from './categories';
+
+/**
+ * Split a query into lowercase search terms
+ * @param {string} query - What the user typed
+ * @returns {Array<string>} Distinct terms, longest first so highlights prefer whole words
+ */
+export const parseSearchQuery = (query = '') =>
+  [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))].sort((a, b) => b.length - a.length);
+
+/**
+ * Collect the searchable text of a todo: title, description, category and
+ * the AI summary and steps
+ * @param {Object} todo - The todo
+ * @param {Array} categories - The current user's categories
+ * @returns {Array<string>}
+ */
+export const getSearchableText = (todo, categories = []) => [
+  todo.title,
+  todo.description,
+  resolveCategory(todo, categories)?.name,
+  todo.aiContent?.summary,
+  ...(Array.isArray(todo.aiContent?.steps)
+    ? todo.aiContent.steps.flatMap(step => [step?.step, step?.details])
+    : [])
+].filter(text => typeof text === 'string' && text);
+
+/**
+ * Check whether a todo contains every search term
+ * @param {Object} todo - The todo
+ * @param {Array<string>} terms - Terms from parseSearchQuery
+ * @param {Array} categories - The current user's categories
+ */
+export const matchesSearch = (todo, terms, categories = []) => {
+  if (terms.length === 0) return true;
+  const text = getSearchableText(todo, categories).join('\n').toLowerCase();
+  return terms.every(term => text.includes(term));
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split text into parts that do and don't match the search terms
+ * @param {string} text - Text to highlight
+ * @param {Array<string>} terms - Terms from parseSearchQuery
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+export const splitHighlights = (text, terms) => {
+  if (!text || terms.length === 0) return text ? [{ text, match: false }] : [];
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return text
+    .split(pattern)
+    .filter(Boolean)
+    .map(part => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+};
@@ -0,0 +1,41 @@
+import { parseSearchQuery, matchesSearch, splitHighlights } from './search';
+
+const categories = [{ id: 'c1', name: 'Work', color: '#8B5CF6' }];
+
+const todo = {
+  title: 'Quarterly report',
+  description: 'Numbers for the board',
+  category_id: 'c1',
+  aiContent: {
+    summary: 'Gather the sales figures',
+    steps: [{ step: 'Export the spreadsheet', details: 'From the finance drive' }]
+  }
+};
+
+test('parses distinct lowercase terms, longest first', () => {
+  expect(parseSearchQuery('  Report  the REPORT q ')).toEqual(['report', 'the', 'q']);
+  expect(parseSearchQuery('')).toEqual([]);
+});
+
+test('matches title, description, category and AI content', () => {
+  expect(matchesSearch(todo, parseSearchQuery('quarterly'), categories)).toBe(true);
+  expect(matchesSearch(todo, parseSearchQuery('board'), categories)).toBe(true);
+  expect(matchesSearch(todo, parseSearchQuery('work'), categories)).toBe(true);
+  expect(matchesSearch(todo, parseSearchQuery('sales'), categories)).toBe(true);
+  expect(matchesSearch(todo, parseSearchQuery('finance spreadsheet'), categories)).toBe(true);
+  expect(matchesSearch(todo, parseSearchQuery('report holiday'), categories)).toBe(false);
+  expect(matchesSearch({ title: 'Plain', aiContent: { steps: 'not a list' } }, parseSearchQuery('plain'))).toBe(true);
+  expect(matchesSearch(todo, [], categories)).toBe(true);
+});
+
+test('splits text into highlighted parts', () => {
+  expect(splitHighlights('Quarterly report (draft)', parseSearchQuery('REPORT (draft'))).toEqual([
+    { text: 'Quarterly ', match: false },
+    { text: 'report', match: true },
+    { text: ' ', match: false },
+    { text: '(draft', match: true },
+    { text: ')', match: false }
+  ]);
+  expect(splitHighlights('Nothing here', [])).toEqual([{ text: 'Nothing here', match: false }]);
+  expect(splitHighlights('', ['x'])).toEqual([]);
+});
@@ -0,0 +1,122 @@
+/**
+ * Workflow Status Utilities
+ * User-defined, ordered workflow statuses ("To do" → "In progress" → … → "Done").
+ *
+ * A todo stores its status as a key in `todos.status` and every status it
+ * has been in, with when it entered it, in `todos.status_history`. The
+ * `completed` boolean is kept alongside: it is true exactly when the status
+ * is one marked `is_done`, so older clients and the recently deleted copy
+ * keep working. Todos an older client completed or reopened fall back to
+ * the first done or not-done status.
+ */
+
+// Seeded for every user that has no statuses yet. The database trigger for
+// older clients moves todos between the 'todo' and 'done' keys.
+export const DEFAULT_STATUSES = [
+  { key: 'todo', name: 'To do', color: '#6B7280', is_done: false },
+  { key: 'in_progress', name: 'In progress', color: '#3B82F6', is_done: false },
+  { key: 'blocked', name: 'Blocked', color: '#DC2626', is_done: false },
+  { key: 'in_review', name: 'In review', color: '#8B5CF6', is_done: false },
+  { key: 'done', name: 'Done', color: '#10B981', is_done: true }
+];
+
+const FALLBACK_COLOR = '#6B7280';
+
+const humanize = (key) => {
+  const words = key.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Make a key for a new status from its name, unique among the user's statuses
+ * @param {string} name - The status name
+ * @param {Array} statuses - The user's statuses
+ * @returns {string} e.g. 'waiting_on_client'
+ */
+export const createStatusKey = (name, statuses = []) => {
+  const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'status';
+  const taken = new Set(statuses.map(status => status.key));
+  let key = base;
+  for (let i = 2; taken.has(key); i += 1) key = `${base}_${i}`;
+  return key;
+};
+
+/**
+ * Check whether a status counts as completed
+ */
+export const isDoneStatus = (key, statuses = []) =>
+  !!statuses.find(status => status.key === key)?.is_done;
+
+/**
+ * Resolve the status to display for a todo
+ *
+ * Statuses belong to the todo's owner, so a shared todo may carry a key the
+ * user doesn't have; it is shown with a name made from the key.
+ *
+ * @param {Object} todo - The todo
+ * @param {Array} statuses - The current user's statuses, in workflow order
+ * @returns {{ key: string, name: string, color: string, is_done: boolean }}
+ */
+export const resolveStatus = (todo, statuses = []) => {
+  const completed = !!todo.completed;
+  const match = todo.status && statuses.find(status => status.key === todo.status);
+
+  if (match && match.is_done === completed) return match;
+  if (todo.status && !match) {
+    return { key: todo.status, name: humanize(todo.status), color: FALLBACK_COLOR, is_done: completed };
+  }
+
+  // Older todos have no status, and older clients only flip `completed`
+  return statuses.find(status => status.is_done === completed) ||
+    { ...DEFAULT_STATUSES.find(status => status.is_done === completed) };
+};
+
+/**
+ * Check whether a todo is in the selected status filter
+ * @param {Object} todo - The todo
+ * @param {string} statusKey - Selected status key or 'all'
+ * @param {Array} statuses - The current user's statuses
+ */
+export const matchesStatus = (todo, statusKey, statuses = []) =>
+  statusKey === 'all' || resolveStatus(todo, statuses).key === statusKey;
+
+/**
+ * Build the changes that move a todo into a status
+ * @param {Object} todo - The todo
+ * @param {string} statusKey - The status to move to
+ * @param {Array} statuses - The current user's statuses
+ * @param {string} now - ISO time the status is entered
+ * @returns {Object} { status, status_history, completed }
+ */
+export const getStatusChanges = (todo, statusKey, statuses = [], now = new Date().toISOString()) => ({
+  status: statusKey,
+  status_history: [...(todo.status_history || []), { status: statusKey, entered_at: now }],
+  completed: isDoneStatus(statusKey, statuses)
+});
+
+/**
+ * Get the status a todo's checkbox moves it to: the first done status when
+ * completing, and back to the last status it was working in when reopening
+ * @param {Object} todo - The todo
+ * @param {Array} statuses - The current user's statuses
+ * @returns {string} The status key
+ */
+export const getToggleStatus = (todo, statuses = []) => {
+  const target = !todo.completed;
+  if (!target) {
+    const previous = [...(todo.status_history || [])].reverse()
+      .find(entry => statuses.some(status => status.key === entry.status && !status.is_done));
+    if (previous) return previous.status;
+  }
+  return resolveStatus({ completed: target }, statuses).key;
+};
+
+/**
+ * Get when a todo entered its current status
+ * @returns {string|null} ISO time, null if it was never recorded
+ */
+export const getStatusEnteredAt = (todo, statuses = []) => {
+  const key = resolveStatus(todo, statuses).key;
+  const entry = [...(todo.status_history || [])].reverse().find(e => e.status === key);
+  return entry ? entry.entered_at : null;
+};
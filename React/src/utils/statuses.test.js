@@ -0,0 +1,61 @@
+import {
+  DEFAULT_STATUSES,
+  createStatusKey,
+  resolveStatus,
+  matchesStatus,
+  getStatusChanges,
+  getToggleStatus,
+  getStatusEnteredAt
+} from './statuses';
+
+const statuses = DEFAULT_STATUSES;
+
+test('resolves a todo status, falling back to completed for older todos', () => {
+  expect(resolveStatus({ status: 'blocked', completed: false }, statuses).name).toBe('Blocked');
+  expect(resolveStatus({ completed: true }, statuses).key).toBe('done');
+  expect(resolveStatus({ completed: false }, []).key).toBe('todo');
+  // An older client completed a todo that was in progress
+  expect(resolveStatus({ status: 'in_progress', completed: true }, statuses).key).toBe('done');
+  // Someone else's status on a shared todo
+  expect(resolveStatus({ status: 'waiting_on_client', completed: false }, statuses)).toMatchObject({
+    key: 'waiting_on_client',
+    name: 'Waiting on client',
+    is_done: false
+  });
+});
+
+test('filters by status', () => {
+  expect(matchesStatus({ status: 'in_review' }, 'in_review', statuses)).toBe(true);
+  expect(matchesStatus({ completed: false }, 'todo', statuses)).toBe(true);
+  expect(matchesStatus({ completed: true }, 'todo', statuses)).toBe(false);
+  expect(matchesStatus({ completed: true }, 'all', statuses)).toBe(true);
+});
+
+test('records when each status is entered and keeps completed in step', () => {
+  const todo = { status: 'todo', status_history: [{ status: 'todo', entered_at: '2026-10-01T09:00:00.000Z' }] };
+  const changes = getStatusChanges(todo, 'done', statuses, '2026-10-02T09:00:00.000Z');
+
+  expect(changes).toEqual({
+    status: 'done',
+    completed: true,
+    status_history: [
+      { status: 'todo', entered_at: '2026-10-01T09:00:00.000Z' },
+      { status: 'done', entered_at: '2026-10-02T09:00:00.000Z' }
+    ]
+  });
+  expect(getStatusEnteredAt({ ...todo, ...changes }, statuses)).toBe('2026-10-02T09:00:00.000Z');
+  expect(getStatusEnteredAt({ completed: false }, statuses)).toBeNull();
+});
+
+test('the checkbox completes and reopens to the last working status', () => {
+  const history = [{ status: 'todo' }, { status: 'in_review' }, { status: 'done' }];
+  expect(getToggleStatus({ status: 'in_review', completed: false }, statuses)).toBe('done');
+  expect(getToggleStatus({ status: 'done', completed: true, status_history: history }, statuses)).toBe('in_review');
+  expect(getToggleStatus({ completed: true }, statuses)).toBe('todo');
+});
+
+test('makes unique keys for new statuses', () => {
+  expect(createStatusKey('Waiting on client', statuses)).toBe('waiting_on_client');
+  expect(createStatusKey('In progress', statuses)).toBe('in_progress_2');
+  expect(createStatusKey('!!!', statuses)).toBe('status');
+});
@@ -0,0 +1,87 @@
+/**
+ * Subtask Utilities
+ * Pure helpers for ordering subtasks, computing progress,
+ * turning AI-generated steps into subtask drafts and applying the
+ * subtask changes queued for sync.
+ */
+
+/**
+ * Sort subtasks by their stored position
+ * @param {Array} subtasks - Subtask rows
+ * @returns {Array} A new, sorted array
+ */
+export const sortSubtasks = (subtasks = []) =>
+  [...(subtasks || [])].sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+
+/**
+ * Compute completion progress for a list of subtasks
+ * @param {Array} subtasks - Subtask rows
+ * @returns {{ total: number, completed: number, percent: number }}
+ */
+export const getSubtaskProgress = (subtasks = []) => {
+  const total = subtasks?.length || 0;
+  const completed = total ? subtasks.filter(subtask => subtask.completed).length : 0;
+
+  return {
+    total,
+    completed,
+    percent: total === 0 ? 0 : Math.round((completed / total) * 100)
+  };
+};
+
+/**
+ * Move a subtask to a new index and renumber every position
+ * @param {Array} subtasks - Subtasks in display order
+ * @param {number} fromIndex - Current index of the subtask
+ * @param {number} toIndex - Target index of the subtask
+ * @returns {Array} A new array with positions 0..n-1
+ */
+export const moveSubtask = (subtasks, fromIndex, toIndex) => {
+  if (toIndex < 0 || toIndex >= subtasks.length || fromIndex === toIndex) {
+    return subtasks;
+  }
+
+  const reordered = [...subtasks];
+  const [moved] = reordered.splice(fromIndex, 1);
+  reordered.splice(toIndex, 0, moved);
+
+  return reordered.map((subtask, index) => ({ ...subtask, position: index }));
+};
+
+/**
+ * Convert AI-generated steps into subtask drafts
+ * @param {Array} steps - The `steps` array from an AI response
+ * @param {number} startPosition - Position of the first created subtask
+ * @returns {Array} Drafts with title, completed and position
+ */
+export const stepsToSubtasks = (steps = [], startPosition = 0) =>
+  (steps || [])
+    .filter(step => typeof step?.step === 'string' && step.step.trim())
+    .map((step, index) => ({
+      title: step.step.trim(),
+      completed: false,
+      position: startPosition + index
+    }));
+
+/**
+ * Apply queued subtask changes (see OUTBOX_OPERATIONS.SUBTASKS) to a
+ * todo's subtasks
+ * @param {Array} subtasks - Current subtask rows
+ * @param {Object} changes
+ * @param {Array} changes.created - New subtask rows, with client-generated IDs
+ * @param {Array} changes.updated - { id, changes } column updates
+ * @param {Array<string>} changes.deleted - IDs of deleted subtasks
+ * @returns {Array} The changed subtasks, sorted
+ */
+export const applySubtaskChanges = (subtasks = [], { created = [], updated = [], deleted = [] } = {}) => {
+  const kept = (subtasks || [])
+    .filter(subtask => !deleted.includes(subtask.id))
+    .map(subtask => {
+      const update = updated.find(u => u.id === subtask.id);
+      return update ? { ...subtask, ...update.changes } : subtask;
+    });
+
+  // Replaying a change that already arrived through realtime adds nothing
+  const added = created.filter(row => !kept.some(subtask => subtask.id === row.id));
+  return sortSubtasks([...kept, ...added]);
+};
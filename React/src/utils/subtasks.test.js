@@ -0,0 +1,44 @@
+import { sortSubtasks, getSubtaskProgress, moveSubtask, stepsToSubtasks, applySubtaskChanges } from './subtasks';
+
+test('sorts subtasks by position', () => {
+  const sorted = sortSubtasks([{ id: 'b', position: 2 }, { id: 'a', position: 0 }, { id: 'c', position: 1 }]);
+  expect(sorted.map(s => s.id)).toEqual(['a', 'c', 'b']);
+});
+
+test('computes progress, including the empty case', () => {
+  expect(getSubtaskProgress([])).toEqual({ total: 0, completed: 0, percent: 0 });
+  expect(getSubtaskProgress([{ completed: true }, { completed: false }, { completed: true }]))
+    .toEqual({ total: 3, completed: 2, percent: 67 });
+});
+
+test('moves a subtask and renumbers positions', () => {
+  const subtasks = [{ id: 'a', position: 0 }, { id: 'b', position: 1 }, { id: 'c', position: 2 }];
+  const moved = moveSubtask(subtasks, 2, 0);
+  expect(moved.map(s => [s.id, s.position])).toEqual([['c', 0], ['a', 1], ['b', 2]]);
+  expect(moveSubtask(subtasks, 0, -1)).toBe(subtasks);
+});
+
+test('converts AI steps into subtask drafts, skipping empty steps', () => {
+  const drafts = stepsToSubtasks([{ step: ' Research ' }, { step: '' }, { details: 'no title' }, { step: 'Write' }], 3);
+  expect(drafts).toEqual([
+    { title: 'Research', completed: false, position: 3 },
+    { title: 'Write', completed: false, position: 4 }
+  ]);
+});
+
+test('applies queued subtask changes once', () => {
+  const subtasks = [{ id: 'a', title: 'Draft', completed: false, position: 0 }, { id: 'b', title: 'Send', completed: false, position: 1 }];
+  const changes = {
+    created: [{ id: 'c', title: 'Follow up', completed: false, position: 1 }],
+    updated: [{ id: 'a', changes: { completed: true } }, { id: 'gone', changes: { completed: true } }],
+    deleted: ['b']
+  };
+
+  const changed = applySubtaskChanges(subtasks, changes);
+  expect(changed).toEqual([
+    { id: 'a', title: 'Draft', completed: true, position: 0 },
+    { id: 'c', title: 'Follow up', completed: false, position: 1 }
+  ]);
+  expect(applySubtaskChanges(changed, changes)).toEqual(changed);
+  expect(applySubtaskChanges(subtasks)).toEqual(subtasks);
+});
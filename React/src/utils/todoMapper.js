@@ -0,0 +1,177 @@
+/**
+ * Todo Mapper
+ * The one place a `todos` row becomes the todo object the UI works with,
+ * whether it's owned by the user, shared with them directly or visible
+ * through a shared project, and back again. Also maps todos to and from
+ * the `recently_deleted` copies they are restored from.
+ */
+
+import { sortSubtasks } from './subtasks';
+
+/**
+ * Map the columns of a `todos` row to frontend todo fields
+ * @param {Object} row - A `todos` row
+ */
+export const mapTodoFields = (row) => ({
+  id: row.id,
+  title: row.title,
+  description: row.description,
+  completed: row.completed,
+  status: row.status,
+  status_history: row.status_history || [],
+  category: row.category,
+  category_id: row.category_id,
+  project_id: row.project_id,
+  tags: row.tags || [],
+  due_date: row.due_date,
+  has_due_time: !!row.has_due_time,
+  due_time_zone: row.due_time_zone || null,
+  reminders: row.reminders || [],
+  priority: row.priority,
+  user_id: row.user_id,
+  owner: row.owner,
+  original_owner: row.original_owner,
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+  aiContent: row.ai_content ? JSON.parse(row.ai_content) : null,
+  aiHistory: row.ai_history || [],
+  recurrence: row.recurrence,
+  series_id: row.series_id,
+  recurrence_index: row.recurrence_index,
+  occurrence_overrides: row.occurrence_overrides
+});
+
+/**
+ * Map a `todos` row, with embedded `subtasks` and `categories`, to a todo
+ * @param {Object} row - A `todos` row
+ * @param {Object} access - How the user sees the todo:
+ *   {} for their own todos, { share } for a `shared_todos` row,
+ *   { projectPermission } for todos in a shared project
+ * @returns {Object} The frontend todo
+ */
+export const mapTodoRow = (row, access = {}) => {
+  const todo = {
+    ...mapTodoFields(row),
+    categoryDetails: row.categories || null,
+    subtasks: sortSubtasks(row.subtasks)
+  };
+
+  if (access.share) {
+    return {
+      ...todo,
+      owner: access.share.owner_email,
+      original_owner: access.share.original_owner,
+      isShared: true,
+      sharedId: access.share.id,
+      ownerEmail: access.share.owner_email,
+      permission: access.share.permission
+    };
+  }
+
+  if (access.projectPermission) {
+    return {
+      ...todo,
+      isShared: true,
+      isProjectShared: true,
+      ownerEmail: row.owner,
+      permission: access.projectPermission
+    };
+  }
+
+  return { ...todo, isOwner: true };
+};
+
+/**
+ * Map a todo back to the columns of its `todos` row, e.g. to re-create it
+ * @param {Object} todo - A frontend todo
+ * @returns {Object} The `todos` row, without subtasks
+ */
+export const toTodoRow = (todo) => ({
+  id: todo.id,
+  title: todo.title,
+  description: todo.description,
+  completed: todo.completed,
+  status: todo.status,
+  status_history: todo.status_history || [],
+  category: todo.category,
+  category_id: todo.category_id,
+  project_id: todo.project_id,
+  tags: todo.tags || [],
+  due_date: todo.due_date,
+  has_due_time: !!todo.has_due_time,
+  due_time_zone: todo.due_time_zone || null,
+  reminders: todo.reminders || [],
+  priority: todo.priority,
+  user_id: todo.user_id,
+  owner: todo.owner,
+  original_owner: todo.original_owner,
+  created_at: todo.created_at,
+  updated_at: todo.updated_at,
+  ai_content: todo.aiContent ? JSON.stringify(todo.aiContent) : null,
+  ai_history: todo.aiHistory || [],
+  recurrence: todo.recurrence,
+  series_id: todo.series_id,
+  recurrence_index: todo.recurrence_index,
+  occurrence_overrides: todo.occurrence_overrides
+});
+
+/**
+ * Map a todo to the columns its `recently_deleted` copy keeps of it
+ * @param {Object} todo - A frontend todo
+ * @returns {Object} The todo columns of the `recently_deleted` row, without
+ *   who deleted it or how it was shared
+ */
+export const toDeletedTodoColumns = (todo) => ({
+  title: todo.title,
+  description: todo.description,
+  completed: todo.completed || false,
+  status: todo.status || null,
+  status_history: todo.status_history || [],
+  category: todo.category,
+  category_id: todo.category_id || null,
+  tags: todo.tags || [],
+  project_id: todo.project_id || null,
+  due_date: todo.due_date,
+  has_due_time: todo.has_due_time || false,
+  due_time_zone: todo.due_time_zone || null,
+  reminders: todo.reminders || [],
+  priority: todo.priority,
+  recurrence: todo.recurrence || null,
+  series_id: todo.series_id || null,
+  recurrence_index: todo.recurrence_index || 0,
+  occurrence_overrides: todo.occurrence_overrides || null,
+  // Deleting the todo deletes its subtasks, so restoring re-creates them from here
+  subtasks: sortSubtasks(todo.subtasks).map(({ id, title, completed, position }) => ({ id, title, completed, position }))
+});
+
+/**
+ * Map a `recently_deleted` row back to the `todos` row that restores it.
+ * Its subtasks are re-created from `deletedRow.subtasks`.
+ * @param {Object} deletedRow - A `recently_deleted` row
+ * @returns {Object} The `todos` row, without created_at and updated_at
+ */
+export const fromDeletedTodoRow = (deletedRow) => ({
+  id: deletedRow.id,
+  title: deletedRow.title,
+  description: deletedRow.description,
+  completed: deletedRow.completed,
+  status: deletedRow.status,
+  status_history: deletedRow.status_history || [],
+  category: deletedRow.category,
+  category_id: deletedRow.category_id || null,
+  tags: deletedRow.tags || [],
+  project_id: deletedRow.project_id || null,
+  due_date: deletedRow.due_date,
+  has_due_time: !!deletedRow.has_due_time,
+  due_time_zone: deletedRow.due_time_zone || null,
+  reminders: deletedRow.reminders || [],
+  priority: deletedRow.priority,
+  user_id: deletedRow.user_id,
+  owner: deletedRow.owner,
+  original_owner: deletedRow.original_owner,
+  ai_content: deletedRow.ai_content ?? null,
+  recurrence: deletedRow.recurrence || null,
+  series_id: deletedRow.series_id || null,
+  recurrence_index: deletedRow.recurrence_index || 0,
+  occurrence_overrides: deletedRow.occurrence_overrides || null
+});
@@ -0,0 +1,74 @@
+import { mapTodoRow, toTodoRow, toDeletedTodoColumns, fromDeletedTodoRow } from './todoMapper';
+
+const row = {
+  id: 't1',
+  title: 'Write report',
+  description: 'Quarterly numbers',
+  completed: false,
+  status: 'in_progress',
+  status_history: [{ status: 'in_progress', entered_at: '2026-10-02T10:00:00.000Z' }],
+  category: 'Work',
+  category_id: 'c1',
+  project_id: 'p1',
+  tags: ['q3'],
+  due_date: '2026-10-20T09:30:00.000Z',
+  has_due_time: true,
+  due_time_zone: 'Europe/London',
+  reminders: [{ minutes_before: 60 }],
+  priority: 'high',
+  user_id: 'u1',
+  owner: 'owner@example.com',
+  original_owner: 'owner@example.com',
+  created_at: '2026-10-01T10:00:00.000Z',
+  updated_at: '2026-10-02T10:00:00.000Z',
+  ai_content: JSON.stringify({ steps: ['Collect data'] }),
+  ai_history: [{ content: { steps: ['Collect numbers'] }, action: 'refine', replaced_at: '2026-10-02T10:00:00.000Z', replaced_by: 'owner@example.com' }],
+  recurrence: null,
+  series_id: null,
+  recurrence_index: 0,
+  occurrence_overrides: null
+};
+
+test('maps shared todos with the share owner and permission', () => {
+  const share = { id: 's1', owner_email: 'owner@example.com', original_owner: 'owner@example.com', permission: 'edit' };
+  expect(mapTodoRow({ ...row, subtasks: [] }, { share })).toMatchObject({
+    isShared: true,
+    sharedId: 's1',
+    permission: 'edit',
+    aiContent: { steps: ['Collect data'] }
+  });
+});
+
+test('maps a todo back to the row it came from', () => {
+  expect(toTodoRow(mapTodoRow({ ...row, subtasks: [], categories: { id: 'c1' } }))).toEqual(row);
+});
+
+test('restores a deleted todo with what its recently deleted copy kept', () => {
+  const todo = mapTodoRow({ ...row, recurrence: { frequency: 'weekly' }, series_id: 'series', recurrence_index: 3, subtasks: [] });
+  const deletedRow = { id: todo.id, ...toDeletedTodoColumns(todo), user_id: 'u1', owner: todo.owner, original_owner: todo.original_owner };
+
+  expect(fromDeletedTodoRow(deletedRow)).toMatchObject({
+    category: 'Work',
+    category_id: 'c1',
+    tags: ['q3'],
+    project_id: 'p1',
+    series_id: 'series',
+    recurrence_index: 3,
+    recurrence: { frequency: 'weekly' },
+    status_history: row.status_history,
+    reminders: row.reminders
+  });
+  expect(deletedRow.subtasks).toEqual([]);
+});
+
+test('keeps the subtasks of a deleted todo in order for restoring', () => {
+  const subtasks = [
+    { id: 's2', todo_id: 't1', title: 'Send', completed: false, position: 1, completed_by: null },
+    { id: 's1', todo_id: 't1', title: 'Draft', completed: true, position: 0, completed_by: 'owner@example.com' }
+  ];
+
+  expect(toDeletedTodoColumns(mapTodoRow({ ...row, subtasks })).subtasks).toEqual([
+    { id: 's1', title: 'Draft', completed: true, position: 0 },
+    { id: 's2', title: 'Send', completed: false, position: 1 }
+  ]);
+});
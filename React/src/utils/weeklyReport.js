@@ -0,0 +1,166 @@
+/**
+ * Weekly Report Utilities
+ * Gathers the todos, owned and shared, completed and created between two
+ * days into a report with stats, for the AI to write a short narrative
+ * about (see openaiService summarizeWeek) and to export as Markdown for a
+ * standup.
+ *
+ * A todo's completion time is when it entered its done status (see
+ * utils/statuses); todos completed before statuses were recorded fall back
+ * to their last update. Days are 'YYYY-MM-DD' keys on the user's clock
+ * (see utils/calendar) and both ends of the range are included.
+ */
+
+import { getTodayKey, shiftAnchor } from './calendar';
+import { getStatusEnteredAt } from './statuses';
+import { resolveCategory } from './categories';
+import { isOverdue } from './dueDates';
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const UNCATEGORIZED = 'Uncategorized';
+
+// The user's day a stored timestamp falls on
+const toDayKey = (timestamp) => (timestamp ? getTodayKey(new Date(timestamp)) : null);
+
+const toDate = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatDay = (key, options = { month: 'short', day: 'numeric' }) =>
+  toDate(key).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+
+/**
+ * Get when a todo was completed
+ * @param {Object} todo - The todo
+ * @param {Array} statuses - The current user's statuses
+ * @returns {string|null} ISO time, null for open todos
+ */
+export const getCompletedAt = (todo, statuses = []) => {
+  if (!todo.completed) return null;
+  return getStatusEnteredAt(todo, statuses) || todo.updated_at || null;
+};
+
+// What the report keeps of a todo
+const toReportEntry = (todo, categories, completedAt) => ({
+  id: todo.id,
+  title: todo.title,
+  category: resolveCategory(todo, categories)?.name || UNCATEGORIZED,
+  priority: todo.priority || null,
+  completed: !!todo.completed,
+  completedAt,
+  sharedBy: todo.isShared ? todo.original_owner || todo.ownerEmail || null : null
+});
+
+// Counts of entries by a key, most first, e.g. [{ name: 'Work', count: 3 }]
+const countBy = (entries, getName) => Object.entries(entries.reduce((counts, entry) => {
+  const name = getName(entry);
+  return { ...counts, [name]: (counts[name] || 0) + 1 };
+}, {}))
+  .map(([name, count]) => ({ name, count }))
+  .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+/**
+ * Gather the report for a range of days
+ * @param {Array} todos - All todos, owned and shared
+ * @param {Object} options
+ * @param {string} options.from - First day, 'YYYY-MM-DD'
+ * @param {string} options.to - Last day, 'YYYY-MM-DD'
+ * @param {Array} options.statuses - The current user's statuses
+ * @param {Array} options.categories - The current user's categories
+ * @param {Date} options.now - Current time, for what's overdue
+ * @returns {Object} { from, to, completed, created, stats } where completed
+ *   (oldest first) and created are entries { id, title, category, priority,
+ *   completed, completedAt, sharedBy }, and stats are { completed, created,
+ *   createdStillOpen, shared, open, overdue, byCategory, byPriority, byDay }
+ */
+export const buildWeeklyReport = (todos, { from, to, statuses = [], categories = [], now = new Date() }) => {
+  const inRange = (key) => !!key && key >= from && key <= to;
+
+  const completed = todos
+    .map(todo => ({ todo, completedAt: getCompletedAt(todo, statuses) }))
+    .filter(({ completedAt }) => inRange(toDayKey(completedAt)))
+    .sort((a, b) => a.completedAt.localeCompare(b.completedAt))
+    .map(({ todo, completedAt }) => toReportEntry(todo, categories, completedAt));
+
+  const created = todos
+    .filter(todo => inRange(toDayKey(todo.created_at)))
+    .sort((a, b) => a.created_at.localeCompare(b.created_at))
+    .map(todo => toReportEntry(todo, categories, getCompletedAt(todo, statuses)));
+
+  const open = todos.filter(todo => !todo.completed);
+  const days = [];
+  for (let key = from; key <= to; key = shiftAnchor('day', key, 1)) days.push(key);
+
+  return {
+    from,
+    to,
+    completed,
+    created,
+    stats: {
+      completed: completed.length,
+      created: created.length,
+      createdStillOpen: created.filter(entry => !entry.completed).length,
+      shared: completed.filter(entry => entry.sharedBy).length,
+      open: open.length,
+      overdue: open.filter(todo => isOverdue(todo, now)).length,
+      byCategory: countBy(completed, entry => entry.category),
+      byPriority: PRIORITIES.reduce((counts, priority) => ({
+        ...counts,
+        [priority]: completed.filter(entry => entry.priority === priority).length
+      }), {}),
+      byDay: days.map(day => ({ day, count: completed.filter(entry => toDayKey(entry.completedAt) === day).length }))
+    }
+  };
+};
+
+/**
+ * Describe a report's range, e.g. "Oct 18 – Oct 24, 2026"
+ */
+export const formatReportRange = ({ from, to }) =>
+  from === to
+    ? formatDay(from, { month: 'short', day: 'numeric', year: 'numeric' })
+    : `${formatDay(from)} – ${formatDay(to, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+
+// One todo as a Markdown list item
+const toMarkdownItem = (entry) => {
+  const details = [
+    entry.category !== UNCATEGORIZED ? entry.category : null,
+    entry.priority ? `${entry.priority} priority` : null,
+    entry.sharedBy ? `shared by ${entry.sharedBy}` : null
+  ].filter(Boolean);
+  return `- ${entry.title}${details.length ? ` (${details.join(', ')})` : ''}`;
+};
+
+/**
+ * Write a report as Markdown, e.g. to paste into a standup
+ * @param {Object} report - From buildWeeklyReport
+ * @param {Object|null} narrative - { summary, highlights } from the AI, if written
+ * @returns {string} Markdown
+ */
+export const toReportMarkdown = (report, narrative = null) => {
+  const { stats } = report;
+  const lines = [`# Weekly report: ${formatReportRange(report)}`, ''];
+
+  if (narrative?.summary) lines.push(narrative.summary, '');
+  if (narrative?.highlights?.length) {
+    lines.push('## Highlights', '', ...narrative.highlights.map(highlight => `- ${highlight}`), '');
+  }
+
+  lines.push(
+    '## Stats',
+    '',
+    `- Completed: ${stats.completed}${stats.shared ? ` (${stats.shared} shared)` : ''}`,
+    `- Created: ${stats.created} (${stats.createdStillOpen} still open)`,
+    `- Open now: ${stats.open}${stats.overdue ? ` (${stats.overdue} overdue)` : ''}`
+  );
+  if (stats.byCategory.length) {
+    lines.push(`- By category: ${stats.byCategory.map(({ name, count }) => `${name} ${count}`).join(', ')}`);
+  }
+  lines.push('');
+
+  lines.push('## Completed', '', ...(report.completed.length ? report.completed.map(toMarkdownItem) : ['- Nothing']), '');
+  lines.push('## Created', '', ...(report.created.length ? report.created.map(toMarkdownItem) : ['- Nothing']));
+
+  return `${lines.join('\n')}\n`;
+};
@@ -0,0 +1,66 @@
+import { getCompletedAt, buildWeeklyReport, formatReportRange, toReportMarkdown } from './weeklyReport';
+import { DEFAULT_STATUSES } from './statuses';
+
+const categories = [{ id: 'c1', name: 'Work' }];
+
+// Noon UTC stays on the same day in the time zones tests run in
+const todos = [
+  {
+    id: 'shipped', title: 'Ship the release', completed: true, status: 'done', priority: 'high', category_id: 'c1',
+    created_at: '2026-10-12T12:00:00.000Z',
+    status_history: [{ status: 'todo', entered_at: '2026-10-12T12:00:00.000Z' }, { status: 'done', entered_at: '2026-10-20T12:00:00.000Z' }]
+  },
+  {
+    id: 'reviewed', title: 'Review slides', completed: true, isShared: true, original_owner: 'them@example.com',
+    created_at: '2026-10-19T12:00:00.000Z', updated_at: '2026-10-21T12:00:00.000Z'
+  },
+  { id: 'started', title: 'Plan the offsite', completed: false, created_at: '2026-10-22T12:00:00.000Z', due_date: '2026-10-23T00:00:00.000Z' },
+  {
+    id: 'old', title: 'Old work', completed: true, status: 'done', created_at: '2026-10-01T12:00:00.000Z',
+    status_history: [{ status: 'done', entered_at: '2026-10-02T12:00:00.000Z' }]
+  }
+];
+
+const options = { from: '2026-10-18', to: '2026-10-24', statuses: DEFAULT_STATUSES, categories, now: new Date('2026-10-25T12:00:00.000Z') };
+
+test('finds when a todo was completed', () => {
+  expect(getCompletedAt(todos[0], DEFAULT_STATUSES)).toBe('2026-10-20T12:00:00.000Z');
+  expect(getCompletedAt(todos[1], DEFAULT_STATUSES)).toBe('2026-10-21T12:00:00.000Z');
+  expect(getCompletedAt(todos[2], DEFAULT_STATUSES)).toBeNull();
+});
+
+test('gathers the todos completed and created in the range, shared ones included', () => {
+  const report = buildWeeklyReport(todos, options);
+
+  expect(report.completed.map(entry => entry.id)).toEqual(['shipped', 'reviewed']);
+  expect(report.completed[0]).toMatchObject({ category: 'Work', priority: 'high', sharedBy: null });
+  expect(report.completed[1]).toMatchObject({ category: 'Uncategorized', sharedBy: 'them@example.com' });
+  expect(report.created.map(entry => entry.id)).toEqual(['reviewed', 'started']);
+});
+
+test('counts the stats', () => {
+  const { stats } = buildWeeklyReport(todos, options);
+
+  expect(stats).toMatchObject({ completed: 2, created: 2, createdStillOpen: 1, shared: 1, open: 1, overdue: 1 });
+  expect(stats.byCategory).toEqual([{ name: 'Uncategorized', count: 1 }, { name: 'Work', count: 1 }]);
+  expect(stats.byPriority).toEqual({ high: 1, medium: 0, low: 0 });
+  expect(stats.byDay).toHaveLength(7);
+  expect(stats.byDay[2]).toEqual({ day: '2026-10-20', count: 1 });
+});
+
+test('describes the range', () => {
+  expect(formatReportRange({ from: '2026-10-18', to: '2026-10-24' })).toBe('Oct 18 – Oct 24, 2026');
+  expect(formatReportRange({ from: '2026-10-18', to: '2026-10-18' })).toBe('Oct 18, 2026');
+});
+
+test('exports the report as Markdown', () => {
+  const report = buildWeeklyReport(todos, options);
+  const markdown = toReportMarkdown(report, { summary: 'I shipped the release.', highlights: ['Shipped the release'] });
+
+  expect(markdown).toContain('# Weekly report: Oct 18 – Oct 24, 2026\n\nI shipped the release.\n');
+  expect(markdown).toContain('## Highlights\n\n- Shipped the release\n');
+  expect(markdown).toContain('- Completed: 2 (1 shared)\n- Created: 2 (1 still open)\n- Open now: 1 (1 overdue)\n');
+  expect(markdown).toContain('## Completed\n\n- Ship the release (Work, high priority)\n- Review slides (shared by them@example.com)\n');
+
+  expect(toReportMarkdown(buildWeeklyReport([], options))).toContain('## Completed\n\n- Nothing\n');
+});
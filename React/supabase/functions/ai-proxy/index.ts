@@ -0,0 +1,240 @@
+/**
+ * AI Proxy (Supabase Edge Function)
+ *
+ * The browser never holds an AI key: the app sends its chat messages here
+ * (services/aiProviders, via supabase.functions.invoke) and this function
+ * 1. checks the caller's Supabase JWT
+ * 2. claims a request slot with claim_ai_request (see schema.sql), which
+ *    applies the per-user rate limit and daily token quota
+ * 3. forwards the messages to the configured model and records the tokens used
+ *
+ * Deploy with `supabase functions deploy ai-proxy` and set the secrets:
+ *
+ *   AI_PROVIDER=azure|openai|openai-compatible
+ *   AI_MODEL=gpt-4o-mini                 model, or the Azure deployment
+ *   AI_API_VERSION=2024-05-01-preview    Azure only
+ *   AZURE_OPENAI_ENDPOINT / AZURE_OPENAI_API_KEY / AZURE_OPENAI_DEPLOYMENT
+ *   OPENAI_API_KEY=...                   openai and openai-compatible
+ *   AI_BASE_URL=https://...              openai-compatible only
+ *   AI_RATE_LIMIT_PER_MINUTE=10          requests per user per minute
+ *   AI_DAILY_TOKEN_QUOTA=50000           tokens per user per UTC day
+ *
+ * Responses are { content } or { error, retryAfter? } with an HTTP status:
+ * 401 signed out, 400 bad request, 429 rate limited or out of quota,
+ * 502 model unreachable, 503 AI not configured.
+ *
+ * With `stream: true` the reply is a text/event-stream of `data:` events
+ * instead: { delta } for each piece of text, then { done: true }, or
+ * { error } if the model stops midway. Closing the stream stops the model.
+ */
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { AzureOpenAI, OpenAI } from 'npm:openai@4.90.0';
+
+const env = (name: string, fallback = '') => Deno.env.get(name) || fallback;
+
+const AI_PROVIDER = env('AI_PROVIDER', env('AZURE_OPENAI_API_KEY') ? 'azure' : '');
+const RATE_LIMIT_PER_MINUTE = Number(env('AI_RATE_LIMIT_PER_MINUTE', '10'));
+const DAILY_TOKEN_QUOTA = Number(env('AI_DAILY_TOKEN_QUOTA', '50000'));
+
+// Limits on what one request may ask for
+const MAX_TOKENS = 1500;
+const MAX_PROMPT_CHARS = 20000;
+const ROLES = ['system', 'user', 'assistant'];
+
+const DEFAULT_MODELS: Record<string, string> = {
+  azure: 'gpt-35-turbo',
+  openai: 'gpt-4o-mini',
+  'openai-compatible': 'local-model'
+};
+const MODEL = env('AI_MODEL', env('AZURE_OPENAI_DEPLOYMENT', DEFAULT_MODELS[AI_PROVIDER]));
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+const json = (body: unknown, status = 200, headers: Record<string, string> = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { ...corsHeaders, 'Content-Type': 'application/json', ...headers }
+});
+
+// Create the model client for AI_PROVIDER, null when it isn't set up
+const createModelClient = () => {
+  switch (AI_PROVIDER) {
+    case 'azure':
+      if (!env('AZURE_OPENAI_ENDPOINT') || !env('AZURE_OPENAI_API_KEY') || !env('AZURE_OPENAI_DEPLOYMENT')) return null;
+      return new AzureOpenAI({
+        apiKey: env('AZURE_OPENAI_API_KEY'),
+        endpoint: env('AZURE_OPENAI_ENDPOINT'),
+        deployment: env('AZURE_OPENAI_DEPLOYMENT'),
+        apiVersion: env('AI_API_VERSION', '2024-05-01-preview')
+      });
+    case 'openai':
+      return env('OPENAI_API_KEY') ? new OpenAI({ apiKey: env('OPENAI_API_KEY') }) : null;
+    case 'openai-compatible':
+      // Local servers usually ignore the key, but the client requires one
+      return env('AI_BASE_URL') ? new OpenAI({ apiKey: env('OPENAI_API_KEY', 'not-needed'), baseURL: env('AI_BASE_URL') }) : null;
+    default:
+      return null;
+  }
+};
+
+const modelClient = createModelClient();
+
+// Service role client: checks JWTs and writes ai_usage, which users can't
+const admin = createClient(env('SUPABASE_URL'), env('SUPABASE_SERVICE_ROLE_KEY'));
+
+type ChatRequest = {
+  messages: { role: 'system' | 'user' | 'assistant'; content: string }[];
+  maxTokens: number;
+  temperature: number;
+  stream: boolean;
+};
+
+/**
+ * Check the chat request from the app
+ * @returns {Object|string} { messages, maxTokens, temperature }, or what's wrong with it
+ */
+const readRequest = (body: any): ChatRequest | string => {
+  const messages = body?.messages;
+  if (!Array.isArray(messages) || messages.length === 0) return 'messages are required';
+  if (!messages.every(m => ROLES.includes(m?.role) && typeof m.content === 'string')) {
+    return 'each message needs a role and text content';
+  }
+  if (messages.reduce((total, m) => total + m.content.length, 0) > MAX_PROMPT_CHARS) {
+    return 'the prompt is too long';
+  }
+
+  const temperature = Number(body.temperature ?? 0.7);
+  return {
+    messages: messages.map(({ role, content }) => ({ role, content })),
+    maxTokens: Math.min(Math.max(parseInt(body.maxTokens, 10) || 800, 1), MAX_TOKENS),
+    temperature: Math.min(Math.max(isNaN(temperature) ? 0.7 : temperature, 0), 1),
+    stream: body.stream === true
+  };
+};
+
+// Replace a claim's reserved tokens with what was actually used
+const recordTokens = (requestId: string, tokens: number) =>
+  admin.from('ai_usage').update({ tokens }).eq('id', requestId);
+
+// Streams don't report usage from every provider; about 4 characters a token
+const estimateTokens = (messages: { content: string }[], output: string) =>
+  Math.ceil((messages.reduce((total, m) => total + m.content.length, 0) + output.length) / 4);
+
+// Forward a streamed completion as server-sent events
+const streamCompletion = async (req: Request, request: ChatRequest, requestId: string) => {
+  let completion;
+  try {
+    completion = await modelClient!.chat.completions.create({
+      model: MODEL,
+      messages: request.messages,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      stream: true
+    });
+  } catch (error) {
+    console.error(`AI provider error (${AI_PROVIDER}):`, error);
+    await recordTokens(requestId, 0);
+    return json({ error: 'The AI service is unavailable, please try again' }, 502);
+  }
+
+  const encoder = new TextEncoder();
+  let output = '';
+
+  const body = new ReadableStream({
+    async start(controller) {
+      const send = (event: unknown) => controller.enqueue(encoder.encode(`data: ${JSON.stringify(event)}\n\n`));
+      try {
+        for await (const chunk of completion) {
+          const delta = chunk.choices?.[0]?.delta?.content;
+          if (delta) {
+            output += delta;
+            send({ delta });
+          }
+        }
+        send({ done: true });
+      } catch (error) {
+        if (!req.signal.aborted) {
+          console.error(`AI provider error mid-stream (${AI_PROVIDER}):`, error);
+          send({ error: 'The AI service stopped responding, please try again' });
+        }
+      } finally {
+        await recordTokens(requestId, estimateTokens(request.messages, output));
+        try {
+          controller.close();
+        } catch (closeError) {
+          // Already closed by the client
+        }
+      }
+    },
+    cancel() {
+      // The app stopped reading (cancelled): stop generating too
+      completion.controller.abort();
+    }
+  });
+
+  return new Response(body, {
+    headers: { ...corsHeaders, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' }
+  });
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') return new Response('ok', { headers: corsHeaders });
+  if (req.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+
+  const token = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!token) return json({ error: 'Sign in to use AI features' }, 401);
+  const { data: { user }, error: authError } = await admin.auth.getUser(token);
+  if (authError || !user) return json({ error: 'Sign in to use AI features' }, 401);
+
+  if (!modelClient) return json({ error: 'AI features are not configured on the server' }, 503);
+
+  let request;
+  try {
+    request = readRequest(await req.json());
+  } catch (error) {
+    request = 'the body must be JSON';
+  }
+  if (typeof request === 'string') return json({ error: `Invalid AI request: ${request}` }, 400);
+
+  // Reserve the most this request can use; the actual count replaces it below
+  const { data: claim, error: claimError } = await admin.rpc('claim_ai_request', {
+    p_user_id: user.id,
+    p_per_minute: RATE_LIMIT_PER_MINUTE,
+    p_daily_tokens: DAILY_TOKEN_QUOTA,
+    p_reserve_tokens: request.maxTokens
+  });
+  if (claimError) {
+    console.error('Error claiming AI request:', claimError);
+    return json({ error: "Couldn't check your AI usage" }, 500);
+  }
+  if (!claim.allowed) {
+    const error = claim.reason === 'rate'
+      ? 'Too many AI requests, please wait a moment'
+      : "You've used today's AI allowance, it resets at midnight UTC";
+    return json({ error, retryAfter: claim.retry_after }, 429, { 'Retry-After': String(claim.retry_after) });
+  }
+
+  if (request.stream) return streamCompletion(req, request, claim.request_id);
+
+  try {
+    const response = await modelClient.chat.completions.create({
+      model: MODEL,
+      messages: request.messages,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature
+    });
+
+    await recordTokens(claim.request_id, response.usage?.total_tokens ?? request.maxTokens);
+
+    return json({ content: response.choices?.[0]?.message?.content ?? '' });
+  } catch (error) {
+    console.error(`AI provider error (${AI_PROVIDER}):`, error);
+    // Nothing was generated, so don't count it against the quota
+    await recordTokens(claim.request_id, 0);
+    return json({ error: 'The AI service is unavailable, please try again' }, 502);
+  }
+});